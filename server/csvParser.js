@@ -1,43 +1,96 @@
 "use strict";
 Object.defineProperty(exports, "__esModule", { value: true });
+exports.toVariableName = toVariableName;
 exports.parseCSV = parseCSV;
+var PHONE_COLUMNS = ['phone', 'phone number', 'phonenumber'];
+var NAME_COLUMNS = ['name', 'full name', 'fullname'];
+/**
+ * Variable name of a column header, as used in {{variable}} placeholders
+ * @param header Column header
+ * @returns Lowercase name with underscores, e.g. "Account ID" -> "account_id"
+ */
+function toVariableName(header) {
+    return header.trim().toLowerCase().replace(/[^a-z0-9_]+/g, '_').replace(/^_+|_+$/g, '');
+}
+/**
+ * Split one CSV line, keeping delimiters inside double quotes
+ */
+function splitLine(line, delimiter) {
+    var values = [];
+    var value = '';
+    var quoted = false;
+    for (var i = 0; i < line.length; i++) {
+        var char = line[i];
+        if (quoted) {
+            if (char === '"' && line[i + 1] === '"') {
+                value += '"';
+                i++;
+            }
+            else if (char === '"') {
+                quoted = false;
+            }
+            else {
+                value += char;
+            }
+        }
+        else if (char === '"') {
+            quoted = true;
+        }
+        else if (char === delimiter) {
+            values.push(value.trim());
+            value = '';
+        }
+        else {
+            value += char;
+        }
+    }
+    values.push(value.trim());
+    return values;
+}
 /**
  * Parse CSV string into array of objects
  * @param csvString CSV content as string
  * @param delimiter Delimiter character (default: ',')
- * @returns Array of objects with column names as keys
+ * @returns Contacts with their phone, name and the other columns as metadata
  */
 function parseCSV(csvString, delimiter) {
     if (delimiter === void 0) { delimiter = ','; }
     // Split into lines
-    var lines = csvString.trim().split('\n');
+    var lines = csvString.trim().split(/\r?\n/);
     if (lines.length === 0) {
         return [];
     }
     // Parse header
-    var header = lines[0].split(delimiter).map(function (field) { return field.trim(); });
-    // Find phone column index
-    var phoneColumnIndex = header.findIndex(function (column) {
-        return column.toLowerCase() === 'phone' ||
-            column.toLowerCase() === 'phone number' ||
-            column.toLowerCase() === 'phonenumber';
-    });
+    var header = splitLine(lines[0], delimiter);
+    // Find phone and name column indexes
+    var phoneColumnIndex = header.findIndex(function (column) { return PHONE_COLUMNS.includes(column.toLowerCase()); });
+    var nameColumnIndex = header.findIndex(function (column) { return NAME_COLUMNS.includes(column.toLowerCase()); });
     if (phoneColumnIndex === -1) {
         throw new Error('CSV must contain a "phone" column');
     }
     // Parse data rows
     var records = [];
-    for (var i = 1; i < lines.length; i++) {
+    var _loop_1 = function (i) {
         var line = lines[i].trim();
         if (line) {
-            var values = line.split(delimiter).map(function (value) { return value.trim(); });
-            var phone = values[phoneColumnIndex];
+            var values_1 = splitLine(line, delimiter);
+            var phone = values_1[phoneColumnIndex];
             // Basic phone number validation
             if (phone && phone.length >= 10) {
-                records.push({ phone: phone });
+                var metadata_1 = {};
+                header.forEach(function (column, index) {
+                    var key = toVariableName(column);
+                    if (index !== phoneColumnIndex && index !== nameColumnIndex && key && values_1[index]) {
+                        metadata_1[key] = values_1[index];
+                    }
+                });
+                records.push(Object.assign(Object.assign({ phone: phone }, (nameColumnIndex !== -1 && values_1[nameColumnIndex] ? { name: values_1[nameColumnIndex] } : {})), { metadata: metadata_1 }));
             }
         }
+    };
+    for (var i = 1; i < lines.length; i++) {
+        _loop_1(i);
     }
     return records;
 }
-exports.default = { parseCSV: parseCSV };
+exports.default = { parseCSV: parseCSV, toVariableName: toVariableName };
@@ -40,6 +40,16 @@ exports.LLMService = void 0;
 const { GoogleGenerativeAI } = require("@google/generative-ai");
 const { OpenAI } = require("openai");
 
+// Tool call arguments come back as a JSON string from OpenAI
+function parseToolArguments(json) {
+    try {
+        return JSON.parse(json || '{}');
+    } catch (e) {
+        console.error('❌ Invalid tool call arguments from LLM:', json);
+        return {};
+    }
+}
+
 // Unified LLM service that supports both Gemini and OpenAI models
 var LLMService = /** @class */ (function () {
     function LLMService(geminiApiKey, openaiApiKey) {
@@ -65,6 +75,12 @@ var LLMService = /** @class */ (function () {
         return modelId.startsWith('gpt-') || modelId.startsWith('o1-');
     };
 
+    /**
+     * Generate a response
+     * @param {Object} request - { model, contents, config: { systemInstruction }, tools }
+     *   tools: optional function declarations [{ name, description, parameters (JSON schema) }]
+     * @returns {Promise<Object>} { text, toolCalls: [{ id, name, args }] }
+     */
     LLMService.prototype.generateContent = function (request) {
         return __awaiter(this, void 0, void 0, function () {
             var modelName, provider;
@@ -92,7 +108,7 @@ var LLMService = /** @class */ (function () {
 
     LLMService.prototype.generateGeminiContent = function (request) {
         return __awaiter(this, void 0, void 0, function () {
-            var modelName, model, result, responseText, error_1;
+            var modelName, model, result, responseText, toolCalls, error_1;
             var _a;
             return __generator(this, function (_b) {
                 switch (_b.label) {
@@ -110,19 +126,24 @@ var LLMService = /** @class */ (function () {
                         // Use getGenerativeModel
                         model = this.genAI.getGenerativeModel({
                             model: modelName,
-                            systemInstruction: (_a = request.config) === null || _a === void 0 ? void 0 : _a.systemInstruction
+                            systemInstruction: (_a = request.config) === null || _a === void 0 ? void 0 : _a.systemInstruction,
+                            tools: this.toGeminiTools(request.tools)
                         });
 
                         return [4 /*yield*/, model.generateContent({ contents: request.contents })];
                     case 2:
                         result = _b.sent();
                         responseText = '';
+                        toolCalls = [];
 
                         if (result && result.response) {
                             responseText = result.response.text();
+                            toolCalls = (result.response.functionCalls() || []).map(function (call) {
+                                return { id: null, name: call.name, args: call.args || {} };
+                            });
                         }
 
-                        return [2 /*return*/, { text: responseText }];
+                        return [2 /*return*/, { text: responseText, toolCalls: toolCalls }];
                     case 3:
                         error_1 = _b.sent();
                         console.error('Error calling Gemini API:', error_1);
@@ -135,8 +156,7 @@ var LLMService = /** @class */ (function () {
 
     LLMService.prototype.generateOpenAIContent = function (request) {
         return __awaiter(this, void 0, void 0, function () {
-            var modelName, messages, systemInstruction, completion, responseText, error_2;
-            var _a;
+            var modelName, messages, completion, responseText, toolCalls, error_2;
             return __generator(this, function (_b) {
                 switch (_b.label) {
                     case 0:
@@ -151,55 +171,32 @@ var LLMService = /** @class */ (function () {
                         modelName = request.model || 'gpt-4o-mini';
 
                         // Convert Gemini-style contents to OpenAI messages format
-                        messages = [];
-
-                        // Add system instruction if present
-                        systemInstruction = (_a = request.config) === null || _a === void 0 ? void 0 : _a.systemInstruction;
-                        if (systemInstruction) {
-                            messages.push({
-                                role: 'system',
-                                content: systemInstruction
-                            });
-                        }
-
-                        // Convert contents array to OpenAI messages
-                        if (request.contents && Array.isArray(request.contents)) {
-                            request.contents.forEach(function (content) {
-                                var role = content.role === 'model' ? 'assistant' : content.role;
-                                var text = '';
-
-                                if (content.parts && Array.isArray(content.parts)) {
-                                    text = content.parts.map(function (part) { return part.text || ''; }).join('');
-                                }
-
-                                if (text.trim()) {
-                                    messages.push({
-                                        role: role,
-                                        content: text
-                                    });
-                                }
-                            });
-                        }
+                        messages = this.toOpenAIMessages(request);
 
                         console.log(`📤 Sending to OpenAI: ${messages.length} messages`);
 
                         return [4 /*yield*/, this.openai.chat.completions.create({
                             model: modelName,
                             messages: messages,
+                            tools: this.toOpenAITools(request.tools),
                             temperature: 0.7,
                             max_tokens: 1000
                         })];
                     case 2:
                         completion = _b.sent();
                         responseText = '';
+                        toolCalls = [];
 
                         if (completion && completion.choices && completion.choices.length > 0) {
                             responseText = completion.choices[0].message.content || '';
+                            toolCalls = (completion.choices[0].message.tool_calls || []).map(function (call) {
+                                return { id: call.id, name: call.function.name, args: parseToolArguments(call.function.arguments) };
+                            });
                         }
 
                         console.log(`📥 OpenAI response: ${responseText.substring(0, 100)}...`);
 
-                        return [2 /*return*/, { text: responseText }];
+                        return [2 /*return*/, { text: responseText, toolCalls: toolCalls }];
                     case 3:
                         error_2 = _b.sent();
                         console.error('Error calling OpenAI API:', error_2);
@@ -210,9 +207,164 @@ var LLMService = /** @class */ (function () {
         });
     };
 
-    // Stub for stream - could be implemented if needed
-    LLMService.prototype.generateContentStream = function (request) {
-        throw new Error("Stream not implemented in this version");
+    // Convert Gemini-style contents (plus system instruction) to OpenAI messages
+    LLMService.prototype.toOpenAIMessages = function (request) {
+        var _a;
+        var messages = [];
+
+        // Add system instruction if present
+        var systemInstruction = (_a = request.config) === null || _a === void 0 ? void 0 : _a.systemInstruction;
+        if (systemInstruction) {
+            messages.push({
+                role: 'system',
+                content: systemInstruction
+            });
+        }
+
+        // Gemini function calls carry no ID, OpenAI needs one to pair each result with its call
+        var pendingCallIds = [];
+
+        // Convert contents array to OpenAI messages
+        if (request.contents && Array.isArray(request.contents)) {
+            request.contents.forEach(function (content, contentIndex) {
+                var role = content.role === 'model' ? 'assistant' : content.role;
+                var parts = Array.isArray(content.parts) ? content.parts : [];
+                var text = parts.map(function (part) { return part.text || ''; }).join('');
+
+                var functionCalls = parts.filter(function (part) { return part.functionCall; });
+                if (functionCalls.length > 0) {
+                    messages.push({
+                        role: 'assistant',
+                        content: text.trim() ? text : null,
+                        tool_calls: functionCalls.map(function (part, partIndex) {
+                            var id = `call_${contentIndex}_${partIndex}`;
+                            pendingCallIds.push({ id: id, name: part.functionCall.name });
+                            return {
+                                id: id,
+                                type: 'function',
+                                function: { name: part.functionCall.name, arguments: JSON.stringify(part.functionCall.args || {}) }
+                            };
+                        })
+                    });
+                    return;
+                }
+
+                var functionResponses = parts.filter(function (part) { return part.functionResponse; });
+                if (functionResponses.length > 0) {
+                    functionResponses.forEach(function (part) {
+                        var index = pendingCallIds.findIndex(function (call) { return call.name === part.functionResponse.name; });
+                        if (index === -1) return; // Its call was trimmed from the history
+                        messages.push({
+                            role: 'tool',
+                            tool_call_id: pendingCallIds.splice(index, 1)[0].id,
+                            content: JSON.stringify(part.functionResponse.response)
+                        });
+                    });
+                    return;
+                }
+
+                if (text.trim()) {
+                    messages.push({
+                        role: role,
+                        content: text
+                    });
+                }
+            });
+        }
+
+        return messages;
+    };
+
+    /**
+     * Function declarations ({ name, description, parameters }) in Gemini's tool format
+     */
+    LLMService.prototype.toGeminiTools = function (tools) {
+        if (!tools || tools.length === 0) return undefined;
+        return [{ functionDeclarations: tools }];
+    };
+
+    /**
+     * Function declarations ({ name, description, parameters }) in OpenAI's tool format
+     */
+    LLMService.prototype.toOpenAITools = function (tools) {
+        if (!tools || tools.length === 0) return undefined;
+        return tools.map(function (tool) {
+            return {
+                type: 'function',
+                function: {
+                    name: tool.name,
+                    description: tool.description,
+                    parameters: tool.parameters || { type: 'object', properties: {} }
+                }
+            };
+        });
+    };
+
+    /**
+     * Stream a response as it is generated
+     * @param {Object} request - Same as generateContent, plus an optional AbortSignal in request.signal
+     * @returns {AsyncGenerator<Object>} { text } chunks in order, then { toolCalls } if the model called any tools
+     */
+    LLMService.prototype.generateContentStream = async function* (request) {
+        const modelName = request.model || 'models/gemini-2.0-flash';
+
+        if (this.isOpenAIModel(modelName)) {
+            if (!this.openai) {
+                throw new Error('OpenAI client not initialized. Please provide an OpenAI API key.');
+            }
+
+            const stream = await this.openai.chat.completions.create({
+                model: modelName,
+                messages: this.toOpenAIMessages(request),
+                tools: this.toOpenAITools(request.tools),
+                temperature: 0.7,
+                max_tokens: 1000,
+                stream: true
+            }, { signal: request.signal });
+
+            // Tool call names and arguments arrive in fragments, keyed by index
+            const toolCalls = [];
+            for await (const chunk of stream) {
+                const delta = chunk.choices?.[0]?.delta;
+                if (delta?.content) yield { text: delta.content };
+
+                (delta?.tool_calls || []).forEach(fragment => {
+                    const call = toolCalls[fragment.index] || (toolCalls[fragment.index] = { id: null, name: '', arguments: '' });
+                    if (fragment.id) call.id = fragment.id;
+                    if (fragment.function?.name) call.name += fragment.function.name;
+                    if (fragment.function?.arguments) call.arguments += fragment.function.arguments;
+                });
+            }
+
+            if (toolCalls.length > 0) {
+                yield {
+                    toolCalls: toolCalls.filter(Boolean).map(call => ({ id: call.id, name: call.name, args: parseToolArguments(call.arguments) }))
+                };
+            }
+            return;
+        }
+
+        if (!this.genAI) {
+            throw new Error('Gemini client not initialized. Please provide a Gemini API key.');
+        }
+
+        const model = this.genAI.getGenerativeModel({
+            model: modelName,
+            systemInstruction: request.config?.systemInstruction,
+            tools: this.toGeminiTools(request.tools)
+        });
+        const result = await model.generateContentStream({ contents: request.contents }, { signal: request.signal });
+
+        const toolCalls = [];
+        for await (const chunk of result.stream) {
+            const text = chunk.text();
+            if (text) yield { text };
+            (chunk.functionCalls() || []).forEach(call => toolCalls.push({ id: null, name: call.name, args: call.args || {} }));
+        }
+
+        if (toolCalls.length > 0) {
+            yield { toolCalls };
+        }
     };
 
     /**
@@ -251,7 +403,7 @@ ${schema}
                         // Create a user message with the conversation history to ensure the model sees it clearly
                         // processing history to simple text format if it's complex object
                         const conversationText = history.map(msg =>
-                            `${msg.role}: ${Array.isArray(msg.parts) ? msg.parts.map(p => p.text).join('') : msg.text}`
+                            `${msg.role}: ${Array.isArray(msg.parts) ? msg.parts.map(p => p.text || '').join('') : msg.text}`
                         ).join('\n');
 
                         prompt = `Extract data from this conversation:\n\n${conversationText}`;
@@ -1,10 +1,14 @@
 const express = require('express');
+const TranscriptService = require('../services/transcriptService.js');
 const router = express.Router();
 
+let transcriptService = null;
+const getTranscriptService = (mysqlPool) => transcriptService || (transcriptService = new TranscriptService(mysqlPool));
+
 /**
  * Get call history for a specific user
  * GET /api/calls/:userId
- * Query params: limit, offset, agentId, callType, startDate, endDate
+ * Query params: limit, offset, agentId, callType, startDate, endDate, disposition, sentiment
  */
 router.get('/:userId', async (req, res) => {
     try {
@@ -15,7 +19,9 @@ router.get('/:userId', async (req, res) => {
             agentId,
             callType,
             startDate,
-            endDate
+            endDate,
+            disposition,
+            sentiment
         } = req.query;
 
         const mysqlPool = req.app.get('mysqlPool');
@@ -45,6 +51,16 @@ router.get('/:userId', async (req, res) => {
             filterParams.push(endDate);
         }
 
+        if (disposition) {
+            whereConditions.push('c.disposition = ?');
+            filterParams.push(disposition);
+        }
+
+        if (sentiment) {
+            whereConditions.push('c.sentiment = ?');
+            filterParams.push(sentiment);
+        }
+
         const whereClause = whereConditions.join(' AND ');
 
         // Get total count
@@ -75,6 +91,16 @@ router.get('/:userId', async (req, res) => {
                 c.provider,
                 c.model,
                 c.voice_id,
+                c.transfer_target,
+                c.transfer_mode,
+                c.transfer_status,
+                c.transferred_at,
+                c.ended_by,
+                c.termination_reason,
+                c.summary,
+                c.sentiment,
+                c.disposition,
+                c.success_evaluation,
                 a.name as agent_name
             FROM calls c
             LEFT JOIN agents a ON c.agent_id = a.id
@@ -103,7 +129,23 @@ router.get('/:userId', async (req, res) => {
             agentName: call.agent_name || 'Unknown Agent',
             provider: call.provider,
             model: call.model,
-            voiceId: call.voice_id
+            voiceId: call.voice_id,
+            endedBy: call.ended_by,
+            terminationReason: call.termination_reason,
+            analysis: call.disposition || call.summary ? {
+                summary: call.summary,
+                sentiment: call.sentiment,
+                disposition: call.disposition,
+                successEvaluation: typeof call.success_evaluation === 'string'
+                    ? JSON.parse(call.success_evaluation)
+                    : call.success_evaluation || []
+            } : null,
+            transfer: call.transfer_status ? {
+                target: call.transfer_target,
+                mode: call.transfer_mode,
+                status: call.transfer_status,
+                transferredAt: call.transferred_at
+            } : null
         }));
 
         res.json({
@@ -127,4 +169,58 @@ router.get('/:userId', async (req, res) => {
     }
 });
 
+/**
+ * Get the transcript of a call: caller and agent turns, tool calls and tool results
+ * GET /api/calls/:userId/:callId/transcript
+ */
+router.get('/:userId/:callId/transcript', async (req, res) => {
+    try {
+        const { userId, callId } = req.params;
+        const mysqlPool = req.app.get('mysqlPool');
+
+        // User isolation: the call must belong to the user. A phone session whose
+        // calls row could not be resolved is keyed on its CallSid
+        const [calls] = await mysqlPool.execute(
+            'SELECT id FROM calls WHERE (id = ? OR call_sid = ?) AND user_id = ?',
+            [callId, callId, userId]
+        );
+
+        if (calls.length === 0) {
+            return res.status(404).json({
+                success: false,
+                message: 'Call not found'
+            });
+        }
+
+        const transcript = await getTranscriptService(mysqlPool).getTranscript(callId);
+
+        const [citations] = await mysqlPool.execute(
+            `SELECT query, chunk_ids, created_at
+             FROM call_knowledge_citations
+             WHERE call_id = ?
+             ORDER BY created_at ASC`,
+            [callId]
+        );
+
+        res.json({
+            success: true,
+            callId,
+            transcript,
+            citations: citations.map(citation => ({
+                query: citation.query,
+                chunkIds: typeof citation.chunk_ids === 'string' ? JSON.parse(citation.chunk_ids) : citation.chunk_ids,
+                timestamp: citation.created_at
+            }))
+        });
+
+    } catch (error) {
+        console.error('Error fetching call transcript:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch call transcript',
+            error: error.message
+        });
+    }
+});
+
 module.exports = router;
@@ -0,0 +1,122 @@
+const express = require('express');
+const router = express.Router();
+const multer = require('multer');
+const ContactImportService = require('../services/contactImportService.js');
+const { isValidCountry } = require('../utils/phoneNumbers.js');
+
+const MAX_FILE_SIZE = 20 * 1024 * 1024; // 20MB
+
+const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: MAX_FILE_SIZE, files: 1 }
+});
+
+// Multer errors (file too large, too many files) are client errors, not 500s
+const receiveFile = (req, res, next) => {
+    upload.single('file')(req, res, (error) => {
+        if (error) {
+            return res.status(400).json({ success: false, message: error.message });
+        }
+        next();
+    });
+};
+
+module.exports = (mysqlPool, campaignService) => {
+    const importService = new ContactImportService(mysqlPool, campaignService);
+
+    /**
+     * Load the user's campaign and read the uploaded rows, answering the
+     * request itself when either fails
+     * @returns {Promise<Object|null>} { campaign, rows }
+     */
+    const loadImport = async (req, res) => {
+        const { userId, csv, googleSheetUrl } = req.body;
+        if (!userId) {
+            res.status(400).json({ success: false, message: 'User ID is required' });
+            return null;
+        }
+        if (!req.file && !csv && !googleSheetUrl) {
+            res.status(400).json({ success: false, message: 'Upload a CSV or XLSX file, or provide csv or googleSheetUrl' });
+            return null;
+        }
+
+        const campaign = await campaignService.getCampaign(req.params.id).catch(() => null);
+        if (!campaign || campaign.user_id !== userId) {
+            res.status(404).json({ success: false, message: 'Campaign not found' });
+            return null;
+        }
+
+        try {
+            const rows = await importService.readRows({ file: req.file, csv, googleSheetUrl });
+            return { campaign, rows };
+        } catch (error) {
+            res.status(400).json({ success: false, message: `Could not read the import: ${error.message}` });
+            return null;
+        }
+    };
+
+    /**
+     * Headers, sample rows and a suggested column mapping
+     * POST /api/campaigns/:id/import/preview
+     * Body (multipart or JSON): { userId, file | csv | googleSheetUrl }
+     */
+    router.post('/:id/import/preview', receiveFile, async (req, res) => {
+        try {
+            const loaded = await loadImport(req, res);
+            if (!loaded) return;
+
+            res.json({ success: true, data: importService.preview(loaded.rows) });
+        } catch (error) {
+            console.error('Error previewing contact import:', error);
+            res.status(500).json({ success: false, message: 'Failed to preview import', error: error.message });
+        }
+    });
+
+    /**
+     * Validate the rows and add the valid ones (only validate with dryRun)
+     * POST /api/campaigns/:id/import/contacts
+     * Body (multipart or JSON): { userId, file | csv | googleSheetUrl, mapping, defaultCountry, dryRun }
+     * mapping: { phone: 'Phone', name: 'Full Name', timezone: 'TZ', fields: { 'Company': 'company' } }
+     */
+    router.post('/:id/import/contacts', receiveFile, async (req, res) => {
+        try {
+            const loaded = await loadImport(req, res);
+            if (!loaded) return;
+
+            // Multipart forms send the mapping as a JSON string
+            let mapping = req.body.mapping;
+            if (typeof mapping === 'string') {
+                try {
+                    mapping = JSON.parse(mapping);
+                } catch {
+                    return res.status(400).json({ success: false, message: 'Mapping must be valid JSON' });
+                }
+            }
+
+            const headers = importService.headersOf(loaded.rows);
+            mapping = mapping || importService.suggestMapping(headers);
+            const mappingError = importService.validateMapping(headers, mapping);
+            if (mappingError) {
+                return res.status(400).json({ success: false, message: mappingError });
+            }
+
+            const { defaultCountry } = req.body;
+            if (defaultCountry && !isValidCountry(defaultCountry)) {
+                return res.status(400).json({ success: false, message: `Unknown country: ${defaultCountry}` });
+            }
+
+            const report = await importService.importContacts(loaded.campaign, loaded.rows, {
+                mapping,
+                defaultCountry: defaultCountry || null,
+                dryRun: req.body.dryRun === true || req.body.dryRun === 'true'
+            });
+
+            res.json({ success: true, data: report });
+        } catch (error) {
+            console.error('Error importing contacts:', error);
+            res.status(500).json({ success: false, message: 'Failed to import contacts', error: error.message });
+        }
+    });
+
+    return router;
+};
@@ -0,0 +1,195 @@
+const express = require('express');
+const router = express.Router();
+const { isValidCountry } = require('../utils/phoneNumbers.js');
+
+/**
+ * Error message for an unknown defaultCountry (national numbers are read in it), null if it's fine
+ */
+const checkCountry = (defaultCountry) => (defaultCountry && !isValidCountry(defaultCountry))
+    ? `Unknown country: ${defaultCountry}`
+    : null;
+
+module.exports = (dncService, adminService) => {
+    /**
+     * The same list endpoints serve a user's own list (/:userId/...) and the
+     * platform-wide list (/platform/..., admins only, changes are logged)
+     */
+    const listRoutes = (prefix, { scopeOf, source = 'manual', authorize = async () => null, logChange = () => {} }) => {
+        /**
+         * List numbers, newest first
+         * GET {prefix}/numbers?search=&limit=50&offset=0
+         */
+        router.get(`${prefix}/numbers`, async (req, res) => {
+            try {
+                const denied = await authorize(req);
+                if (denied) return res.status(403).json({ success: false, message: denied });
+
+                const { search = '', limit = 50, offset = 0 } = req.query;
+                const { numbers, total } = await dncService.listNumbers(scopeOf(req), { search, limit, offset });
+
+                res.json({
+                    success: true,
+                    numbers,
+                    pagination: {
+                        total,
+                        limit: parseInt(limit),
+                        offset: parseInt(offset),
+                        hasMore: (parseInt(offset) + parseInt(limit)) < total
+                    }
+                });
+            } catch (error) {
+                console.error('Error fetching do-not-call list:', error);
+                res.status(500).json({ success: false, message: 'Failed to fetch do-not-call list', error: error.message });
+            }
+        });
+
+        /**
+         * Add numbers
+         * POST {prefix}/numbers
+         * Body: { numbers: ['+14155550100', ...] or phoneNumber, reason, defaultCountry }
+         */
+        router.post(`${prefix}/numbers`, async (req, res) => {
+            try {
+                const denied = await authorize(req);
+                if (denied) return res.status(403).json({ success: false, message: denied });
+
+                const { numbers, phoneNumber, reason, defaultCountry } = req.body;
+                const list = Array.isArray(numbers) ? numbers : [phoneNumber].filter(Boolean);
+                if (list.length === 0) {
+                    return res.status(400).json({ success: false, message: 'numbers (array) or phoneNumber is required' });
+                }
+                const badCountry = checkCountry(defaultCountry);
+                if (badCountry) return res.status(400).json({ success: false, message: badCountry });
+
+                const result = await dncService.addNumbers(scopeOf(req), list, {
+                    source,
+                    reason: reason || null,
+                    defaultCountry: defaultCountry || null
+                });
+                await logChange(req, 'dnc_add_numbers', `Added ${result.added} number(s) to the platform do-not-call list`);
+
+                res.json({ success: true, ...result });
+            } catch (error) {
+                console.error('Error adding do-not-call numbers:', error);
+                res.status(500).json({ success: false, message: 'Failed to add numbers', error: error.message });
+            }
+        });
+
+        /**
+         * Remove a number
+         * DELETE {prefix}/numbers/:phoneNumber?defaultCountry=
+         */
+        router.delete(`${prefix}/numbers/:phoneNumber`, async (req, res) => {
+            try {
+                const denied = await authorize(req);
+                if (denied) return res.status(403).json({ success: false, message: denied });
+                const badCountry = checkCountry(req.query.defaultCountry);
+                if (badCountry) return res.status(400).json({ success: false, message: badCountry });
+
+                const removed = await dncService.removeNumber(scopeOf(req), req.params.phoneNumber, req.query.defaultCountry || null);
+                if (!removed) {
+                    return res.status(404).json({ success: false, message: 'Number is not on the list' });
+                }
+                await logChange(req, 'dnc_remove_number', `Removed ${req.params.phoneNumber} from the platform do-not-call list`);
+
+                res.json({ success: true, message: 'Number removed' });
+            } catch (error) {
+                console.error('Error removing do-not-call number:', error);
+                res.status(500).json({ success: false, message: 'Failed to remove number', error: error.message });
+            }
+        });
+
+        /**
+         * Import numbers from a CSV file (the phone number column, or the first column)
+         * POST {prefix}/import
+         * Body: { csv: '<file contents>', reason, defaultCountry }
+         */
+        router.post(`${prefix}/import`, async (req, res) => {
+            try {
+                const denied = await authorize(req);
+                if (denied) return res.status(403).json({ success: false, message: denied });
+
+                const { csv, reason, defaultCountry } = req.body;
+                if (typeof csv !== 'string' || !csv.trim()) {
+                    return res.status(400).json({ success: false, message: 'csv (the file contents) is required' });
+                }
+                const badCountry = checkCountry(defaultCountry);
+                if (badCountry) return res.status(400).json({ success: false, message: badCountry });
+
+                const result = await dncService.importCsv(scopeOf(req), csv, {
+                    reason: reason || null,
+                    defaultCountry: defaultCountry || null
+                });
+                await logChange(req, 'dnc_import', `Imported ${result.added} number(s) into the platform do-not-call list`);
+
+                res.json({ success: true, ...result });
+            } catch (error) {
+                console.error('Error importing do-not-call list:', error);
+                res.status(500).json({ success: false, message: 'Failed to import numbers', error: error.message });
+            }
+        });
+
+        /**
+         * Download the list as CSV
+         * GET {prefix}/export
+         */
+        router.get(`${prefix}/export`, async (req, res) => {
+            try {
+                const denied = await authorize(req);
+                if (denied) return res.status(403).json({ success: false, message: denied });
+
+                const csv = await dncService.exportCsv(scopeOf(req));
+                res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+                res.setHeader('Content-Disposition', 'attachment; filename="do-not-call.csv"');
+                res.send(csv);
+            } catch (error) {
+                console.error('Error exporting do-not-call list:', error);
+                res.status(500).json({ success: false, message: 'Failed to export numbers', error: error.message });
+            }
+        });
+    };
+
+    listRoutes('/platform', {
+        scopeOf: () => null,
+        source: 'admin',
+        authorize: async (req) => {
+            const adminId = req.query.adminId || req.body?.adminId;
+            if (!adminId) return 'Admin ID is required';
+            return await adminService.adminExists(adminId) ? null : 'Unknown admin';
+        },
+        logChange: (req, actionType, details) => adminService.logActivity(
+            req.query.adminId || req.body.adminId,
+            actionType,
+            null,
+            details,
+            req.ip
+        )
+    });
+
+    listRoutes('/:userId', {
+        scopeOf: (req) => req.params.userId
+    });
+
+    /**
+     * Whether a number may be called by a user (checks their list and the platform-wide list)
+     * GET /api/dnc/:userId/check?phoneNumber=&defaultCountry=
+     */
+    router.get('/:userId/check', async (req, res) => {
+        try {
+            const { phoneNumber, defaultCountry } = req.query;
+            if (!phoneNumber) {
+                return res.status(400).json({ success: false, message: 'phoneNumber is required' });
+            }
+            const badCountry = checkCountry(defaultCountry);
+            if (badCountry) return res.status(400).json({ success: false, message: badCountry });
+
+            const blocked = await dncService.isBlocked(req.params.userId, phoneNumber, defaultCountry || null);
+            res.json({ success: true, phoneNumber, blocked });
+        } catch (error) {
+            console.error('Error checking do-not-call list:', error);
+            res.status(500).json({ success: false, message: 'Failed to check number', error: error.message });
+        }
+    });
+
+    return router;
+};
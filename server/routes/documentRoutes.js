@@ -1,8 +1,31 @@
 const express = require('express');
 const router = express.Router();
-const { v4: uuidv4 } = require('uuid');
+const multer = require('multer');
+const KnowledgeBaseService = require('../services/knowledgeBaseService.js');
+const DocumentIngestionService = require('../services/documentIngestionService.js');
+
+const MAX_FILE_SIZE = 10 * 1024 * 1024; // 10MB per file
+const MAX_FILES = 10;
+
+const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: MAX_FILE_SIZE, files: MAX_FILES }
+});
+
+// Multer errors (file too large, too many files) are client errors, not 500s
+const receiveFiles = (req, res, next) => {
+    upload.array('files', MAX_FILES)(req, res, (error) => {
+        if (error) {
+            return res.status(400).json({ success: false, message: error.message });
+        }
+        next();
+    });
+};
 
 module.exports = (mysqlPool) => {
+    const knowledgeBaseService = new KnowledgeBaseService(mysqlPool);
+    const ingestionService = new DocumentIngestionService(mysqlPool, knowledgeBaseService);
+
     // Get documents for a user
     router.get('/:userId', async (req, res) => {
         try {
@@ -31,34 +54,46 @@ module.exports = (mysqlPool) => {
         }
     });
 
-    // Upload a new document
-    router.post('/upload', async (req, res) => {
+    // Upload documents: multipart files (PDF, DOCX, HTML, Markdown, CSV, TXT) or
+    // JSON { name, content } for text extracted on the client
+    router.post('/upload', receiveFiles, async (req, res) => {
         try {
             const { userId, agentId, name, content } = req.body;
+            const files = req.files || [];
 
-            if (!userId || !name || !content) {
-                return res.status(400).json({
-                    success: false,
-                    message: 'User ID, file name, and content are required'
-                });
+            if (!userId) {
+                return res.status(400).json({ success: false, message: 'User ID is required' });
             }
 
-            const docId = uuidv4();
+            if (files.length === 0) {
+                if (!name || !content) {
+                    return res.status(400).json({
+                        success: false,
+                        message: 'Upload one or more files, or provide a file name and content'
+                    });
+                }
 
-            await mysqlPool.execute(
-                `INSERT INTO documents (id, user_id, agent_id, name, content, uploaded_at) 
-                 VALUES (?, ?, ?, ?, ?, NOW())`,
-                [docId, userId, agentId || null, name, content]
-            );
+                const document = await ingestionService.ingestText(userId, agentId, name, content);
+                return res.json({ success: true, data: document });
+            }
 
-            res.json({
-                success: true,
-                data: {
-                    id: docId,
-                    name,
-                    agentId,
-                    uploadedAt: new Date()
+            // Each file is extracted on its own so one bad file does not fail the rest
+            const documents = [];
+            const errors = [];
+            for (const file of files) {
+                try {
+                    documents.push(await ingestionService.ingestFile(userId, agentId, file));
+                } catch (fileError) {
+                    console.error(`❌ Failed to ingest "${file.originalname}":`, fileError.message);
+                    errors.push({ name: file.originalname, message: fileError.message });
                 }
+            }
+
+            res.status(documents.length === 0 ? 422 : 200).json({
+                success: documents.length > 0,
+                message: documents.length === 0 ? 'None of the uploaded files could be processed' : undefined,
+                data: documents,
+                errors
             });
         } catch (error) {
             console.error('Error uploading document:', error);
@@ -95,6 +130,27 @@ module.exports = (mysqlPool) => {
         }
     });
 
+    // Download the original uploaded file
+    router.get('/file/:docId', async (req, res) => {
+        try {
+            const file = await ingestionService.getOriginalFile(req.params.docId);
+
+            if (!file) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Original file not found'
+                });
+            }
+
+            res.setHeader('Content-Type', file.mime_type || 'application/octet-stream');
+            res.setHeader('Content-Disposition', `attachment; filename*=UTF-8''${encodeURIComponent(file.file_name)}`);
+            res.send(file.data);
+        } catch (error) {
+            console.error('Error fetching original file:', error);
+            res.status(500).json({ success: false, message: error.message });
+        }
+    });
+
     // Delete a document
     router.delete('/:docId', async (req, res) => {
         try {
@@ -104,6 +160,8 @@ module.exports = (mysqlPool) => {
                 'DELETE FROM documents WHERE id = ?',
                 [docId]
             );
+            await knowledgeBaseService.removeDocument(docId);
+            await ingestionService.removeOriginalFile(docId);
 
             res.json({
                 success: true,
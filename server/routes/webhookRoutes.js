@@ -0,0 +1,296 @@
+const express = require('express');
+const router = express.Router();
+const { verifySignature } = require('../utils/webhookSignature.js');
+const WebhookService = require('../services/webhookService.js');
+
+module.exports = (webhookService) => {
+    /**
+     * Events that can be subscribed to
+     * GET /api/webhooks/events
+     */
+    router.get('/events', (req, res) => {
+        res.json({ success: true, events: WebhookService.EVENT_TYPES });
+    });
+
+    /**
+     * List the event subscriptions of a user
+     * GET /api/webhooks/:userId/subscriptions
+     */
+    router.get('/:userId/subscriptions', async (req, res) => {
+        try {
+            const subscriptions = await webhookService.listSubscriptions(req.params.userId);
+            res.json({ success: true, subscriptions });
+        } catch (error) {
+            console.error('Error fetching webhook subscriptions:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Failed to fetch webhook subscriptions',
+                error: error.message
+            });
+        }
+    });
+
+    /**
+     * Subscribe a URL to platform events
+     * POST /api/webhooks/:userId/subscriptions
+     * Body: { url, events: ['call.ended', ...] or ['*'], agentIds (optional, only events of these agents), description, enabled }
+     */
+    router.post('/:userId/subscriptions', async (req, res) => {
+        try {
+            const validationError = webhookService.validateSubscription(req.body);
+            if (validationError) {
+                return res.status(400).json({ success: false, message: validationError });
+            }
+
+            const subscription = await webhookService.createSubscription(req.params.userId, req.body);
+            res.status(201).json({ success: true, subscription });
+        } catch (error) {
+            console.error('Error creating webhook subscription:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Failed to create webhook subscription',
+                error: error.message
+            });
+        }
+    });
+
+    /**
+     * Change a subscription
+     * PUT /api/webhooks/:userId/subscriptions/:subscriptionId
+     * Body: any of { url, events, agentIds, description, enabled }
+     */
+    router.put('/:userId/subscriptions/:subscriptionId', async (req, res) => {
+        try {
+            const { userId, subscriptionId } = req.params;
+            const validationError = webhookService.validateSubscription(req.body, true);
+            if (validationError) {
+                return res.status(400).json({ success: false, message: validationError });
+            }
+
+            const subscription = await webhookService.updateSubscription(userId, subscriptionId, req.body);
+            if (!subscription) {
+                return res.status(404).json({ success: false, message: 'Subscription not found' });
+            }
+
+            res.json({ success: true, subscription });
+        } catch (error) {
+            console.error('Error updating webhook subscription:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Failed to update webhook subscription',
+                error: error.message
+            });
+        }
+    });
+
+    /**
+     * Delete a subscription
+     * DELETE /api/webhooks/:userId/subscriptions/:subscriptionId
+     */
+    router.delete('/:userId/subscriptions/:subscriptionId', async (req, res) => {
+        try {
+            const { userId, subscriptionId } = req.params;
+            const deleted = await webhookService.deleteSubscription(userId, subscriptionId);
+            if (!deleted) {
+                return res.status(404).json({ success: false, message: 'Subscription not found' });
+            }
+
+            res.json({ success: true, message: 'Subscription deleted' });
+        } catch (error) {
+            console.error('Error deleting webhook subscription:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Failed to delete webhook subscription',
+                error: error.message
+            });
+        }
+    });
+
+    /**
+     * Start (POST) or end (DELETE) a secret rotation of a subscription
+     * POST|DELETE /api/webhooks/:userId/subscriptions/:subscriptionId/rotate-secret
+     */
+    router.post('/:userId/subscriptions/:subscriptionId/rotate-secret', async (req, res) => {
+        try {
+            const { userId, subscriptionId } = req.params;
+            const subscription = await webhookService.rotateSubscriptionSecret(userId, subscriptionId);
+            if (!subscription) {
+                return res.status(404).json({ success: false, message: 'Subscription not found' });
+            }
+
+            res.json({ success: true, subscription });
+        } catch (error) {
+            console.error('Error rotating webhook subscription secret:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Failed to rotate webhook secret',
+                error: error.message
+            });
+        }
+    });
+
+    router.delete('/:userId/subscriptions/:subscriptionId/rotate-secret', async (req, res) => {
+        try {
+            const { userId, subscriptionId } = req.params;
+            const subscription = await webhookService.endSubscriptionSecretRotation(userId, subscriptionId);
+            if (!subscription) {
+                return res.status(404).json({ success: false, message: 'Subscription not found' });
+            }
+
+            res.json({ success: true, subscription });
+        } catch (error) {
+            console.error('Error ending webhook secret rotation:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Failed to end secret rotation',
+                error: error.message
+            });
+        }
+    });
+
+    /**
+     * List webhook deliveries of a user, newest first
+     * GET /api/webhooks/:userId/deliveries
+     * Query params: status (pending | success | failed), event, agentId, callId, subscriptionId, limit, offset
+     */
+    router.get('/:userId/deliveries', async (req, res) => {
+        try {
+            const { userId } = req.params;
+            const { status, event, agentId, callId, subscriptionId, limit = 50, offset = 0 } = req.query;
+
+            const { deliveries, total } = await webhookService.listDeliveries(userId, {
+                status, event, agentId, callId, subscriptionId, limit, offset
+            });
+
+            res.json({
+                success: true,
+                deliveries,
+                pagination: {
+                    total,
+                    limit: parseInt(limit),
+                    offset: parseInt(offset),
+                    hasMore: (parseInt(offset) + parseInt(limit)) < total
+                }
+            });
+        } catch (error) {
+            console.error('Error fetching webhook deliveries:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Failed to fetch webhook deliveries',
+                error: error.message
+            });
+        }
+    });
+
+    /**
+     * Get one delivery with the request and response of its last attempt
+     * GET /api/webhooks/:userId/deliveries/:deliveryId
+     */
+    router.get('/:userId/deliveries/:deliveryId', async (req, res) => {
+        try {
+            const { userId, deliveryId } = req.params;
+            const delivery = await webhookService.getDelivery(userId, deliveryId);
+
+            if (!delivery) {
+                return res.status(404).json({ success: false, message: 'Delivery not found' });
+            }
+
+            res.json({ success: true, delivery });
+        } catch (error) {
+            console.error('Error fetching webhook delivery:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Failed to fetch webhook delivery',
+                error: error.message
+            });
+        }
+    });
+
+    /**
+     * Send a delivery again, e.g. once a dead-lettered endpoint is back up
+     * POST /api/webhooks/:userId/deliveries/:deliveryId/redeliver
+     */
+    router.post('/:userId/deliveries/:deliveryId/redeliver', async (req, res) => {
+        try {
+            const { userId, deliveryId } = req.params;
+            const delivery = await webhookService.redeliver(userId, deliveryId);
+
+            if (!delivery) {
+                return res.status(404).json({ success: false, message: 'Delivery not found' });
+            }
+            if (delivery.status === 'pending') {
+                return res.status(409).json({
+                    success: false,
+                    message: 'The delivery is being attempted right now, check its status shortly',
+                    delivery
+                });
+            }
+
+            res.json({
+                success: true,
+                message: delivery.status === 'success' ? 'Webhook redelivered' : 'Redelivery failed',
+                delivery
+            });
+        } catch (error) {
+            console.error('Error redelivering webhook:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Failed to redeliver webhook',
+                error: error.message
+            });
+        }
+    });
+
+    /**
+     * Check the signature of a webhook a receiver got from us, with the active
+     * secrets of an agent or subscription, or a secret passed in the request
+     * POST /api/webhooks/:userId/verify
+     * Body: { agentId | subscriptionId | secret, body (raw request body string), signature, timestamp, eventId, toleranceSeconds }
+     */
+    router.post('/:userId/verify', async (req, res) => {
+        try {
+            const { userId } = req.params;
+            const { agentId, subscriptionId, secret, body, signature, timestamp, eventId, toleranceSeconds } = req.body;
+
+            if (typeof body !== 'string' || (!agentId && !subscriptionId && !secret)) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'body (the raw request body as a string) and one of agentId, subscriptionId or secret are required'
+                });
+            }
+
+            let secrets = [secret];
+            if (subscriptionId) {
+                secrets = await webhookService.getSubscriptionSecrets(userId, subscriptionId);
+                if (!secrets) {
+                    return res.status(404).json({ success: false, message: 'Subscription not found' });
+                }
+            } else if (agentId) {
+                secrets = await webhookService.getAgentSecrets(userId, agentId);
+                if (!secrets) {
+                    return res.status(404).json({ success: false, message: 'Agent not found' });
+                }
+            }
+
+            const result = verifySignature({
+                body,
+                signature,
+                timestamp,
+                eventId,
+                secrets,
+                ...(toleranceSeconds ? { toleranceSeconds: Number(toleranceSeconds) } : {})
+            });
+
+            res.json({ success: true, ...result });
+        } catch (error) {
+            console.error('Error verifying webhook signature:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Failed to verify webhook signature',
+                error: error.message
+            });
+        }
+    });
+
+    return router;
+};
@@ -34,6 +34,8 @@ const { ExternalApiService } = require('./services/externalApiService.js');
 const { PhoneNumberService } = require('./services/phoneNumberService.js');
 const AgentService = require('./services/agentService.js');
 const CampaignService = require('./services/campaignService.js');
+const PacingService = require('./services/pacingService.js');
+const CallerIdService = require('./services/callerIdService.js');
 const { AuthService } = require('./services/authService.js');
 const TwilioService = require('./services/twilioService.js');
 const { TwilioBasicService } = require('./services/twilioBasicService.js');
@@ -42,8 +44,10 @@ const { ElevenLabsStreamHandler } = require('./services/elevenLabsStreamHandler.
 const AdminService = require('./services/adminService.js');
 const WalletService = require('./services/walletService.js');
 const CostCalculator = require('./services/costCalculator.js');
+const WebhookService = require('./services/webhookService.js');
 const VoiceSyncService = require('./services/voiceSyncService.js');
 const VoiceWebSocketHandler = require('./services/voiceWebSocketHandler.js');
+const { findToolNameClashes } = require('./services/llmTools.js');
 const { router: voiceRouter, initVoiceSync } = require('./routes/voiceRoutes.js');
 
 // Google OAuth
@@ -51,6 +55,7 @@ const passport = require('passport');
 const session = require('express-session');
 const { configureGoogleAuth } = require('./config/googleAuth.js');
 const { getBackendUrl } = require('./config/backendUrl.js');
+const { validateSchedule } = require('./utils/callingWindow.js');
 
 // Initialize wallet and cost services
 const walletService = new WalletService(mysqlPool);
@@ -82,6 +87,7 @@ console.log('========================');
 
 // Instantiate ONLY services that require instances
 const campaignService = new CampaignService(mysqlPool, walletService, costCalculator);
+campaignService.startDialer();
 const authService = new AuthService(mysqlPool);
 const twilioService = new TwilioService();
 const twilioBasicService = new TwilioBasicService();
@@ -273,6 +279,23 @@ const documentRoutes = require('./routes/documentRoutes.js')(mysqlPool);
 app.use('/api/documents', documentRoutes);
 console.log('✅ Document API routes mounted at /api/documents');
 
+// Webhook deliveries: background retries survive restarts, routes to inspect and redeliver
+const webhookService = new WebhookService(mysqlPool);
+webhookService.startWorker();
+const webhookRoutes = require('./routes/webhookRoutes.js')(webhookService);
+app.use('/api/webhooks', webhookRoutes);
+console.log('✅ Webhook API routes mounted at /api/webhooks');
+
+// Do-not-call lists: per user and platform-wide (admin)
+const dncRoutes = require('./routes/dncRoutes.js')(campaignService.dncService, adminService);
+app.use('/api/dnc', dncRoutes);
+console.log('✅ Do-not-call API routes mounted at /api/dnc');
+
+// Contact import from CSV, XLSX or Google Sheets with column mapping and a per-row report
+const contactImportRoutes = require('./routes/contactImportRoutes.js')(mysqlPool, campaignService);
+app.use('/api/campaigns', contactImportRoutes);
+console.log('✅ Contact import routes mounted at /api/campaigns/:id/import');
+
 // Trigger initial voice sync
 voiceSyncService.syncAllProviders()
   .then(result => {
@@ -1505,11 +1528,12 @@ app.post('/api/google-sheets/log-call', async (req, res) => {
 
 app.post('/api/twilio/status', async (req, res) => {
   try {
-    const { callId } = req.query;
+    const { callId, contactId } = req.query;
     const { CallSid, CallStatus, CallDuration, RecordingUrl } = req.body;
 
     console.log('Twilio status callback:', {
       callId,
+      contactId,
       callSid: CallSid,
       status: CallStatus,
       duration: CallDuration
@@ -1545,11 +1569,33 @@ app.post('/api/twilio/status', async (req, res) => {
         values
       );
 
-      // Note: Campaign contact updates and Google Sheets logging are handled by
-      // campaignService.updateContactAfterCall() which is called from the WebSocket handler
-      // when the call completes. This avoids duplicate logic and schema mismatches.
-
       console.log('Call status updated in database:', callId, CallStatus);
+
+      if (contactId && CallStatus === 'in-progress') {
+        await campaignService.markCallAnswered(contactId);
+      }
+
+      // Campaign calls: retry the contact or close it (stats, Google Sheets logging) per the campaign's retry policy
+      if (contactId && ['completed', 'failed', 'busy', 'no-answer', 'canceled'].includes(CallStatus)) {
+        await campaignService.handleCallOutcome(contactId, CallStatus, CallDuration, callId);
+      }
+
+      if (['failed', 'busy', 'no-answer', 'canceled'].includes(CallStatus)) {
+        const [failedCalls] = await database.execute(
+          'SELECT user_id, agent_id, from_number, to_number FROM calls WHERE id = ?',
+          [callId]
+        );
+        if (failedCalls.length > 0) {
+          const call = failedCalls[0];
+          webhookService.emitEvent(call.user_id, 'call.failed', {
+            call_id: callId,
+            call_sid: CallSid,
+            status: CallStatus,
+            from_number: call.from_number,
+            to_number: call.to_number
+          }, { agentId: call.agent_id, callId });
+        }
+      }
     }
 
     res.status(200).send('OK');
@@ -1598,6 +1644,17 @@ app.post('/api/twilio/recording-status', async (req, res) => {
           [campaignId]
         );
 
+        if (campaigns.length > 0) {
+          webhookService.emitEvent(campaigns[0].user_id, 'recording.ready', {
+            call_id: callId,
+            call_sid: CallSid,
+            recording_sid: RecordingSid,
+            recording_url: RecordingUrl,
+            campaign_id: campaignId,
+            contact_id: contactId
+          }, { agentId: campaigns[0].agent_id, callId });
+        }
+
         if (campaigns.length > 0 && campaigns[0].google_sheet_url) {
           // Re-log to Google Sheets with the recording URL
           // Get contact details
@@ -2037,6 +2094,48 @@ app.get('/api/phone-numbers', async (req, res) => {
   }
 });
 
+// Daily call cap and calls placed today of each of the user's numbers
+app.get('/api/phone-numbers/daily-usage', async (req, res) => {
+  try {
+    const { userId } = req.query;
+    if (!userId) {
+      return res.status(400).json({ success: false, message: 'User ID is required' });
+    }
+
+    const usage = await PhoneNumberService.getDailyUsage(userId);
+    res.json({ success: true, data: usage });
+  } catch (error) {
+    console.error('Error fetching phone number usage:', error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// Set (or clear with dailyCallCap: null) how many outbound calls a number may place per day
+app.put('/api/phone-numbers/:id/daily-cap', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { userId, dailyCallCap } = req.body;
+    if (!userId) {
+      return res.status(400).json({ success: false, message: 'User ID is required' });
+    }
+
+    if (dailyCallCap !== null && (!Number.isInteger(dailyCallCap) || dailyCallCap < 1)) {
+      return res.status(400).json({ success: false, message: 'Daily call cap must be a positive whole number, or null for no cap' });
+    }
+
+    const updated = await PhoneNumberService.setDailyCallCap(userId, id, dailyCallCap);
+    if (!updated) {
+      return res.status(404).json({ success: false, message: 'Phone number not found' });
+    }
+
+    const usage = await PhoneNumberService.getDailyUsage(userId);
+    res.json({ success: true, data: usage.find(number => number.id === id) });
+  } catch (error) {
+    console.error('Error updating daily call cap:', error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
 // Get a specific phone number by ID
 app.get('/api/phone-numbers/:id', async (req, res) => {
   try {
@@ -2601,19 +2700,42 @@ app.delete('/api/twilio/accounts/:accountId', async (req, res) => {
     res.status(500).json({ success: false, message: error.message });
   }
 });
+/**
+ * calls.id of a call reaching the voice webhook. Outbound calls pass it in the
+ * URL; inbound calls only have their CallSid, so their row is looked up by
+ * call_sid and created on first contact. Transcripts, analysis and the
+ * end-of-call webhook are all keyed on calls.id.
+ */
+async function resolveVoiceCallId({ callId, CallSid, From, To, userId, agentId }) {
+  if (callId) return callId;
+  if (!CallSid) return null;
+
+  const [rows] = await mysqlPool.execute('SELECT id FROM calls WHERE call_sid = ? LIMIT 1', [CallSid]);
+  if (rows.length > 0) return rows[0].id;
+  if (!userId) return CallSid;
+
+  const id = uuidv4();
+  await mysqlPool.execute(
+    `INSERT INTO calls (id, user_id, agent_id, call_sid, from_number, to_number, direction, status, call_type, started_at, timestamp)
+     VALUES (?, ?, ?, ?, ?, ?, 'inbound', 'in-progress', 'twilio_inbound', NOW(), NOW())`,
+    [id, userId, agentId || null, CallSid, From || null, To || null]
+  );
+  return id;
+}
+
 // REPLACE your /api/twilio/voice endpoint in server.js with this version:
 // ALTERNATIVE VERSION with explicit track settings:
 
 app.post('/api/twilio/voice', async (req, res) => {
   try {
     const { CallSid, From, To } = req.body;
-    const { userId, campaignId, agentId, callId } = req.query;
+    const { userId, campaignId, contactId, agentId, callId } = req.query;
 
     console.log('📞 ========== TWILIO VOICE WEBHOOK ==========');
     console.log('   CallSid:', CallSid);
     console.log('   From:', From);
     console.log('   To:', To);
-    console.log('   Query params:', { userId, campaignId, agentId, callId });
+    console.log('   Query params:', { userId, campaignId, contactId, agentId, callId });
 
     if (!agentId) {
       console.error('❌ Missing agentId in voice webhook');
@@ -2643,7 +2765,11 @@ app.post('/api/twilio/voice', async (req, res) => {
 
     // Convert to WebSocket protocol
     const wsUrl = appUrl.replace('https://', 'wss://').replace('http://', 'ws://');
-    const actualCallId = callId || CallSid;
+    const actualCallId = await resolveVoiceCallId({ callId, CallSid, From, To, userId, agentId })
+      .catch(error => {
+        console.error('❌ Could not resolve the call record, using the CallSid:', error.message);
+        return CallSid;
+      });
     const streamUrl = `${wsUrl}/api/call?callId=${actualCallId}&agentId=${agentId}&contactId=${CallSid}`;
 
     console.log('🔗 WebSocket Stream URL:', streamUrl);
@@ -2664,6 +2790,12 @@ app.post('/api/twilio/voice', async (req, res) => {
     stream.parameter({ name: 'callId', value: actualCallId });
     stream.parameter({ name: 'agentId', value: agentId });
     stream.parameter({ name: 'userId', value: userId || '' });
+    stream.parameter({ name: 'campaignId', value: campaignId || '' });
+    stream.parameter({ name: 'contactId', value: contactId || '' });
+    // Caller and called numbers for the prefetch webhook and {{caller_number}}; only outbound calls pass a callId
+    stream.parameter({ name: 'from', value: From || '' });
+    stream.parameter({ name: 'to', value: To || '' });
+    stream.parameter({ name: 'direction', value: callId ? 'outbound' : 'inbound' });
 
     const twiml = response.toString();
 
@@ -2707,6 +2839,60 @@ app.post('/api/twilio/stream-fallback', (req, res) => {
   res.send(response.toString());
 });
 
+// Warm transfer - played to the colleague before they are bridged with the caller
+app.post('/api/twilio/transfer-whisper', async (req, res) => {
+  const VoiceResponse = require('twilio').twiml.VoiceResponse;
+  const response = new VoiceResponse();
+
+  try {
+    const { callSid } = req.query;
+    const [rows] = await mysqlPool.execute(
+      'SELECT transfer_reason, transfer_summary FROM calls WHERE call_sid = ? LIMIT 1',
+      [callSid]
+    );
+    const summary = rows[0]?.transfer_summary || rows[0]?.transfer_reason;
+
+    response.say('You have an incoming transfer from the voice agent.');
+    if (summary) {
+      response.say(summary);
+    }
+    response.say('Connecting you now.');
+  } catch (error) {
+    console.error('❌ Transfer whisper error:', error);
+  }
+
+  res.type('text/xml');
+  res.send(response.toString());
+});
+
+// Transfer result - Twilio calls the <Dial> action once the transferred leg ends
+app.post('/api/twilio/transfer-status', async (req, res) => {
+  const VoiceResponse = require('twilio').twiml.VoiceResponse;
+  const response = new VoiceResponse();
+
+  try {
+    const { callSid } = req.query;
+    const { DialCallStatus } = req.body;
+
+    console.log('🔀 Transfer result:', { callSid, DialCallStatus });
+
+    await mysqlPool.execute(
+      'UPDATE calls SET transfer_status = ? WHERE call_sid = ?',
+      [DialCallStatus || 'failed', callSid]
+    );
+
+    if (DialCallStatus !== 'completed' && DialCallStatus !== 'answered') {
+      response.say('Sorry, no one is available to take your call right now. Please try again later. Goodbye.');
+    }
+  } catch (error) {
+    console.error('❌ Transfer status error:', error);
+  }
+
+  response.hangup();
+  res.type('text/xml');
+  res.send(response.toString());
+});
+
 // Twilio Status Callback
 app.post('/api/twilio/callback', async (req, res) => {
   try {
@@ -2804,6 +2990,11 @@ app.post('/api/agents', async (req, res) => {
       return res.status(400).json({ success: false, message: 'User ID and agent data are required' });
     }
 
+    const clashes = findToolNameClashes(agent.settings?.tools);
+    if (clashes.length > 0) {
+      return res.status(400).json({ success: false, message: `Tool names already taken by a built-in or another tool: ${clashes.join(', ')}` });
+    }
+
     const newAgent = await agentService.createAgent(userId, agent);
     res.json({ success: true, data: newAgent });
   } catch (error) {
@@ -2825,6 +3016,11 @@ app.put('/api/agents/:id', async (req, res) => {
     const agentData = { ...req.body };
     delete agentData.userId;
 
+    const clashes = findToolNameClashes(agentData.settings?.tools);
+    if (clashes.length > 0) {
+      return res.status(400).json({ success: false, message: `Tool names already taken by a built-in or another tool: ${clashes.join(', ')}` });
+    }
+
     const updatedAgent = await agentService.updateAgent(userId, id, agentData);
     res.json({ success: true, data: updatedAgent });
   } catch (error) {
@@ -2871,12 +3067,12 @@ app.get('/api/campaigns', async (req, res) => {
 app.get('/api/campaigns/:id', async (req, res) => {
   try {
     const { id } = req.params;
-    const { userId } = req.query;
+    const { userId, disposition, sentiment } = req.query;
     if (!userId) {
       return res.status(400).json({ success: false, message: 'User ID is required' });
     }
 
-    const campaignData = await campaignService.getCampaignWithRecords(id, userId);
+    const campaignData = await campaignService.getCampaignWithRecords(id, userId, { disposition, sentiment });
     if (!campaignData) {
       return res.status(404).json({ success: false, message: 'Campaign not found' });
     }
@@ -2972,6 +3168,17 @@ app.post('/api/campaigns/:id/import', async (req, res) => {
       return res.status(400).json({ success: false, message: 'User ID and CSV data are required' });
     }
 
+    // Every {{variable}} the agent uses must have a column with a value in each row
+    const missingVariables = await campaignService.findMissingVariables(id, csvData);
+    if (missingVariables.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'The file is missing values for the agent\'s variables: ' +
+          missingVariables.map(({ variable, rows }) => `{{${variable}}} (${rows.length} row${rows.length === 1 ? '' : 's'})`).join(', '),
+        missingVariables
+      });
+    }
+
     const result = await campaignService.addContacts(id, csvData);
     res.json(result);
   } catch (error) {
@@ -3184,6 +3391,7 @@ if (process.env.DEEPGRAM_API_KEY && process.env.GOOGLE_GEMINI_API_KEY) {
   console.warn("Voice call feature disabled — missing DEEPGRAM_API_KEY or GOOGLE_GEMINI_API_KEY");
 }
 // WebSocket endpoint for ElevenLabs STT
+const elevenLabsStreamHandler = new ElevenLabsStreamHandler(mysqlPool);
 app.ws('/api/stt', function (ws, req) {
   elevenLabsStreamHandler.handleConnection(ws, req);
 })
@@ -3780,13 +3988,9 @@ app.post('/api/campaigns/:id/start', async (req, res) => {
       });
     }
 
-    // Update campaign status to running
+    // Update campaign status to running, the campaign dialer of any instance picks it up
     await campaignService.startCampaign(id, userId);
-
-    // Start processing campaign in background
-    campaignService.processCampaign(id, userId).catch(err => {
-      console.error('Error processing campaign:', err);
-    });
+    campaignService.runDialer();
 
     res.json({
       success: true,
@@ -3850,6 +4054,183 @@ app.put('/api/campaigns/:id/concurrent-calls', async (req, res) => {
     res.status(500).json({ success: false, message: error.message });
   }
 });
+// Update how a campaign paces its calls: fixed (keep N calls live) or adaptive (keep N calls answered)
+app.put('/api/campaigns/:id/pacing', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { userId, mode, concurrentCalls, maxDialRatio, targetAbandonRate } = req.body;
+
+    if (!userId) {
+      return res.status(400).json({ success: false, message: 'User ID is required' });
+    }
+
+    if (!PacingService.PACING_MODES.includes(mode)) {
+      return res.status(400).json({
+        success: false,
+        message: `Pacing mode must be one of: ${PacingService.PACING_MODES.join(', ')}`
+      });
+    }
+
+    if (!Number.isInteger(concurrentCalls) || concurrentCalls < 1 || concurrentCalls > 10) {
+      return res.status(400).json({ success: false, message: 'Concurrent calls must be between 1 and 10' });
+    }
+
+    if (typeof maxDialRatio !== 'number' || maxDialRatio < 1 || maxDialRatio > 3) {
+      return res.status(400).json({ success: false, message: 'Max dial ratio must be between 1 and 3' });
+    }
+
+    if (typeof targetAbandonRate !== 'number' || targetAbandonRate < 0 || targetAbandonRate > 100) {
+      return res.status(400).json({ success: false, message: 'Target abandon rate must be between 0 and 100 percent' });
+    }
+
+    const updatedCampaign = await campaignService.updatePacing(id, userId, { mode, concurrentCalls, maxDialRatio, targetAbandonRate });
+    res.json({ success: true, data: updatedCampaign });
+  }
+  catch (error) {
+    console.error('Error updating campaign pacing:', error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+// Set the pool of numbers a campaign rotates its caller ID over, and how it picks from it
+app.put('/api/campaigns/:id/caller-pool', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { userId, strategy, phoneNumberIds } = req.body;
+
+    if (!userId) {
+      return res.status(400).json({ success: false, message: 'User ID is required' });
+    }
+
+    if (!CallerIdService.CALLER_ID_STRATEGIES.includes(strategy)) {
+      return res.status(400).json({
+        success: false,
+        message: `Strategy must be one of: ${CallerIdService.CALLER_ID_STRATEGIES.join(', ')}`
+      });
+    }
+
+    if (!Array.isArray(phoneNumberIds) || phoneNumberIds.some(phoneNumberId => typeof phoneNumberId !== 'string')) {
+      return res.status(400).json({ success: false, message: 'Phone number IDs must be a list' });
+    }
+
+    if (phoneNumberIds.length > CallerIdService.MAX_POOL_SIZE) {
+      return res.status(400).json({ success: false, message: `A pool can hold at most ${CallerIdService.MAX_POOL_SIZE} numbers` });
+    }
+
+    const userNumbers = await PhoneNumberService.getPhoneNumbers(userId);
+    const unknown = phoneNumberIds.filter(phoneNumberId => !userNumbers.some(number => number.id === phoneNumberId));
+    if (unknown.length > 0) {
+      return res.status(400).json({ success: false, message: `Unknown phone number(s): ${unknown.join(', ')}` });
+    }
+
+    const updatedCampaign = await campaignService.updateCallerPool(id, userId, { strategy, phoneNumberIds });
+    if (!updatedCampaign) {
+      return res.status(404).json({ success: false, message: 'Campaign not found' });
+    }
+
+    res.json({ success: true, data: updatedCampaign });
+  }
+  catch (error) {
+    console.error('Error updating caller pool:', error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+// Concurrent call caps of the user's Twilio accounts, shared by all of their campaigns
+app.get('/api/call-limits/:userId', async (req, res) => {
+  try {
+    const limits = await campaignService.pacingService.listAccountLimits(req.params.userId);
+    res.json({ success: true, data: limits });
+  }
+  catch (error) {
+    console.error('Error fetching call limits:', error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+// Set (or clear with maxConcurrentCalls: null) the concurrent call cap of one of the user's Twilio accounts
+app.put('/api/call-limits/:userId/:accountSid', async (req, res) => {
+  try {
+    const { userId, accountSid } = req.params;
+    const { maxConcurrentCalls } = req.body;
+
+    if (maxConcurrentCalls !== null && (!Number.isInteger(maxConcurrentCalls) || maxConcurrentCalls < 1)) {
+      return res.status(400).json({ success: false, message: 'Max concurrent calls must be a positive whole number, or null for no cap' });
+    }
+
+    const updated = await campaignService.pacingService.setAccountLimit(userId, accountSid, maxConcurrentCalls);
+    if (!updated) {
+      return res.status(404).json({ success: false, message: 'No number of this user uses that Twilio account' });
+    }
+
+    const limits = await campaignService.pacingService.listAccountLimits(userId);
+    res.json({ success: true, data: limits });
+  }
+  catch (error) {
+    console.error('Error updating call limit:', error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+// Update retry policy for unsuccessful campaign calls
+app.put('/api/campaigns/:id/retry-policy', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { userId, maxAttempts, delayMinutes, outcomes } = req.body;
+
+    if (!userId) {
+      return res.status(400).json({ success: false, message: 'User ID is required' });
+    }
+
+    if (!Number.isInteger(maxAttempts) || maxAttempts < 1 || maxAttempts > 10) {
+      return res.status(400).json({ success: false, message: 'Max attempts must be between 1 and 10' });
+    }
+
+    if (!Number.isInteger(delayMinutes) || delayMinutes < 1 || delayMinutes > 7 * 24 * 60) {
+      return res.status(400).json({ success: false, message: 'Retry delay must be between 1 minute and 7 days' });
+    }
+
+    if (!Array.isArray(outcomes) || outcomes.some(outcome => !CampaignService.RETRYABLE_OUTCOMES.includes(outcome))) {
+      return res.status(400).json({
+        success: false,
+        message: `Outcomes must be a list of: ${CampaignService.RETRYABLE_OUTCOMES.join(', ')}`
+      });
+    }
+
+    const updatedCampaign = await campaignService.updateRetryPolicy(id, userId, { maxAttempts, delayMinutes, outcomes });
+    res.json({ success: true, data: updatedCampaign });
+  }
+  catch (error) {
+    console.error('Error updating retry policy:', error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+// Set (or clear with schedule: null) the calling window of a campaign, evaluated in each contact's time zone
+app.put('/api/campaigns/:id/schedule', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { userId, schedule } = req.body;
+
+    if (!userId) {
+      return res.status(400).json({ success: false, message: 'User ID is required' });
+    }
+
+    if (schedule) {
+      const validationError = validateSchedule(schedule);
+      if (validationError) {
+        return res.status(400).json({ success: false, message: validationError });
+      }
+    }
+
+    const { startDate, endDate, days, startTime, endTime, timezone } = schedule || {};
+    const updatedCampaign = await campaignService.updateSchedule(
+      id,
+      userId,
+      schedule ? { startDate: startDate || null, endDate: endDate || null, days, startTime, endTime, timezone: timezone || null } : null
+    );
+    res.json({ success: true, data: updatedCampaign });
+  }
+  catch (error) {
+    console.error('Error updating campaign schedule:', error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
 // Process campaign calls (runs in background)
 async function processCampaignCalls(campaignId, userId, campaign, records) {
   console.log(`Processing campaign ${campaignId} with ${records.length} records`);
@@ -3952,3 +4333,21 @@ server.listen(PORT, '0.0.0.0', () => {
   console.log(`🌐 Frontend URL: ${FRONTEND_URL}`);
   console.log(`🔧 Environment: ${process.env.NODE_ENV || 'development'}`);
 });
+
+// Hand running campaigns over to the remaining instances on deploys instead of waiting for their leases to expire
+const SHUTDOWN_TIMEOUT_MS = 10000;
+process.once('SIGTERM', async () => {
+  let exitCode = 0;
+  try {
+    // A hanging database must not keep the instance from exiting
+    await Promise.race([
+      campaignService.stopDialer(),
+      new Promise((resolve, reject) => setTimeout(() => reject(new Error('Timed out releasing campaign leases')), SHUTDOWN_TIMEOUT_MS).unref())
+    ]);
+  } catch (error) {
+    console.error('❌ Error during shutdown:', error.message);
+    exitCode = 1;
+  } finally {
+    process.exit(exitCode);
+  }
+});
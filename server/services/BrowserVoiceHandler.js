@@ -5,6 +5,17 @@ const WalletService = require('./walletService.js');
 const CostCalculator = require('./costCalculator.js');
 const AgentService = require('./agentService.js');
 const ToolExecutionService = require('./toolExecutionService.js');
+const CallControlService = require('./callControlService.js');
+const SessionLifecycle = require('./sessionLifecycle.js');
+const KnowledgeBaseService = require('./knowledgeBaseService.js');
+const TranscriptService = require('./transcriptService.js');
+const CallAnalysisService = require('./callAnalysisService.js');
+const PrefetchService = require('./prefetchService.js');
+const EndOfCallService = require('./endOfCallService.js');
+const WebhookService = require('./webhookService.js');
+const { isBuiltinTool } = require('./builtinTools.js');
+const { MAX_TOOL_ROUNDS, buildToolDeclarations, findAgentTool, toolCallContent, toolResultContent } = require('./llmTools.js');
+const { renderTemplate, formatVariablesForPrompt } = require('../utils/promptVariables.js');
 const fetch = require('node-fetch');
 
 // Session management
@@ -32,6 +43,14 @@ class BrowserVoiceHandler {
             this.costCalculator = new CostCalculator(mysqlPool, this.walletService);
         }
 
+        this.callControlService = new CallControlService(mysqlPool);
+        this.knowledgeBaseService = new KnowledgeBaseService(mysqlPool);
+        this.transcriptService = new TranscriptService(mysqlPool);
+        this.callAnalysisService = new CallAnalysisService(this.llmService, mysqlPool);
+        this.prefetchService = new PrefetchService(mysqlPool);
+        this.webhookService = new WebhookService(mysqlPool);
+        this.endOfCallService = new EndOfCallService(mysqlPool, this.transcriptService, this.webhookService);
+
         console.log('✅ BrowserVoiceHandler initialized (Sarvam STT enabled)');
     }
 
@@ -46,6 +65,7 @@ class BrowserVoiceHandler {
             agentModel: agentModel || "gemini-2.0-flash",
             agentSettings,
             tools,
+            toolDeclarations: buildToolDeclarations(tools, agentSettings, 'browser'),
             ws,
             userId,
             agentId,
@@ -80,6 +100,8 @@ class BrowserVoiceHandler {
 
         console.log(`📴 Ending browser voice session: ${connectionId}`);
 
+        session.lifecycle?.stop();
+
         // Deepgram cleanup removed
 
 
@@ -100,6 +122,19 @@ class BrowserVoiceHandler {
         // Log call end
         await this.logCallEnd(session);
 
+        // Summary, sentiment and disposition for call history (not awaited)
+        const analysis = this.callAnalysisService.analyzeCall(session, {
+            callId: session.callLogId,
+            contents: this.toLLMContents(session)
+        });
+
+        // Signed call.ended event with the full call, once the analysis is stored (not awaited)
+        this.endOfCallService.sendEndOfCallWebhook(session, {
+            callId: session.callLogId,
+            channel: 'web',
+            waitFor: [analysis, session.afterCallTools]
+        });
+
         sessions.delete(connectionId);
     }
 
@@ -138,11 +173,7 @@ class BrowserVoiceHandler {
                         // Process Tools
                         if (agent.settings && agent.settings.tools && agent.settings.tools.length > 0) {
                             tools = agent.settings.tools;
-                            const toolDescriptions = tools.map(tool =>
-                                `- ${tool.name}: ${tool.description} (Parameters: ${tool.parameters?.map(p => `${p.name} (${p.type})${p.required ? ' [required]' : ''}`).join(', ') || 'None'})`
-                            ).join('\n');
-
-                            agentPrompt += `\n\nAvailable Tools:\n${toolDescriptions}\n\nWhen you need to collect information from the user, ask for the required parameters. When all required information is collected, respond with a JSON object in the format: {"tool": "tool_name", "data": {"param1": "value1", "param2": "value2"}}. Do NOT add any other text before or after the JSON.`;
+                            agentPrompt += `\n\nWhen you need to collect information for a tool, ask for the required parameters first and call the tool once you have all of them.`;
                         }
 
                         if (agent.voiceId) agentVoiceId = agent.voiceId;
@@ -181,10 +212,21 @@ class BrowserVoiceHandler {
             // Create session
             const session = this.createSession(connectionId, agentPrompt, agentVoiceId, ws, userId, agentId, agentModel, settings, tools);
 
+            // Log call start, then fetch the caller data the greeting may need
+            session.promptVariablesReady = this.logCallStart(session).then(() => this.loadPromptVariables(session));
+
             // Send initial greeting if configured
             // Use the greeting from agent settings if available
             this.sendInitialGreeting(session, greetingMessage);
 
+            // Session timeouts and inactivity nudges from the agent settings
+            session.lifecycle = new SessionLifecycle(settings || {}, {
+                isBusy: () => session.isProcessing,
+                onNudge: (message) => this.speakToClient(session, message),
+                onEnd: (reason, endMessage) => this.endSessionForTimeout(session, reason, endMessage)
+            });
+            session.lifecycle.start();
+
             // Handle incoming messages from browser
             ws.on('message', async (message) => {
                 try {
@@ -228,9 +270,6 @@ class BrowserVoiceHandler {
                 console.error(`❌ Browser WebSocket error (${connectionId}):`, error);
             });
 
-            // Log call start
-            this.logCallStart(session);
-
         })();
     }
 
@@ -328,6 +367,8 @@ class BrowserVoiceHandler {
                     isFinal: true
                 }));
 
+                session.lifecycle?.recordActivity();
+
                 // Add to conversation history
                 this.appendToContext(session, transcript, 'user');
 
@@ -393,16 +434,27 @@ class BrowserVoiceHandler {
         }
 
         session.isProcessing = true;
+        const startedAt = Date.now();
 
         try {
             console.log(`🤖 Processing user input: "${userInput}"`);
+            await session.promptVariablesReady;
+
+            // Knowledge base excerpts relevant to this question go into the prompt for the turn
+            session.turnPrompt = await this.knowledgeBaseService.buildTurnPrompt({
+                agentPrompt: session.agentPrompt,
+                documentIds: session.agentSettings?.knowledgeDocIds,
+                query: userInput,
+                callId: session.callLogId,
+                agentId: session.agentId
+            });
 
             // Call LLM
             const response = await this.callLLM(session, userInput);
 
             if (response) {
                 // Add to conversation history
-                this.appendToContext(session, response, 'assistant');
+                this.appendToContext(session, response, 'assistant', { latencyMs: Date.now() - startedAt });
 
                 // Send text response to browser
                 session.ws.send(JSON.stringify({
@@ -412,6 +464,10 @@ class BrowserVoiceHandler {
 
                 // Synthesize and stream audio
                 await this.synthesizeAndStreamTTS(session, response);
+
+                if (session.endAfterReply) {
+                    this.closeSession(session, 'conversation_complete');
+                }
             }
 
         } catch (error) {
@@ -428,24 +484,20 @@ class BrowserVoiceHandler {
     /**
      * Call LLM for response generation
      */
-    async callLLM(session, userInput) {
+    async callLLM(session, userInput, round = 0) {
         try {
             console.log(`🧠 Calling LLM for session: ${session.connectionId}`);
             const modelToUse = session.agentModel || "gemini-2.0-flash";
 
-            // Prepare conversation history in the correct format
-            const contents = session.conversationHistory.map(msg => ({
-                role: msg.role === 'assistant' ? 'model' : 'user',
-                parts: [{ text: msg.content }]
-            }));
-
             // Call LLM service with correct request format
             const response = await this.llmService.generateContent({
                 model: modelToUse,
-                contents: contents,
+                contents: this.toLLMContents(session),
                 config: {
-                    systemInstruction: session.agentPrompt
-                }
+                    systemInstruction: session.turnPrompt || session.agentPrompt
+                },
+                // Past the cap the model has to answer in words
+                tools: round < MAX_TOOL_ROUNDS ? session.toolDeclarations : undefined
             });
 
             const text = response.text;
@@ -455,49 +507,147 @@ class BrowserVoiceHandler {
             if (response.inputTokens) session.totalInputTokens += response.inputTokens;
             if (response.outputTokens) session.totalOutputTokens += response.outputTokens;
 
-            // Check for Tool Call (JSON format)
-            try {
-                // Remove potential markdown code blocks if present
-                const cleanText = text.replace(/```json/g, '').replace(/```/g, '').trim();
-                if (cleanText.startsWith('{') && cleanText.endsWith('}')) {
-                    const parsed = JSON.parse(cleanText);
+            if (response.toolCalls?.length > 0) {
+                await this.handleToolCalls(session, response.toolCalls, text);
+
+                // Ask the LLM again for the verbal response
+                return await this.callLLM(session, userInput, round + 1);
+            }
 
-                    if (parsed.tool && parsed.data) {
-                        console.log(`🛠️ Tool usage detected: ${parsed.tool}`);
+            return text;
 
-                        // Handle Tool Execution
-                        if (parsed.tool && this.mysqlPool) {
-                            const toolService = new ToolExecutionService(this.llmService, this.mysqlPool);
+        } catch (error) {
+            console.error('❌ LLM call failed:', error);
+            return "I apologize, but I'm having trouble processing your request right now.";
+        }
+    }
 
-                            // Find the tool definition
-                            const tool = session.tools && session.tools.find(t => t.name === parsed.tool);
+    /**
+     * Run the tools the LLM called and add the call and its results to the history
+     * @param {Array} toolCalls - [{ id, name, args }] from LLMService
+     * @param {string} text - Anything the model said alongside the calls
+     */
+    async handleToolCalls(session, toolCalls, text = '') {
+        const results = [];
 
-                            if (tool) {
-                                // Execute the tool
-                                await toolService.executeTool(tool, parsed.data, session, session.agentSettings);
+        for (const call of toolCalls) {
+            console.log(`🛠️ Tool usage detected: ${call.name}`);
 
-                                // Add tool result indicator to context
-                                this.appendToContext(session, JSON.stringify({ tool: parsed.tool, status: "success", message: "Data processing initiated" }), "user");
+            if (isBuiltinTool(call.name, session.agentSettings, 'browser')) {
+                results.push({ name: call.name, response: this.handleBuiltinTool(session, call.name, call.args || {}) });
+                continue;
+            }
 
-                                // Recursively call LLM to get the verbal response
-                                return await this.callLLM(session, "Tool executed successfully. Please continue.");
-                            } else {
-                                console.warn(`Tool ${parsed.tool} not found in configuration`);
-                            }
-                        }
-                    }
-                }
-            } catch (jsonError) {
-                // Not a valid JSON tool call, just regular text -> continue
-                // console.log("Response is not JSON tool call");
+            // Find the tool definition
+            const tool = findAgentTool(session.tools, call.name);
+            if (tool && this.mysqlPool) {
+                const toolService = new ToolExecutionService(this.llmService, this.mysqlPool);
+                await toolService.executeTool(tool, call.args || {}, session, session.agentSettings);
+                results.push({ name: call.name, response: { status: "success", message: "Data processing initiated" } });
+            } else {
+                console.warn(`Tool ${call.name} not found in configuration`);
+                results.push({ name: call.name, response: { status: "error", message: `Unknown tool ${call.name}` } });
             }
+        }
 
-            return text;
+        // Tool round trips are kept in the LLM's content format
+        session.conversationHistory.push({ ...toolCallContent(toolCalls, text), timestamp: Date.now() });
+        session.conversationHistory.push({ ...toolResultContent(results), timestamp: Date.now() });
+        this.transcriptService.addToolEntries(session, session.callLogId, toolCalls, results, text);
+    }
 
-        } catch (error) {
-            console.error('❌ LLM call failed:', error);
-            return "I apologize, but I'm having trouble processing your request right now.";
+    /**
+     * Conversation history in the LLM's content format
+     */
+    toLLMContents(session) {
+        return session.conversationHistory.map(msg => msg.parts
+            ? { role: msg.role, parts: msg.parts }
+            : { role: msg.role === 'assistant' ? 'model' : 'user', parts: [{ text: msg.content }] });
+    }
+
+    /**
+     * Handle a built-in call control tool invoked by the LLM
+     * @returns {Object} Tool result for the LLM context ({ status, message })
+     */
+    handleBuiltinTool(session, toolName, data) {
+        const settings = session.agentSettings || {};
+
+        if (toolName === 'transfer_call') {
+            if (!settings.callTransfer || !settings.transferTarget) {
+                return { status: "error", message: "Call transfer is not available. Offer the user another way to get help." };
+            }
+
+            // Browser calls have no phone leg to hand over, record the attempt so it shows up in call history
+            const transfer = {
+                target: settings.transferTarget.trim(),
+                mode: settings.transferMode === 'warm' ? 'warm' : 'cold',
+                reason: data.reason || null,
+                summary: data.summary || data.reason || null,
+                status: 'simulated'
+            };
+            this.callControlService.recordTransfer({ id: session.callLogId }, transfer);
+            session.ws.send(JSON.stringify({ event: 'transfer', ...transfer }));
+
+            return { status: "success", message: "This is a browser test call, so the transfer was only simulated. Tell the user they would now be connected to a colleague." };
+        }
+
+        if (toolName === 'end_call') {
+            if (!settings.agentCanTerminateCall) {
+                return { status: "error", message: "You cannot end the call yourself. Keep helping the user." };
+            }
+
+            console.log(`📴 Agent is ending the call${data.reason ? `: ${data.reason}` : ''}`);
+            this.callControlService.recordTermination({ id: session.callLogId }, 'conversation_complete', 'agent');
+            session.endAfterReply = true;
+            return { status: "success", message: "The call ends as soon as you finish speaking. Say a short goodbye." };
+        }
+
+        return { status: "error", message: `Unknown tool ${toolName}` };
+    }
+
+    /**
+     * Say a fixed line to the user (not generated by the LLM)
+     */
+    async speakToClient(session, text) {
+        if (session.ws.readyState !== session.ws.OPEN) return;
+
+        this.appendToContext(session, text, 'assistant');
+        session.ws.send(JSON.stringify({
+            event: 'agent-response',
+            text
+        }));
+        await this.synthesizeAndStreamTTS(session, text);
+    }
+
+    /**
+     * Session limit reached: say the end message, then close the stream
+     */
+    async endSessionForTimeout(session, reason, endMessage) {
+        this.callControlService.recordTermination({ id: session.callLogId }, reason);
+
+        await this.speakToClient(session, endMessage);
+        this.closeSession(session, reason);
+    }
+
+    /**
+     * Close the stream from our side once the last words have had time to play
+     */
+    closeSession(session, reason) {
+        session.lifecycle?.stop();
+
+        // Same after-call processing as a phone call that hangs up
+        const afterCallTools = (session.tools || []).filter(tool => tool.runAfterCall);
+        if (afterCallTools.length > 0 && this.mysqlPool) {
+            const toolService = new ToolExecutionService(this.llmService, this.mysqlPool);
+            session.afterCallTools = toolService.processToolsAfterCall({ ...session, context: this.toLLMContents(session) }, afterCallTools)
+                .catch(err => console.error('❌ Error executing after-call tools:', err));
         }
+
+        setTimeout(() => {
+            if (session.ws.readyState !== session.ws.OPEN) return;
+            session.ws.send(JSON.stringify({ event: 'session-ended', reason }));
+            session.ws.close();
+        }, SessionLifecycle.SESSION_END_GRACE_MS);
     }
 
     /**
@@ -669,6 +819,7 @@ class BrowserVoiceHandler {
         console.log(`⏸️ User interrupted session: ${session.connectionId}`);
 
         session.isInterrupted = true;
+        this.transcriptService.updateEntry(session, session.lastAgentEntry, { interrupted: true });
 
         // Send stop signal to browser
         session.ws.send(JSON.stringify({
@@ -679,6 +830,25 @@ class BrowserVoiceHandler {
         session.isProcessing = false;
     }
 
+    /**
+     * Fill the prompt variables of the call from the prefetch webhook and apply them to the prompt
+     */
+    async loadPromptVariables(session) {
+        try {
+            const context = await this.prefetchService.loadCallContext({
+                callId: session.callLogId,
+                agentId: session.agentId,
+                channel: 'web'
+            });
+            const variables = await this.prefetchService.getPromptVariables(session.agentSettings, context);
+
+            session.promptVariables = variables;
+            session.agentPrompt = renderTemplate(session.agentPrompt, variables) + formatVariablesForPrompt(variables);
+        } catch (error) {
+            console.error('❌ Error loading prompt variables:', error.message);
+        }
+    }
+
     /**
      * Send initial greeting to user
      */
@@ -689,13 +859,16 @@ class BrowserVoiceHandler {
 
             // Small delay to ensure connection is stable
             setTimeout(async () => {
+                await session.promptVariablesReady;
+                const greeting = renderTemplate(greetingText, session.promptVariables);
+
                 session.ws.send(JSON.stringify({
                     event: 'agent-response',
-                    text: greetingText
+                    text: greeting
                 }));
 
-                this.appendToContext(session, greetingText, 'assistant');
-                await this.synthesizeAndStreamTTS(session, greetingText);
+                this.appendToContext(session, greeting, 'assistant');
+                await this.synthesizeAndStreamTTS(session, greeting);
             }, 500);
 
         } catch (error) {
@@ -704,18 +877,31 @@ class BrowserVoiceHandler {
     }
 
     /**
-     * Append message to conversation context
+     * Append message to conversation context and the call transcript
+     * @param {Object} [entry] - Extra transcript fields ({ latencyMs })
      */
-    appendToContext(session, content, role) {
+    appendToContext(session, content, role, entry = {}) {
         session.conversationHistory.push({
             role: role,
             content: content,
             timestamp: Date.now()
         });
 
+        const transcriptEntry = this.transcriptService.addEntry(session, session.callLogId, {
+            role: role === 'assistant' ? 'agent' : 'user',
+            content,
+            ...entry
+        });
+        if (role === 'assistant') session.lastAgentEntry = transcriptEntry;
+
         // Keep conversation history manageable (last 20 messages)
         if (session.conversationHistory.length > 20) {
             session.conversationHistory = session.conversationHistory.slice(-20);
+
+            // Don't start on a tool result whose call was cut off
+            while (session.conversationHistory[0]?.parts) {
+                session.conversationHistory.shift();
+            }
         }
     }
 
@@ -752,6 +938,11 @@ class BrowserVoiceHandler {
             session.callLogId = callId;
             console.log(`✅ Call logged to database: ${callId}`);
 
+            this.webhookService.emitEvent(session.userId, 'call.started', {
+                call_id: callId,
+                channel: 'web'
+            }, { agentId: session.agentId, callId });
+
         } catch (error) {
             console.error('❌ Error logging call start:', error);
         }
@@ -2,6 +2,17 @@ const { createClient, LiveTranscriptionEvents } = require("@deepgram/sdk");
 const { LLMService } = require("../llmService.js");
 const WalletService = require('./walletService.js');
 const CostCalculator = require('./costCalculator.js');
+const CallControlService = require('./callControlService.js');
+const SessionLifecycle = require('./sessionLifecycle.js');
+const KnowledgeBaseService = require('./knowledgeBaseService.js');
+const TranscriptService = require('./transcriptService.js');
+const CallAnalysisService = require('./callAnalysisService.js');
+const PrefetchService = require('./prefetchService.js');
+const EndOfCallService = require('./endOfCallService.js');
+const WebhookService = require('./webhookService.js');
+const { isBuiltinTool } = require('./builtinTools.js');
+const { MAX_TOOL_ROUNDS, buildToolDeclarations, findAgentTool, toolCallContent, toolResultContent } = require('./llmTools.js');
+const { renderTemplate, formatVariablesForPrompt } = require('../utils/promptVariables.js');
 
 const sessions = new Map();
 
@@ -19,6 +30,14 @@ class DeepgramBrowserHandler {
             this.walletService = new WalletService(mysqlPool);
             this.costCalculator = new CostCalculator(mysqlPool, this.walletService);
         }
+
+        this.callControlService = new CallControlService(mysqlPool);
+        this.knowledgeBaseService = new KnowledgeBaseService(mysqlPool);
+        this.transcriptService = new TranscriptService(mysqlPool);
+        this.callAnalysisService = new CallAnalysisService(this.llmService, mysqlPool);
+        this.prefetchService = new PrefetchService(mysqlPool);
+        this.webhookService = new WebhookService(mysqlPool);
+        this.endOfCallService = new EndOfCallService(mysqlPool, this.transcriptService, this.webhookService);
     }
 
     createSession(connectionId, agentPrompt, agentVoiceId, ws, userId = null, agentId = null, agentModel = null, agentSettings = null) {
@@ -58,6 +77,7 @@ class DeepgramBrowserHandler {
     endSession(connectionId) {
         const session = sessions.get(connectionId);
         if (session) {
+            session.lifecycle?.stop();
             if (session.sttStream) {
                 // Check if finish exists before calling
                 if (typeof session.sttStream.finish === 'function') {
@@ -70,8 +90,19 @@ class DeepgramBrowserHandler {
         }
     }
 
-    appendToContext(session, text, role) {
+    /**
+     * Append a turn to the LLM context and the call transcript
+     * @param {Object} [entry] - Extra transcript fields ({ sttConfidence, latencyMs })
+     */
+    appendToContext(session, text, role, entry = {}) {
         session.context.push({ role, parts: [{ text }] });
+
+        const transcriptEntry = this.transcriptService.addEntry(session, session.callId, {
+            role: role === 'model' ? 'agent' : 'user',
+            content: text,
+            ...entry
+        });
+        if (role === 'model') session.lastAgentEntry = transcriptEntry;
     }
 
     async handleConnection(ws, req) {
@@ -109,11 +140,7 @@ class DeepgramBrowserHandler {
                         // Process Tools
                         if (agent.settings && agent.settings.tools && agent.settings.tools.length > 0) {
                             tools = agent.settings.tools;
-                            const toolDescriptions = tools.map(tool =>
-                                `- ${tool.name}: ${tool.description} (Parameters: ${tool.parameters?.map(p => `${p.name} (${p.type})${p.required ? ' [required]' : ''}`).join(', ') || 'None'})`
-                            ).join('\n');
-
-                            agentPrompt += `\n\nAvailable Tools:\n${toolDescriptions}\n\nWhen you need to collect information from the user, ask for the required parameters. When all required information is collected, respond with a JSON object in the format: {"tool": "tool_name", "data": {"param1": "value1", "param2": "value2"}}. Do NOT add any other text before or after the JSON.`;
+                            agentPrompt += `\n\nWhen you need to collect information for a tool, ask for the required parameters first and call the tool once you have all of them.`;
                         }
 
                         if (agent.voiceId) agentVoiceId = agent.voiceId;
@@ -166,25 +193,41 @@ class DeepgramBrowserHandler {
 
             session = this.createSession(connectionId, agentPrompt, agentVoiceId, ws, userId, agentId, agentModel, agent?.settings);
             session.tools = tools; // Store tools in session for later lookup
+            session.toolDeclarations = buildToolDeclarations(tools, agent?.settings, 'browser');
             session.language = agentLanguage; // Store language in session
 
             // Log call start to database
             await this.logCallStart(session);
 
+            // Caller data from the prefetch webhook, needed before the greeting is synthesized
+            session.promptVariablesReady = this.loadPromptVariables(session);
+
+            // Session timeouts and inactivity nudges from the agent settings
+            session.lifecycle = new SessionLifecycle(agent?.settings || {}, {
+                isBusy: () => session.isSpeaking || session.isProcessing,
+                onNudge: (message) => this.speakToClient(session, message),
+                onEnd: (reason, endMessage) => this.endSessionForTimeout(session, reason, endMessage)
+            });
+            session.lifecycle.start();
+
             // Send initial greeting
             setTimeout(async () => {
                 try {
+                    await session.promptVariablesReady;
+                    const greeting = renderTemplate(greetingMessage, session.promptVariables);
+
                     if (ws.readyState === ws.OPEN) {
-                        console.log(`👋 Sending greeting: "${greetingMessage}"`);
+                        console.log(`👋 Sending greeting: "${greeting}"`);
 
                         // Send text update
                         ws.send(JSON.stringify({
                             event: 'agent-response',
-                            text: greetingMessage
+                            text: greeting
                         }));
+                        this.transcriptService.addEntry(session, session.callId, { role: 'agent', content: greeting });
 
                         // Send audio
-                        const audio = await this.synthesizeTTS(greetingMessage, session.agentVoiceId, session);
+                        const audio = await this.synthesizeTTS(greeting, session.agentVoiceId, session);
                         if (audio) {
                             this.sendAudioToClient(session, audio);
                         }
@@ -239,6 +282,7 @@ class DeepgramBrowserHandler {
 
                     console.log(`🎤 User (Browser): "${transcript}"`);
                     session.lastUserSpeechTime = Date.now();
+                    session.lifecycle?.recordActivity();
 
                     // Track Deepgram usage (estimate ~1 second per transcript)
                     // More accurate: track actual audio duration if available
@@ -263,15 +307,29 @@ class DeepgramBrowserHandler {
                     if (session.isSpeaking) {
                         console.log(`⚠️ User interrupted agent`);
                         session.isSpeaking = false;
+                        this.transcriptService.updateEntry(session, session.lastAgentEntry, { interrupted: true });
                         // Tell client to stop audio
                         ws.send(JSON.stringify({ event: 'stop-audio' }));
                     }
 
-                    this.appendToContext(session, transcript, "user");
+                    const heardAt = Date.now();
+                    this.appendToContext(session, transcript, "user", {
+                        sttConfidence: data.channel?.alternatives?.[0]?.confidence ?? null
+                    });
+
+                    // Knowledge base excerpts relevant to this question go into the prompt for the turn
+                    await session.promptVariablesReady;
+                    session.turnPrompt = await this.knowledgeBaseService.buildTurnPrompt({
+                        agentPrompt: session.agentPrompt,
+                        documentIds: session.agentSettings?.knowledgeDocIds,
+                        query: transcript,
+                        callId: session.callId,
+                        agentId: session.agentId
+                    });
 
                     // Get LLM Response
                     const llmResponse = await this.callLLM(session);
-                    this.appendToContext(session, llmResponse, "model");
+                    this.appendToContext(session, llmResponse, "model", { latencyMs: Date.now() - heardAt });
 
                     // Send text response to client immediately
                     if (ws.readyState === ws.OPEN) {
@@ -290,6 +348,10 @@ class DeepgramBrowserHandler {
                             }
                             // Mark processing as complete after TTS
                             session.isProcessing = false;
+
+                            if (session.endAfterReply) {
+                                this.closeSession(session, 'conversation_complete');
+                            }
                         })
                         .catch(err => {
                             console.error("❌ TTS generation failed:", err);
@@ -340,6 +402,19 @@ class DeepgramBrowserHandler {
                 // Log call end before ending session
                 if (session) {
                     await this.logCallEnd(session);
+
+                    // Summary, sentiment and disposition for call history (not awaited)
+                    const analysis = this.callAnalysisService.analyzeCall(session, {
+                        callId: session.callId,
+                        contents: session.context
+                    });
+
+                    // Signed call.ended event with the full call, once the analysis is stored (not awaited)
+                    this.endOfCallService.sendEndOfCallWebhook(session, {
+                        callId: session.callId,
+                        channel: 'web',
+                        waitFor: [analysis, session.afterCallTools]
+                    });
                 }
                 this.endSession(connectionId);
                 if (keepAliveInterval) clearInterval(keepAliveInterval);
@@ -359,7 +434,7 @@ class DeepgramBrowserHandler {
         }
     }
 
-    async callLLM(session) {
+    async callLLM(session, round = 0) {
         try {
             // Use the agent's selected model (supports both Gemini and OpenAI)
             const modelToUse = session.agentModel || "gemini-2.0-flash";
@@ -371,7 +446,9 @@ class DeepgramBrowserHandler {
             const response = await this.llmService.generateContent({
                 model: modelToUse,
                 contents: session.context,
-                config: { systemInstruction: session.agentPrompt },
+                config: { systemInstruction: session.turnPrompt || session.agentPrompt },
+                // Past the cap the model has to answer in words
+                tools: round < MAX_TOOL_ROUNDS ? session.toolDeclarations : undefined,
             });
             let text = response.text;
             console.log(`💬 ${provider} response received:`, text.substring(0, 100) + '...');
@@ -384,41 +461,11 @@ class DeepgramBrowserHandler {
                 console.log(`📊 ${provider} tokens used: ${totalTokens} (Total: ${session.usage.gemini})`);
             }
 
-            // Check for Tool Call (JSON format)
-            try {
-                // Remove potential markdown code blocks if present
-                const cleanText = text.replace(/```json/g, '').replace(/```/g, '').trim();
-                if (cleanText.startsWith('{') && cleanText.endsWith('}')) {
-                    const parsed = JSON.parse(cleanText);
-
-                    if (parsed.tool && parsed.data) {
-                        console.log(`🛠️ Tool usage detected: ${parsed.tool}`);
-
-                        // Handle Tool Execution
-                        if (parsed.tool) {
-                            const ToolExecutionService = require('./toolExecutionService.js');
-                            const toolService = new ToolExecutionService(this.llmService, this.mysqlPool);
-
-                            // Find the tool definition
-                            const tool = session.tools && session.tools.find(t => t.name === parsed.tool);
+            if (response.toolCalls?.length > 0) {
+                await this.handleToolCalls(session, response.toolCalls, text);
 
-                            if (tool) {
-                                await toolService.executeTool(tool, parsed.data, session, session.agentSettings);
-
-                                // Add tool result to context and ask LLM for final response
-                                this.appendToContext(session, JSON.stringify({ tool: parsed.tool, status: "success", message: "Data processing initiated" }), "user");
-
-                                // Recursively call LLM to get the verbal response
-                                return await this.callLLM(session);
-                            } else {
-                                console.warn(`Tool ${parsed.tool} not found in configuration`);
-                            }
-                        }
-                    }
-                }
-            } catch (jsonError) {
-                // Not a valid JSON tool call, just regular text -> continue
-                // console.log("Response is not JSON tool call");
+                // Ask the LLM again for the verbal response
+                return await this.callLLM(session, round + 1);
             }
 
             return text;
@@ -429,6 +476,134 @@ class DeepgramBrowserHandler {
         }
     }
 
+    /**
+     * Run the tools the LLM called and add the call and its results to the context
+     * @param {Array} toolCalls - [{ id, name, args }] from LLMService
+     * @param {string} text - Anything the model said alongside the calls
+     */
+    async handleToolCalls(session, toolCalls, text = '') {
+        const results = [];
+
+        for (const call of toolCalls) {
+            console.log(`🛠️ Tool usage detected: ${call.name}`);
+
+            if (isBuiltinTool(call.name, session.agentSettings, 'browser')) {
+                results.push({ name: call.name, response: this.handleBuiltinTool(session, call.name, call.args || {}) });
+                continue;
+            }
+
+            // Find the tool definition
+            const tool = findAgentTool(session.tools, call.name);
+            if (tool) {
+                const ToolExecutionService = require('./toolExecutionService.js');
+                const toolService = new ToolExecutionService(this.llmService, this.mysqlPool);
+                await toolService.executeTool(tool, call.args || {}, session, session.agentSettings);
+                results.push({ name: call.name, response: { status: "success", message: "Data processing initiated" } });
+            } else {
+                console.warn(`Tool ${call.name} not found in configuration`);
+                results.push({ name: call.name, response: { status: "error", message: `Unknown tool ${call.name}` } });
+            }
+        }
+
+        session.context.push(toolCallContent(toolCalls, text));
+        session.context.push(toolResultContent(results));
+        this.transcriptService.addToolEntries(session, session.callId, toolCalls, results, text);
+    }
+
+    /**
+     * Handle a built-in call control tool invoked by the LLM
+     * @returns {Object} Tool result for the LLM context ({ status, message })
+     */
+    handleBuiltinTool(session, toolName, data) {
+        const settings = session.agentSettings || {};
+
+        if (toolName === 'transfer_call') {
+            if (!settings.callTransfer || !settings.transferTarget) {
+                return { status: "error", message: "Call transfer is not available. Offer the user another way to get help." };
+            }
+
+            // Browser calls have no phone leg to hand over, record the attempt so it shows up in call history
+            const transfer = {
+                target: settings.transferTarget.trim(),
+                mode: settings.transferMode === 'warm' ? 'warm' : 'cold',
+                reason: data.reason || null,
+                summary: data.summary || data.reason || null,
+                status: 'simulated'
+            };
+            this.callControlService.recordTransfer({ id: session.callId }, transfer);
+            session.ws.send(JSON.stringify({ event: 'transfer', ...transfer }));
+
+            return { status: "success", message: "This is a browser test call, so the transfer was only simulated. Tell the user they would now be connected to a colleague." };
+        }
+
+        if (toolName === 'end_call') {
+            if (!settings.agentCanTerminateCall) {
+                return { status: "error", message: "You cannot end the call yourself. Keep helping the user." };
+            }
+
+            console.log(`📴 Agent is ending the call${data.reason ? `: ${data.reason}` : ''}`);
+            this.callControlService.recordTermination({ id: session.callId }, 'conversation_complete', 'agent');
+            session.endAfterReply = true;
+            return { status: "success", message: "The call ends as soon as you finish speaking. Say a short goodbye." };
+        }
+
+        return { status: "error", message: `Unknown tool ${toolName}` };
+    }
+
+    /**
+     * Say a fixed line to the user (not generated by the LLM)
+     */
+    async speakToClient(session, text) {
+        if (!session.ws || session.ws.readyState !== session.ws.OPEN) return;
+
+        this.appendToContext(session, text, "model");
+        session.ws.send(JSON.stringify({
+            event: 'agent-response',
+            text
+        }));
+
+        const audio = await this.synthesizeTTS(text, session.agentVoiceId, session);
+        if (audio) {
+            this.sendAudioToClient(session, audio);
+        }
+    }
+
+    /**
+     * Session limit reached: say the end message, then close the stream
+     */
+    async endSessionForTimeout(session, reason, endMessage) {
+        this.callControlService.recordTermination({ id: session.callId }, reason);
+
+        if (session.isSpeaking && session.ws.readyState === session.ws.OPEN) {
+            session.isSpeaking = false;
+            session.ws.send(JSON.stringify({ event: 'stop-audio' }));
+        }
+        await this.speakToClient(session, endMessage);
+        this.closeSession(session, reason);
+    }
+
+    /**
+     * Close the stream from our side once the last words have had time to play
+     */
+    closeSession(session, reason) {
+        session.lifecycle?.stop();
+
+        // Normal hang-ups run these in endSession for phone calls, do the same here
+        const afterCallTools = (session.tools || []).filter(tool => tool.runAfterCall);
+        if (afterCallTools.length > 0) {
+            const ToolExecutionService = require('./toolExecutionService.js');
+            const toolService = new ToolExecutionService(this.llmService, this.mysqlPool);
+            session.afterCallTools = toolService.processToolsAfterCall(session, afterCallTools)
+                .catch(err => console.error('❌ Error executing after-call tools:', err));
+        }
+
+        setTimeout(() => {
+            if (session.ws.readyState !== session.ws.OPEN) return;
+            session.ws.send(JSON.stringify({ event: 'session-ended', reason }));
+            session.ws.close();
+        }, SessionLifecycle.SESSION_END_GRACE_MS);
+    }
+
     async synthesizeTTS(text, voiceId, session = null) {
         try {
             console.log(`🔊 Generating TTS for: "${text.substring(0, 20)}..."`);
@@ -484,6 +659,25 @@ class DeepgramBrowserHandler {
         }, durationSeconds * 1000);
     }
 
+    /**
+     * Fill the prompt variables of the call from the prefetch webhook and apply them to the prompt
+     */
+    async loadPromptVariables(session) {
+        try {
+            const context = await this.prefetchService.loadCallContext({
+                callId: session.callId,
+                agentId: session.agentId,
+                channel: 'web'
+            });
+            const variables = await this.prefetchService.getPromptVariables(session.agentSettings, context);
+
+            session.promptVariables = variables;
+            session.agentPrompt = renderTemplate(session.agentPrompt, variables) + formatVariablesForPrompt(variables);
+        } catch (error) {
+            console.error('❌ Error loading prompt variables:', error.message);
+        }
+    }
+
     async logCallStart(session) {
         if (!this.mysqlPool || !session.userId) {
             console.log('⚠️ Skipping call logging (no database pool or user ID)');
@@ -513,6 +707,11 @@ class DeepgramBrowserHandler {
 
             session.callId = callId;
             console.log(`✅ Call logged to database: ${callId}`);
+
+            this.webhookService.emitEvent(session.userId, 'call.started', {
+                call_id: callId,
+                channel: 'web'
+            }, { agentId: session.agentId, callId });
             return callId;
         } catch (err) {
             console.error('❌ Error logging call start:', err);
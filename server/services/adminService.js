@@ -35,6 +35,15 @@ class AdminService {
     }
   }
 
+  // Whether an admin account with this id exists
+  async adminExists(adminId) {
+    const [rows] = await this.mysqlPool.execute(
+      'SELECT id FROM admin_users WHERE id = ?',
+      [adminId]
+    );
+    return rows.length > 0;
+  }
+
   // Get all users with their credit usage
   async getAllUsers(page = 1, limit = 50, search = '') {
     try {
@@ -196,7 +196,12 @@ class AgentService {
             inactivityHandling: true,
             agentCanTerminateCall: false,
             voicemailDetection: true,
+            voicemailDetectionTimeout: 6,
+            voicemailAction: "hangup",
+            voicemailMessage: "",
             callTransfer: true,
+            transferTarget: "",
+            transferMode: "cold",
             dtmfDial: false,
             agentTimezone: "America/New_York",
             voiceDetectionConfidenceThreshold: 0.5,
@@ -0,0 +1,72 @@
+/**
+ * Built-in call control tools
+ * Tools provided by the platform itself rather than configured per agent.
+ * They are declared to the LLM next to the agent's tools (see llmTools.js);
+ * each one is switched on by a flag in the agent settings.
+ */
+
+const BUILTIN_TOOLS = [
+    {
+        name: 'transfer_call',
+        description: 'Transfer the caller to a human colleague. Use it when the caller asks for a person or when you cannot help them any further.',
+        parameters: [
+            { name: 'reason', type: 'string', required: true, description: 'Why the caller is being transferred' },
+            { name: 'summary', type: 'string', required: true, description: 'One or two sentences for the colleague: who is calling and what they need' }
+        ],
+        channels: ['phone', 'browser'],
+        isEnabled: (settings) => !!(settings.callTransfer && settings.transferTarget)
+    },
+    {
+        name: 'send_dtmf',
+        description: 'Press keys on the phone keypad, e.g. to choose an option in an automated phone menu. Use it only when a recorded menu asks for a keypress.',
+        parameters: [
+            { name: 'digits', type: 'string', required: true, description: 'Keys to press: 0-9, * and #. Use "w" for a half-second pause' }
+        ],
+        channels: ['phone'],
+        isEnabled: (settings) => !!settings.dtmfDial
+    },
+    {
+        name: 'end_call',
+        description: 'Hang up once the conversation is finished: the caller has what they needed, said goodbye, or asked to end the call.',
+        parameters: [
+            { name: 'reason', type: 'string', required: false, description: 'Short note on why the call is ending' }
+        ],
+        channels: ['phone', 'browser'],
+        isEnabled: (settings) => !!settings.agentCanTerminateCall
+    },
+    {
+        name: 'do_not_call',
+        description: 'Use it as soon as the caller asks not to be called again, e.g. "take me off your list", "stop calling me" or "don\'t call this number again". Their number is put on the do-not-call list and the call ends after your reply.',
+        parameters: [
+            { name: 'reason', type: 'string', required: false, description: 'What the caller said, briefly' }
+        ],
+        channels: ['phone'],
+        isEnabled: (settings) => !!settings.doNotCallDetection
+    }
+];
+
+/**
+ * Get the built-in tools enabled by an agent's settings
+ * @param {Object} settings - Agent settings
+ * @param {string} channel - 'phone' (Twilio media stream) or 'browser'
+ * @returns {Array} Tool definitions
+ */
+function getBuiltinTools(settings, channel = 'phone') {
+    return BUILTIN_TOOLS.filter(tool => tool.channels.includes(channel) && tool.isEnabled(settings || {}));
+}
+
+/**
+ * Whether a function called by the LLM is a built-in tool the agent has enabled.
+ * A disabled one was never declared, an agent tool may use its name.
+ * @param {string} name - Function name from the LLM
+ * @param {Object} settings - Agent settings
+ * @param {string} channel - 'phone' (Twilio media stream) or 'browser'
+ */
+function isBuiltinTool(name, settings, channel = 'phone') {
+    return getBuiltinTools(settings, channel).some(tool => tool.name === name);
+}
+
+// Names agent tools can't be saved under
+const BUILTIN_TOOL_NAMES = BUILTIN_TOOLS.map(tool => tool.name);
+
+module.exports = { getBuiltinTools, isBuiltinTool, BUILTIN_TOOL_NAMES };
@@ -0,0 +1,141 @@
+/**
+ * Call Analysis Service
+ * Runs once a call has ended: asks the LLM for a short summary, the caller's
+ * sentiment, a disposition and whether the agent's success criteria were met,
+ * and stores the result on the calls row (and campaign_contacts for campaign calls).
+ */
+const { ensureColumns } = require('../utils/dbSchema.js');
+
+const SENTIMENTS = ['positive', 'neutral', 'negative'];
+const DISPOSITIONS = ['interested', 'not_interested', 'callback', 'wrong_number', 'voicemail'];
+
+const ANALYSIS_COLUMNS = {
+    summary: "TEXT NULL",
+    sentiment: "VARCHAR(16) NULL",              // positive | neutral | negative
+    disposition: "VARCHAR(32) NULL",            // interested | not_interested | callback | wrong_number | voicemail
+    success_evaluation: "JSON NULL",            // [{ criterion, met, reason }]
+    analyzed_at: "TIMESTAMP NULL"
+};
+
+/**
+ * Success criteria from the agent settings, one per line
+ */
+function parseSuccessCriteria(settings) {
+    return String(settings?.successCriteria || '')
+        .split('\n')
+        .map(line => line.trim())
+        .filter(Boolean);
+}
+
+class CallAnalysisService {
+    constructor(llmService, mysqlPool) {
+        this.llmService = llmService;
+        this.mysqlPool = mysqlPool;
+        this.initSchema();
+    }
+
+    async initSchema() {
+        await ensureColumns(this.mysqlPool, 'calls', ANALYSIS_COLUMNS);
+        await ensureColumns(this.mysqlPool, 'campaign_contacts', ANALYSIS_COLUMNS);
+    }
+
+    /**
+     * Analyze a finished call and store the result
+     * @param {Object} session - Ended voice session (agentSettings, amd)
+     * @param {Object} params - { callId, contactId, contents } - contents is the conversation in LLM format
+     * @returns {Promise<Object|null>} { summary, sentiment, disposition, successEvaluation }
+     */
+    async analyzeCall(session, { callId, contactId = null, contents }) {
+        if (!callId || session.agentSettings?.postCallAnalysis === false) return null;
+
+        try {
+            const analysis = session.amd?.result === 'machine'
+                ? this.voicemailAnalysis(session)
+                : await this.runAnalysis(contents, parseSuccessCriteria(session.agentSettings));
+
+            if (!analysis) return null;
+
+            await this.saveAnalysis('calls', callId, analysis);
+            if (contactId) {
+                await this.saveAnalysis('campaign_contacts', contactId, analysis);
+            }
+
+            console.log(`📝 Call ${callId} analyzed: ${analysis.disposition || 'no disposition'}, ${analysis.sentiment || 'unknown'} sentiment`);
+            return analysis;
+        } catch (error) {
+            console.error('❌ Error analyzing call:', error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Nobody to analyze on an answering machine, the outcome is known already
+     */
+    voicemailAnalysis(session) {
+        const leftMessage = session.amd.messageStarted;
+        return {
+            summary: leftMessage ? 'Reached voicemail and left a message.' : 'Reached voicemail.',
+            sentiment: null,
+            disposition: 'voicemail',
+            successEvaluation: []
+        };
+    }
+
+    async runAnalysis(contents, criteria) {
+        const hasCallerTurns = (contents || []).some(entry => entry.role === 'user');
+        if (!hasCallerTurns) return null;
+
+        const schema = `
+Fields to extract:
+- "summary" (string): Two or three sentences on what the call was about and how it ended.
+- "sentiment" (string): The caller's overall sentiment, one of: ${SENTIMENTS.join(', ')}.
+- "disposition" (string): The call outcome, one of: ${DISPOSITIONS.join(', ')}. Use "callback" when the caller asked to be called again later, null if none fits.
+- "successEvaluation" (array): One item per success criterion below, { "criterion": string, "met": boolean, "reason": string }.
+
+Success criteria:
+${criteria.length > 0 ? criteria.map((criterion, index) => `${index + 1}. ${criterion}`).join('\n') : '(none, return an empty array)'}
+
+Expected JSON Structure:
+${JSON.stringify({ summary: 'example_value', sentiment: 'neutral', disposition: 'interested', successEvaluation: [{ criterion: 'example_value', met: true, reason: 'example_value' }] }, null, 2)}
+`;
+
+        const result = await this.llmService.extractJson({
+            history: contents,
+            schema,
+            model: 'gemini-2.0-flash'
+        });
+
+        if (!result) {
+            console.warn('⚠️ LLM returned no post-call analysis');
+            return null;
+        }
+
+        return {
+            summary: typeof result.summary === 'string' ? result.summary.trim() : null,
+            sentiment: SENTIMENTS.includes(result.sentiment) ? result.sentiment : null,
+            disposition: DISPOSITIONS.includes(result.disposition) ? result.disposition : null,
+            successEvaluation: criteria.map((criterion, index) => {
+                const evaluation = Array.isArray(result.successEvaluation) ? result.successEvaluation[index] : null;
+                return {
+                    criterion,
+                    met: evaluation?.met === true,
+                    reason: evaluation?.reason || null
+                };
+            })
+        };
+    }
+
+    async saveAnalysis(table, id, analysis) {
+        // A phone session whose calls row could not be resolved is keyed on its CallSid
+        const match = table === 'calls' ? 'id = ? OR call_sid = ?' : 'id = ?';
+        await this.mysqlPool.execute(
+            `UPDATE ${table}
+             SET summary = ?, sentiment = ?, disposition = ?, success_evaluation = ?, analyzed_at = NOW()
+             WHERE ${match}`,
+            [analysis.summary, analysis.sentiment, analysis.disposition, JSON.stringify(analysis.successEvaluation),
+                ...(table === 'calls' ? [id, id] : [id])]
+        );
+    }
+}
+
+module.exports = CallAnalysisService;
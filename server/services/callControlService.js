@@ -0,0 +1,202 @@
+const twilio = require('twilio');
+const { decrypt } = require('../utils/encryption.js');
+const { getBackendUrl } = require('../config/backendUrl.js');
+const { ensureColumns } = require('../utils/dbSchema.js');
+
+/**
+ * Call Control Service
+ * Controls live Twilio calls (hang up, redirect) on behalf of a voice session,
+ * using the Twilio credentials of the number the call was placed from.
+ */
+class CallControlService {
+    constructor(mysqlPool) {
+        this.mysqlPool = mysqlPool;
+        this.initSchema();
+    }
+
+    async initSchema() {
+        await ensureColumns(this.mysqlPool, 'calls', {
+            transfer_target: "VARCHAR(255) NULL",
+            transfer_mode: "VARCHAR(16) NULL",          // cold | warm
+            transfer_status: "VARCHAR(32) NULL",        // initiated | completed | busy | no-answer | failed | simulated
+            transfer_reason: "TEXT NULL",
+            transfer_summary: "TEXT NULL",
+            transferred_at: "DATETIME NULL",
+            termination_reason: "VARCHAR(32) NULL",     // max_duration | no_voice_activity | inactivity | conversation_complete
+            ended_by: "VARCHAR(16) NULL"                // agent | system
+        });
+    }
+
+    /**
+     * Get a Twilio client for the account that owns a call
+     * @param {Object} session - Voice session (needs callSid and/or userId)
+     * @returns {Promise<Object|null>} Twilio client or null if no credentials are found
+     */
+    async getClientForSession(session) {
+        if (!this.mysqlPool) return null;
+
+        try {
+            let rows = [];
+
+            // Campaign/outbound calls remember which number they were placed from
+            if (session.callSid) {
+                [rows] = await this.mysqlPool.execute(
+                    `SELECT utn.twilio_account_sid, utn.twilio_auth_token
+                     FROM calls c
+                     JOIN user_twilio_numbers utn ON utn.id = c.phone_number_id
+                     WHERE c.call_sid = ?
+                     LIMIT 1`,
+                    [session.callSid]
+                );
+            }
+
+            // Fall back to any configured number of the call owner
+            if (rows.length === 0 && session.userId) {
+                [rows] = await this.mysqlPool.execute(
+                    `SELECT twilio_account_sid, twilio_auth_token
+                     FROM user_twilio_numbers
+                     WHERE user_id = ? AND twilio_account_sid IS NOT NULL
+                     ORDER BY created_at DESC
+                     LIMIT 1`,
+                    [session.userId]
+                );
+            }
+
+            if (rows.length === 0 || !rows[0].twilio_account_sid || !rows[0].twilio_auth_token) {
+                console.warn(`⚠️  No Twilio credentials found for call ${session.callSid || session.callId}`);
+                return null;
+            }
+
+            return twilio(rows[0].twilio_account_sid, decrypt(rows[0].twilio_auth_token));
+        } catch (error) {
+            console.error('❌ Error loading Twilio credentials for call:', error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Hang up a live call
+     * Falls back to closing the media stream, which ends a <Connect><Stream> call.
+     * @param {Object} session - Voice session
+     * @returns {Promise<boolean>} True if the call was ended through the REST API
+     */
+    async hangup(session) {
+        const client = session.callSid ? await this.getClientForSession(session) : null;
+
+        if (client) {
+            try {
+                await client.calls(session.callSid).update({ status: 'completed' });
+                console.log(`📴 Hung up call ${session.callSid}`);
+                return true;
+            } catch (error) {
+                console.error(`❌ Failed to hang up call ${session.callSid}:`, error.message);
+            }
+        }
+
+        try {
+            session.ws?.close();
+        } catch (closeErr) {
+            // Ignore close errors
+        }
+        return false;
+    }
+
+    /**
+     * Hand a live call over to a phone number or SIP URI
+     * The call leaves the media stream; in warm mode the colleague hears the
+     * conversation summary (see /api/twilio/transfer-whisper) before being bridged.
+     * @param {Object} session - Voice session
+     * @param {Object} transfer - { target, mode, reason, summary }
+     * @returns {Promise<boolean>} True if Twilio accepted the transfer
+     */
+    async transfer(session, transfer) {
+        const { target, mode } = transfer;
+        const client = session.callSid ? await this.getClientForSession(session) : null;
+
+        if (!client) {
+            await this.recordTransfer({ callSid: session.callSid }, { ...transfer, status: 'failed' });
+            return false;
+        }
+
+        // Stored first, the whisper endpoint reads the summary back from the call row
+        await this.recordTransfer({ callSid: session.callSid }, { ...transfer, status: 'initiated' });
+
+        const baseUrl = getBackendUrl();
+        const callSidParam = encodeURIComponent(session.callSid);
+        const VoiceResponse = twilio.twiml.VoiceResponse;
+        const response = new VoiceResponse();
+        const dial = response.dial({
+            action: `${baseUrl}/api/twilio/transfer-status?callSid=${callSidParam}`,
+            method: 'POST'
+        });
+        const legOptions = mode === 'warm'
+            ? { url: `${baseUrl}/api/twilio/transfer-whisper?callSid=${callSidParam}`, method: 'POST' }
+            : {};
+
+        if (target.startsWith('sip:')) {
+            dial.sip(legOptions, target);
+        } else {
+            dial.number(legOptions, target);
+        }
+
+        try {
+            await client.calls(session.callSid).update({ twiml: response.toString() });
+            console.log(`🔀 ${mode === 'warm' ? 'Warm' : 'Cold'} transfer of call ${session.callSid} to ${target}`);
+            return true;
+        } catch (error) {
+            console.error(`❌ Failed to transfer call ${session.callSid}:`, error.message);
+            await this.recordTransfer({ callSid: session.callSid }, { ...transfer, status: 'failed' });
+            return false;
+        }
+    }
+
+    /**
+     * Store a transfer event against a call
+     * @param {Object} call - { callSid } for Twilio calls or { id } for web calls
+     * @param {Object} transfer - { target, mode, reason, summary, status }
+     */
+    async recordTransfer(call, transfer) {
+        if (!this.mysqlPool || !(call.callSid || call.id)) return;
+
+        const column = call.callSid ? 'call_sid' : 'id';
+        try {
+            await this.mysqlPool.execute(
+                `UPDATE calls SET transfer_target = ?, transfer_mode = ?, transfer_status = ?,
+                    transfer_reason = ?, transfer_summary = ?, transferred_at = NOW()
+                 WHERE ${column} = ?`,
+                [
+                    transfer.target,
+                    transfer.mode,
+                    transfer.status,
+                    transfer.reason || null,
+                    transfer.summary || null,
+                    call.callSid || call.id
+                ]
+            );
+        } catch (error) {
+            console.error('❌ Error saving transfer event:', error.message);
+        }
+    }
+
+    /**
+     * Store why the platform ended a call
+     * @param {Object} call - { callSid } for Twilio calls or { id } for web calls
+     * @param {string} reason - Termination reason
+     * @param {string} endedBy - 'agent' when the LLM hung up, 'system' for enforced limits
+     */
+    async recordTermination(call, reason, endedBy = 'system') {
+        if (!this.mysqlPool || !(call.callSid || call.id)) return;
+
+        const column = call.callSid ? 'call_sid' : 'id';
+        try {
+            await this.mysqlPool.execute(
+                `UPDATE calls SET termination_reason = ?, ended_by = ? WHERE ${column} = ?`,
+                [reason, endedBy, call.callSid || call.id]
+            );
+        } catch (error) {
+            console.error('❌ Error saving termination reason:', error.message);
+        }
+    }
+}
+
+module.exports = CallControlService;
@@ -0,0 +1,203 @@
+/**
+ * Caller ID Service
+ * Spreads a campaign's calls over a pool of the user's numbers, so a
+ * high-volume campaign doesn't burn a single number and get it flagged as spam.
+ *
+ *   round_robin          the pool's numbers in turn
+ *   local_presence       the number sharing the longest prefix with the callee's
+ *                        (the area code in North America), in turn among equals
+ *   least_recently_used  the number whose last call, from any campaign, is oldest
+ *
+ * Numbers that reached their daily call cap (see PhoneNumberService) are skipped.
+ * A campaign without a pool calls from its phone_number_id as before.
+ */
+const { PhoneNumberService } = require('./phoneNumberService.js');
+
+const CALLER_ID_STRATEGIES = ['round_robin', 'local_presence', 'least_recently_used'];
+const MAX_POOL_SIZE = 50;
+
+function timeOf(date) {
+    return date ? new Date(date).getTime() : 0;
+}
+
+/**
+ * Leading digits two phone numbers have in common
+ */
+function sharedPrefixLength(a, b) {
+    const x = String(a || '').replace(/\D/g, '');
+    const y = String(b || '').replace(/\D/g, '');
+    let length = 0;
+    while (length < x.length && length < y.length && x[length] === y[length]) length++;
+    return length;
+}
+
+/**
+ * Pool numbers in the order a strategy tries them
+ * @param {string} strategy - One of CALLER_ID_STRATEGIES
+ * @param {Array<Object>} numbers - From getCallerNumbers()
+ * @param {string} calleeNumber - Number being called
+ * @returns {Array<Object>}
+ */
+function orderNumbers(strategy, numbers, calleeNumber) {
+    const inTurn = (a, b) => timeOf(a.campaign_last_used_at) - timeOf(b.campaign_last_used_at)
+        || (a.position ?? 0) - (b.position ?? 0);
+
+    return [...numbers].sort((a, b) => {
+        if (strategy === 'least_recently_used') {
+            return timeOf(a.last_used_at) - timeOf(b.last_used_at) || inTurn(a, b);
+        }
+        if (strategy === 'local_presence') {
+            return sharedPrefixLength(calleeNumber, b.phone_number) - sharedPrefixLength(calleeNumber, a.phone_number)
+                || inTurn(a, b);
+        }
+        return inTurn(a, b);
+    });
+}
+
+class CallerIdService {
+    constructor(mysqlPool) {
+        this.pool = mysqlPool;
+        this.tableName = 'campaign_caller_numbers';
+        this.tableReady = this.initTable();
+    }
+
+    async initTable() {
+        if (!this.pool) {
+            console.warn('MySQL pool not provided to CallerIdService, table initialization skipped.');
+            return;
+        }
+
+        try {
+            await this.pool.execute(`
+                CREATE TABLE IF NOT EXISTS ${this.tableName} (
+                    campaign_id VARCHAR(255) NOT NULL,
+                    phone_number_id VARCHAR(255) NOT NULL,
+                    position INT NOT NULL DEFAULT 0,
+                    last_used_at TIMESTAMP(3) NULL,
+                    PRIMARY KEY (campaign_id, phone_number_id)
+                ) ENGINE=InnoDB;
+            `);
+            console.log(`✅ Table ${this.tableName} check/creation successful.`);
+        } catch (error) {
+            console.error(`❌ Failed to initialize ${this.tableName} table:`, error);
+        }
+
+        await PhoneNumberService.ensureUsageSchema();
+    }
+
+    /**
+     * IDs (phone_numbers.id) of a campaign's caller numbers, in pool order
+     * @returns {Promise<string[]>} Empty when the campaign has no pool
+     */
+    async getPool(campaignId) {
+        await this.tableReady;
+        const [rows] = await this.pool.execute(
+            `SELECT phone_number_id FROM ${this.tableName} WHERE campaign_id = ? ORDER BY position ASC`,
+            [campaignId]
+        );
+        return rows.map(row => row.phone_number_id);
+    }
+
+    /**
+     * Replace a campaign's caller number pool (an empty list removes it)
+     * @param {string[]} phoneNumberIds - IDs of the user's phone numbers, in pool order
+     * @returns {Promise<string[]>} IDs that are not the user's numbers, nothing is changed then
+     */
+    async setPool(campaignId, userId, phoneNumberIds) {
+        await this.tableReady;
+        const ids = [...new Set(phoneNumberIds)];
+
+        if (ids.length > 0) {
+            const [owned] = await this.pool.query(
+                'SELECT id FROM phone_numbers WHERE user_id = ? AND id IN (?)',
+                [userId, ids]
+            );
+            const ownedIds = new Set(owned.map(row => row.id));
+            const unknown = ids.filter(id => !ownedIds.has(id));
+            if (unknown.length > 0) return unknown;
+        }
+
+        await this.pool.execute(`DELETE FROM ${this.tableName} WHERE campaign_id = ?`, [campaignId]);
+        if (ids.length > 0) {
+            await this.pool.query(
+                `INSERT INTO ${this.tableName} (campaign_id, phone_number_id, position) VALUES ?`,
+                [ids.map((id, position) => [campaignId, id, position])]
+            );
+        }
+        return [];
+    }
+
+    /**
+     * Numbers a campaign can call from, with their Twilio credentials: its pool,
+     * else its phone_number_id, else the user's first verified number
+     * @param {Object} campaign - campaigns row (id, user_id, phone_number_id)
+     * @returns {Promise<Array<Object>>} [{ id, phone_number, daily_call_cap, last_used_at, campaign_last_used_at, position, twilio_account_sid, twilio_auth_token }]
+     */
+    async getCallerNumbers(campaign) {
+        const pool = await this.getPool(campaign.id);
+        const ids = pool.length > 0 ? pool : [campaign.phone_number_id].filter(Boolean);
+
+        // Usage is tracked on phone_numbers, credentials live in user_twilio_numbers.
+        // A campaign's phone_number_id may hold the id of either.
+        const [rows] = await this.pool.query(
+            `SELECT p.id, u.phone_number, p.daily_call_cap, p.last_used_at,
+                    c.position, c.last_used_at AS campaign_last_used_at,
+                    u.twilio_account_sid, u.twilio_auth_token
+             FROM user_twilio_numbers u
+             LEFT JOIN phone_numbers p ON p.user_id = u.user_id AND p.phone_number = u.phone_number
+             LEFT JOIN ${this.tableName} c ON c.campaign_id = ? AND c.phone_number_id = p.id
+             WHERE u.user_id = ? AND ${ids.length > 0 ? '(p.id IN (?) OR u.id IN (?))' : 'u.verified = TRUE'}
+             ${ids.length > 0 ? `LIMIT ${MAX_POOL_SIZE}` : 'LIMIT 1'}`,
+            ids.length > 0 ? [campaign.id, campaign.user_id, ids, ids] : [campaign.id, campaign.user_id]
+        );
+
+        const seen = new Set();
+        return rows.filter(row => !seen.has(row.phone_number) && seen.add(row.phone_number));
+    }
+
+    /**
+     * Pick the number to call a contact from, and count the call against its daily cap
+     * @param {Object} campaign - campaigns row (id, caller_id_strategy)
+     * @param {Array<Object>} numbers - From getCallerNumbers(), reused across the picks of a dialer pass
+     * @param {string} calleeNumber - Contact's phone number
+     * @returns {Promise<Object|null>} The number, null when every number has reached its cap
+     */
+    async pickCallerNumber(campaign, numbers, calleeNumber) {
+        const strategy = CALLER_ID_STRATEGIES.includes(campaign.caller_id_strategy) ? campaign.caller_id_strategy : 'round_robin';
+
+        for (const number of orderNumbers(strategy, numbers.filter(number => !number.capped), calleeNumber)) {
+            // Numbers without a phone_numbers row have no usage to track
+            if (number.id && !(await PhoneNumberService.reserveDailyCall(number.id, number.daily_call_cap))) {
+                number.capped = true;
+                continue;
+            }
+
+            const now = new Date();
+            number.last_used_at = now;
+            number.campaign_last_used_at = now;
+            if (number.id) {
+                await this.pool.execute(
+                    `UPDATE ${this.tableName} SET last_used_at = NOW(3) WHERE campaign_id = ? AND phone_number_id = ?`,
+                    [campaign.id, number.id]
+                );
+            }
+            return number;
+        }
+
+        return null;
+    }
+
+    /**
+     * Give back the daily cap of a picked number that did not place the call
+     */
+    async releaseCallerNumber(number) {
+        if (number && number.id) {
+            await PhoneNumberService.releaseDailyCall(number.id);
+        }
+    }
+}
+
+CallerIdService.CALLER_ID_STRATEGIES = CALLER_ID_STRATEGIES;
+CallerIdService.MAX_POOL_SIZE = MAX_POOL_SIZE;
+
+module.exports = CallerIdService;
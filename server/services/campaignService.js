@@ -1,14 +1,91 @@
+const os = require('os');
 const { v4: uuidv4 } = require('uuid');
 const twilio = require('twilio');
 const { getBackendUrl } = require('../config/backendUrl');
 const { decrypt } = require('../utils/encryption.js');
+const { ensureColumns } = require('../utils/dbSchema.js');
+const { nextCallingTime } = require('../utils/callingWindow.js');
+const { isValidTimezone, timezoneForPhoneNumber } = require('../utils/timezones.js');
+const { templateVariables } = require('../utils/promptVariables.js');
+const { countryOfNumber } = require('../utils/phoneNumbers.js');
+const WebhookService = require('./webhookService.js');
+const DncService = require('./dncService.js');
+const PacingService = require('./pacingService.js');
+const CallerIdService = require('./callerIdService.js');
+
+const DIALER_INTERVAL_MS = 5000;
+const CAMPAIGN_LEASE_SECONDS = 60;          // a campaign is taken over by another instance this long after its dialer stops
+const CONTACT_CLAIM_TIMEOUT_SECONDS = 120;  // a claimed contact without a call after this long is dialed again
+const MAX_LEASED_CAMPAIGNS = Number(process.env.CAMPAIGN_DIALER_MAX_CAMPAIGNS) || 10;
+const CALL_RESULT_TIMEOUT_MINUTES = 120;    // a contact whose call never reported back stops holding up completion
+
+// Call outcomes a campaign can retry, 'voicemail' is a completed call answered by a machine
+const RETRYABLE_OUTCOMES = ['no-answer', 'busy', 'failed', 'voicemail'];
+const DEFAULT_RETRY_OUTCOMES = ['no-answer', 'busy'];
+
+// Prompt variables every campaign call has, whatever the contact file holds
+const CALL_VARIABLES = ['campaign_name', 'caller_number'];
+
+/**
+ * Outcome of a campaign call from its final Twilio status
+ * @param {string} callStatus - completed | busy | no-answer | failed | canceled
+ * @param {string|null} answeredBy - campaign_contacts.answered_by, set by answering-machine detection
+ */
+function callOutcome(callStatus, answeredBy) {
+    if (callStatus === 'completed') return answeredBy === 'machine' ? 'voicemail' : 'completed';
+    if (callStatus === 'canceled') return 'failed';
+    return callStatus;
+}
+
+/**
+ * Time zone a contact's calling window is evaluated in: its own time zone
+ * field, the one of its phone number, or the schedule's fallback
+ */
+function contactTimezone(contact, schedule) {
+    return contact.timezone
+        || timezoneForPhoneNumber(contact.phone_number)
+        || schedule.timezone
+        || 'UTC';
+}
 
 class CampaignService {
     constructor(mysqlPool, walletService, costCalculator) {
         this.mysqlPool = mysqlPool;
         this.walletService = walletService;
         this.costCalculator = costCalculator;
-        this.activeCampaigns = new Map(); // Track running campaigns
+        this.webhookService = new WebhookService(mysqlPool);
+        this.dncService = new DncService(mysqlPool);
+        this.pacingService = new PacingService(mysqlPool);
+        this.callerIdService = new CallerIdService(mysqlPool);
+        this.workerId = `${os.hostname()}:${process.pid}:${uuidv4().slice(0, 8)}`;
+        this.schemaReady = this.initSchema();
+    }
+
+    /**
+     * Add campaign columns introduced after the initial schema
+     */
+    async initSchema() {
+        await ensureColumns(this.mysqlPool, 'campaign_contacts', {
+            answered_by: "VARCHAR(16) NULL",        // human | machine | unknown
+            voicemail_action: "VARCHAR(32) NULL",   // hangup | left_message | continued
+            last_outcome: "VARCHAR(16) NULL",       // completed | voicemail | no-answer | busy | failed
+            next_attempt_at: "TIMESTAMP NULL",      // earliest time the contact is dialed (again): retries, calling windows
+            timezone: "VARCHAR(64) NULL",           // IANA zone, overrides the one derived from the phone number
+            answered_at: "TIMESTAMP NULL",          // when the current call was answered, from the status callback
+            twilio_account_sid: "VARCHAR(64) NULL"  // account the current call goes out through, for account caps
+        });
+        await ensureColumns(this.mysqlPool, 'campaigns', {
+            lease_owner: "VARCHAR(128) NULL",       // dialer instance currently dialing the campaign
+            lease_expires_at: "TIMESTAMP NULL",
+            pacing_mode: "VARCHAR(16) NOT NULL DEFAULT 'fixed'",            // fixed | adaptive, see pacingService.js
+            max_dial_ratio: "DECIMAL(3,1) NOT NULL DEFAULT 2.0",            // adaptive: most lines per conversation
+            target_abandon_rate: "DECIMAL(4,1) NOT NULL DEFAULT 3.0",       // adaptive: percent of answered calls
+            caller_id_strategy: "VARCHAR(32) NOT NULL DEFAULT 'round_robin'", // picks from the caller number pool, see callerIdService.js
+            retry_max_attempts: "INT NOT NULL DEFAULT 1",
+            retry_delay_minutes: "INT NOT NULL DEFAULT 60",
+            retry_outcomes: "JSON NULL",            // outcomes that are retried, DEFAULT_RETRY_OUTCOMES when NULL
+            schedule: "JSON NULL"                   // calling window, see utils/callingWindow.js; NULL calls at any time
+        });
     }
 
     /**
@@ -44,16 +121,41 @@ class CampaignService {
      */
     async addContacts(campaignId, contacts) {
         try {
-            const values = contacts.map(contact => [
-                uuidv4(),
-                campaignId,
-                contact.phone_number,
-                contact.name || null,
-                contact.metadata ? JSON.stringify(contact.metadata) : null
-            ]);
+            await this.schemaReady;
+
+            // Numbers on the user's or the platform-wide do-not-call list never enter the campaign.
+            // Numbers without a country code are read in the country the campaign calls from.
+            const [campaigns] = await this.mysqlPool.execute('SELECT id, user_id, phone_number_id FROM campaigns WHERE id = ?', [campaignId]);
+            let blocked = new Set();
+            let country = null;
+            if (campaigns.length > 0) {
+                const [callerNumber] = await this.callerIdService.getCallerNumbers(campaigns[0]);
+                country = countryOfNumber(callerNumber?.phone_number);
+                blocked = await this.dncService.findBlocked(campaigns[0].user_id, contacts.map(contact => contact.phone_number), country);
+            }
+            const allowed = contacts.filter(contact => !blocked.has(DncService.normalizeNumber(contact.phone_number, country)));
+            const suppressed = contacts.length - allowed.length;
+            if (suppressed > 0) {
+                console.log(`🚫 Suppressed ${suppressed} do-not-call number(s) for campaign ${campaignId}`);
+            }
+            if (allowed.length === 0) {
+                return { success: true, added: 0, suppressed };
+            }
+
+            const values = allowed.map(contact => {
+                const timezone = contact.timezone || contact.metadata?.timezone;
+                return [
+                    uuidv4(),
+                    campaignId,
+                    contact.phone_number,
+                    contact.name || null,
+                    contact.metadata ? JSON.stringify(contact.metadata) : null,
+                    isValidTimezone(timezone) ? timezone : null
+                ];
+            });
 
             await this.mysqlPool.query(
-                `INSERT INTO campaign_contacts (id, campaign_id, phone_number, name, metadata)
+                `INSERT INTO campaign_contacts (id, campaign_id, phone_number, name, metadata, timezone)
          VALUES ?`,
                 [values]
             );
@@ -66,23 +168,61 @@ class CampaignService {
                 [campaignId, campaignId]
             );
 
-            return { success: true, added: contacts.length };
+            return { success: true, added: allowed.length, suppressed };
         } catch (error) {
             console.error('Error adding contacts:', error);
             throw error;
         }
     }
 
+    /**
+     * Placeholders of the campaign's agent (identity, greeting line, voicemail
+     * message, tool parameter defaults) that some contacts have no value for.
+     * Not checked when the agent has a prefetch webhook, which may supply them.
+     * @param {Array<Object>} contacts - { phone_number, name, metadata } as passed to addContacts()
+     * @returns {Promise<Array<Object>>} [{ variable, rows: [1-based contact numbers] }], [] when all are present
+     */
+    async findMissingVariables(campaignId, contacts) {
+        const [agents] = await this.mysqlPool.execute(
+            `SELECT a.identity, a.settings, a.tools FROM campaigns c
+             JOIN agents a ON a.id = c.agent_id
+             WHERE c.id = ?`,
+            [campaignId]
+        );
+        if (agents.length === 0) return [];
+
+        const parse = (value) => (typeof value === 'string' ? JSON.parse(value) : value) || {};
+        const settings = parse(agents[0].settings);
+        if (settings.prefetchDataWebhook?.trim()) return [];
+
+        const tools = parse(agents[0].tools);
+        const templates = [
+            agents[0].identity,
+            settings.greetingLine,
+            settings.voicemailMessage,
+            ...(Array.isArray(tools) ? tools : []).flatMap(tool => (tool.parameters || []).map(param => param.defaultValue))
+        ];
+        const variables = [...new Set(templates.flatMap(templateVariables))]
+            .filter(variable => !CALL_VARIABLES.includes(variable));
+
+        return variables
+            .map(variable => ({
+                variable,
+                rows: contacts
+                    .map((contact, index) => {
+                        const value = variable === 'name' ? contact.name : contact.metadata?.[variable];
+                        return value == null || String(value).trim() === '' ? index + 1 : null;
+                    })
+                    .filter(Boolean)
+            }))
+            .filter(missing => missing.rows.length > 0);
+    }
+
     /**
      * Start a campaign
      */
     async startCampaign(campaignId, userId) {
         try {
-            // Check if campaign is already running
-            if (this.activeCampaigns.has(campaignId)) {
-                throw new Error('Campaign is already running');
-            }
-
             // Get campaign details to check phone_number_id and agent_id
             const [campaigns] = await this.mysqlPool.execute(
                 'SELECT * FROM campaigns WHERE id = ? AND user_id = ?',
@@ -122,7 +262,7 @@ class CampaignService {
                 throw new Error('Insufficient balance to start campaign. Minimum $1.00 required.');
             }
 
-            // Update campaign status (only if not already running)
+            // Update campaign status (only if not already running), the dialer picks it up from here
             const [result] = await this.mysqlPool.execute(
                 `UPDATE campaigns SET status = 'running', started_at = NOW()
          WHERE id = ? AND status IN ('draft', 'paused')`,
@@ -133,8 +273,10 @@ class CampaignService {
                 throw new Error('Campaign is already running or does not exist');
             }
 
-            // Mark as active in memory (processCampaign will be called from server.js)
-            this.activeCampaigns.set(campaignId, { status: 'running' });
+            this.webhookService.emitEvent(userId, 'campaign.started', {
+                campaign_id: campaignId,
+                name: campaign.name
+            }, { agentId: campaign.agent_id });
 
             return { success: true, message: 'Campaign started' };
         } catch (error) {
@@ -144,149 +286,315 @@ class CampaignService {
     }
 
     /**
-     * Process campaign - make calls to all contacts with concurrent call limit
+     * Dial campaigns in the background. Every server instance runs a dialer;
+     * running campaigns are leased to one instance at a time, so instances share
+     * the work and a campaign left behind by a stopped instance is picked up by
+     * another (or by the same one after a restart) once its lease runs out.
      */
-    async processCampaign(campaignId, userId) {
-        try {
-            console.log(`📞 Starting campaign ${campaignId}`);
-            this.activeCampaigns.set(campaignId, { status: 'running' });
+    startDialer(intervalMs = DIALER_INTERVAL_MS) {
+        if (this.dialerTimer || !this.mysqlPool) return;
+        this.dialerTimer = setInterval(() => this.runDialer(), intervalMs);
+        this.runDialer();
+        console.log(`✅ Campaign dialer started (${this.workerId})`);
+    }
 
-            // Get campaign details
-            const [campaigns] = await this.mysqlPool.execute(
-                `SELECT c.*, a.voice_id, a.identity, a.settings
-         FROM campaigns c
-         JOIN agents a ON c.agent_id = a.id
-         WHERE c.id = ?`,
-                [campaignId]
+    /**
+     * Stop dialing and hand the leased campaigns back so another instance takes them over right away
+     */
+    async stopDialer() {
+        clearInterval(this.dialerTimer);
+        this.dialerTimer = null;
+
+        try {
+            await this.mysqlPool.execute(
+                'UPDATE campaigns SET lease_owner = NULL, lease_expires_at = NULL WHERE lease_owner = ?',
+                [this.workerId]
             );
+        } catch (error) {
+            console.error('❌ Error releasing campaign leases:', error.message);
+        }
+    }
 
-            if (campaigns.length === 0) {
-                throw new Error('Campaign not found');
+    /**
+     * One dialer pass: renew and take leases, then dial the next batch of every leased campaign that is due
+     */
+    async runDialer() {
+        if (this.dialerBusy) return;
+        this.dialerBusy = true;
+
+        try {
+            await this.schemaReady;
+            await this.releaseStaleContacts();
+
+            const campaignIds = await this.leaseCampaigns();
+            for (const campaignId of campaignIds) {
+                try {
+                    await this.dialNextBatch(campaignId);
+                } catch (error) {
+                    console.error(`❌ Error dialing campaign ${campaignId}:`, error.message);
+                }
             }
+        } catch (error) {
+            console.error('❌ Error running campaign dialer:', error.message);
+        } finally {
+            this.dialerBusy = false;
+        }
+    }
 
-            const campaign = campaigns[0];
-            const agentSettings = typeof campaign.settings === 'string'
-                ? JSON.parse(campaign.settings)
-                : campaign.settings;
+    /**
+     * Renew this instance's leases and take over running campaigns nobody holds
+     * @returns {Promise<Array<string>>} IDs of the running campaigns this instance holds
+     */
+    async leaseCampaigns() {
+        // Paused, stopped and completed campaigns drop out here, whichever instance changed their status
+        await this.mysqlPool.execute(
+            `UPDATE campaigns SET lease_expires_at = NOW() + INTERVAL ${CAMPAIGN_LEASE_SECONDS} SECOND
+             WHERE lease_owner = ? AND status = 'running'`,
+            [this.workerId]
+        );
+        await this.mysqlPool.execute(
+            `UPDATE campaigns SET lease_owner = NULL, lease_expires_at = NULL
+             WHERE lease_owner = ? AND status <> 'running'`,
+            [this.workerId]
+        );
 
-            // Get campaign settings
-            const [settings] = await this.mysqlPool.execute(
-                'SELECT * FROM campaign_settings WHERE campaign_id = ?',
-                [campaignId]
+        const [held] = await this.mysqlPool.execute(
+            'SELECT COUNT(*) AS count FROM campaigns WHERE lease_owner = ?',
+            [this.workerId]
+        );
+        const free = MAX_LEASED_CAMPAIGNS - Number(held[0].count);
+        if (free > 0) {
+            const [taken] = await this.mysqlPool.execute(
+                `UPDATE campaigns
+                 SET lease_owner = ?, lease_expires_at = NOW() + INTERVAL ${CAMPAIGN_LEASE_SECONDS} SECOND
+                 WHERE status = 'running' AND (lease_owner IS NULL OR lease_expires_at < NOW())
+                 ORDER BY started_at ASC
+                 LIMIT ${free}`,
+                [this.workerId]
             );
-            const campaignSettings = settings[0] || { call_interval_seconds: 10 };
+            if (taken.affectedRows > 0) {
+                console.log(`📋 Dialer ${this.workerId} took over ${taken.affectedRows} campaign(s)`);
+            }
+        }
 
-            // Get concurrent calls limit (default to 2 if not set)
-            const concurrentCallsLimit = campaign.concurrent_calls || 2;
-            console.log(`🔢 Concurrent calls limit: ${concurrentCallsLimit}`);
+        const [campaigns] = await this.mysqlPool.execute(
+            'SELECT id FROM campaigns WHERE lease_owner = ? AND status = \'running\'',
+            [this.workerId]
+        );
+        return campaigns.map(campaign => campaign.id);
+    }
 
-            // Get pending contacts
-            const [contacts] = await this.mysqlPool.execute(
-                `SELECT * FROM campaign_contacts 
-         WHERE campaign_id = ? AND status = 'pending'
-         ORDER BY created_at ASC`,
+    /**
+     * Contacts are claimed ('calling') before their call is placed. A claim
+     * without a call after CONTACT_CLAIM_TIMEOUT_SECONDS belongs to an instance
+     * that died while dialing, so the contact goes back in the queue.
+     */
+    async releaseStaleContacts() {
+        const [result] = await this.mysqlPool.execute(
+            `UPDATE campaign_contacts SET status = 'pending', attempts = GREATEST(attempts - 1, 0)
+             WHERE status = 'calling' AND call_id IS NULL
+               AND last_attempt_at < NOW() - INTERVAL ${CONTACT_CLAIM_TIMEOUT_SECONDS} SECOND`
+        );
+        if (result.affectedRows > 0) {
+            console.log(`♻️ Requeued ${result.affectedRows} campaign contact(s) left behind by a stopped dialer`);
+        }
+    }
+
+    /**
+     * Dial as many contacts of a leased campaign as its pacing allows (see
+     * pacingService.js), and complete the campaign once no contact is left to call
+     */
+    async dialNextBatch(campaignId) {
+        const [campaigns] = await this.mysqlPool.execute(
+            `SELECT c.*, a.id AS agent_exists, a.voice_id, a.identity, a.settings
+             FROM campaigns c
+             LEFT JOIN agents a ON c.agent_id = a.id
+             WHERE c.id = ? AND c.status = 'running' AND c.lease_owner = ?`,
+            [campaignId, this.workerId]
+        );
+        if (campaigns.length === 0) return;
+
+        const campaign = campaigns[0];
+        if (!campaign.agent_exists) {
+            console.error(`❌ Agent of campaign ${campaignId} not found, cancelling the campaign`);
+            await this.mysqlPool.execute(
+                `UPDATE campaigns SET status = 'cancelled', lease_owner = NULL, lease_expires_at = NULL WHERE id = ?`,
                 [campaignId]
             );
+            return;
+        }
 
-            console.log(`📋 Found ${contacts.length} contacts to call`);
-            console.log(`⏱️ Call interval: ${campaignSettings.call_interval_seconds} seconds between batches`);
+        const agentSettings = typeof campaign.settings === 'string'
+            ? JSON.parse(campaign.settings)
+            : campaign.settings;
+
+        // Calls already out count against the campaign's target and the Twilio accounts' caps
+        const callerNumbers = await this.callerIdService.getCallerNumbers(campaign);
+        const accountSids = [...new Set(callerNumbers.map(number => number.twilio_account_sid).filter(Boolean))];
+        const pacing = await this.pacingService.getDialSlots(campaign, accountSids);
+        const slots = pacing.slots;
+
+        const schedule = typeof campaign.schedule === 'string' ? JSON.parse(campaign.schedule) : campaign.schedule;
+
+        // With a schedule some due contacts may be outside their window, look further ahead for callable ones
+        const [candidates] = await this.mysqlPool.execute(
+            `SELECT * FROM campaign_contacts
+             WHERE campaign_id = ? AND status = 'pending'
+               AND (next_attempt_at IS NULL OR next_attempt_at <= NOW())
+             ORDER BY created_at ASC
+             LIMIT ${Math.max(slots, 1) * (schedule ? 10 : 1)}`,
+            [campaignId]
+        );
 
-            // Process contacts in batches based on concurrent calls limit
-            for (let i = 0; i < contacts.length; i += concurrentCallsLimit) {
-                // Check if campaign is still running
-                const campaignState = this.activeCampaigns.get(campaignId);
-                if (!campaignState || campaignState.status !== 'running') {
-                    console.log(`⏸️ Campaign ${campaignId} paused or stopped`);
-                    break;
-                }
+        // Numbers can be added to the do-not-call list after their contact was, e.g. by another campaign's call
+        const country = countryOfNumber(callerNumbers[0]?.phone_number);
+        const blocked = await this.dncService.findBlocked(campaign.user_id, candidates.map(contact => contact.phone_number), country);
 
-                // Get batch of contacts
-                const batch = contacts.slice(i, i + concurrentCallsLimit);
-                console.log(`\n📞 Processing batch ${Math.floor(i / concurrentCallsLimit) + 1}/${Math.ceil(contacts.length / concurrentCallsLimit)}: ${batch.length} concurrent calls`);
+        const contacts = [];
+        let held = 0;
+        for (const contact of candidates) {
+            if (contacts.length >= slots) break;
+            if (blocked.has(DncService.normalizeNumber(contact.phone_number, country))) {
+                await this.mysqlPool.execute(
+                    `UPDATE campaign_contacts
+                     SET status = 'failed', error_message = 'Number is on the do-not-call list', completed_at = NOW()
+                     WHERE id = ? AND status = 'pending'`,
+                    [contact.id]
+                );
+                continue;
+            }
+            if (await this.checkCallingWindow(contact, schedule)) {
+                contacts.push(contact);
+            } else {
+                held++;
+            }
+        }
+        if (held > 0) {
+            console.log(`🕘 Campaign ${campaignId}: ${held} contact(s) held until their calling window opens`);
+        }
+        if (contacts.length === 0 && (candidates.length > 0 || pacing.live > 0)) return;
+
+        if (contacts.length === 0) {
+            // Contacts waiting for a retry, or on a call that may still be retried, keep the campaign running
+            const [remaining] = await this.mysqlPool.execute(
+                `SELECT COUNT(*) AS count FROM campaign_contacts
+                 WHERE campaign_id = ?
+                   AND (status = 'pending'
+                        OR (status = 'calling' AND last_attempt_at > NOW() - INTERVAL ${CALL_RESULT_TIMEOUT_MINUTES} MINUTE))`,
+                [campaignId]
+            );
+            if (Number(remaining[0].count) === 0) {
+                await this.completeCampaign(campaignId);
+            }
+            return;
+        }
 
-                // Check user balance before batch
-                const balanceCheck = await this.walletService.checkBalanceForCall(userId, 0.10 * batch.length);
-                if (!balanceCheck.allowed) {
-                    console.error(`❌ Insufficient balance, pausing campaign ${campaignId}`);
-                    await this.pauseCampaign(campaignId);
-                    break;
-                }
+        // Check user balance before batch
+        const balanceCheck = await this.walletService.checkBalanceForCall(campaign.user_id, 0.10 * contacts.length);
+        if (!balanceCheck.allowed) {
+            console.error(`❌ Insufficient balance, pausing campaign ${campaignId}`);
+            await this.pauseCampaign(campaignId);
+            return;
+        }
 
-                // Make calls concurrently for this batch
-                const callPromises = batch.map(contact => {
-                    console.log(`🔄 Initiating call to ${contact.phone_number}...`);
-                    return this.makeCall(campaignId, contact, campaign, agentSettings)
-                        .catch(error => {
-                            console.error(`Error calling ${contact.phone_number}:`, error);
-                            return { success: false, error: error.message };
-                        });
-                });
+        // Caller numbers are picked one call at a time, so the rotation moves on with each call
+        const calls = [];
+        for (const contact of contacts) {
+            const callerNumber = callerNumbers.length > 0
+                ? await this.callerIdService.pickCallerNumber(campaign, callerNumbers, contact.phone_number)
+                : null;
+            if (callerNumbers.length > 0 && !callerNumber) {
+                console.log(`🚫 Campaign ${campaignId}: every caller number reached its daily call cap`);
+                break;
+            }
+            calls.push({ contact, callerNumber });
+        }
+        if (calls.length === 0) return;
 
-                // Wait for all calls in this batch to be initiated
-                await Promise.all(callPromises);
-                console.log(`✅ Batch ${Math.floor(i / concurrentCallsLimit) + 1} initiated`);
+        const accountUsage = pacing.accounts.map(account => `, ${account.accountSid} ${account.live}/${account.limit} live`).join('');
+        console.log(`\n📞 Campaign ${campaignId}: dialing ${calls.length} contact(s), ${pacing.live} live (${pacing.answered} answered), ${campaign.pacing_mode || 'fixed'} pacing${accountUsage}`);
 
-                // Wait between batches (prevents calling all numbers at once)
-                if (i + concurrentCallsLimit < contacts.length) {
-                    const waitTime = campaignSettings && campaignSettings.call_interval_seconds > 0
-                        ? campaignSettings.call_interval_seconds
-                        : 10; // Default 10 seconds
+        await Promise.all(calls.map(async ({ contact, callerNumber }) => {
+            const claimed = await this.claimContact(campaignId, contact.id, callerNumber ? callerNumber.twilio_account_sid : null);
+            if (!claimed) {
+                await this.callerIdService.releaseCallerNumber(callerNumber);
+                return;
+            }
 
-                    console.log(`⏳ Waiting ${waitTime} seconds before next batch...`);
-                    await new Promise(resolve =>
-                        setTimeout(resolve, waitTime * 1000)
-                    );
-                }
+            console.log(`🔄 Initiating call to ${contact.phone_number}...`);
+            const result = await this.makeCall(campaignId, contact, campaign, agentSettings, callerNumber)
+                .catch(error => {
+                    console.error(`Error calling ${contact.phone_number}:`, error);
+                    return { success: false };
+                });
+            if (!result.success) {
+                await this.callerIdService.releaseCallerNumber(callerNumber);
             }
+        }));
+    }
 
-            // Mark campaign as completed
-            await this.completeCampaign(campaignId);
+    /**
+     * Hold a contact outside its calling window until the window opens (by
+     * moving its next_attempt_at there), or give up on it once the schedule has ended
+     * @param {Object} contact - campaign_contacts row
+     * @param {Object|null} schedule - Campaign schedule
+     * @returns {Promise<boolean>} Whether the contact may be called now
+     */
+    async checkCallingWindow(contact, schedule) {
+        if (!schedule) return true;
 
-        } catch (error) {
-            console.error(`Error processing campaign ${campaignId}:`, error);
+        const now = new Date();
+        const callableAt = nextCallingTime(schedule, contactTimezone(contact, schedule), now);
+        if (callableAt && callableAt <= now) return true;
+
+        if (!callableAt) {
             await this.mysqlPool.execute(
-                `UPDATE campaigns SET status = 'cancelled' WHERE id = ?`,
-                [campaignId]
+                `UPDATE campaign_contacts
+                 SET status = 'failed', error_message = 'Campaign schedule ended before the contact was called', completed_at = NOW()
+                 WHERE id = ? AND status = 'pending'`,
+                [contact.id]
             );
-        } finally {
-            this.activeCampaigns.delete(campaignId);
+            return false;
         }
+
+        await this.mysqlPool.execute(
+            `UPDATE campaign_contacts SET next_attempt_at = ? WHERE id = ? AND status = 'pending'`,
+            [callableAt, contact.id]
+        );
+        return false;
+    }
+
+    /**
+     * Mark a contact as being called, only while the campaign is still running
+     * under this instance's lease, so a pause or stop takes effect before the next dial
+     * @returns {Promise<boolean>} Whether the contact is this instance's to call
+     */
+    async claimContact(campaignId, contactId, accountSid = null) {
+        const [result] = await this.mysqlPool.execute(
+            `UPDATE campaign_contacts cc
+             JOIN campaigns c ON c.id = cc.campaign_id
+             SET cc.status = 'calling', cc.attempts = cc.attempts + 1, cc.last_attempt_at = NOW(),
+                 cc.call_id = NULL, cc.answered_by = NULL, cc.voicemail_action = NULL,
+                 cc.answered_at = NULL, cc.twilio_account_sid = ?
+             WHERE cc.id = ? AND cc.status = 'pending'
+               AND c.id = ? AND c.status = 'running' AND c.lease_owner = ?`,
+            [accountSid, contactId, campaignId, this.workerId]
+        );
+        return result.affectedRows > 0;
     }
 
     /**
      * Make a call to a contact
+     * @param {Object|null} twilioInfo - Number to call from, see CallerIdService.pickCallerNumber()
      */
-    async makeCall(campaignId, contact, campaign, agentSettings) {
+    async makeCall(campaignId, contact, campaign, agentSettings, twilioInfo) {
         try {
             console.log(`📞 Calling ${contact.phone_number} (${contact.name || 'Unknown'})`);
 
-            // Update contact status
-            await this.mysqlPool.execute(
-                `UPDATE campaign_contacts 
-         SET status = 'calling', attempts = attempts + 1, last_attempt_at = NOW()
-         WHERE id = ?`,
-                [contact.id]
-            );
-
-            // Get Twilio credentials and phone number for this user/campaign
-            let query = 'SELECT phone_number, twilio_account_sid, twilio_auth_token FROM user_twilio_numbers WHERE user_id = ?';
-            let params = [campaign.user_id];
-
-            // If campaign has a specific phone number assigned, use it
-            if (campaign.phone_number_id) {
-                query += ' AND id = ?';
-                params.push(campaign.phone_number_id);
-            } else {
-                query += ' AND verified = TRUE LIMIT 1';
-            }
-
-            const [twilioNumbers] = await this.mysqlPool.execute(query, params);
-
-            if (twilioNumbers.length === 0) {
+            if (!twilioInfo) {
                 throw new Error('No active/verified Twilio number found for this user');
             }
 
-            const twilioInfo = twilioNumbers[0];
             const fromNumber = twilioInfo.phone_number;
             const accountSid = twilioInfo.twilio_account_sid;
             const encryptedAuthToken = twilioInfo.twilio_auth_token;
@@ -308,19 +616,23 @@ class CampaignService {
             const userTwilioClient = twilio(accountSid, authToken);
 
             // Create TwiML URL with campaign parameters
+            // The voice session and the status callback both key this attempt on calls.id, see handleCallOutcome()
+            const callId = uuidv4();
+
             const twimlUrl = `${getBackendUrl()}/api/twilio/voice?` +
                 `agentId=${campaign.agent_id}&` +
                 `userId=${campaign.user_id}&` +
                 `campaignId=${campaignId}&` +
-                `contactId=${contact.id}`;
+                `contactId=${contact.id}&` +
+                `callId=${callId}`;
 
             // Make the call using the user-specific client
             const call = await userTwilioClient.calls.create({
                 from: fromNumber,
                 to: contact.phone_number,
                 url: twimlUrl,
-                statusCallback: `${getBackendUrl()}/api/twilio/status?callId=${contact.id}`,
-                statusCallbackEvent: ['completed'],
+                statusCallback: `${getBackendUrl()}/api/twilio/status?callId=${callId}&contactId=${contact.id}`,
+                statusCallbackEvent: ['answered', 'completed'],  // answered: see markCallAnswered()
                 statusCallbackMethod: 'POST',
                 record: true,  // Enable recording for campaign calls
                 recordingStatusCallback: `${getBackendUrl()}/api/twilio/recording-status?contactId=${contact.id}`,
@@ -331,7 +643,6 @@ class CampaignService {
             console.log(`✅ Call initiated: ${call.sid}`);
 
             // Create comprehensive call record for call history
-            const callId = uuidv4();
             await this.mysqlPool.execute(
                 `INSERT INTO calls (
                     id, user_id, agent_id, call_sid, from_number, to_number, 
@@ -347,7 +658,7 @@ class CampaignService {
                     'initiated',  // Initial status
                     'twilio_outbound',   // Must match ENUM: 'twilio_inbound', 'twilio_outbound', 'web_call'
                     campaignId,
-                    campaign.phone_number_id || null  // Use campaign's phone_number_id
+                    twilioInfo.id || campaign.phone_number_id || null  // Number picked from the campaign's pool
                 ]
             );
 
@@ -387,25 +698,39 @@ class CampaignService {
      */
     async pauseCampaign(campaignId) {
         await this.mysqlPool.execute(
-            `UPDATE campaigns SET status = 'paused' WHERE id = ?`,
+            `UPDATE campaigns SET status = 'paused', lease_owner = NULL, lease_expires_at = NULL WHERE id = ?`,
             [campaignId]
         );
-
-        const campaignState = this.activeCampaigns.get(campaignId);
-        if (campaignState) {
-            campaignState.status = 'paused';
-        }
     }
 
     /**
      * Complete a campaign
      */
     async completeCampaign(campaignId) {
-        await this.mysqlPool.execute(
-            `UPDATE campaigns SET status = 'completed', completed_at = NOW() WHERE id = ?`,
+        // Only a running campaign completes, and only once when several dialers race
+        const [result] = await this.mysqlPool.execute(
+            `UPDATE campaigns SET status = 'completed', completed_at = NOW(), lease_owner = NULL, lease_expires_at = NULL
+             WHERE id = ? AND status = 'running'`,
             [campaignId]
         );
+        if (result.affectedRows === 0) return;
         console.log(`✅ Campaign ${campaignId} completed`);
+
+        const [campaigns] = await this.mysqlPool.execute(
+            'SELECT user_id, agent_id, name FROM campaigns WHERE id = ?',
+            [campaignId]
+        );
+        if (campaigns.length > 0) {
+            const [counts] = await this.mysqlPool.execute(
+                'SELECT status, COUNT(*) AS count FROM campaign_contacts WHERE campaign_id = ? GROUP BY status',
+                [campaignId]
+            );
+            this.webhookService.emitEvent(campaigns[0].user_id, 'campaign.completed', {
+                campaign_id: campaignId,
+                name: campaigns[0].name,
+                contacts: Object.fromEntries(counts.map(row => [row.status, Number(row.count)]))
+            }, { agentId: campaigns[0].agent_id });
+        }
     }
 
     /**
@@ -429,8 +754,9 @@ class CampaignService {
 
     /**
      * Get campaign details with contact records
+     * @param {Object} [filters] - { disposition, sentiment } from the post-call analysis
      */
-    async getCampaignWithRecords(campaignId, userId) {
+    async getCampaignWithRecords(campaignId, userId, filters = {}) {
         // Get campaign details
         const [campaigns] = await this.mysqlPool.execute(
             `SELECT c.*, a.name as agent_name
@@ -445,13 +771,25 @@ class CampaignService {
         }
 
         const campaign = campaigns[0];
+        campaign.caller_number_ids = await this.callerIdService.getPool(campaignId);
 
         // Get campaign contacts/records
+        let recordsQuery = 'SELECT * FROM campaign_contacts WHERE campaign_id = ?';
+        const recordsParams = [campaignId];
+
+        if (filters.disposition) {
+            recordsQuery += ' AND disposition = ?';
+            recordsParams.push(filters.disposition);
+        }
+
+        if (filters.sentiment) {
+            recordsQuery += ' AND sentiment = ?';
+            recordsParams.push(filters.sentiment);
+        }
+
         const [records] = await this.mysqlPool.execute(
-            `SELECT * FROM campaign_contacts 
-       WHERE campaign_id = ?
-       ORDER BY created_at DESC`,
-            [campaignId]
+            `${recordsQuery} ORDER BY created_at DESC`,
+            recordsParams
         );
 
         // Map database fields to frontend-expected fields
@@ -501,6 +839,205 @@ class CampaignService {
         return contacts;
     }
 
+    /**
+     * Retry policy of a campaign row
+     * @returns {Object} { maxAttempts, delayMinutes, outcomes }
+     */
+    getRetryPolicy(campaign) {
+        const outcomes = typeof campaign.retry_outcomes === 'string'
+            ? JSON.parse(campaign.retry_outcomes)
+            : campaign.retry_outcomes;
+
+        return {
+            maxAttempts: campaign.retry_max_attempts || 1,
+            delayMinutes: campaign.retry_delay_minutes || 60,
+            outcomes: Array.isArray(outcomes) ? outcomes : DEFAULT_RETRY_OUTCOMES
+        };
+    }
+
+    /**
+     * Change how often and when unsuccessful calls of a campaign are retried
+     * @param {Object} policy - { maxAttempts (1-10, including the first call), delayMinutes, outcomes }
+     */
+    async updateRetryPolicy(campaignId, userId, { maxAttempts, delayMinutes, outcomes }) {
+        const invalid = outcomes.filter(outcome => !RETRYABLE_OUTCOMES.includes(outcome));
+        if (invalid.length > 0) {
+            throw new Error(`Unknown retry outcome(s): ${invalid.join(', ')}. Allowed: ${RETRYABLE_OUTCOMES.join(', ')}`);
+        }
+
+        await this.mysqlPool.execute(
+            `UPDATE campaigns SET retry_max_attempts = ?, retry_delay_minutes = ?, retry_outcomes = ?
+             WHERE id = ? AND user_id = ?`,
+            [maxAttempts, delayMinutes, JSON.stringify(outcomes), campaignId, userId]
+        );
+
+        return this.getCampaign(campaignId);
+    }
+
+    /**
+     * Set how a campaign paces its calls, see pacingService.js
+     * @param {Object} pacing - { mode, concurrentCalls, maxDialRatio, targetAbandonRate }
+     */
+    async updatePacing(campaignId, userId, { mode, concurrentCalls, maxDialRatio, targetAbandonRate }) {
+        if (!PacingService.PACING_MODES.includes(mode)) {
+            throw new Error(`Unknown pacing mode: ${mode}. Allowed: ${PacingService.PACING_MODES.join(', ')}`);
+        }
+
+        await this.mysqlPool.execute(
+            `UPDATE campaigns SET pacing_mode = ?, concurrent_calls = ?, max_dial_ratio = ?, target_abandon_rate = ?
+             WHERE id = ? AND user_id = ?`,
+            [mode, concurrentCalls, maxDialRatio, targetAbandonRate, campaignId, userId]
+        );
+
+        return this.getCampaign(campaignId);
+    }
+
+    /**
+     * Set the numbers a campaign rotates its calls over, see callerIdService.js
+     * @param {Object} callerPool - { strategy, phoneNumberIds: [] for the campaign's own number only }
+     * @returns {Promise<Object|null>} The campaign, null when it is not the user's
+     */
+    async updateCallerPool(campaignId, userId, { strategy, phoneNumberIds }) {
+        if (!CallerIdService.CALLER_ID_STRATEGIES.includes(strategy)) {
+            throw new Error(`Unknown caller ID strategy: ${strategy}. Allowed: ${CallerIdService.CALLER_ID_STRATEGIES.join(', ')}`);
+        }
+
+        const [campaigns] = await this.mysqlPool.execute(
+            'SELECT id FROM campaigns WHERE id = ? AND user_id = ?',
+            [campaignId, userId]
+        );
+        if (campaigns.length === 0) return null;
+
+        const unknown = await this.callerIdService.setPool(campaignId, userId, phoneNumberIds);
+        if (unknown.length > 0) {
+            throw new Error(`Unknown phone number(s): ${unknown.join(', ')}`);
+        }
+
+        await this.mysqlPool.execute(
+            'UPDATE campaigns SET caller_id_strategy = ? WHERE id = ?',
+            [strategy, campaignId]
+        );
+
+        const campaign = await this.getCampaign(campaignId);
+        campaign.caller_number_ids = await this.callerIdService.getPool(campaignId);
+        return campaign;
+    }
+
+    /**
+     * Set or clear (null) the calling window of a campaign
+     * @param {Object|null} schedule - Validated with validateSchedule()
+     */
+    async updateSchedule(campaignId, userId, schedule) {
+        await this.mysqlPool.execute(
+            'UPDATE campaigns SET schedule = ? WHERE id = ? AND user_id = ?',
+            [schedule ? JSON.stringify(schedule) : null, campaignId, userId]
+        );
+
+        // Contacts held for the old window are re-evaluated against the new one
+        await this.mysqlPool.execute(
+            `UPDATE campaign_contacts SET next_attempt_at = NULL
+             WHERE campaign_id = ? AND status = 'pending' AND attempts = 0`,
+            [campaignId]
+        );
+
+        return this.getCampaign(campaignId);
+    }
+
+    /**
+     * Note that a campaign call was answered, from its 'in-progress' status
+     * callback. Answered calls are what adaptive pacing keeps at its target.
+     */
+    async markCallAnswered(contactId) {
+        await this.mysqlPool.execute(
+            `UPDATE campaign_contacts SET answered_at = NOW()
+             WHERE id = ? AND status = 'calling' AND answered_at IS NULL`,
+            [contactId]
+        );
+    }
+
+    /**
+     * Record the outcome of a campaign call from its final Twilio status, and
+     * either schedule the contact's next attempt or close the contact
+     * @param {string} contactId - Campaign contact ID
+     * @param {string} callStatus - Final Twilio CallStatus
+     * @param {number} callDuration - Seconds, from the status callback
+     * @param {string} callId - calls.id of the attempt
+     * @returns {Promise<Object|null>} { outcome, retry, nextAttemptAt }, null when there was nothing to record
+     */
+    async handleCallOutcome(contactId, callStatus, callDuration = 0, callId = null) {
+        const [contacts] = await this.mysqlPool.execute(
+            `SELECT cc.id, cc.status, cc.attempts, cc.answered_by, cc.answered_at, cc.campaign_id,
+                    c.status AS campaign_status, c.retry_max_attempts, c.retry_delay_minutes, c.retry_outcomes
+             FROM campaign_contacts cc
+             JOIN campaigns c ON c.id = cc.campaign_id
+             WHERE cc.id = ?`,
+            [contactId]
+        );
+
+        // Twilio can repeat callbacks, only a contact that is being called has an outcome to record
+        const contact = contacts[0];
+        if (!contact || contact.status !== 'calling') return null;
+
+        const outcome = callOutcome(callStatus, contact.answered_by);
+        const recordAttempt = () => this.pacingService.recordAttempt({
+            campaignId: contact.campaign_id,
+            contactId,
+            callId,
+            outcome,
+            answered: !!contact.answered_at,
+            durationSeconds: parseInt(callDuration) || 0
+        }).catch(error => console.error(`Failed to record the call attempt of contact ${contactId}:`, error));
+
+        const policy = this.getRetryPolicy(contact);
+        const retry = policy.outcomes.includes(outcome)
+            && contact.attempts < policy.maxAttempts
+            && ['running', 'paused'].includes(contact.campaign_status);
+
+        if (retry) {
+            const [result] = await this.mysqlPool.execute(
+                `UPDATE campaign_contacts
+                 SET status = 'pending', last_outcome = ?,
+                     next_attempt_at = NOW() + INTERVAL ${Number(policy.delayMinutes)} MINUTE
+                 WHERE id = ? AND status = 'calling'`,
+                [outcome, contactId]
+            );
+            if (result.affectedRows === 0) return null;
+            await recordAttempt();
+
+            const nextAttemptAt = new Date(Date.now() + policy.delayMinutes * 60 * 1000);
+            console.log(`🔁 Contact ${contactId}: ${outcome}, attempt ${contact.attempts + 1}/${policy.maxAttempts} in ${policy.delayMinutes} min`);
+            return { outcome, retry: true, nextAttemptAt };
+        }
+
+        const finalStatus = outcome === 'completed' || outcome === 'voicemail' ? 'completed' : 'failed';
+        const [result] = await this.mysqlPool.execute(
+            `UPDATE campaign_contacts SET status = ?, last_outcome = ?, next_attempt_at = NULL
+             WHERE id = ? AND status = 'calling'`,
+            [finalStatus, outcome, contactId]
+        );
+        if (result.affectedRows === 0) return null;
+        await recordAttempt();
+
+        let callCost = 0;
+        if (callId) {
+            const [usage] = await this.mysqlPool.execute(
+                'SELECT COALESCE(SUM(total_cost), 0) AS total FROM service_usage WHERE call_id = ?',
+                [callId]
+            );
+            callCost = Number(usage[0].total);
+        }
+
+        await this.updateContactAfterCall(contactId, parseInt(callDuration) || 0, callCost, finalStatus);
+        if (finalStatus === 'failed') {
+            await this.mysqlPool.execute(
+                'UPDATE campaigns SET failed_calls = failed_calls + 1 WHERE id = ?',
+                [contact.campaign_id]
+            );
+        }
+
+        return { outcome, retry: false, nextAttemptAt: null };
+    }
+
     /**
      * Update campaign contact after call completion
      */
@@ -545,6 +1082,23 @@ class CampaignService {
         }
     }
 
+    /**
+     * Record the answering-machine detection outcome for a campaign contact
+     * @param {string} contactId - Campaign contact ID
+     * @param {string} answeredBy - human | machine | unknown
+     * @param {string|null} voicemailAction - hangup | left_message | continued
+     */
+    async recordVoicemailOutcome(contactId, answeredBy, voicemailAction = null) {
+        try {
+            await this.mysqlPool.execute(
+                `UPDATE campaign_contacts SET answered_by = ?, voicemail_action = ? WHERE id = ?`,
+                [answeredBy, voicemailAction, contactId]
+            );
+        } catch (error) {
+            console.error('Error recording voicemail outcome:', error.message);
+        }
+    }
+
     /**
      * Log call data to Google Sheets
      */
@@ -781,17 +1335,13 @@ class CampaignService {
      */
     async stopCampaign(campaignId, userId) {
         try {
+            // The dialer holding the campaign sees the status change before its next dial
             await this.mysqlPool.execute(
-                `UPDATE campaigns SET status = 'paused' WHERE id = ? AND user_id = ?`,
+                `UPDATE campaigns SET status = 'paused', lease_owner = NULL, lease_expires_at = NULL
+                 WHERE id = ? AND user_id = ?`,
                 [campaignId, userId]
             );
 
-            // Update in-memory state
-            const campaignState = this.activeCampaigns.get(campaignId);
-            if (campaignState) {
-                campaignState.status = 'paused';
-            }
-
             return { success: true, message: 'Campaign paused' };
         } catch (error) {
             console.error('Error stopping campaign:', error);
@@ -801,4 +1351,6 @@ class CampaignService {
 }
 
 
+CampaignService.RETRYABLE_OUTCOMES = RETRYABLE_OUTCOMES;
+
 module.exports = CampaignService;
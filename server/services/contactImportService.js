@@ -0,0 +1,259 @@
+/**
+ * Contact Import Service
+ * Turns a CSV file, XLSX workbook or Google Sheet into campaign contacts: the
+ * user maps columns to phone/name/timezone/custom fields, numbers are
+ * normalized to E.164 in a default country, and every row gets a line in the
+ * validation report (imported, invalid, duplicate or on the do-not-call list).
+ */
+const path = require('path');
+const fetch = require('node-fetch');
+const { parseCsv } = require('../utils/csv.js');
+const { readXlsx } = require('../utils/xlsx.js');
+const { toE164 } = require('../utils/phoneNumbers.js');
+const { isValidTimezone } = require('../utils/timezones.js');
+
+const MAX_IMPORT_ROWS = 50000;
+const INSERT_BATCH_SIZE = 1000;
+const PREVIEW_ROWS = 5;
+const GOOGLE_SHEET_TIMEOUT_MS = 15000;
+
+const PHONE_HEADER_PATTERN = /^(phone|phone ?number|mobile|mobile ?number|cell|msisdn|number|tel|telephone)$/i;
+const NAME_HEADER_PATTERN = /^(name|full ?name|contact ?name|customer ?name)$/i;
+const TIMEZONE_HEADER_PATTERN = /^(time ?zone|tz)$/i;
+
+/**
+ * Variable name of a column header, as used in {{variable}} placeholders ("Account ID" -> account_id)
+ */
+function toVariableName(header) {
+    return String(header).trim().toLowerCase().replace(/[^a-z0-9_]+/g, '_').replace(/^_+|_+$/g, '');
+}
+
+class ContactImportService {
+    constructor(mysqlPool, campaignService) {
+        this.pool = mysqlPool;
+        this.campaignService = campaignService;
+    }
+
+    /**
+     * Read the rows of an import source, header row first
+     * @param {Object} source - One of: file (multer file), csv (text), googleSheetUrl
+     * @returns {Promise<string[][]>}
+     */
+    async readRows({ file = null, csv = null, googleSheetUrl = null }) {
+        let rows;
+        if (file) {
+            const isXlsx = path.extname(file.originalname || '').toLowerCase() === '.xlsx'
+                || file.mimetype === 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+            rows = isXlsx ? readXlsx(file.buffer) : parseCsv(file.buffer.toString('utf8'));
+        } else if (googleSheetUrl) {
+            rows = parseCsv(await this.fetchGoogleSheet(googleSheetUrl));
+        } else {
+            rows = parseCsv(csv || '');
+        }
+
+        if (rows.length < 2) throw new Error('The file has no rows below the header');
+        if (rows.length - 1 > MAX_IMPORT_ROWS) throw new Error(`At most ${MAX_IMPORT_ROWS} rows can be imported at once`);
+        return rows;
+    }
+
+    /**
+     * Download a Google Sheet as CSV. The sheet must be shared with "anyone
+     * with the link"; the tab in the URL (#gid=) is used, the first one otherwise.
+     */
+    async fetchGoogleSheet(url) {
+        const id = (String(url).match(/\/spreadsheets\/d\/([a-zA-Z0-9-_]+)/) || [])[1];
+        if (!id) throw new Error('Not a Google Sheets URL');
+        const gid = (String(url).match(/[#&?]gid=(\d+)/) || [])[1];
+
+        const controller = new AbortController();
+        const timeout = setTimeout(() => controller.abort(), GOOGLE_SHEET_TIMEOUT_MS);
+        try {
+            const response = await fetch(
+                `https://docs.google.com/spreadsheets/d/${id}/export?format=csv${gid ? `&gid=${gid}` : ''}`,
+                { signal: controller.signal }
+            );
+            const contentType = response.headers.get('content-type') || '';
+            if (!response.ok || !contentType.includes('text/csv')) {
+                throw new Error('Could not download the sheet. Share it with "Anyone with the link" and try again');
+            }
+            return await response.text();
+        } catch (error) {
+            if (error.name === 'AbortError') throw new Error('Google Sheets did not respond in time');
+            throw error;
+        } finally {
+            clearTimeout(timeout);
+        }
+    }
+
+    /**
+     * Column headers, with a name made up for blank ones
+     */
+    headersOf(rows) {
+        return rows[0].map((header, index) => header.trim() || `Column ${index + 1}`);
+    }
+
+    /**
+     * Guess the mapping from the headers: the phone, name and time zone columns,
+     * every other column becomes a custom field named after its header
+     * @returns {Object} { phone, name, timezone, fields: { header: variable } }
+     */
+    suggestMapping(headers) {
+        const phone = headers.find(header => PHONE_HEADER_PATTERN.test(header)) || null;
+        const name = headers.find(header => NAME_HEADER_PATTERN.test(header)) || null;
+        const timezone = headers.find(header => TIMEZONE_HEADER_PATTERN.test(header)) || null;
+
+        const fields = {};
+        headers
+            .filter(header => ![phone, name, timezone].includes(header) && toVariableName(header))
+            .forEach(header => { fields[header] = toVariableName(header); });
+
+        return { phone, name, timezone, fields };
+    }
+
+    /**
+     * Check a mapping from the API against the file's headers
+     * @returns {string|null} What is wrong with it, null when it is valid
+     */
+    validateMapping(headers, mapping) {
+        if (!mapping || typeof mapping !== 'object') return 'Mapping must be an object';
+        if (!mapping.phone) return 'Map a column to the phone number';
+
+        const columns = [mapping.phone, mapping.name, mapping.timezone, ...Object.keys(mapping.fields || {})].filter(Boolean);
+        const unknown = columns.filter(column => !headers.includes(column));
+        if (unknown.length > 0) return `Unknown column(s): ${unknown.join(', ')}`;
+
+        const variables = Object.values(mapping.fields || {});
+        const invalid = variables.filter(variable => typeof variable !== 'string' || !/^[a-z0-9_]+$/i.test(variable));
+        if (invalid.length > 0) return 'Custom field names may only contain letters, digits and underscores';
+        if (new Set(variables).size !== variables.length) return 'Two columns are mapped to the same custom field';
+
+        return null;
+    }
+
+    /**
+     * What the import dialog shows before the user confirms the mapping
+     * @returns {Object} { headers, sampleRows, totalRows, mapping }
+     */
+    preview(rows) {
+        const headers = this.headersOf(rows);
+        return {
+            headers,
+            sampleRows: rows.slice(1, 1 + PREVIEW_ROWS),
+            totalRows: rows.length - 1,
+            mapping: this.suggestMapping(headers)
+        };
+    }
+
+    /**
+     * Validate every row and add the valid ones to the campaign
+     * @param {Object} campaign - Campaign row (id, user_id)
+     * @param {string[][]} rows - From readRows()
+     * @param {Object} options - { mapping, defaultCountry, dryRun: validate only }
+     * @returns {Promise<Object>} { summary: { total, imported, invalid, duplicates, doNotCall }, rows: [{ row, status, phoneNumber, message }] }
+     */
+    async importContacts(campaign, rows, { mapping, defaultCountry = null, dryRun = false }) {
+        const headers = this.headersOf(rows);
+        const column = (header) => (header ? headers.indexOf(header) : -1);
+        const phoneColumn = column(mapping.phone);
+        const nameColumn = column(mapping.name);
+        const timezoneColumn = column(mapping.timezone);
+        const fieldColumns = Object.entries(mapping.fields || {}).map(([header, variable]) => [column(header), variable]);
+
+        const [existing] = await this.pool.execute(
+            'SELECT phone_number FROM campaign_contacts WHERE campaign_id = ?',
+            [campaign.id]
+        );
+        const seen = new Set(existing.map(contact => toE164(contact.phone_number, defaultCountry).phoneNumber || contact.phone_number));
+
+        // Rows are numbered as in the spreadsheet, the header being row 1
+        const report = [];
+        const candidates = [];
+        rows.slice(1).forEach((values, index) => {
+            const line = { row: index + 2, status: 'invalid', phoneNumber: null, message: null };
+            report.push(line);
+
+            const { phoneNumber, error } = toE164(values[phoneColumn], defaultCountry);
+            line.phoneNumber = phoneNumber || (values[phoneColumn] || '').trim() || null;
+            if (error) {
+                line.message = error;
+                return;
+            }
+
+            const metadata = {};
+            fieldColumns.forEach(([index, variable]) => {
+                const value = (values[index] || '').trim();
+                if (value) metadata[variable] = value;
+            });
+
+            let timezone = timezoneColumn === -1 ? '' : (values[timezoneColumn] || '').trim();
+            if (timezone && !isValidTimezone(timezone)) {
+                line.message = `Unknown time zone "${timezone}", the number's time zone is used`;
+                timezone = '';
+            }
+
+            candidates.push({
+                line,
+                contact: {
+                    phone_number: phoneNumber,
+                    name: nameColumn === -1 ? null : (values[nameColumn] || '').trim() || null,
+                    timezone: timezone || null,
+                    metadata
+                }
+            });
+        });
+
+        // Every {{variable}} the agent uses needs a value in the row
+        const missingVariables = await this.campaignService.findMissingVariables(campaign.id, candidates.map(({ contact }) => contact));
+        const missingByIndex = new Map();
+        missingVariables.forEach(({ variable, rows: indexes }) => indexes.forEach(index => {
+            missingByIndex.set(index - 1, [...(missingByIndex.get(index - 1) || []), `{{${variable}}}`]);
+        }));
+
+        const blocked = await this.campaignService.dncService.findBlocked(
+            campaign.user_id,
+            candidates.map(({ contact }) => contact.phone_number)
+        );
+
+        // A number is taken by the first row that is imported, rejected rows don't count as earlier ones
+        const accepted = candidates.filter(({ line, contact }, index) => {
+            if (blocked.has(contact.phone_number)) {
+                line.status = 'do_not_call';
+                line.message = 'Number is on the do-not-call list';
+                return false;
+            }
+            if (seen.has(contact.phone_number)) {
+                line.status = 'duplicate';
+                line.message = 'Number is already in the campaign or earlier in the file';
+                return false;
+            }
+            if (missingByIndex.has(index)) {
+                line.message = `No value for ${missingByIndex.get(index).join(', ')}, used by the agent`;
+                return false;
+            }
+            seen.add(contact.phone_number);
+            line.status = dryRun ? 'valid' : 'imported';
+            return true;
+        });
+
+        if (!dryRun) {
+            for (let i = 0; i < accepted.length; i += INSERT_BATCH_SIZE) {
+                await this.campaignService.addContacts(campaign.id, accepted.slice(i, i + INSERT_BATCH_SIZE).map(({ contact }) => contact));
+            }
+            console.log(`📥 Imported ${accepted.length} of ${report.length} row(s) into campaign ${campaign.id}`);
+        }
+
+        const count = (status) => report.filter(line => line.status === status).length;
+        return {
+            summary: {
+                total: report.length,
+                [dryRun ? 'valid' : 'imported']: accepted.length,
+                invalid: count('invalid'),
+                duplicates: count('duplicate'),
+                doNotCall: count('do_not_call')
+            },
+            rows: report
+        };
+    }
+}
+
+module.exports = ContactImportService;
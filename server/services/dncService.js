@@ -0,0 +1,305 @@
+/**
+ * Do-Not-Call Service
+ * Registry of numbers that must not be called: each user has their own list,
+ * and numbers on the platform-wide list are blocked for every user. Campaign
+ * contacts on either list are suppressed when they are added and again right
+ * before they are dialed. Numbers are kept in E.164, like campaign contacts.
+ */
+const { parseCsv } = require('../utils/csv.js');
+const { toE164, countryOfNumber } = require('../utils/phoneNumbers.js');
+
+// user_id of platform-wide entries (a NULL user_id would defeat the unique key)
+const PLATFORM_SCOPE = '*';
+
+const SOURCES = ['manual', 'import', 'call', 'admin'];
+const PHONE_HEADER_PATTERN = /phone|number|mobile|msisdn/i;
+
+/**
+ * Comparable form of a phone number: E.164, as campaign contacts are stored
+ * @param {string|null} defaultCountry - ISO country of numbers without a country code
+ * @returns {string|null} null when it can't be a valid number (national numbers need defaultCountry)
+ */
+function normalizeNumber(phoneNumber, defaultCountry = null) {
+    return toE164(phoneNumber, defaultCountry).phoneNumber || null;
+}
+
+function csvField(value) {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+class DncService {
+    constructor(mysqlPool) {
+        this.pool = mysqlPool;
+        this.tableName = 'do_not_call_numbers';
+        this.tableReady = this.initTable();
+    }
+
+    async initTable() {
+        if (!this.pool) {
+            console.warn('MySQL pool not provided to DncService, table initialization skipped.');
+            return;
+        }
+
+        const createTableQuery = `
+            CREATE TABLE IF NOT EXISTS ${this.tableName} (
+                id INT AUTO_INCREMENT PRIMARY KEY,
+                user_id VARCHAR(255) NOT NULL,
+                phone_number VARCHAR(32) NOT NULL,
+                source VARCHAR(16) NOT NULL DEFAULT 'manual',
+                reason VARCHAR(255) NULL,
+                call_id VARCHAR(255) NULL,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                UNIQUE KEY uniq_user_number (user_id, phone_number),
+                INDEX idx_phone_number (phone_number)
+            ) ENGINE=InnoDB;
+        `;
+
+        try {
+            await this.pool.execute(createTableQuery);
+            console.log(`✅ Table ${this.tableName} check/creation successful.`);
+        } catch (error) {
+            console.error(`❌ Failed to initialize table ${this.tableName}:`, error);
+        }
+
+        await this.migrateNationalNumbers();
+    }
+
+    /**
+     * Entries saved before the list was kept in E.164 may hold bare national
+     * digits, which never match a contact. They are read in the country of
+     * the user's own phone numbers; the ones that can't be are left as they are.
+     */
+    async migrateNationalNumbers() {
+        try {
+            const [rows] = await this.pool.execute(
+                `SELECT d.id, d.phone_number, MIN(u.phone_number) AS own_number
+                 FROM ${this.tableName} d
+                 LEFT JOIN user_twilio_numbers u ON u.user_id = d.user_id
+                 WHERE d.phone_number NOT LIKE '+%'
+                 GROUP BY d.id, d.phone_number`
+            );
+            if (rows.length === 0) return;
+
+            let migrated = 0;
+            for (const row of rows) {
+                const phoneNumber = normalizeNumber(row.phone_number, countryOfNumber(row.own_number));
+                if (!phoneNumber) continue;
+
+                const [result] = await this.pool.execute(
+                    `UPDATE IGNORE ${this.tableName} SET phone_number = ? WHERE id = ?`,
+                    [phoneNumber, row.id]
+                );
+                // Already listed in E.164
+                if (result.affectedRows === 0) {
+                    await this.pool.execute(`DELETE FROM ${this.tableName} WHERE id = ?`, [row.id]);
+                }
+                migrated++;
+            }
+
+            console.log(`✅ Converted ${migrated} do-not-call number(s) to E.164`);
+            if (migrated < rows.length) {
+                console.warn(`⚠️ ${rows.length - migrated} do-not-call number(s) have no country code and no country to read them in`);
+            }
+        } catch (error) {
+            console.error(`❌ Failed to convert ${this.tableName} numbers to E.164:`, error.message);
+        }
+    }
+
+    /**
+     * Which of a user's numbers are on their own or the platform-wide list
+     * @param {string} userId
+     * @param {Array<string>} phoneNumbers
+     * @param {string|null} [defaultCountry] - ISO country of numbers without a country code
+     * @returns {Promise<Set<string>>} The blocked numbers, normalized
+     */
+    async findBlocked(userId, phoneNumbers, defaultCountry = null) {
+        const numbers = [...new Set(phoneNumbers.map(number => normalizeNumber(number, defaultCountry)).filter(Boolean))];
+        if (numbers.length === 0) return new Set();
+        await this.tableReady;
+
+        const blocked = new Set();
+        // Chunked so a large import doesn't build one huge IN list
+        for (let i = 0; i < numbers.length; i += 1000) {
+            const chunk = numbers.slice(i, i + 1000);
+            const [rows] = await this.pool.query(
+                `SELECT DISTINCT phone_number FROM ${this.tableName}
+                 WHERE user_id IN (?, ?) AND phone_number IN (?)`,
+                [userId, PLATFORM_SCOPE, chunk]
+            );
+            rows.forEach(row => blocked.add(row.phone_number));
+        }
+        return blocked;
+    }
+
+    /**
+     * Whether a number must not be called for a user
+     */
+    async isBlocked(userId, phoneNumber, defaultCountry = null) {
+        const blocked = await this.findBlocked(userId, [phoneNumber], defaultCountry);
+        return blocked.size > 0;
+    }
+
+    /**
+     * Add numbers to a user's list, or the platform-wide list with userId null
+     * @param {string|null} userId
+     * @param {Array<string>} phoneNumbers
+     * @param {Object} [details] - { source: manual | import | call | admin, reason, callId, defaultCountry }
+     * @returns {Promise<Object>} { added, alreadyListed, invalid: [numbers that aren't phone numbers] }
+     */
+    async addNumbers(userId, phoneNumbers, { source = 'manual', reason = null, callId = null, defaultCountry = null } = {}) {
+        await this.tableReady;
+
+        const invalid = phoneNumbers.filter(number => !normalizeNumber(number, defaultCountry));
+        const numbers = [...new Set(phoneNumbers.map(number => normalizeNumber(number, defaultCountry)).filter(Boolean))];
+        if (numbers.length === 0) return { added: 0, alreadyListed: 0, invalid };
+
+        const scope = userId || PLATFORM_SCOPE;
+        const entrySource = SOURCES.includes(source) ? source : 'manual';
+        let added = 0;
+
+        for (let i = 0; i < numbers.length; i += 1000) {
+            const values = numbers.slice(i, i + 1000).map(number => [scope, number, entrySource, reason, callId]);
+            const [result] = await this.pool.query(
+                `INSERT IGNORE INTO ${this.tableName} (user_id, phone_number, source, reason, call_id) VALUES ?`,
+                [values]
+            );
+            added += result.affectedRows;
+        }
+
+        return { added, alreadyListed: numbers.length - added, invalid };
+    }
+
+    /**
+     * Put the other party of a call on the user's list: the caller of an
+     * inbound call, the called number of an outbound one
+     * @param {string} userId
+     * @param {string} callId - calls.id
+     * @param {string|null} reason - What the caller said
+     * @returns {Promise<string|null>} The number added, null when the call has no number
+     */
+    async addCallerOfCall(userId, callId, reason = null) {
+        try {
+            const [calls] = await this.pool.execute(
+                'SELECT from_number, to_number, direction FROM calls WHERE id = ?',
+                [callId]
+            );
+            const call = calls[0];
+            const phoneNumber = call && (call.direction === 'inbound' ? call.from_number : call.to_number);
+            if (!userId || !normalizeNumber(phoneNumber)) {
+                console.warn(`⚠️ No phone number to add to the do-not-call list for call ${callId}`);
+                return null;
+            }
+
+            await this.addNumbers(userId, [phoneNumber], { source: 'call', reason, callId });
+            console.log(`🚫 Added ${phoneNumber} to the do-not-call list of user ${userId}`);
+            return normalizeNumber(phoneNumber);
+        } catch (error) {
+            console.error('❌ Error adding caller to the do-not-call list:', error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Take a number off a user's list, or the platform-wide list with userId null
+     * @returns {Promise<boolean>} Whether the number was listed
+     */
+    async removeNumber(userId, phoneNumber, defaultCountry = null) {
+        const number = normalizeNumber(phoneNumber, defaultCountry);
+        if (!number) return false;
+        await this.tableReady;
+
+        const [result] = await this.pool.execute(
+            `DELETE FROM ${this.tableName} WHERE user_id = ? AND phone_number = ?`,
+            [userId || PLATFORM_SCOPE, number]
+        );
+        return result.affectedRows > 0;
+    }
+
+    /**
+     * Entries of a user's list, or the platform-wide list with userId null, newest first
+     * @param {Object} [options] - { search, limit, offset }
+     * @returns {Promise<Object>} { numbers, total }
+     */
+    async listNumbers(userId, { search = '', limit = 50, offset = 0 } = {}) {
+        await this.tableReady;
+
+        let where = 'WHERE user_id = ?';
+        const params = [userId || PLATFORM_SCOPE];
+        const digits = String(search).replace(/\D/g, '');
+        if (digits) {
+            where += ' AND phone_number LIKE ?';
+            params.push(`%${digits}%`);
+        }
+
+        const [[{ total }]] = await this.pool.execute(`SELECT COUNT(*) AS total FROM ${this.tableName} ${where}`, params);
+        const [rows] = await this.pool.execute(
+            `SELECT phone_number, source, reason, call_id, created_at FROM ${this.tableName}
+             ${where}
+             ORDER BY created_at DESC, id DESC
+             LIMIT ${Math.min(parseInt(limit) || 50, 1000)} OFFSET ${parseInt(offset) || 0}`,
+            params
+        );
+
+        return {
+            numbers: rows.map(row => ({
+                phoneNumber: row.phone_number,
+                source: row.source,
+                reason: row.reason,
+                callId: row.call_id,
+                createdAt: row.created_at
+            })),
+            total: Number(total)
+        };
+    }
+
+    /**
+     * Add the numbers of a CSV file: the column whose header mentions a phone
+     * number, or the first column of a file without a header line
+     * @returns {Promise<Object>} Same as addNumbers()
+     */
+    async importCsv(userId, csvText, { source = 'import', reason = null, defaultCountry = null } = {}) {
+        const rows = parseCsv(csvText);
+        if (rows.length === 0) return { added: 0, alreadyListed: 0, invalid: [] };
+
+        let column = rows[0].findIndex(header => PHONE_HEADER_PATTERN.test(header));
+        let dataRows = rows.slice(1);
+        if (column === -1) {
+            column = 0;
+            if (normalizeNumber(rows[0][0], defaultCountry)) dataRows = rows;
+        }
+
+        const numbers = dataRows.map(row => (row[column] || '').trim()).filter(Boolean);
+        return this.addNumbers(userId, numbers, { source, reason, defaultCountry });
+    }
+
+    /**
+     * A user's list, or the platform-wide list with userId null, as CSV
+     * @returns {Promise<string>}
+     */
+    async exportCsv(userId) {
+        await this.tableReady;
+
+        const [rows] = await this.pool.execute(
+            `SELECT phone_number, source, reason, created_at FROM ${this.tableName}
+             WHERE user_id = ?
+             ORDER BY created_at ASC, id ASC`,
+            [userId || PLATFORM_SCOPE]
+        );
+
+        const lines = ['phone_number,source,reason,added_at'];
+        rows.forEach(row => {
+            lines.push([
+                row.phone_number,
+                row.source,
+                row.reason,
+                row.created_at ? new Date(row.created_at).toISOString() : ''
+            ].map(csvField).join(','));
+        });
+        return lines.join('\n') + '\n';
+    }
+}
+
+DncService.normalizeNumber = normalizeNumber;
+
+module.exports = DncService;
@@ -0,0 +1,134 @@
+/**
+ * Document Ingestion Service
+ * Stores uploaded knowledge base files: extracts their text, keeps the
+ * original file next to the document row and indexes the text for retrieval.
+ */
+const { v4: uuidv4 } = require('uuid');
+const { ensureColumns } = require('../utils/dbSchema.js');
+const { extractText } = require('../utils/textExtraction.js');
+
+class DocumentIngestionService {
+    constructor(mysqlPool, knowledgeBaseService) {
+        this.pool = mysqlPool;
+        this.knowledgeBaseService = knowledgeBaseService;
+        this.filesTableName = 'document_files';
+        this.initTable();
+    }
+
+    async initTable() {
+        if (!this.pool) {
+            console.warn('MySQL pool not provided to DocumentIngestionService, table initialization skipped.');
+            return;
+        }
+
+        await ensureColumns(this.pool, 'documents', {
+            source_format: 'VARCHAR(20) NULL',
+            mime_type: 'VARCHAR(255) NULL',
+            file_size: 'INT NULL',
+            extraction_metadata: 'JSON NULL'
+        });
+
+        try {
+            await this.pool.execute(`
+                CREATE TABLE IF NOT EXISTS ${this.filesTableName} (
+                    document_id VARCHAR(36) PRIMARY KEY,
+                    file_name VARCHAR(255) NOT NULL,
+                    mime_type VARCHAR(255),
+                    size INT NOT NULL,
+                    data LONGBLOB NOT NULL,
+                    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+                ) ENGINE=InnoDB;
+            `);
+            console.log(`✅ Table ${this.filesTableName} check/creation successful.`);
+        } catch (error) {
+            console.error(`❌ Failed to initialize table ${this.filesTableName}:`, error);
+        }
+    }
+
+    /**
+     * Extract, store and index one uploaded file
+     * @param {Object} file - Multer file ({ originalname, mimetype, size, buffer })
+     * @returns {Promise<Object>} The stored document
+     * @throws {Error} When no text can be extracted from the file
+     */
+    async ingestFile(userId, agentId, file) {
+        const { text, format, metadata } = await extractText(file.buffer, {
+            fileName: file.originalname,
+            mimeType: file.mimetype
+        });
+
+        const document = await this.saveDocument(userId, agentId, {
+            name: file.originalname,
+            content: text,
+            format,
+            mimeType: file.mimetype,
+            size: file.size,
+            metadata
+        });
+
+        await this.pool.execute(
+            `INSERT INTO ${this.filesTableName} (document_id, file_name, mime_type, size, data) VALUES (?, ?, ?, ?, ?)`,
+            [document.id, file.originalname, file.mimetype || null, file.size, file.buffer]
+        );
+
+        console.log(`📄 Extracted ${metadata.characterCount} characters from ${format} file "${file.originalname}"`);
+        return document;
+    }
+
+    /**
+     * Store text that was already extracted by the client (legacy JSON uploads)
+     */
+    async ingestText(userId, agentId, name, content) {
+        return this.saveDocument(userId, agentId, {
+            name,
+            content,
+            format: 'text',
+            mimeType: null,
+            size: Buffer.byteLength(content),
+            metadata: { characterCount: content.length }
+        });
+    }
+
+    async saveDocument(userId, agentId, { name, content, format, mimeType, size, metadata }) {
+        const docId = uuidv4();
+
+        await this.pool.execute(
+            `INSERT INTO documents (id, user_id, agent_id, name, content, source_format, mime_type, file_size, extraction_metadata, uploaded_at)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, NOW())`,
+            [docId, userId, agentId || null, name, content, format, mimeType || null, size, JSON.stringify(metadata)]
+        );
+
+        // Documents that fail to index here are indexed on first use in a call
+        let chunkCount = null;
+        try {
+            chunkCount = await this.knowledgeBaseService.indexDocument(docId, content);
+        } catch (indexError) {
+            console.error('Error indexing document:', indexError);
+        }
+
+        return {
+            id: docId,
+            name,
+            agentId,
+            format,
+            size,
+            metadata,
+            chunkCount,
+            uploadedAt: new Date()
+        };
+    }
+
+    async getOriginalFile(documentId) {
+        const [rows] = await this.pool.execute(
+            `SELECT file_name, mime_type, data FROM ${this.filesTableName} WHERE document_id = ?`,
+            [documentId]
+        );
+        return rows[0] || null;
+    }
+
+    async removeOriginalFile(documentId) {
+        await this.pool.execute(`DELETE FROM ${this.filesTableName} WHERE document_id = ?`, [documentId]);
+    }
+}
+
+module.exports = DocumentIngestionService;
@@ -49,10 +49,32 @@ var database_js_1 = require("../config/database.js");
 var llmService_js_1 = require("../llmService.js");
 var uuid_1 = require("uuid");
 var stream_1 = require("stream");
+var SessionLifecycle = require("./sessionLifecycle.js");
+var CallControlService = require("./callControlService.js");
+var KnowledgeBaseService = require("./knowledgeBaseService.js");
+var mulaw_js_1 = require("../utils/mulaw.js");
 var sessions = new Map();
+// Inbound audio louder than this (RMS of 16-bit samples) is the caller talking
+var VOICE_RMS_THRESHOLD = 600;
+// Mark sent after the end message of a timed out session, Twilio echoes it once the message has played
+var SESSION_END_MARK = 'session_end';
+/**
+ * Whether a µ-law chunk from the media stream holds speech rather than line noise
+ */
+function isVoiced(mulawBuffer) {
+    var samples = mulaw_js_1.decodeMuLaw(mulawBuffer);
+    if (samples.length === 0) return false;
+    var sumSquares = 0;
+    for (var i = 0; i < samples.length; i++) {
+        sumSquares += samples[i] * samples[i];
+    }
+    return Math.sqrt(sumSquares / samples.length) > VOICE_RMS_THRESHOLD;
+}
 var ElevenLabsStreamHandler = /** @class */ (function () {
-    function ElevenLabsStreamHandler() {
+    function ElevenLabsStreamHandler(mysqlPool) {
         this.llmService = new llmService_js_1.LLMService();
+        this.callControlService = new CallControlService(mysqlPool || database_js_1.default);
+        this.knowledgeBaseService = new KnowledgeBaseService(mysqlPool || database_js_1.default);
     }
     /**
      * Create a new session for a call
@@ -82,6 +104,7 @@ var ElevenLabsStreamHandler = /** @class */ (function () {
     ElevenLabsStreamHandler.prototype.endSession = function (callId) {
         var session = sessions.get(callId);
         if (session) {
+            if (session.lifecycle) session.lifecycle.stop();
             sessions.delete(callId);
             console.log("Ended session for call ".concat(callId));
         }
@@ -133,6 +156,8 @@ var ElevenLabsStreamHandler = /** @class */ (function () {
                         }
                         elevenLabsClient = new (require('@elevenlabs/elevenlabs-js')).ElevenLabsClient({ apiKey: elevenLabsApiKey });
                         session = this.createSession(callId, agentId, userId, agentPrompt, voiceId, agentModel, ws, elevenLabsClient);
+                        session.callSid = callInfo.call_sid;
+                        session.agentSettings = agentConfig.settings || {};
                         console.log("Session created for call ".concat(callId, " with agent ").concat(agentConfig.name, " using voice ").concat(voiceId, " and model ").concat(agentModel));
                         heartbeatInterval = setInterval(function () {
                             if (ws.readyState === ws.OPEN) {
@@ -140,6 +165,13 @@ var ElevenLabsStreamHandler = /** @class */ (function () {
                             }
                         }, 25000);
                         _this = this;
+                        // Session timeouts and inactivity nudges from the agent settings
+                        session.lifecycle = new SessionLifecycle(agentConfig.settings || {}, {
+                            isBusy: function () { return session.isProcessing; },
+                            onNudge: function (message) { return _this.generateTTS(session, message); },
+                            onEnd: function (reason, endMessage) { return _this.endSessionForTimeout(session, reason, endMessage); }
+                        });
+                        session.lifecycle.start();
                         // Handle incoming messages from Twilio
                         ws.on('message', function (message) { return __awaiter(_this, void 0, void 0, function () {
                             var data, greetingLine;
@@ -148,6 +180,13 @@ var ElevenLabsStreamHandler = /** @class */ (function () {
                                     case 0:
                                         try {
                                             data = JSON.parse(message.toString());
+                                            if (data.event === 'start' && data.start) {
+                                                session.streamSid = data.start.streamSid;
+                                            }
+                                            if (data.event === 'mark' && data.mark && data.mark.name === SESSION_END_MARK) {
+                                                this.callControlService.hangup(session);
+                                                return [2 /*return*/];
+                                            }
                                             switch (data.event) {
                                                 case 'connected':
                                                     console.log("Call ".concat(callId, " connected to media stream"));
@@ -217,6 +256,10 @@ var ElevenLabsStreamHandler = /** @class */ (function () {
             return __generator(this, function (_a) {
                 try {
                     mulawBuffer = Buffer.from(base64Audio, 'base64');
+                    // The caller talking resets the silence clock of the session timeouts
+                    if (session.lifecycle && isVoiced(mulawBuffer)) {
+                        session.lifecycle.recordActivity();
+                    }
                     pcmBuffer = ulaw.decode(mulawBuffer);
                     // Accumulate audio in buffer
                     session.audioBuffer = Buffer.concat([session.audioBuffer, pcmBuffer]);
@@ -351,26 +394,37 @@ var ElevenLabsStreamHandler = /** @class */ (function () {
      */
     ElevenLabsStreamHandler.prototype.callLLM = function (session) {
         return __awaiter(this, void 0, void 0, function () {
-            var response, error_3;
+            var lastUserEntry, systemInstruction, response, error_3;
             return __generator(this, function (_a) {
                 switch (_a.label) {
                     case 0:
-                        _a.trys.push([0, 2, , 3]);
+                        _a.trys.push([0, 3, , 4]);
+                        lastUserEntry = session.context.slice().reverse().find(function (entry) { return entry.role === 'user'; });
+                        return [4 /*yield*/, this.knowledgeBaseService.buildTurnPrompt({
+                                agentPrompt: session.agentPrompt,
+                                documentIds: session.agentSettings ? session.agentSettings.knowledgeDocIds : undefined,
+                                query: lastUserEntry ? lastUserEntry.parts[0].text : '',
+                                callId: session.callId,
+                                agentId: session.agentId
+                            })];
+                    case 1:
+                        // Knowledge base excerpts relevant to what the caller just said go into the prompt for the turn
+                        systemInstruction = _a.sent();
                         return [4 /*yield*/, this.llmService.generateContent({
                                 model: session.agentModel,
                                 contents: session.context,
                                 config: {
-                                    systemInstruction: session.agentPrompt
+                                    systemInstruction: systemInstruction
                                 }
                             })];
-                    case 1:
+                    case 2:
                         response = _a.sent();
                         return [2 /*return*/, response.text];
-                    case 2:
+                    case 3:
                         error_3 = _a.sent();
                         console.error('Error calling LLM:', error_3);
                         return [2 /*return*/, 'Sorry, I encountered an error processing your request.'];
-                    case 3: return [2 /*return*/];
+                    case 4: return [2 /*return*/];
                 }
             });
         });
@@ -474,6 +528,32 @@ var ElevenLabsStreamHandler = /** @class */ (function () {
             });
         });
     };
+    /**
+     * Session limit reached: say the end message, then hang up once Twilio has played it
+     */
+    ElevenLabsStreamHandler.prototype.endSessionForTimeout = function (session, reason, endMessage) {
+        return __awaiter(this, void 0, void 0, function () {
+            return __generator(this, function (_a) {
+                switch (_a.label) {
+                    case 0:
+                        this.callControlService.recordTermination({ callSid: session.callSid, id: session.callId }, reason);
+                        return [4 /*yield*/, this.generateTTS(session, endMessage)];
+                    case 1:
+                        _a.sent();
+                        if (session.ws.readyState !== session.ws.OPEN) {
+                            return [2 /*return*/, this.callControlService.hangup(session)];
+                        }
+                        // Hung up when the mark comes back, see handleConnection
+                        session.ws.send(JSON.stringify({
+                            event: 'mark',
+                            streamSid: session.streamSid,
+                            mark: { name: SESSION_END_MARK }
+                        }));
+                        return [2 /*return*/];
+                }
+            });
+        });
+    };
     /**
      * Send audio to Twilio via WebSocket
      */
@@ -0,0 +1,135 @@
+/**
+ * End of Call Service
+ * Sends the call.ended event (the agent's end-of-call webhook and the user's
+ * event subscriptions) once everything that happens after a call (charging,
+ * post-call analysis, after-call tools, transcript writes) has settled, so the
+ * payload describes the finished call in full.
+ */
+
+// Campaign calls record their direction in call_type only
+const CALL_TYPE_DIRECTIONS = { twilio_outbound: 'outbound', twilio_inbound: 'inbound' };
+
+function parseJson(value) {
+    return typeof value === 'string' ? JSON.parse(value) : value;
+}
+
+class EndOfCallService {
+    constructor(mysqlPool, transcriptService, webhookService) {
+        this.pool = mysqlPool;
+        this.transcriptService = transcriptService;
+        this.webhookService = webhookService;
+    }
+
+    /**
+     * Deliver the call.ended event to settings.endOfCallWebhook and call.ended subscriptions
+     * @param {Object} session - Ended voice session (agentId, agentSettings, startTime, amd)
+     * @param {Object} params
+     * @param {string} params.callId - calls.id of the call
+     * @param {string} [params.contactId] - Campaign contact, for campaign calls
+     * @param {string} params.channel - 'phone' | 'web'
+     * @param {Array<Promise>} [params.waitFor] - After-call work the payload depends on
+     */
+    async sendEndOfCallWebhook(session, { callId, contactId = null, channel, waitFor = [] }) {
+        if (!callId || !this.pool) return null;
+        const endedAt = new Date();
+
+        try {
+            const url = session.agentSettings?.endOfCallWebhook?.trim();
+            const subscriptions = await this.webhookService.findSubscribers(session.userId, 'call.ended', session.agentId);
+            if (!url && subscriptions.length === 0) return null;
+
+            await Promise.allSettled([...waitFor, session.transcriptWrites]);
+
+            const data = await this.buildPayload(session, { callId, contactId, channel, endedAt });
+            if (subscriptions.length > 0) {
+                await this.webhookService.emitEvent(session.userId, 'call.ended', data, { agentId: session.agentId, callId });
+            }
+            if (!url) return null;
+
+            return await this.webhookService.sendEvent({
+                event: 'call.ended',
+                userId: session.userId,
+                agentId: session.agentId,
+                callId,
+                data,
+                webhookConfig: {
+                    url,
+                    secret: session.agentSettings.webhookSecret,
+                    previousSecret: session.agentSettings.webhookPreviousSecret,
+                    retries: session.agentSettings.webhookRetryAttempts || 3
+                }
+            });
+        } catch (error) {
+            console.error('❌ Error sending end-of-call webhook:', error.message);
+            return null;
+        }
+    }
+
+    async buildPayload(session, { callId, contactId, channel, endedAt }) {
+        // A phone session whose calls row could not be resolved is keyed on its CallSid
+        const [calls] = await this.pool.execute(
+            'SELECT * FROM calls WHERE id = ? OR call_sid = ? ORDER BY id = ? DESC LIMIT 1',
+            [callId, callId, callId]
+        );
+        const call = calls[0] || {};
+
+        const [usage] = await this.pool.execute(
+            'SELECT service_type, units_used, total_cost FROM service_usage WHERE call_id = ?',
+            [callId]
+        );
+
+        const [extractions] = await this.pool.execute(
+            'SELECT extracted_data, created_at FROM conversation_extractions WHERE call_id = ? ORDER BY created_at ASC',
+            [callId]
+        );
+
+        const transcript = await this.transcriptService.getTranscript(callId);
+        const startedAt = new Date(session.startTime || call.started_at || endedAt);
+
+        return {
+            call: {
+                id: call.id || callId,
+                channel,
+                campaign_id: session.campaignId || call.campaign_id || null,
+                contact_id: contactId,
+                direction: call.direction || CALL_TYPE_DIRECTIONS[call.call_type] || null,
+                from_number: call.from_number || null,
+                to_number: call.to_number || null,
+                answered_by: session.amd?.result || null,
+                started_at: startedAt.toISOString(),
+                ended_at: endedAt.toISOString(),
+                duration_seconds: Math.round((endedAt - startedAt) / 1000),
+                recording_url: call.recording_url || null
+            },
+            cost: {
+                total: usage.reduce((sum, row) => sum + Number(row.total_cost), 0),
+                breakdown: usage.map(row => ({
+                    service: row.service_type,
+                    units: Number(row.units_used),
+                    cost: Number(row.total_cost)
+                }))
+            },
+            transcript: transcript.map(entry => ({
+                role: entry.role,
+                content: entry.content,
+                data: entry.data,
+                stt_confidence: entry.sttConfidence,
+                latency_ms: entry.latencyMs,
+                interrupted: entry.interrupted,
+                timestamp: entry.timestamp
+            })),
+            extracted_data: extractions.map(row => ({
+                data: parseJson(row.extracted_data),
+                extracted_at: row.created_at
+            })),
+            analysis: call.analyzed_at ? {
+                summary: call.summary,
+                sentiment: call.sentiment,
+                disposition: call.disposition,
+                success_evaluation: parseJson(call.success_evaluation) || []
+            } : null
+        };
+    }
+}
+
+module.exports = EndOfCallService;
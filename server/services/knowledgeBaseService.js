@@ -0,0 +1,389 @@
+/**
+ * Knowledge Base Service
+ * Chunks uploaded documents and retrieves the chunks relevant to what the
+ * caller just said, so the agent can answer from its linked documents.
+ *
+ * Retrieval is lexical (BM25) over the chunks of the agent's documents.
+ * Set KNOWLEDGE_BASE_EMBEDDINGS=true (with OPENAI_API_KEY) to also store
+ * embeddings and blend semantic similarity into the ranking.
+ */
+const { OpenAI } = require('openai');
+
+// Target chunk size in characters; chunks break at sentence boundaries
+const CHUNK_SIZE = 800;
+// Chunks retrieved per turn, and a cap on what is added to the prompt
+const DEFAULT_TOP_K = 3;
+const MAX_CONTEXT_CHARS = 3000;
+
+// BM25 parameters
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+
+const EMBEDDING_MODEL = 'text-embedding-3-small';
+// Share of the final score taken by embedding similarity when embeddings are on
+const EMBEDDING_WEIGHT = 0.5;
+
+const STOP_WORDS = new Set([
+    'a', 'an', 'and', 'are', 'as', 'at', 'be', 'but', 'by', 'can', 'do', 'does', 'for', 'from',
+    'has', 'have', 'how', 'i', 'if', 'in', 'is', 'it', 'me', 'my', 'of', 'on', 'or', 'our',
+    'so', 'that', 'the', 'their', 'there', 'this', 'to', 'was', 'we', 'what', 'when', 'where',
+    'which', 'who', 'will', 'with', 'you', 'your'
+]);
+
+// Indexed chunks per document, shared by every service instance (routes and voice handlers).
+// Another server instance may re-index or remove a document, so entries expire,
+// and the least recently used documents are dropped beyond the size limit.
+const INDEX_CACHE_TTL_MS = 60 * 1000;
+const INDEX_CACHE_MAX_DOCUMENTS = 200;
+const indexCache = new Map();   // documentId -> { loading, loadedAt }, least recently used first
+
+// Plural to singular, so "refunds" matches "refund"
+function stem(term) {
+    if (term.length > 4 && term.endsWith('ies')) return term.slice(0, -3) + 'y';
+    if (term.length > 3 && term.endsWith('s') && !term.endsWith('ss')) return term.slice(0, -1);
+    return term;
+}
+
+function tokenize(text) {
+    return String(text || '')
+        .toLowerCase()
+        .split(/[^\p{L}\p{N}]+/u)
+        .filter(term => term.length > 1 && !STOP_WORDS.has(term))
+        .map(stem);
+}
+
+/**
+ * Break a line that is longer than a chunk on its own at word boundaries
+ */
+function splitLongText(text) {
+    if (text.length <= CHUNK_SIZE) return [text];
+
+    const pieces = [];
+    let piece = '';
+    for (const word of text.split(' ')) {
+        if (piece && piece.length + word.length + 1 > CHUNK_SIZE) {
+            pieces.push(piece);
+            piece = '';
+        }
+        piece = piece ? `${piece} ${word}` : word;
+    }
+    if (piece) pieces.push(piece);
+    return pieces;
+}
+
+/**
+ * Split document text into chunks of about CHUNK_SIZE characters,
+ * repeating the last sentence of each chunk at the start of the next
+ */
+function chunkText(text) {
+    // Lines (table rows, list items) and sentences are the units a chunk is built from
+    const sentences = String(text || '')
+        .split(/\n+/)
+        .flatMap(line => line.replace(/\s+/g, ' ').trim().match(/[^.!?]+[.!?]*\s*/g) || [])
+        .map(sentence => sentence.trim())
+        .filter(Boolean)
+        .flatMap(splitLongText);
+
+    const chunks = [];
+    let current = [];
+    let length = 0;
+
+    for (const sentence of sentences) {
+        if (length + sentence.length > CHUNK_SIZE && current.length > 0) {
+            chunks.push(current.join(' '));
+            const last = current[current.length - 1];
+            current = current.length > 1 && last.length < CHUNK_SIZE / 2 ? [last] : [];
+            length = current.join(' ').length;
+        }
+        current.push(sentence);
+        length += sentence.length + 1;
+    }
+    if (current.length > 0) chunks.push(current.join(' '));
+
+    return chunks;
+}
+
+function cosineSimilarity(a, b) {
+    let dot = 0, normA = 0, normB = 0;
+    for (let i = 0; i < a.length; i++) {
+        dot += a[i] * b[i];
+        normA += a[i] * a[i];
+        normB += b[i] * b[i];
+    }
+    return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+}
+
+class KnowledgeBaseService {
+    constructor(mysqlPool) {
+        this.pool = mysqlPool;
+        this.tableName = 'document_chunks';
+
+        if (process.env.KNOWLEDGE_BASE_EMBEDDINGS === 'true' && process.env.OPENAI_API_KEY) {
+            this.openai = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
+        }
+
+        this.initTable();
+    }
+
+    async initTable() {
+        if (!this.pool) {
+            console.warn('MySQL pool not provided to KnowledgeBaseService, table initialization skipped.');
+            return;
+        }
+
+        try {
+            await this.pool.execute(`
+                CREATE TABLE IF NOT EXISTS ${this.tableName} (
+                    id VARCHAR(80) PRIMARY KEY,
+                    document_id VARCHAR(36) NOT NULL,
+                    chunk_index INT NOT NULL,
+                    content TEXT NOT NULL,
+                    embedding JSON NULL,
+                    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                    INDEX idx_document_id (document_id)
+                ) ENGINE=InnoDB;
+            `);
+            await this.pool.execute(`
+                CREATE TABLE IF NOT EXISTS call_knowledge_citations (
+                    id INT AUTO_INCREMENT PRIMARY KEY,
+                    call_id VARCHAR(255) NOT NULL,
+                    agent_id VARCHAR(36),
+                    query TEXT,
+                    chunk_ids JSON NOT NULL,
+                    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                    INDEX idx_call_id (call_id)
+                ) ENGINE=InnoDB;
+            `);
+            console.log(`✅ Table ${this.tableName} check/creation successful.`);
+        } catch (error) {
+            console.error(`❌ Failed to initialize table ${this.tableName}:`, error);
+        }
+    }
+
+    /**
+     * Chunk a document and replace its stored chunks
+     * @param {string} documentId
+     * @param {string} content - Document text
+     * @returns {Promise<number>} Number of chunks stored
+     */
+    async indexDocument(documentId, content) {
+        const chunks = chunkText(content);
+        const embeddings = await this.embed(chunks);
+
+        await this.pool.execute(`DELETE FROM ${this.tableName} WHERE document_id = ?`, [documentId]);
+        for (let i = 0; i < chunks.length; i++) {
+            await this.pool.execute(
+                `INSERT INTO ${this.tableName} (id, document_id, chunk_index, content, embedding) VALUES (?, ?, ?, ?, ?)`,
+                [`${documentId}:${i}`, documentId, i, chunks[i], embeddings ? JSON.stringify(embeddings[i]) : null]
+            );
+        }
+
+        indexCache.delete(documentId);
+        console.log(`📚 Indexed document ${documentId}: ${chunks.length} chunks`);
+        return chunks.length;
+    }
+
+    async removeDocument(documentId) {
+        await this.pool.execute(`DELETE FROM ${this.tableName} WHERE document_id = ?`, [documentId]);
+        indexCache.delete(documentId);
+    }
+
+    /**
+     * Load a document's chunks with their term statistics (cached)
+     */
+    loadDocument(documentId) {
+        let entry = indexCache.get(documentId);
+        indexCache.delete(documentId);
+
+        if (!entry || Date.now() - entry.loadedAt >= INDEX_CACHE_TTL_MS) {
+            const loading = this.readDocument(documentId);
+            entry = { loading, loadedAt: Date.now() };
+            loading.catch(() => {
+                if (indexCache.get(documentId) === entry) indexCache.delete(documentId);
+            });
+        }
+
+        // Re-inserted to mark it as the most recently used
+        indexCache.set(documentId, entry);
+        while (indexCache.size > INDEX_CACHE_MAX_DOCUMENTS) {
+            indexCache.delete(indexCache.keys().next().value);
+        }
+        return entry.loading;
+    }
+
+    /**
+     * Read a document's chunks from the database, indexing it first
+     * if it was uploaded before chunking existed
+     */
+    async readDocument(documentId) {
+        let [rows] = await this.pool.execute(
+            `SELECT id, content, embedding FROM ${this.tableName} WHERE document_id = ? ORDER BY chunk_index`,
+            [documentId]
+        );
+
+        if (rows.length === 0) {
+            const [documents] = await this.pool.execute('SELECT content FROM documents WHERE id = ?', [documentId]);
+            if (documents.length === 0) return [];
+
+            await this.indexDocument(documentId, documents[0].content);
+            [rows] = await this.pool.execute(
+                `SELECT id, content, embedding FROM ${this.tableName} WHERE document_id = ? ORDER BY chunk_index`,
+                [documentId]
+            );
+        }
+
+        const chunks = rows.map(row => {
+            const terms = tokenize(row.content);
+            const termFrequencies = new Map();
+            terms.forEach(term => termFrequencies.set(term, (termFrequencies.get(term) || 0) + 1));
+
+            return {
+                id: row.id,
+                documentId,
+                content: row.content,
+                embedding: typeof row.embedding === 'string' ? JSON.parse(row.embedding) : row.embedding,
+                termFrequencies,
+                length: terms.length
+            };
+        });
+
+        return chunks;
+    }
+
+    /**
+     * Find the chunks of the given documents most relevant to a query
+     * @param {string[]} documentIds - The agent's knowledge documents
+     * @param {string} query - What the caller said
+     * @param {number} topK - Number of chunks to return
+     * @returns {Promise<Array>} [{ id, documentId, content, score }], best first
+     */
+    async retrieve(documentIds, query, topK = DEFAULT_TOP_K) {
+        const queryTerms = [...new Set(tokenize(query))];
+        if (!this.pool || !documentIds?.length || queryTerms.length === 0) return [];
+
+        const chunks = (await Promise.all(documentIds.map(id => this.loadDocument(id)))).flat();
+        if (chunks.length === 0) return [];
+
+        // BM25 over the chunks of these documents
+        const averageLength = chunks.reduce((sum, chunk) => sum + chunk.length, 0) / chunks.length || 1;
+        const idf = new Map(queryTerms.map(term => {
+            const containing = chunks.filter(chunk => chunk.termFrequencies.has(term)).length;
+            return [term, Math.log(1 + (chunks.length - containing + 0.5) / (containing + 0.5))];
+        }));
+
+        let scored = chunks.map(chunk => {
+            let score = 0;
+            for (const term of queryTerms) {
+                const frequency = chunk.termFrequencies.get(term);
+                if (!frequency) continue;
+                score += idf.get(term) * (frequency * (BM25_K1 + 1)) /
+                    (frequency + BM25_K1 * (1 - BM25_B + BM25_B * chunk.length / averageLength));
+            }
+            return { chunk, score };
+        });
+
+        scored = await this.blendEmbeddingScores(scored, query);
+
+        return scored
+            .filter(({ score }) => score > 0)
+            .sort((a, b) => b.score - a.score)
+            .slice(0, topK)
+            .map(({ chunk, score }) => ({ id: chunk.id, documentId: chunk.documentId, content: chunk.content, score }));
+    }
+
+    /**
+     * Mix cosine similarity into the BM25 scores when embeddings are enabled
+     */
+    async blendEmbeddingScores(scored, query) {
+        if (!this.openai || !scored.some(({ chunk }) => chunk.embedding)) return scored;
+
+        const [queryEmbedding] = (await this.embed([query])) || [];
+        if (!queryEmbedding) return scored;
+
+        const maxScore = Math.max(...scored.map(({ score }) => score)) || 1;
+        return scored.map(({ chunk, score }) => ({
+            chunk,
+            score: (1 - EMBEDDING_WEIGHT) * (score / maxScore) +
+                EMBEDDING_WEIGHT * (chunk.embedding ? Math.max(cosineSimilarity(chunk.embedding, queryEmbedding), 0) : 0)
+        }));
+    }
+
+    /**
+     * Embed texts with OpenAI, or null when embeddings are off or fail
+     */
+    async embed(texts) {
+        if (!this.openai || texts.length === 0) return null;
+
+        try {
+            const response = await this.openai.embeddings.create({ model: EMBEDDING_MODEL, input: texts });
+            return response.data.map(item => item.embedding);
+        } catch (error) {
+            console.error('❌ Error creating embeddings:', error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Retrieve knowledge for a turn and format it for the system prompt
+     * @param {string[]} documentIds - The agent's knowledge documents
+     * @param {string} query - What the caller said
+     * @returns {Promise<Object>} { prompt, chunkIds } - prompt is '' when nothing relevant was found
+     */
+    async buildPromptContext(documentIds, query) {
+        try {
+            const chunks = await this.retrieve(documentIds, query);
+            if (chunks.length === 0) return { prompt: '', chunkIds: [] };
+
+            let used = 0;
+            const excerpts = [];
+            for (const chunk of chunks) {
+                if (used + chunk.content.length > MAX_CONTEXT_CHARS && excerpts.length > 0) break;
+                excerpts.push(chunk);
+                used += chunk.content.length;
+            }
+
+            const prompt = `\n\nKnowledge Base (excerpts relevant to the caller's last message, use them to answer and don't make up facts they don't contain):\n` +
+                excerpts.map(chunk => `[${chunk.id}] ${chunk.content}`).join('\n\n');
+
+            return { prompt, chunkIds: excerpts.map(chunk => chunk.id) };
+        } catch (error) {
+            console.error('❌ Knowledge base retrieval failed:', error.message);
+            return { prompt: '', chunkIds: [] };
+        }
+    }
+
+    /**
+     * System prompt for one turn of a call: the agent prompt plus the knowledge
+     * relevant to what the caller just said. The chunks used are recorded for the call.
+     * @param {Object} params - { agentPrompt, documentIds, query, callId, agentId }
+     * @returns {Promise<string>} System prompt
+     */
+    async buildTurnPrompt({ agentPrompt, documentIds, query, callId, agentId }) {
+        if (!documentIds?.length || !query?.trim()) return agentPrompt;
+
+        const knowledge = await this.buildPromptContext(documentIds, query);
+        if (knowledge.chunkIds.length > 0) {
+            console.log(`📚 Knowledge base: ${knowledge.chunkIds.length} chunks for "${query.substring(0, 60)}"`);
+            this.recordCitations({ callId, agentId, query, chunkIds: knowledge.chunkIds });
+        }
+        return agentPrompt + knowledge.prompt;
+    }
+
+    /**
+     * Remember which chunks were given to the LLM for a turn of a call
+     */
+    async recordCitations({ callId, agentId, query, chunkIds }) {
+        if (!this.pool || !callId || !chunkIds?.length) return;
+
+        try {
+            await this.pool.execute(
+                'INSERT INTO call_knowledge_citations (call_id, agent_id, query, chunk_ids) VALUES (?, ?, ?, ?)',
+                [String(callId), agentId || null, query, JSON.stringify(chunkIds)]
+            );
+        } catch (error) {
+            console.error('❌ Error saving knowledge citations:', error.message);
+        }
+    }
+}
+
+module.exports = KnowledgeBaseService;
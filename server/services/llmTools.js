@@ -0,0 +1,120 @@
+/**
+ * LLM Tools
+ * Declares an agent's tools and the enabled built-in tools to the LLM for
+ * native function calling, and builds the conversation entries for the
+ * tool call / tool result round trip.
+ */
+const { getBuiltinTools, BUILTIN_TOOL_NAMES } = require('./builtinTools.js');
+
+// Tool rounds allowed per reply; after that the LLM must answer without tools
+const MAX_TOOL_ROUNDS = 5;
+
+const PARAMETER_TYPES = ['string', 'number', 'boolean'];
+
+/**
+ * Function names may only contain letters, digits, underscores and dashes
+ */
+function toFunctionName(name) {
+    return String(name || '').trim().replace(/[^a-zA-Z0-9_-]+/g, '_').slice(0, 64) || 'tool';
+}
+
+/**
+ * JSON schema for a tool's parameter list, undefined if it takes none
+ */
+function toParameterSchema(parameters) {
+    if (!parameters || parameters.length === 0) return undefined;
+
+    const properties = {};
+    parameters.forEach(param => {
+        properties[param.name] = {
+            type: PARAMETER_TYPES.includes(param.type) ? param.type : 'string',
+            ...(param.description ? { description: param.description } : {})
+        };
+    });
+
+    // A parameter with a default is filled in when the model leaves it out
+    const required = parameters.filter(param => param.required && !param.defaultValue).map(param => param.name);
+    return { type: 'object', properties, ...(required.length > 0 ? { required } : {}) };
+}
+
+/**
+ * Function declarations for the agent's tools and the enabled built-in tools
+ * @param {Array} agentTools - Tools from the agent settings
+ * @param {Object} settings - Agent settings
+ * @param {string} channel - 'phone' or 'browser'
+ * @returns {Array} [{ name, description, parameters }]
+ */
+function buildToolDeclarations(agentTools, settings, channel = 'phone') {
+    const builtinTools = getBuiltinTools(settings, channel);
+
+    // The LLM rejects two declarations with the same name, agents saved before
+    // names were checked (see findToolNameClashes) may still have clashing tools
+    const declared = new Set(builtinTools.map(tool => tool.name));
+    const tools = (agentTools || []).filter(tool => {
+        const name = toFunctionName(tool.name);
+        if (declared.has(name)) {
+            console.warn(`⚠️ Tool "${tool.name}" is not declared, its name is already taken`);
+            return false;
+        }
+        declared.add(name);
+        return true;
+    });
+
+    return [...tools, ...builtinTools].map(tool => ({
+        name: toFunctionName(tool.name),
+        description: tool.description || tool.name,
+        parameters: toParameterSchema(tool.parameters)
+    }));
+}
+
+/**
+ * Agent tools whose function name is taken by a built-in tool or an earlier agent tool
+ * @param {Array} agentTools - Tools from the agent settings
+ * @returns {Array<string>} Their names as saved
+ */
+function findToolNameClashes(agentTools) {
+    const taken = new Set(BUILTIN_TOOL_NAMES);
+    const clashes = [];
+    (Array.isArray(agentTools) ? agentTools : []).forEach(tool => {
+        const name = toFunctionName(tool.name);
+        if (taken.has(name)) clashes.push(tool.name);
+        taken.add(name);
+    });
+    return clashes;
+}
+
+/**
+ * Find the agent tool behind a function name returned by the LLM
+ */
+function findAgentTool(agentTools, functionName) {
+    return (agentTools || []).find(tool => toFunctionName(tool.name) === functionName) || null;
+}
+
+/**
+ * Conversation entry for the tools the model called, with anything it said alongside
+ */
+function toolCallContent(toolCalls, text = '') {
+    const parts = text.trim() ? [{ text }] : [];
+    toolCalls.forEach(call => parts.push({ functionCall: { name: call.name, args: call.args || {} } }));
+    return { role: 'model', parts };
+}
+
+/**
+ * Conversation entry with the tool results, in the same order as the calls
+ * @param {Array} results - [{ name, response }]
+ */
+function toolResultContent(results) {
+    return {
+        role: 'function',
+        parts: results.map(result => ({ functionResponse: { name: result.name, response: result.response } }))
+    };
+}
+
+module.exports = {
+    MAX_TOOL_ROUNDS,
+    buildToolDeclarations,
+    findToolNameClashes,
+    findAgentTool,
+    toolCallContent,
+    toolResultContent
+};
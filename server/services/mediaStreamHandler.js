@@ -3,9 +3,33 @@ const { LLMService } = require("../llmService.js");
 const nodeFetch = require("node-fetch");
 const WalletService = require('./walletService.js');
 const CostCalculator = require('./costCalculator.js');
+const VoicemailDetector = require('./voicemailDetector.js');
+const CallControlService = require('./callControlService.js');
+const TurnMetricsService = require('./turnMetricsService.js');
+const SessionLifecycle = require('./sessionLifecycle.js');
+const KnowledgeBaseService = require('./knowledgeBaseService.js');
+const TranscriptService = require('./transcriptService.js');
+const CallAnalysisService = require('./callAnalysisService.js');
+const PrefetchService = require('./prefetchService.js');
+const EndOfCallService = require('./endOfCallService.js');
+const WebhookService = require('./webhookService.js');
+const DncService = require('./dncService.js');
+const { ensureColumns } = require('../utils/dbSchema.js');
+const { isBuiltinTool } = require('./builtinTools.js');
+const { MAX_TOOL_ROUNDS, buildToolDeclarations, findAgentTool, toolCallContent, toolResultContent } = require('./llmTools.js');
+const { generateDtmfTones, sanitizeDigits } = require('../utils/dtmf.js');
+const { splitSentences } = require('../utils/sentences.js');
+const { renderTemplate, formatVariablesForPrompt, applyParameterDefaults } = require('../utils/promptVariables.js');
 
 const sessions = new Map();
 
+// How long to wait for the voicemail beep before leaving the message anyway
+const VOICEMAIL_BEEP_WAIT_MS = 15000;
+// Keypresses closer together than this are passed to the LLM as one entry (e.g. an account number)
+const DTMF_INPUT_GAP_MS = 1500;
+// Interim transcripts below this confidence are usually line noise, not the caller talking over the agent
+const BARGE_IN_MIN_CONFIDENCE = 0.6;
+
 class MediaStreamHandler {
     constructor(deepgramApiKey, geminiApiKey, openaiApiKey, campaignService, mysqlPool = null) {
         if (!deepgramApiKey) throw new Error("Missing Deepgram API Key");
@@ -21,6 +45,27 @@ class MediaStreamHandler {
             this.walletService = new WalletService(mysqlPool);
             this.costCalculator = new CostCalculator(mysqlPool, this.walletService);
         }
+
+        this.callControlService = new CallControlService(mysqlPool);
+        this.knowledgeBaseService = new KnowledgeBaseService(mysqlPool);
+        this.turnMetricsService = new TurnMetricsService(mysqlPool);
+        this.transcriptService = new TranscriptService(mysqlPool);
+        this.callAnalysisService = new CallAnalysisService(this.llmService, mysqlPool);
+        this.prefetchService = new PrefetchService(mysqlPool);
+        this.webhookService = new WebhookService(mysqlPool);
+        this.dncService = new DncService(mysqlPool);
+        this.endOfCallService = new EndOfCallService(mysqlPool, this.transcriptService, this.webhookService);
+        this.initSchema();
+    }
+
+    /**
+     * Add call columns written by the media stream pipeline
+     */
+    async initSchema() {
+        await ensureColumns(this.mysqlPool, 'calls', {
+            answered_by: "VARCHAR(16) NULL",        // human | machine | unknown
+            voicemail_action: "VARCHAR(32) NULL"    // hangup | left_message | continued
+        });
     }
 
     // ✅ FIX: Method to get fresh API key each time
@@ -45,6 +90,7 @@ class MediaStreamHandler {
             lastUserSpeechTime: null, // Track when user last spoke
             lastProcessedTranscript: null, // Track last processed transcript to prevent duplicates
             isProcessing: false, // Track if currently processing a transcript
+            pendingUtterances: [], // Caller speech that arrived while a reply was being generated
             userId: userId,
             agentId: agentId,
             startTime: new Date(),
@@ -67,6 +113,11 @@ class MediaStreamHandler {
     async endSession(callId) {
         const session = sessions.get(callId);
         if (session) {
+            session.ended = true;
+
+            // After-call work the end-of-call webhook waits for
+            const afterCall = [];
+
             // Execute tools marked to run after call
             if (session.tools && session.tools.length > 0 && session.agentId) {
                 const afterCallTools = session.tools.filter(tool => tool.runAfterCall);
@@ -77,16 +128,23 @@ class MediaStreamHandler {
                     const toolExecutionService = new ToolExecutionService(this.llmService, this.mysqlPool);
 
                     // Execute after-call tools (don't await to avoid blocking)
-                    toolExecutionService.processToolsAfterCall(session, afterCallTools)
+                    afterCall.push(toolExecutionService.processToolsAfterCall(session, afterCallTools)
                         .then(() => {
                             console.log('✅ After-call tools executed successfully');
                         })
                         .catch(err => {
                             console.error('❌ Error executing after-call tools:', err);
-                        });
+                        }));
                 }
             }
 
+            // Summary, sentiment and disposition for call history and campaign reports (not awaited)
+            afterCall.push(this.callAnalysisService.analyzeCall(session, {
+                callId: session.callId,
+                contactId: session.contactId,
+                contents: session.context
+            }));
+
             // Calculate and charge for Twilio usage
             if (session.startTime && session.userId && this.costCalculator) {
                 const endTime = new Date();
@@ -95,7 +153,7 @@ class MediaStreamHandler {
                 session.usage.twilio = durationMinutes;
 
                 // Charge user for all usage
-                this.costCalculator.recordAndCharge(
+                afterCall.push(this.costCalculator.recordAndCharge(
                     session.userId,
                     session.callId,
                     session.usage
@@ -107,7 +165,24 @@ class MediaStreamHandler {
                     if (err.message === 'Insufficient balance') {
                         console.warn(`⚠️ User ${session.userId} ended call with insufficient balance`);
                     }
-                });
+                }));
+            }
+
+            // Signed call.ended event with the full call, once the work above has settled (not awaited)
+            this.endOfCallService.sendEndOfCallWebhook(session, {
+                callId: session.callId,
+                contactId: session.contactId,
+                channel: 'phone',
+                waitFor: afterCall
+            });
+
+            clearTimeout(session.dtmfTimer);
+            session.lifecycle?.stop();
+            session.currentTurn?.abortController.abort();
+
+            if (session.amd) {
+                clearTimeout(session.amd.beepTimer);
+                session.amd.detector.stop();
             }
 
             if (session.sttStream) {
@@ -183,6 +258,8 @@ class MediaStreamHandler {
                         callId = streamParams.callId || queryCallId || data.start?.callSid;
                         agentId = streamParams.agentId || queryAgentId;
                         const userId = streamParams.userId || queryUserId;
+                        const campaignId = streamParams.campaignId || null;
+                        const contactId = streamParams.contactId || null;
 
                         console.log(`📞 Call ID: ${callId}`);
                         console.log(`🤖 Agent ID: ${agentId}`);
@@ -224,12 +301,9 @@ class MediaStreamHandler {
                                     // Process Tools
                                     if (agent.settings && agent.settings.tools && agent.settings.tools.length > 0) {
                                         tools = agent.settings.tools;
-                                        const toolDescriptions = tools.map(tool =>
-                                            `- ${tool.name}: ${tool.description} (Parameters: ${tool.parameters?.map(p => `${p.name} (${p.type})${p.required ? ' [required]' : ''}`).join(', ') || 'None'})`
-                                        ).join('\n');
-
-                                        agentPrompt += `\n\nAvailable Tools:\n${toolDescriptions}\n\nWhen you need to collect information from the user, ask for the required parameters. When all required information is collected, respond with a JSON object in the format: {"tool": "tool_name", "data": {"param1": "value1", "param2": "value2"}}. Do NOT add any other text before or after the JSON.`;
+                                        agentPrompt += `\n\nWhen you need to collect information for a tool, ask for the required parameters first and call the tool once you have all of them.`;
                                     }
+                                    agentPrompt += `\n\nKeys the caller presses on their phone keypad appear in the conversation as "[Caller pressed ...]".`;
 
                                     // ✅ CRITICAL: Use the voice ID directly from database
                                     if (agent.voiceId) {
@@ -306,13 +380,45 @@ class MediaStreamHandler {
                         // Create session with the correct voice ID and model
                         session = this.createSession(callId, agentPrompt, agentVoiceId, ws, userId, agentId, agentModel, agent?.settings);
                         session.tools = tools; // Store tools in session
+                        session.toolDeclarations = buildToolDeclarations(tools, agent?.settings, 'phone');
                         session.language = agentLanguage; // Store language in session
                         console.log(`✅ Session created with voice ID: ${session.agentVoiceId}, model: ${session.agentModel}`);
 
                         session.greetingMessage = greetingMessage;
                         session.streamSid = data.start.streamSid;
+                        session.callSid = data.start.callSid;
+                        session.campaignId = campaignId;
+                        session.contactId = contactId;
+                        session.fromNumber = streamParams.from || null;
+                        session.toNumber = streamParams.to || null;
+                        session.direction = streamParams.direction || null;
                         session.isReady = true;
 
+                        // Caller data from the prefetch webhook, needed before the greeting is synthesized
+                        session.promptVariablesReady = this.loadPromptVariables(session);
+
+                        this.webhookService.emitEvent(userId, 'call.started', {
+                            call_id: callId,
+                            call_sid: session.callSid,
+                            channel: 'phone',
+                            campaign_id: campaignId,
+                            contact_id: contactId
+                        }, { agentId, callId });
+
+                        // Session timeouts and inactivity nudges from the agent settings
+                        session.lifecycle = new SessionLifecycle(agent?.settings || {}, {
+                            isBusy: () => session.isSpeaking || session.isProcessing || !!session.currentTurn || !!session.pendingCallAction || !!session.pendingDtmf ||
+                                (!!session.amd && session.amd.result === null),
+                            onNudge: (message) => this.speakToCaller(session, message),
+                            onEnd: (reason, endMessage) => this.endCallForTimeout(session, reason, endMessage)
+                        });
+                        session.lifecycle.start();
+
+                        // Answering-machine detection only applies to outbound campaign calls
+                        if (campaignId && agent?.settings?.voicemailDetection) {
+                            this.startVoicemailDetection(session);
+                        }
+
                         // Initialize Deepgram with SDK v4 API
                         console.log("🔄 Initializing Deepgram connection...");
                         const deepgramLive = this.deepgramClient.listen.live({
@@ -338,66 +444,64 @@ class MediaStreamHandler {
                                 const transcript = data.channel?.alternatives?.[0]?.transcript;
                                 const isFinal = data.is_final;
 
-                                // Only process final transcripts
-                                if (!isFinal || !transcript?.trim()) return;
-
-                                // ✅ COST OPTIMIZATION: Prevent duplicate processing
-                                if (session.isProcessing) {
-                                    console.log(`⏭️  Skipping duplicate transcript (already processing)`);
+                                // Until we know a human picked up, transcripts only feed the detector
+                                if (session.amd && session.amd.result === null) {
+                                    session.amd.detector.processTranscript(transcript, isFinal);
                                     return;
                                 }
 
+                                if (!transcript?.trim()) return;
+
+                                // The call is being handed over or ended, the agent has said its last words
+                                if (session.pendingCallAction) return;
+
+                                const confidence = data.channel?.alternatives?.[0]?.confidence ?? null;
+
+                                // ✅ BARGE-IN: Caller started talking while the agent is speaking or still thinking
+                                if (session.currentTurn || session.isSpeaking) {
+                                    if (isFinal || (confidence ?? 1) >= BARGE_IN_MIN_CONFIDENCE) {
+                                        console.log(`✋ Caller barged in: "${transcript}"`);
+                                        this.stopAgentSpeech(session);
+                                    }
+                                }
+
+                                // Only process final transcripts
+                                if (!isFinal) return;
+
                                 // Check if this is the same as the last processed transcript
                                 if (session.lastProcessedTranscript === transcript) {
                                     console.log(`⏭️  Skipping duplicate transcript: "${transcript}"`);
                                     return;
                                 }
-
-                                // Mark as processing to prevent concurrent processing
-                                session.isProcessing = true;
                                 session.lastProcessedTranscript = transcript;
 
                                 console.log(`🎤 User said: "${transcript}"`);
 
                                 // ✅ INTERRUPTION HANDLING: User spoke
                                 session.lastUserSpeechTime = Date.now();
+                                session.lifecycle?.recordActivity();
 
                                 // Track Deepgram usage (estimate based on word count)
                                 const wordCount = transcript.split(' ').length;
                                 const estimatedDuration = wordCount / 2.5; // avg 2.5 words/second
                                 session.usage.deepgram += estimatedDuration;
 
-                                // If agent is speaking, user is interrupting - stop agent
-                                if (session.isSpeaking) {
-                                    console.log(`⚠️  User interrupted agent - stopping agent speech`);
-                                    session.isSpeaking = false;
-                                    if (session.ws && session.streamSid) {
-                                        session.ws.send(
-                                            JSON.stringify({
-                                                event: "clear",
-                                                streamSid: session.streamSid
-                                            })
-                                        );
-                                    }
-                                }
-
-                                this.appendToContext(session, transcript, "user");
+                                this.transcriptService.addEntry(session, session.callId, {
+                                    role: 'user',
+                                    content: transcript,
+                                    sttConfidence: confidence
+                                });
 
-                                const llmResponse = await this.callLLM(session);
-                                this.appendToContext(session, llmResponse, "model");
-
-                                // Generate TTS and send to Twilio
-                                const ttsAudio = await this.synthesizeTTS(llmResponse, session.agentVoiceId, session);
-                                if (ttsAudio) {
-                                    this.sendAudioToTwilio(session, ttsAudio);
+                                // The interrupted reply is still winding down, answer this right after it
+                                if (session.isProcessing) {
+                                    console.log(`⏳ Queueing transcript until the current reply is done`);
+                                    session.pendingUtterances.push(transcript);
+                                    return;
                                 }
 
-                                // Mark processing as complete
-                                session.isProcessing = false;
+                                await this.processUtterance(session, transcript);
                             } catch (err) {
                                 console.error("❌ Transcript error:", err);
-                                // Make sure to clear the processing flag on error
-                                session.isProcessing = false;
                             }
                         });
 
@@ -431,34 +535,10 @@ class MediaStreamHandler {
                             console.log("✅ Silence packets sent");
                         }
 
-                        // Send greeting after a short delay (reduced from 1500ms)
-                        setTimeout(async () => {
-                            try {
-                                console.log(`\n========== SENDING GREETING ==========`);
-                                console.log(`👋 Greeting text: "${session.greetingMessage}"`);
-                                console.log(`🔊 Voice ID: ${session.agentVoiceId}`);
-                                console.log(`📞 Call ID: ${session.callId}`);
-                                console.log(`🔗 Stream SID: ${session.streamSid}`);
-                                console.log(`✅ Stream ready: ${session.isReady}`);
-
-                                const audio = await this.synthesizeTTS(session.greetingMessage, session.agentVoiceId, session);
-
-                                if (audio && audio.length > 0) {
-                                    console.log(`✅ Greeting audio generated: ${audio.length} bytes`);
-                                    console.log(`📤 Sending greeting to Twilio...`);
-                                    this.sendAudioToTwilio(session, audio);
-                                    console.log(`========================================\n`);
-                                } else {
-                                    console.error("❌ Greeting audio is empty or null");
-                                    console.error("   This means TTS generation failed!");
-                                    console.log(`========================================\n`);
-                                }
-                            } catch (err) {
-                                console.error("❌ Greeting error:", err);
-                                console.error("❌ Error stack:", err.stack);
-                                console.log(`========================================\n`);
-                            }
-                        }, 800); // Optimized timing
+                        // Send greeting after a short delay, unless we are still screening for voicemail
+                        if (!session.amd) {
+                            setTimeout(() => this.sendGreeting(session), 800); // Optimized timing
+                        }
 
                     } else if (data.event === "connected") {
                         console.log("✅ Twilio connected");
@@ -468,6 +548,9 @@ class MediaStreamHandler {
                         if (session?.sttStream && data.media?.payload) {
                             const audioBuffer = Buffer.from(data.media.payload, "base64");
                             if (audioBuffer.length > 0) {
+                                if (session.amd && (session.amd.result === null || session.amd.awaitingBeep)) {
+                                    session.amd.detector.processAudio(audioBuffer);
+                                }
                                 session.sttStream.send(audioBuffer);
                                 // Log occasionally to verify audio is flowing
                                 if (Math.random() < 0.01) { // Log ~1% of packets
@@ -480,8 +563,23 @@ class MediaStreamHandler {
                         console.log("⏹️  Stream stopped");
                         if (callId) this.endSession(callId);
 
+                    } else if (data.event === "dtmf") {
+                        const digit = data.dtmf?.digit;
+                        console.log("☎️  DTMF received:", digit);
+
+                        if (session && digit) {
+                            this.handleCallerKeypress(session, digit);
+                        }
                     } else if (data.event === "mark") {
                         console.log("📍 Mark:", data.mark?.name);
+
+                        // Twilio echoes the mark once the audio before it has been played,
+                        // and straight away for audio dropped by a "clear"
+                        const playedSeq = Number(data.mark?.name?.replace('audio_complete_', ''));
+                        if (session && playedSeq) {
+                            session.playedAudioSeq = Math.max(session.playedAudioSeq || 0, playedSeq);
+                            this.runPendingCallActionIfPlayed(session);
+                        }
                     }
 
                 } catch (err) {
@@ -508,107 +606,690 @@ class MediaStreamHandler {
             }
         }
     }
-    async callLLM(session) {
+
+    /**
+     * Fill the prompt variables of the call and apply them to the prompt and greeting
+     */
+    async loadPromptVariables(session) {
         try {
-            // Use the agent's selected model (supports both Gemini and OpenAI)
-            const modelToUse = session.agentModel || "gemini-2.0-flash";
-            const isGemini = modelToUse.includes('gemini');
-            const provider = isGemini ? 'Gemini' : 'OpenAI';
+            const context = await this.prefetchService.loadCallContext({
+                callId: session.callId,
+                agentId: session.agentId,
+                campaignId: session.campaignId,
+                contactId: session.contactId,
+                fromNumber: session.fromNumber,
+                toNumber: session.toNumber,
+                direction: session.direction
+            });
+            const variables = await this.prefetchService.getPromptVariables(session.agentSettings, context);
 
-            console.log(`🧠 Calling ${provider} LLM with model: ${modelToUse}`);
+            session.promptVariables = variables;
+            session.agentPrompt = renderTemplate(session.agentPrompt, variables) + formatVariablesForPrompt(variables);
+            session.greetingMessage = renderTemplate(session.greetingMessage, variables);
+        } catch (error) {
+            console.error('❌ Error loading prompt variables:', error.message);
+        }
+    }
 
-            const response = await this.llmService.generateContent({
-                model: modelToUse,
-                contents: session.context,
-                config: { systemInstruction: session.agentPrompt },
-            });
-            let text = response.text;
-            console.log(`💬 ${provider} response received:`, text.substring(0, 100) + '...');
+    async sendGreeting(session) {
+        await session.promptVariablesReady;
+        if (session.ended) return;
+        try {
+            console.log(`\n========== SENDING GREETING ==========`);
+            console.log(`👋 Greeting text: "${session.greetingMessage}"`);
+            console.log(`🔊 Voice ID: ${session.agentVoiceId}`);
+            console.log(`📞 Call ID: ${session.callId}`);
+            console.log(`🔗 Stream SID: ${session.streamSid}`);
+            console.log(`✅ Stream ready: ${session.isReady}`);
+
+            const audio = await this.synthesizeTTS(session.greetingMessage, session.agentVoiceId, session);
+
+            if (audio && audio.length > 0) {
+                this.transcriptService.addEntry(session, session.callId, { role: 'agent', content: session.greetingMessage });
+                console.log(`✅ Greeting audio generated: ${audio.length} bytes`);
+                console.log(`📤 Sending greeting to Twilio...`);
+                this.sendAudioToTwilio(session, audio);
+                console.log(`========================================\n`);
+            } else {
+                console.error("❌ Greeting audio is empty or null");
+                console.error("   This means TTS generation failed!");
+                console.log(`========================================\n`);
+            }
+        } catch (err) {
+            console.error("❌ Greeting error:", err);
+            console.error("❌ Error stack:", err.stack);
+            console.log(`========================================\n`);
+        }
+    }
+
+    /**
+     * Screen an outbound call for an answering machine before the agent talks.
+     * The greeting is held back until the detector reports a result.
+     */
+    startVoicemailDetection(session) {
+        const settings = session.agentSettings || {};
+        const timeoutSeconds = Number(settings.voicemailDetectionTimeout) || 6;
+
+        session.amd = {
+            result: null,
+            awaitingBeep: false,
+            beepTimer: null,
+            messageStarted: false,
+            detector: new VoicemailDetector({
+                timeoutMs: timeoutSeconds * 1000,
+                onResult: ({ result, reason }) => this.handleVoicemailResult(session, result, reason),
+                onBeep: () => {
+                    if (session.amd.awaitingBeep) this.leaveVoicemail(session);
+                }
+            })
+        };
 
-            // Track token usage (both Gemini and OpenAI use the same counter)
-            if (response.usageMetadata && session.usage) {
-                const totalTokens = (response.usageMetadata.promptTokenCount || 0) +
-                    (response.usageMetadata.candidatesTokenCount || 0);
-                session.usage.gemini += totalTokens;
-                console.log(`📊 ${provider} tokens used: ${totalTokens} (Total: ${session.usage.gemini})`);
+        console.log(`📼 Voicemail detection started for call ${session.callSid} (timeout ${timeoutSeconds}s)`);
+    }
+
+    handleVoicemailResult(session, result, reason) {
+        session.amd.result = result;
+        if (session.ended) return;
+
+        if (result !== 'machine') {
+            this.recordVoicemailOutcome(session, result, null);
+            this.sendGreeting(session);
+            return;
+        }
+
+        const settings = session.agentSettings || {};
+        const action = settings.voicemailAction || 'hangup';
+
+        if (action === 'continue') {
+            this.recordVoicemailOutcome(session, result, 'continued');
+            this.sendGreeting(session);
+            return;
+        }
+
+        if (action === 'leave_message' && settings.voicemailMessage?.trim()) {
+            if (reason === 'beep') {
+                this.leaveVoicemail(session);
+            } else {
+                // Wait for the beep, but don't wait forever on mailboxes that never play one
+                session.amd.awaitingBeep = true;
+                session.amd.beepTimer = setTimeout(() => this.leaveVoicemail(session), VOICEMAIL_BEEP_WAIT_MS);
             }
+            return;
+        }
+
+        this.recordVoicemailOutcome(session, result, 'hangup');
+        this.callControlService.hangup(session);
+    }
+
+    async leaveVoicemail(session) {
+        if (session.amd.messageStarted || session.ended) return;
+        session.amd.messageStarted = true;
+        session.amd.awaitingBeep = false;
+        clearTimeout(session.amd.beepTimer);
+
+        this.recordVoicemailOutcome(session, 'machine', 'left_message');
+
+        await session.promptVariablesReady;
+        if (session.ended) return;
+        const message = renderTemplate(session.agentSettings.voicemailMessage.trim(), session.promptVariables);
+        console.log(`📼 Leaving voicemail: "${message}"`);
+
+        // Hang up once Twilio confirms the message has been played
+        await this.speakToCaller(session, message, { type: 'hangup' });
+    }
 
-            // Check for Tool Call (JSON format)
+    /**
+     * Say a fixed line to the caller (not generated by the LLM)
+     * @param {Object} [thenAction] - Call action to run once the line has been played
+     * @returns {Promise<boolean>} True if audio was sent
+     */
+    async speakToCaller(session, text, thenAction = null) {
+        let sent = false;
+        try {
+            this.appendToContext(session, text, "model");
+            this.transcriptService.addEntry(session, session.callId, { role: 'agent', content: text });
+
+            const audio = await this.synthesizeTTS(text, session.agentVoiceId, session);
+            if (thenAction) session.pendingCallAction = thenAction;
+
+            if (audio && audio.length > 0) {
+                this.sendAudioToTwilio(session, audio);
+                sent = true;
+            } else {
+                console.error("❌ TTS returned no audio for:", text);
+            }
+        } catch (err) {
+            console.error("❌ Error speaking to caller:", err);
+            if (thenAction) session.pendingCallAction = thenAction;
+        }
+
+        // Nothing to wait for
+        if (!sent && thenAction) {
+            this.runPendingCallAction(session);
+        }
+        return sent;
+    }
+
+    /**
+     * Session limit reached: say the end message, then hang up
+     */
+    async endCallForTimeout(session, reason, endMessage) {
+        this.callControlService.recordTermination({ callSid: session.callSid }, reason);
+
+        if (session.isSpeaking) {
+            this.stopAgentSpeech(session);
+        }
+        await this.speakToCaller(session, endMessage, { type: 'hangup' });
+    }
+
+    async recordVoicemailOutcome(session, answeredBy, action) {
+        if (this.mysqlPool && session.callSid) {
             try {
-                // Remove potential markdown code blocks if present
-                const cleanText = text.replace(/```json/g, '').replace(/```/g, '').trim();
-                if (cleanText.startsWith('{') && cleanText.endsWith('}')) {
-                    const parsed = JSON.parse(cleanText);
-
-                    if (parsed.tool && parsed.data) {
-                        console.log(`🛠️ Tool usage detected: ${parsed.tool}`);
-
-                        // Find the tool definition for validation
-                        const tool = session.tools?.find(t => t.name === parsed.tool);
-                        if (tool) {
-                            // 1. FILTER DATA BY SCHEMA: Only keep what is defined in the tool parameters
-                            const filteredData = {};
-                            const allowedParams = tool.parameters || [];
-
-                            allowedParams.forEach(param => {
-                                if (parsed.data[param.name] !== undefined) {
-                                    filteredData[param.name] = parsed.data[param.name];
-                                }
-                            });
+                await this.mysqlPool.execute(
+                    'UPDATE calls SET answered_by = ?, voicemail_action = ? WHERE call_sid = ?',
+                    [answeredBy, action, session.callSid]
+                );
+            } catch (err) {
+                console.error('❌ Error saving voicemail outcome:', err.message);
+            }
+        }
 
-                            // 2. PREVENT RAW TEXT LEAKAGE: Explicitly strip transcript/context
-                            const blackList = ['transcript', 'context', 'raw_text', 'conversation', 'history'];
-                            blackList.forEach(key => delete filteredData[key]);
+        if (this.campaignService && session.contactId) {
+            await this.campaignService.recordVoicemailOutcome(session.contactId, answeredBy, action);
+        }
+    }
 
-                            // 3. ONE-ROW-PER-CALL ENFORCEMENT
-                            if (session.dataSaved) {
-                                console.log(`⏭️  Data already saved for this call, skipping duplicate write.`);
-                            } else if (Object.keys(filteredData).length > 0) {
+    /**
+     * Handle a built-in call control tool invoked by the LLM
+     * Actions that end the conversation are deferred until the agent's
+     * next reply has been played to the caller.
+     * @returns {Object} Tool result for the LLM context ({ status, message, silent })
+     */
+    handleBuiltinTool(session, toolName, data) {
+        const settings = session.agentSettings || {};
+
+        if (toolName === 'transfer_call') {
+            if (!settings.callTransfer || !settings.transferTarget) {
+                return { status: "error", message: "Call transfer is not available. Offer the caller another way to get help." };
+            }
 
-                                // ✅ USE NEW TOOL EXECUTION SERVICE (WEBHOOK BASED)
-                                try {
-                                    const ToolExecutionService = require('./toolExecutionService.js');
-                                    // Instantiate with dependencies
-                                    const toolService = new ToolExecutionService(this.llmService, this.mysqlPool);
+            session.pendingCallAction = {
+                type: 'transfer',
+                transfer: {
+                    target: settings.transferTarget.trim(),
+                    mode: settings.transferMode === 'warm' ? 'warm' : 'cold',
+                    reason: data.reason || null,
+                    summary: data.summary || data.reason || null
+                }
+            };
+            return { status: "success", message: "The transfer starts as soon as you finish speaking. Briefly tell the caller you are connecting them to a colleague now." };
+        }
 
-                                    await toolService.executeTool(tool, filteredData, session, session.agentSettings);
-                                    session.dataSaved = true; // Mark as saved
-                                    console.log(`✅ Structured data processed via WebhookService for CallID: ${session.callId}`);
+        if (toolName === 'send_dtmf') {
+            if (!settings.dtmfDial) {
+                return { status: "error", message: "Pressing keys is not enabled for this agent." };
+            }
 
-                                } catch (toolErr) {
-                                    console.error('❌ Failed to execute tool service:', toolErr);
-                                }
+            const digits = sanitizeDigits(data.digits);
+            if (!digits) {
+                return { status: "error", message: "No valid keys given. Use 0-9, * and #." };
+            }
 
-                            } else {
-                                console.warn('⚠️  LLM returned no data matching the tool schema');
-                            }
-                        } else {
-                            console.warn(`⚠️  Tool "${parsed.tool}" invocation skipped: Not found in agent config.`);
-                        }
+            // Sent once the sentences before them have played, see runPendingCallActionIfPlayed
+            console.log(`☎️  Queueing DTMF: ${digits}`);
+            session.pendingDtmf = (session.pendingDtmf || '') + digits;
+            return { status: "success", message: `Pressed ${digits}. Wait for the menu to respond.`, silent: true };
+        }
+
+        if (toolName === 'end_call') {
+            if (!settings.agentCanTerminateCall) {
+                return { status: "error", message: "You cannot end the call yourself. Keep helping the caller." };
+            }
+
+            console.log(`📴 Agent is ending the call${data.reason ? `: ${data.reason}` : ''}`);
+            this.callControlService.recordTermination({ callSid: session.callSid }, 'conversation_complete', 'agent');
+            session.pendingCallAction = { type: 'hangup' };
+            return { status: "success", message: "The call ends as soon as you finish speaking. Say a short goodbye." };
+        }
+
+        if (toolName === 'do_not_call') {
+            if (!settings.doNotCallDetection) {
+                return { status: "error", message: "Do-not-call requests are not handled automatically for this agent. Tell the caller their request will be passed on." };
+            }
+
+            console.log(`🚫 Caller asked not to be called again${data.reason ? `: ${data.reason}` : ''}`);
+            this.dncService.addCallerOfCall(session.userId, session.callId, data.reason || null);
+            this.callControlService.recordTermination({ callSid: session.callSid }, 'do_not_call', 'agent');
+            session.pendingCallAction = { type: 'hangup' };
+            return {
+                status: "success",
+                message: "The caller's number is on the do-not-call list and the call ends as soon as you finish speaking. Apologize briefly, confirm they will not be called again, and say goodbye."
+            };
+        }
+
+        return { status: "error", message: `Unknown tool ${toolName}` };
+    }
+
+    async runPendingCallAction(session) {
+        const action = session.pendingCallAction;
+        if (!action) return;
+        session.pendingCallAction = null;
+
+        if (action.type === 'hangup') {
+            await this.callControlService.hangup(session);
+            return;
+        }
+
+        if (action.type === 'transfer') {
+            const transferred = await this.callControlService.transfer(session, action.transfer);
+            if (transferred) return;
 
-                        // Add tool result to context and ask LLM for final response
-                        this.appendToContext(session, JSON.stringify({
-                            tool: parsed.tool,
-                            status: "success",
-                            message: session.dataSaved ? "Captured and saved successfully" : "Execution completed"
-                        }), "user");
+            // Let the agent tell the caller and carry on with the conversation
+            const result = {
+                status: "error",
+                message: "The transfer could not be completed. Apologize and keep helping the caller."
+            };
+            this.appendToContext(session, JSON.stringify({ tool: 'transfer_call', ...result }), "user");
+            this.transcriptService.addEntry(session, session.callId, {
+                role: 'tool_result',
+                content: 'transfer_call',
+                data: { response: result }
+            });
+            await this.respondToUser(session);
+        }
+    }
+
+    /**
+     * Run deferred keypresses, then a deferred transfer/hangup, once the agent has
+     * finished talking: no reply is still being generated or played, and Twilio
+     * has played the last clip. Tones sent any earlier would cut off the sentence
+     * being sent, or be cut off by the next one.
+     */
+    runPendingCallActionIfPlayed(session) {
+        if ((!session.pendingCallAction && !session.pendingDtmf) || session.currentTurn) return;
+        if ((session.playedAudioSeq || 0) !== (session.audioSeq || 0)) return;
+
+        if (session.pendingDtmf) {
+            const digits = session.pendingDtmf;
+            session.pendingDtmf = null;
+            console.log(`☎️  Sending DTMF: ${digits}`);
+            // A call action waits for the mark of the tones
+            this.sendAudioToTwilio(session, generateDtmfTones(digits));
+            return;
+        }
+        this.runPendingCallAction(session);
+    }
+
+    /**
+     * Generate the agent's reply to the current context and play it to the caller.
+     * Returns once the reply is generated, playback of the last sentences continues
+     * in the background so the caller can still interrupt.
+     */
+    async respondToUser(session) {
+        const turn = this.turnMetricsService.startTurn(session);
+        turn.abortController = new AbortController();
+        turn.clips = [];        // { text, startAt, durationMs } per sentence sent to Twilio
+        turn.playheadAt = 0;    // when Twilio will have played everything sent so far
+        const speech = this.createSpeechQueue(session, turn);
+        session.currentTurn = turn;
+        try {
+            await session.promptVariablesReady;
+
+            // Knowledge base excerpts relevant to what the caller just said go into the prompt for the turn
+            const lastUserEntry = [...session.context].reverse().find(entry => entry.role === 'user');
+            turn.systemInstruction = await this.knowledgeBaseService.buildTurnPrompt({
+                agentPrompt: session.agentPrompt,
+                documentIds: session.agentSettings?.knowledgeDocIds,
+                query: lastUserEntry?.parts[0]?.text || '',
+                callId: session.callId,
+                agentId: session.agentId
+            });
 
-                        // Recursively call LLM to get the verbal response
-                        return await this.callLLM(session);
+            const reply = await this.streamReply(session, turn, speech);
+
+            // Only what the caller actually heard goes into the conversation
+            const spoken = turn.interrupted ? this.getPlayedText(turn) : reply.trim();
+            if (spoken) {
+                this.appendToContext(session, spoken, "model");
+                turn.contextEntry = session.context[session.context.length - 1];
+                turn.transcriptEntry = this.transcriptService.addEntry(session, session.callId, {
+                    role: 'agent',
+                    content: spoken,
+                    interrupted: turn.interrupted,
+                    at: turn.firstAudioAt || Date.now()
+                });
+            }
+        } finally {
+            // Settle the turn even if the reply failed, or it would hold off the next one forever
+            speech.done().catch(err => {
+                console.error('❌ Error playing reply:', err.message);
+            }).then(() => {
+                // Sending runs slightly ahead of playback, the caller can still interrupt until it catches up
+                const stillPlayingMs = turn.interrupted ? 0 : Math.max(turn.playheadAt - Date.now(), 0);
+                setTimeout(() => {
+                    this.turnMetricsService.recordTurn(session, turn);
+                    if (turn.transcriptEntry && turn.firstAudioAt) {
+                        this.transcriptService.updateEntry(session, turn.transcriptEntry, {
+                            latencyMs: turn.firstAudioAt - turn.sttFinalAt
+                        });
                     }
-                }
-            } catch (jsonError) {
-                // Not a valid JSON tool call
+                    if (session.currentTurn === turn) session.currentTurn = null;
+
+                    // No audio means no playback mark, so check here as well as on the mark
+                    this.runPendingCallActionIfPlayed(session);
+                }, stillPlayingMs);
+            });
+        }
+    }
+
+    /**
+     * Answer the caller, then anything they said while that reply was being generated
+     */
+    async processUtterance(session, utterance) {
+        session.isProcessing = true;
+        try {
+            while (utterance) {
+                this.appendToContext(session, utterance, "user");
+                await this.respondToUser(session);
+                utterance = session.pendingUtterances.splice(0).join(' ');
+            }
+        } finally {
+            session.isProcessing = false;
+        }
+    }
+
+    /**
+     * Text of an interrupted reply up to the point the caller cut in,
+     * estimated from when each sentence started playing and how long it is
+     */
+    getPlayedText(turn) {
+        const stoppedAt = turn.interruptedAt || Date.now();
+        const played = [];
+
+        for (const clip of turn.clips) {
+            if (stoppedAt >= clip.startAt + clip.durationMs) {
+                played.push(clip.text);
+                continue;
             }
+            if (stoppedAt > clip.startAt) {
+                const words = clip.text.split(/\s+/);
+                const heard = Math.floor(words.length * (stoppedAt - clip.startAt) / clip.durationMs);
+                if (heard > 0) played.push(words.slice(0, heard).join(' ') + '...');
+            }
+            break;
+        }
+
+        return played.join(' ');
+    }
+
+    /**
+     * Synthesize sentences as soon as they are complete and play them in order
+     * @returns {{ enqueue: Function, done: Function }}
+     */
+    createSpeechQueue(session, turn) {
+        let playback = Promise.resolve();
+
+        return {
+            enqueue: (sentence) => {
+                turn.sentenceCount++;
+                const audioPromise = this.synthesizeTTS(sentence, session.agentVoiceId, session, turn.abortController.signal);
+
+                playback = playback.then(async () => {
+                    const audio = await audioPromise;
+                    if (!audio || turn.interrupted) return;
+                    if (!turn.firstTtsAt) turn.firstTtsAt = Date.now();
+
+                    // µ-law 8kHz is 8 bytes per millisecond
+                    const startAt = Math.max(Date.now(), turn.playheadAt);
+                    const durationMs = audio.length / 8;
+                    turn.clips.push({ text: sentence, startAt, durationMs });
+                    turn.playheadAt = startAt + durationMs;
+
+                    await this.sendAudioToTwilio(session, audio);
+                });
+            },
+            done: () => playback
+        };
+    }
 
-            return text;
+    /**
+     * Stream the LLM reply into the speech queue sentence by sentence.
+     * When the model calls tools, they run once the reply is complete and
+     * the LLM is asked again with the results, up to MAX_TOOL_ROUNDS times.
+     * @returns {Promise<string>} The spoken reply ('' if the agent stays silent)
+     */
+    async streamReply(session, turn, speech, round = 0) {
+        const modelToUse = session.agentModel || "gemini-2.0-flash";
+        const provider = modelToUse.includes('gemini') ? 'Gemini' : 'OpenAI';
+
+        console.log(`🧠 Streaming ${provider} LLM with model: ${modelToUse}`);
+
+        let text = '';
+        let unspoken = '';
+        let toolCalls = [];
+
+        try {
+            const stream = this.llmService.generateContentStream({
+                model: modelToUse,
+                contents: session.context,
+                config: { systemInstruction: turn.systemInstruction || session.agentPrompt },
+                tools: round < MAX_TOOL_ROUNDS ? session.toolDeclarations : undefined,
+                signal: turn.abortController.signal
+            });
+
+            for await (const chunk of stream) {
+                if (!turn.firstTokenAt) turn.firstTokenAt = Date.now();
+
+                if (chunk.toolCalls) {
+                    toolCalls = chunk.toolCalls;
+                    continue;
+                }
+
+                text += chunk.text;
+                unspoken += chunk.text;
+                const { sentences, rest } = splitSentences(unspoken);
+                unspoken = rest;
+                sentences.forEach(sentence => speech.enqueue(sentence));
+            }
         } catch (err) {
+            if (turn.interrupted) {
+                console.log(`⏹️  LLM request cancelled by barge-in`);
+                return text;
+            }
             console.error("❌ LLM error:", err);
-            return "I apologize, I'm having trouble processing that right now.";
+            if (!text.trim()) {
+                text = "I apologize, I'm having trouble processing that right now.";
+                unspoken = text;
+                toolCalls = [];
+            }
         }
+
+        console.log(`💬 ${provider} response received:`, text.substring(0, 100) + '...');
+
+        // The caller cut in, don't act on or speak a reply they are no longer waiting for
+        if (turn.interrupted) return text;
+
+        if (unspoken.trim()) {
+            speech.enqueue(unspoken.trim());
+        }
+
+        if (toolCalls.length > 0) {
+            const { silent } = await this.handleToolCalls(session, toolCalls, text);
+
+            // Nothing to say, the agent waits for whoever is on the line
+            if (silent) return '';
+            return await this.streamReply(session, turn, speech, round + 1);
+        }
+
+        return text;
+    }
+
+    stopAgentSpeech(session) {
+        session.isSpeaking = false;
+
+        // Cancel the rest of the reply and forget what the caller never heard
+        const turn = session.currentTurn;
+        if (turn && !turn.interrupted) {
+            turn.interrupted = true;
+            turn.interruptedAt = Date.now();
+            turn.abortController.abort();
+            if (turn.contextEntry) this.truncateReply(session, turn);
+        }
+        if (session.ws && session.streamSid) {
+            session.ws.send(
+                JSON.stringify({
+                    event: "clear",
+                    streamSid: session.streamSid
+                })
+            );
+        }
+    }
+
+    /**
+     * Cut an interrupted reply already in the context down to what was played
+     */
+    truncateReply(session, turn) {
+        const played = this.getPlayedText(turn);
+        this.transcriptService.updateEntry(session, turn.transcriptEntry, { content: played, interrupted: true });
+
+        if (played) {
+            turn.contextEntry.parts[0].text = played;
+            console.log(`✂️  Reply truncated to what the caller heard: "${played}"`);
+            return;
+        }
+
+        const index = session.context.indexOf(turn.contextEntry);
+        if (index !== -1) session.context.splice(index, 1);
+        console.log(`✂️  Reply dropped, the caller heard none of it`);
     }
 
-    async synthesizeTTS(text, voiceId, session = null) {
+    /**
+     * Buffer keypresses from the caller and hand them to the LLM as one input
+     */
+    handleCallerKeypress(session, digit) {
+        // Keypresses while screening for voicemail or handing the call over are not for the agent
+        if ((session.amd && session.amd.result === null) || session.pendingCallAction) return;
+
+        session.lifecycle?.recordActivity();
+        session.dtmfBuffer = (session.dtmfBuffer || '') + digit;
+        clearTimeout(session.dtmfTimer);
+
+        session.dtmfTimer = setTimeout(async () => {
+            const digits = session.dtmfBuffer;
+            session.dtmfBuffer = '';
+
+            const input = `[Caller pressed ${digits.split('').join(' ')}]`;
+            this.transcriptService.addEntry(session, session.callId, { role: 'user', content: input, data: { dtmf: digits } });
+
+            if (session.currentTurn || session.isSpeaking) {
+                this.stopAgentSpeech(session);
+            }
+
+            if (session.isProcessing) {
+                session.pendingUtterances.push(input);
+                return;
+            }
+
+            try {
+                await this.processUtterance(session, input);
+            } catch (err) {
+                console.error("❌ Error handling keypress:", err);
+            }
+        }, DTMF_INPUT_GAP_MS);
+    }
+
+    /**
+     * Run the tools the LLM called and add the call and its results to the context
+     * @param {Array} toolCalls - [{ id, name, args }] from LLMService
+     * @param {string} text - Anything the model said alongside the calls
+     * @returns {Promise<Object>} { silent } - true if every tool asks the agent to stay quiet
+     */
+    async handleToolCalls(session, toolCalls, text = '') {
+        const results = [];
+        let silent = true;
+
+        for (const call of toolCalls) {
+            console.log(`🛠️ Tool usage detected: ${call.name}`);
+
+            if (isBuiltinTool(call.name, session.agentSettings, 'phone')) {
+                const { silent: quiet, ...result } = this.handleBuiltinTool(session, call.name, call.args || {});
+                if (!quiet) silent = false;
+                results.push({ name: call.name, response: result });
+                continue;
+            }
+
+            silent = false;
+            results.push({ name: call.name, response: await this.executeAgentTool(session, call) });
+        }
+
+        session.context.push(toolCallContent(toolCalls, text));
+        session.context.push(toolResultContent(results));
+        this.transcriptService.addToolEntries(session, session.callId, toolCalls, results, text);
+        console.log(`💬 FUNCTION: ${JSON.stringify(results)}`);
+
+        return { silent };
+    }
+
+    /**
+     * Run one of the agent's configured tools
+     * @returns {Promise<Object>} Tool result for the LLM ({ status, message })
+     */
+    async executeAgentTool(session, call) {
+        let data = call.args || {};
+
+        // Find the tool definition for validation
+        const tool = findAgentTool(session.tools, call.name);
+        if (tool) {
+            data = applyParameterDefaults(tool.parameters, data, session.promptVariables);
+
+            // 1. FILTER DATA BY SCHEMA: Only keep what is defined in the tool parameters
+            const filteredData = {};
+            const allowedParams = tool.parameters || [];
+
+            allowedParams.forEach(param => {
+                if (data[param.name] !== undefined) {
+                    filteredData[param.name] = data[param.name];
+                }
+            });
+
+            // 2. PREVENT RAW TEXT LEAKAGE: Explicitly strip transcript/context
+            const blackList = ['transcript', 'context', 'raw_text', 'conversation', 'history'];
+            blackList.forEach(key => delete filteredData[key]);
+
+            // 3. ONE-ROW-PER-CALL ENFORCEMENT
+            if (session.dataSaved) {
+                console.log(`⏭️  Data already saved for this call, skipping duplicate write.`);
+            } else if (Object.keys(filteredData).length > 0) {
+
+                // ✅ USE NEW TOOL EXECUTION SERVICE (WEBHOOK BASED)
+                try {
+                    const ToolExecutionService = require('./toolExecutionService.js');
+                    // Instantiate with dependencies
+                    const toolService = new ToolExecutionService(this.llmService, this.mysqlPool);
+
+                    await toolService.executeTool(tool, filteredData, session, session.agentSettings);
+                    session.dataSaved = true; // Mark as saved
+                    console.log(`✅ Structured data processed via WebhookService for CallID: ${session.callId}`);
+
+                } catch (toolErr) {
+                    console.error('❌ Failed to execute tool service:', toolErr);
+                }
+
+            } else {
+                console.warn('⚠️  LLM returned no data matching the tool schema');
+            }
+        } else {
+            console.warn(`⚠️  Tool "${call.name}" invocation skipped: Not found in agent config.`);
+            return { status: "error", message: `Unknown tool ${call.name}` };
+        }
+
+        return {
+            status: "success",
+            message: session.dataSaved ? "Captured and saved successfully" : "Execution completed"
+        };
+    }
+
+    async synthesizeTTS(text, voiceId, session = null, signal = null) {
         try {
             // Use TTS controller for provider abstraction
             const { generateTTS } = require('./tts_controller.js');
@@ -617,7 +1298,7 @@ class MediaStreamHandler {
             console.log(`   Text length: ${text.length} characters`);
             console.log(`   Text preview: "${text.substring(0, 100)}${text.length > 100 ? '...' : ''}"`);
 
-            const audioBuffer = await generateTTS(text, { voiceId });
+            const audioBuffer = await generateTTS(text, { voiceId, signal });
 
             // Track TTS usage for billing
             if (session && session.usage) {
@@ -673,6 +1354,10 @@ class MediaStreamHandler {
 
             return audioBuffer;
         } catch (err) {
+            if (signal?.aborted) {
+                console.log(`⏹️  TTS request cancelled by barge-in`);
+                return null;
+            }
             console.error("❌ TTS error:", err);
             console.error("   Error details:", err.message);
             console.error("   Stack trace:", err.stack);
@@ -681,83 +1366,101 @@ class MediaStreamHandler {
             return null;
         }
     }
+    /**
+     * Stream µ-law audio to Twilio in 20ms frames
+     * @returns {Promise<void>} Resolves once the last frame is sent or playback was interrupted
+     */
     sendAudioToTwilio(session, audioBuffer) {
-        try {
-            if (!session.isReady || !session.streamSid) {
-                console.log("⏸️  Queueing audio - stream not ready yet");
-                session.audioQueue.push(audioBuffer);
-                return;
-            }
+        return new Promise((resolve) => {
+            try {
+                if (!session.isReady || !session.streamSid) {
+                    console.log("⏸️  Queueing audio - stream not ready yet");
+                    session.audioQueue.push(audioBuffer);
+                    resolve();
+                    return;
+                }
 
-            // ✅ Set speaking flag
-            session.isSpeaking = true;
+                // ✅ Set speaking flag
+                session.isSpeaking = true;
+                session.audioSeq = (session.audioSeq || 0) + 1;
+                const seq = session.audioSeq;
+                const markName = `audio_complete_${seq}`;
+
+                const chunkSize = 160; // 160 bytes = 20ms at 8kHz µ-law
+                let chunksSent = 0;
+
+                console.log(`📤 Sending audio to Twilio:`);
+                console.log(`   Raw buffer length: ${audioBuffer.length} bytes`);
+                console.log(`   Expected chunks: ${Math.ceil(audioBuffer.length / chunkSize)}`);
+
+                // Send chunks with small delays for better playback
+                let offset = 0;
+                const sendNextChunk = () => {
+                    // ✅ INTERRUPT CHECK: Stop sending if flag was cleared or a newer clip took over
+                    if (!session.isSpeaking || session.audioSeq !== seq) {
+                        console.log('⏹️  Playback interrupted - stopping audio stream');
+                        resolve();
+                        return;
+                    }
 
-            const chunkSize = 160; // 160 bytes = 20ms at 8kHz µ-law
-            let chunksSent = 0;
+                    if (offset >= audioBuffer.length) {
+                        // All chunks sent, send mark
+                        session.ws.send(
+                            JSON.stringify({
+                                event: "mark",
+                                streamSid: session.streamSid,
+                                mark: { name: markName },
+                            })
+                        );
+
+                        console.log(`✅ Sent ${chunksSent} audio chunks to Twilio (streamSid: ${session.streamSid})`);
+
+                        // Clear speaking flag after estimated duration, unless the next clip has started
+                        const estimatedDurationMs = chunksSent * 20;
+                        setTimeout(() => {
+                            if (session.audioSeq !== seq) return;
+                            session.isSpeaking = false;
+                            console.log(`✅ Agent finished speaking`);
+                        }, estimatedDurationMs);
+                        resolve();
+                        return;
+                    }
 
-            console.log(`📤 Sending audio to Twilio:`);
-            console.log(`   Raw buffer length: ${audioBuffer.length} bytes`);
-            console.log(`   Expected chunks: ${Math.ceil(audioBuffer.length / chunkSize)}`);
+                    if (chunksSent === 0 && session.currentTurn && !session.currentTurn.firstAudioAt) {
+                        session.currentTurn.firstAudioAt = Date.now();
+                    }
 
-            // Send chunks with small delays for better playback
-            let offset = 0;
-            const sendNextChunk = () => {
-                // ✅ INTERRUPT CHECK: Stop sending if flag was cleared
-                if (!session.isSpeaking) {
-                    console.log('⏹️  Playback interrupted - stopping audio stream');
-                    return;
-                }
+                    // FIX: Slice BUFFER first, then encode to Base64
+                    // This ensures valid Base64 for each chunk and exact 20ms audio packets
+                    const chunkBuffer = audioBuffer.slice(offset, offset + chunkSize);
+                    const payload = chunkBuffer.toString('base64');
 
-                if (offset >= audioBuffer.length) {
-                    // All chunks sent, send mark
                     session.ws.send(
                         JSON.stringify({
-                            event: "mark",
+                            event: "media",
                             streamSid: session.streamSid,
-                            mark: { name: "audio_complete" },
+                            media: {
+                                payload: payload
+                            },
                         })
                     );
+                    chunksSent++;
+                    offset += chunkSize;
 
-                    console.log(`✅ Sent ${chunksSent} audio chunks to Twilio (streamSid: ${session.streamSid})`);
+                    // Send next chunk after 20ms (matches 160 bytes @ 8kHz = 20ms of audio)
+                    // Use a slightly faster interval to prevent buffer underruns
+                    setTimeout(sendNextChunk, 18);
+                };
 
-                    // Clear speaking flag after estimated duration
-                    const estimatedDurationMs = chunksSent * 20;
-                    setTimeout(() => {
-                        session.isSpeaking = false;
-                        console.log(`✅ Agent finished speaking`);
-                    }, estimatedDurationMs);
-                    return;
-                }
+                // Start sending chunks
+                sendNextChunk();
 
-                // FIX: Slice BUFFER first, then encode to Base64
-                // This ensures valid Base64 for each chunk and exact 20ms audio packets
-                const chunkBuffer = audioBuffer.slice(offset, offset + chunkSize);
-                const payload = chunkBuffer.toString('base64');
-
-                session.ws.send(
-                    JSON.stringify({
-                        event: "media",
-                        streamSid: session.streamSid,
-                        media: {
-                            payload: payload
-                        },
-                    })
-                );
-                chunksSent++;
-                offset += chunkSize;
-
-                // Send next chunk after 20ms (matches 160 bytes @ 8kHz = 20ms of audio)
-                // Use a slightly faster interval to prevent buffer underruns
-                setTimeout(sendNextChunk, 18);
-            };
-
-            // Start sending chunks
-            sendNextChunk();
-
-        } catch (err) {
-            console.error("❌ Error sending audio to Twilio:", err);
-            session.isSpeaking = false; // Clear flag on error
-        }
+            } catch (err) {
+                console.error("❌ Error sending audio to Twilio:", err);
+                session.isSpeaking = false; // Clear flag on error
+                resolve();
+            }
+        });
     }
 }
 module.exports = { MediaStreamHandler };
@@ -0,0 +1,266 @@
+/**
+ * Pacing Service
+ * Decides how many calls a campaign places on each dialer pass. Live calls are
+ * campaign contacts in 'calling', which the Twilio status callbacks move on as
+ * calls are answered and end, so a campaign keeps its target number of calls
+ * active instead of dialing fixed batches on a timer.
+ *
+ *   fixed     keep concurrent_calls calls live
+ *   adaptive  keep concurrent_calls calls *answered*: dial ahead of the answer
+ *             rate (up to max_dial_ratio lines per conversation), and drop back
+ *             to one line per conversation while the abandon rate is above
+ *             target_abandon_rate
+ *
+ * Calls of all campaigns that go out through the same Twilio account also
+ * count against the concurrent call cap the campaign's user set on that account.
+ */
+
+const PACING_MODES = ['fixed', 'adaptive'];
+const LIVE_CALL_TIMEOUT_MINUTES = 120;      // a call that never reported back stops counting as live
+const STATS_WINDOW_MINUTES = 60;
+const STATS_SAMPLE_SIZE = 100;              // most recent attempts the rates are measured on
+const MIN_STATS_SAMPLE = 10;                // fewer attempts than this dial one line per conversation
+const MIN_ANSWER_RATE = 0.05;
+const ABANDON_SECONDS = 5;                  // a person hanging up this soon after answering abandoned the call
+const DEFAULT_ACCOUNT_MAX_CALLS = Number(process.env.TWILIO_ACCOUNT_MAX_CONCURRENT_CALLS) || null;
+
+/**
+ * Number of calls to place now
+ * @param {Object} state
+ * @param {string} state.mode - fixed | adaptive
+ * @param {number} state.target - Calls (fixed) or conversations (adaptive) to keep going
+ * @param {number} state.live - Campaign calls being placed, ringing or answered
+ * @param {number} state.answered - Live calls that were answered
+ * @param {Object|null} state.stats - { attempts, answerRate, abandonRate } of recent attempts
+ * @param {number} state.maxDialRatio - Most lines per conversation in adaptive mode
+ * @param {number} state.targetAbandonRate - Percent
+ * @returns {number}
+ */
+function pacedSlots({ mode, target, live, answered, stats, maxDialRatio, targetAbandonRate }) {
+    if (mode !== 'adaptive' || !stats || stats.attempts < MIN_STATS_SAMPLE) {
+        return Math.max(0, target - live);
+    }
+
+    const answerRate = Math.max(stats.answerRate, MIN_ANSWER_RATE);
+    const ratio = stats.abandonRate * 100 > targetAbandonRate
+        ? 1
+        : Math.min(maxDialRatio, 1 / answerRate);
+
+    // Conversations expected from the calls already out, and lines it takes to make up the rest
+    const expected = answered + (live - answered) * answerRate;
+    const needed = Math.ceil((target - expected) / answerRate);
+    const lineCap = Math.floor(target * ratio) - live;
+
+    return Math.max(0, Math.min(needed, lineCap));
+}
+
+class PacingService {
+    constructor(mysqlPool) {
+        this.pool = mysqlPool;
+        this.attemptsTableName = 'campaign_call_attempts';
+        this.limitsTableName = 'twilio_account_limits';
+        this.tablesReady = this.initTables();
+    }
+
+    async initTables() {
+        if (!this.pool) {
+            console.warn('MySQL pool not provided to PacingService, table initialization skipped.');
+            return;
+        }
+
+        try {
+            await this.pool.execute(`
+                CREATE TABLE IF NOT EXISTS ${this.attemptsTableName} (
+                    id BIGINT AUTO_INCREMENT PRIMARY KEY,
+                    campaign_id VARCHAR(255) NOT NULL,
+                    contact_id VARCHAR(255) NOT NULL,
+                    call_id VARCHAR(255) NULL,
+                    outcome VARCHAR(16) NOT NULL,
+                    answered TINYINT(1) NOT NULL DEFAULT 0,
+                    abandoned TINYINT(1) NOT NULL DEFAULT 0,
+                    duration_seconds INT NOT NULL DEFAULT 0,
+                    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                    INDEX idx_campaign_created (campaign_id, created_at)
+                ) ENGINE=InnoDB;
+            `);
+            console.log(`✅ Table ${this.attemptsTableName} check/creation successful.`);
+
+            await this.pool.execute(`
+                CREATE TABLE IF NOT EXISTS ${this.limitsTableName} (
+                    user_id VARCHAR(255) NOT NULL,
+                    account_sid VARCHAR(64) NOT NULL,
+                    max_concurrent_calls INT NULL,
+                    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+                    PRIMARY KEY (user_id, account_sid)
+                ) ENGINE=InnoDB;
+            `);
+
+            // Tables created keyed by account_sid alone let any user of a shared account overwrite its cap
+            const [primaryKey] = await this.pool.execute(
+                `SHOW KEYS FROM ${this.limitsTableName} WHERE Key_name = 'PRIMARY'`
+            );
+            if (primaryKey.length === 1) {
+                await this.pool.execute(
+                    `ALTER TABLE ${this.limitsTableName} DROP PRIMARY KEY, ADD PRIMARY KEY (user_id, account_sid)`
+                );
+                console.log(`✅ Keyed ${this.limitsTableName} by user and account.`);
+            }
+            console.log(`✅ Table ${this.limitsTableName} check/creation successful.`);
+        } catch (error) {
+            console.error('❌ Failed to initialize pacing tables:', error);
+        }
+    }
+
+    /**
+     * Record how a campaign call went, for the answer and abandon rates
+     * @param {Object} attempt - { campaignId, contactId, callId, outcome, answered, durationSeconds }
+     */
+    async recordAttempt({ campaignId, contactId, callId = null, outcome, answered, durationSeconds = 0 }) {
+        await this.tablesReady;
+        const abandoned = answered && outcome === 'completed' && durationSeconds < ABANDON_SECONDS;
+
+        await this.pool.execute(
+            `INSERT INTO ${this.attemptsTableName}
+             (campaign_id, contact_id, call_id, outcome, answered, abandoned, duration_seconds)
+             VALUES (?, ?, ?, ?, ?, ?, ?)`,
+            [campaignId, contactId, callId, outcome, answered ? 1 : 0, abandoned ? 1 : 0, durationSeconds]
+        );
+    }
+
+    /**
+     * Answer and abandon rates of a campaign's recent calls
+     * @returns {Promise<Object>} { attempts, answerRate, abandonRate (of answered calls) }
+     */
+    async getStats(campaignId) {
+        await this.tablesReady;
+
+        const [rows] = await this.pool.execute(
+            `SELECT COUNT(*) AS attempts, COALESCE(SUM(answered), 0) AS answered, COALESCE(SUM(abandoned), 0) AS abandoned
+             FROM (
+                 SELECT answered, abandoned FROM ${this.attemptsTableName}
+                 WHERE campaign_id = ? AND created_at > NOW() - INTERVAL ${STATS_WINDOW_MINUTES} MINUTE
+                 ORDER BY created_at DESC
+                 LIMIT ${STATS_SAMPLE_SIZE}
+             ) recent`,
+            [campaignId]
+        );
+
+        const attempts = Number(rows[0].attempts);
+        const answered = Number(rows[0].answered);
+        return {
+            attempts,
+            answerRate: attempts > 0 ? answered / attempts : 0,
+            abandonRate: answered > 0 ? Number(rows[0].abandoned) / answered : 0
+        };
+    }
+
+    /**
+     * Live calls, of one campaign or across a Twilio account
+     * @param {Object} scope - { campaignId } or { accountSid }
+     * @returns {Promise<Object>} { live, answered }
+     */
+    async getLiveCalls({ campaignId = null, accountSid = null }) {
+        const [rows] = await this.pool.execute(
+            `SELECT COUNT(*) AS live, COALESCE(SUM(answered_at IS NOT NULL), 0) AS answered
+             FROM campaign_contacts
+             WHERE ${campaignId ? 'campaign_id' : 'twilio_account_sid'} = ? AND status = 'calling'
+               AND last_attempt_at > NOW() - INTERVAL ${LIVE_CALL_TIMEOUT_MINUTES} MINUTE`,
+            [campaignId || accountSid]
+        );
+        return { live: Number(rows[0].live), answered: Number(rows[0].answered) };
+    }
+
+    /**
+     * Concurrent call cap a user set on a Twilio account, TWILIO_ACCOUNT_MAX_CONCURRENT_CALLS when not set
+     * @returns {Promise<number|null>} null for no cap
+     */
+    async getAccountLimit(userId, accountSid) {
+        await this.tablesReady;
+        const [rows] = await this.pool.execute(
+            `SELECT max_concurrent_calls FROM ${this.limitsTableName} WHERE user_id = ? AND account_sid = ?`,
+            [userId, accountSid]
+        );
+        return rows.length > 0 ? rows[0].max_concurrent_calls : DEFAULT_ACCOUNT_MAX_CALLS;
+    }
+
+    /**
+     * The Twilio accounts of a user's numbers, with their cap and live campaign calls
+     * @returns {Promise<Array<Object>>} [{ accountSid, maxConcurrentCalls, liveCalls }]
+     */
+    async listAccountLimits(userId) {
+        await this.tablesReady;
+        const [accounts] = await this.pool.execute(
+            `SELECT DISTINCT n.twilio_account_sid AS account_sid, l.max_concurrent_calls, l.account_sid AS configured
+             FROM user_twilio_numbers n
+             LEFT JOIN ${this.limitsTableName} l ON l.user_id = n.user_id AND l.account_sid = n.twilio_account_sid
+             WHERE n.user_id = ? AND n.twilio_account_sid IS NOT NULL`,
+            [userId]
+        );
+
+        return Promise.all(accounts.map(async account => ({
+            accountSid: account.account_sid,
+            maxConcurrentCalls: account.configured ? account.max_concurrent_calls : DEFAULT_ACCOUNT_MAX_CALLS,
+            liveCalls: (await this.getLiveCalls({ accountSid: account.account_sid })).live
+        })));
+    }
+
+    /**
+     * Set or clear (null) the concurrent call cap of one of the user's Twilio accounts
+     * @returns {Promise<boolean>} false when the user has no number on that account
+     */
+    async setAccountLimit(userId, accountSid, maxConcurrentCalls) {
+        await this.tablesReady;
+        const [numbers] = await this.pool.execute(
+            'SELECT id FROM user_twilio_numbers WHERE user_id = ? AND twilio_account_sid = ? LIMIT 1',
+            [userId, accountSid]
+        );
+        if (numbers.length === 0) return false;
+
+        await this.pool.execute(
+            `INSERT INTO ${this.limitsTableName} (user_id, account_sid, max_concurrent_calls)
+             VALUES (?, ?, ?)
+             ON DUPLICATE KEY UPDATE max_concurrent_calls = VALUES(max_concurrent_calls)`,
+            [userId, accountSid, maxConcurrentCalls]
+        );
+        return true;
+    }
+
+    /**
+     * How many calls a campaign should place now
+     * @param {Object} campaign - campaigns row (id, user_id, concurrent_calls, pacing_mode, max_dial_ratio, target_abandon_rate)
+     * @param {string[]} accountSids - Twilio accounts the campaign calls from
+     * @returns {Promise<Object>} { slots, live, answered, accounts: [{ accountSid, live, limit }], stats }
+     */
+    async getDialSlots(campaign, accountSids = []) {
+        const mode = PACING_MODES.includes(campaign.pacing_mode) ? campaign.pacing_mode : 'fixed';
+        const { live, answered } = await this.getLiveCalls({ campaignId: campaign.id });
+        const stats = mode === 'adaptive' ? await this.getStats(campaign.id) : null;
+
+        let slots = pacedSlots({
+            mode,
+            target: Number(campaign.concurrent_calls) || 2,
+            live,
+            answered,
+            stats,
+            maxDialRatio: Number(campaign.max_dial_ratio) || 1,
+            targetAbandonRate: Number(campaign.target_abandon_rate) || 0
+        });
+
+        // With numbers on several accounts, the fullest account decides
+        const accounts = [];
+        for (const accountSid of slots > 0 ? accountSids : []) {
+            const limit = await this.getAccountLimit(campaign.user_id, accountSid);
+            if (limit == null) continue;
+
+            const accountLive = (await this.getLiveCalls({ accountSid })).live;
+            accounts.push({ accountSid, live: accountLive, limit });
+            slots = Math.min(slots, Math.max(0, limit - accountLive));
+        }
+
+        return { slots, live, answered, accounts, stats };
+    }
+}
+
+PacingService.PACING_MODES = PACING_MODES;
+
+module.exports = PacingService;
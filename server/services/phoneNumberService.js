@@ -40,6 +40,7 @@ exports.PhoneNumberService = void 0;
 
 var database_js_1 = require("../config/database.js");
 var uuid_1 = require("uuid");
+var dbSchema_js_1 = require("../utils/dbSchema.js");
 
 var PhoneNumberService = /** @class */ (function () {
     function PhoneNumberService() {}
@@ -110,6 +111,7 @@ var PhoneNumberService = /** @class */ (function () {
                                 provider: row ? row.provider : null,
                                 twilioSid: row ? row.twilio_sid : null,
                                 capabilities: caps,
+                                dailyCallCap: row && row.daily_call_cap != null ? row.daily_call_cap : null,
 
                                 created_at: (row && (row.created_at || row.purchased_at)) || null,
                                 purchased_at: (row && row.purchased_at) || null
@@ -389,6 +391,115 @@ VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, NOW())", [
         });
     };
 
+    // ==========================
+    // DAILY CALL CAPS
+    // ==========================
+    // Outbound calls per number and calendar day (of the database server), so
+    // campaigns rotating caller IDs can spread calls and stop at a number's cap
+
+    PhoneNumberService.usageSchemaReady = null;
+
+    PhoneNumberService.ensureUsageSchema = function () {
+        if (!this.usageSchemaReady) {
+            this.usageSchemaReady = (async function () {
+                await dbSchema_js_1.ensureColumns(database_js_1.default, "phone_numbers", {
+                    daily_call_cap: "INT NULL",             // outbound calls per day, NULL for no cap
+                    last_used_at: "TIMESTAMP NULL"          // last outbound campaign call
+                });
+                await database_js_1.default.execute(
+                    "CREATE TABLE IF NOT EXISTS phone_number_daily_usage (\
+                        phone_number_id VARCHAR(255) NOT NULL,\
+                        usage_date DATE NOT NULL,\
+                        calls INT NOT NULL DEFAULT 0,\
+                        PRIMARY KEY (phone_number_id, usage_date)\
+                    ) ENGINE=InnoDB"
+                );
+                console.log("✅ Table phone_number_daily_usage check/creation successful.");
+            })().catch(function (error) {
+                PhoneNumberService.usageSchemaReady = null;
+                console.error("❌ Failed to initialize phone number usage tracking:", error.message);
+            });
+        }
+        return this.usageSchemaReady;
+    };
+
+    /**
+     * Count an outbound call against a number's daily cap
+     * @param {string} phoneNumberId - phone_numbers.id
+     * @param {number|null} dailyCap - The number's daily_call_cap
+     * @returns {Promise<boolean>} false when the number has reached its cap today
+     */
+    PhoneNumberService.reserveDailyCall = async function (phoneNumberId, dailyCap) {
+        await this.ensureUsageSchema();
+        await database_js_1.default.execute(
+            "INSERT INTO phone_number_daily_usage (phone_number_id, usage_date, calls) VALUES (?, CURDATE(), 0) \
+             ON DUPLICATE KEY UPDATE calls = calls",
+            [phoneNumberId]
+        );
+
+        // Conditional increment, so concurrent dialers can't go over the cap
+        var cap = dailyCap == null ? null : Number(dailyCap);
+        var result = (await database_js_1.default.execute(
+            "UPDATE phone_number_daily_usage SET calls = calls + 1 \
+             WHERE phone_number_id = ? AND usage_date = CURDATE() AND (? IS NULL OR calls < ?)",
+            [phoneNumberId, cap, cap]
+        ))[0];
+        if (result.affectedRows === 0) return false;
+
+        await database_js_1.default.execute("UPDATE phone_numbers SET last_used_at = NOW() WHERE id = ?", [phoneNumberId]);
+        return true;
+    };
+
+    /**
+     * Give back a call reserved with reserveDailyCall() that was not placed
+     */
+    PhoneNumberService.releaseDailyCall = async function (phoneNumberId) {
+        await this.ensureUsageSchema();
+        await database_js_1.default.execute(
+            "UPDATE phone_number_daily_usage SET calls = GREATEST(calls - 1, 0) WHERE phone_number_id = ? AND usage_date = CURDATE()",
+            [phoneNumberId]
+        );
+    };
+
+    /**
+     * Daily cap and calls placed today of each of the user's numbers
+     * @returns {Promise<Array<Object>>} [{ id, phoneNumber, dailyCallCap, callsToday, lastUsedAt }]
+     */
+    PhoneNumberService.getDailyUsage = async function (userId) {
+        await this.ensureUsageSchema();
+        var rows = (await database_js_1.default.execute(
+            "SELECT p.id, p.phone_number, p.daily_call_cap, p.last_used_at, COALESCE(u.calls, 0) AS calls_today \
+             FROM phone_numbers p \
+             LEFT JOIN phone_number_daily_usage u ON u.phone_number_id = p.id AND u.usage_date = CURDATE() \
+             WHERE p.user_id = ? \
+             ORDER BY p.created_at DESC",
+            [userId]
+        ))[0];
+
+        return rows.map(function (row) {
+            return {
+                id: row.id,
+                phoneNumber: row.phone_number,
+                dailyCallCap: row.daily_call_cap,
+                callsToday: Number(row.calls_today),
+                lastUsedAt: row.last_used_at
+            };
+        });
+    };
+
+    /**
+     * Set or clear (null) the daily call cap of one of the user's numbers
+     * @returns {Promise<boolean>} false when the number is not the user's
+     */
+    PhoneNumberService.setDailyCallCap = async function (userId, id, dailyCallCap) {
+        await this.ensureUsageSchema();
+        var result = (await database_js_1.default.execute(
+            "UPDATE phone_numbers SET daily_call_cap = ? WHERE id = ? AND user_id = ?",
+            [dailyCallCap, id, userId]
+        ))[0];
+        return result.affectedRows > 0;
+    };
+
     return PhoneNumberService;
 }());
 
@@ -0,0 +1,167 @@
+/**
+ * Prefetch Service
+ * Calls the agent's prefetch data webhook before the greeting, with who is
+ * calling and why, so the returned data (caller name, account status, ...)
+ * can fill the prompt variables of the call.
+ */
+const fetch = require('node-fetch');
+const { signPayload } = require('../utils/webhookSignature.js');
+
+const DEFAULT_TIMEOUT_SECONDS = 3;
+const MAX_TIMEOUT_SECONDS = 10;
+
+function parseJson(value) {
+    if (!value) return {};
+    if (typeof value === 'object') return value;
+    try {
+        return JSON.parse(value);
+    } catch {
+        return {};
+    }
+}
+
+class PrefetchService {
+    constructor(mysqlPool) {
+        this.pool = mysqlPool;
+    }
+
+    /**
+     * Look up the call, campaign and contact the webhook is told about
+     * @param {Object} ids - { callId, agentId, campaignId, contactId, channel }, plus the
+     *   fromNumber, toNumber and direction Twilio reported, used when the calls row has none
+     * @returns {Promise<Object>} Call context
+     */
+    async loadCallContext({ callId, agentId, campaignId = null, contactId = null, channel = 'phone', fromNumber = null, toNumber = null, direction = null }) {
+        const context = { callId, agentId, campaignId, channel, fromNumber, toNumber, direction, campaign: null, contact: null };
+        if (!this.pool) return context;
+
+        try {
+            if (callId) {
+                // A phone session whose calls row could not be resolved is keyed on its CallSid
+                const [calls] = await this.pool.execute(
+                    'SELECT from_number, to_number, direction FROM calls WHERE id = ? OR call_sid = ? LIMIT 1',
+                    [callId, callId]
+                );
+                if (calls[0]) {
+                    context.fromNumber = calls[0].from_number || context.fromNumber;
+                    context.toNumber = calls[0].to_number || context.toNumber;
+                    context.direction = calls[0].direction || context.direction;
+                }
+            }
+
+            if (campaignId) {
+                const [campaigns] = await this.pool.execute('SELECT id, name FROM campaigns WHERE id = ?', [campaignId]);
+                if (campaigns[0]) {
+                    context.campaign = { id: campaigns[0].id, name: campaigns[0].name };
+                }
+            }
+
+            if (contactId) {
+                const [contacts] = await this.pool.execute(
+                    'SELECT id, name, phone_number, metadata FROM campaign_contacts WHERE id = ?',
+                    [contactId]
+                );
+                if (contacts[0]) {
+                    context.contact = {
+                        id: contacts[0].id,
+                        name: contacts[0].name || null,
+                        phoneNumber: contacts[0].phone_number,
+                        metadata: parseJson(contacts[0].metadata)
+                    };
+                }
+            }
+        } catch (error) {
+            console.error('❌ Error loading call context for prefetch:', error.message);
+        }
+
+        return context;
+    }
+
+    /**
+     * Prompt variables for a call: what the platform knows about the caller
+     * (campaign contacts bring their extra import columns), overridden by
+     * whatever the prefetch webhook returns
+     * @param {Object} settings - Agent settings (prefetchDataWebhook, prefetchDataTimeout, webhookSecret)
+     * @param {Object} context - From loadCallContext()
+     * @returns {Promise<Object>} Variables by name, {} when nothing is known
+     */
+    async getPromptVariables(settings, context) {
+        // Columns of the campaign contact's import file ({{company}}, {{plan}}, ...)
+        const variables = { ...(context.contact?.metadata || {}) };
+        if (context.contact?.name) variables.name = context.contact.name;
+        if (context.campaign?.name) variables.campaign_name = context.campaign.name;
+
+        const callerNumber = context.contact?.phoneNumber
+            || (context.direction === 'inbound' ? context.fromNumber : context.toNumber);
+        if (callerNumber && context.channel === 'phone') variables.caller_number = callerNumber;
+
+        const data = await this.fetchCallerData(settings, context);
+        return { ...variables, ...data };
+    }
+
+    /**
+     * POST the call context to the prefetch webhook and wait for its answer,
+     * at most prefetchDataTimeout seconds so the caller is not left in silence
+     * @returns {Promise<Object>} The returned JSON object, {} on any failure
+     */
+    async fetchCallerData(settings, context) {
+        const url = settings?.prefetchDataWebhook?.trim();
+        if (!url) return {};
+
+        const timeoutSeconds = Math.min(
+            Math.max(Number(settings.prefetchDataTimeout) || DEFAULT_TIMEOUT_SECONDS, 1),
+            MAX_TIMEOUT_SECONDS
+        );
+
+        const payload = {
+            event: 'call.prefetch',
+            call_id: context.callId,
+            agent_id: context.agentId,
+            channel: context.channel,
+            direction: context.direction,
+            from_number: context.fromNumber,
+            to_number: context.toNumber,
+            campaign: context.campaign,
+            contact: context.contact && {
+                id: context.contact.id,
+                name: context.contact.name,
+                phone_number: context.contact.phoneNumber,
+                metadata: context.contact.metadata
+            },
+            timestamp: new Date().toISOString()
+        };
+        const body = JSON.stringify(payload);
+
+        const headers = {
+            'Content-Type': 'application/json',
+            ...signPayload(body, [settings.webhookSecret, settings.webhookPreviousSecret])
+        };
+
+        const controller = new AbortController();
+        const timeout = setTimeout(() => controller.abort(), timeoutSeconds * 1000);
+        const startedAt = Date.now();
+
+        try {
+            const response = await fetch(url, { method: 'POST', headers, body, signal: controller.signal });
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+            }
+
+            const data = await response.json();
+            if (!data || typeof data !== 'object' || Array.isArray(data)) {
+                throw new Error('Response is not a JSON object');
+            }
+
+            console.log(`📇 Prefetched caller data for call ${context.callId} in ${Date.now() - startedAt}ms`);
+            return data;
+        } catch (error) {
+            const reason = error.name === 'AbortError' ? `no response within ${timeoutSeconds}s` : error.message;
+            console.warn(`⚠️ Prefetch data webhook failed, continuing without it: ${reason}`);
+            return {};
+        } finally {
+            clearTimeout(timeout);
+        }
+    }
+}
+
+module.exports = PrefetchService;
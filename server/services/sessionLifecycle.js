@@ -0,0 +1,128 @@
+/**
+ * Session Lifecycle
+ * Enforces the session limits from agent settings for any voice handler:
+ * - sessionTimeoutFixedDuration: hard cap on the call length (seconds, 0 = off)
+ * - sessionTimeoutNoVoiceActivity: end the call after this much caller silence (seconds, 0 = off)
+ * - inactivityHandling: nudge a silent caller ("are you still there?") before giving up
+ *
+ * The handler owns speaking and hanging up; this class only decides when.
+ */
+
+// Silence before the first nudge, and between nudges
+const NUDGE_AFTER_MS = 15000;
+const MAX_NUDGES = 2;
+
+// Time for the end message to play in the browser before the stream is closed
+const SESSION_END_GRACE_MS = 4000;
+
+const DEFAULT_NUDGE_MESSAGE = "Are you still there?";
+const DEFAULT_END_MESSAGE = "Your session has ended.";
+
+class SessionLifecycle {
+    /**
+     * @param {Object} settings - Agent settings
+     * @param {Object} handlers
+     * @param {Function} handlers.onNudge - async (message) => speak the nudge to the caller
+     * @param {Function} handlers.onEnd - async (reason, endMessage) => speak the end message and terminate
+     * @param {Function} handlers.isBusy - () => true while the agent is talking or thinking
+     */
+    constructor(settings = {}, handlers = {}) {
+        this.maxDurationMs = (Number(settings.sessionTimeoutFixedDuration) || 0) * 1000;
+        this.noVoiceLimitMs = (Number(settings.sessionTimeoutNoVoiceActivity) || 0) * 1000;
+        this.nudgeEnabled = !!settings.inactivityHandling;
+        this.endMessage = settings.sessionTimeoutEndMessage || DEFAULT_END_MESSAGE;
+
+        this.onNudge = handlers.onNudge || (async () => { });
+        this.onEnd = handlers.onEnd || (async () => { });
+        this.isBusy = handlers.isBusy || (() => false);
+
+        this.durationTimer = null;
+        this.inactivityTimer = null;
+        this.lastVoiceAt = Date.now();      // caller last spoke
+        this.lastActivityAt = Date.now();   // anyone last spoke
+        this.nudgeCount = 0;
+        this.ended = false;
+    }
+
+    start() {
+        if (this.maxDurationMs > 0) {
+            this.durationTimer = setTimeout(() => this.end('max_duration'), this.maxDurationMs);
+        }
+        this.recordActivity();
+    }
+
+    /**
+     * Reset the silence clock, call whenever the caller speaks or presses a key
+     */
+    recordActivity() {
+        if (this.ended) return;
+        this.lastVoiceAt = Date.now();
+        this.lastActivityAt = this.lastVoiceAt;
+        this.nudgeCount = 0;
+        this.scheduleInactivityCheck();
+    }
+
+    scheduleInactivityCheck() {
+        clearTimeout(this.inactivityTimer);
+
+        const deadlines = [];
+        if (this.nudgeEnabled) deadlines.push(this.lastActivityAt + NUDGE_AFTER_MS);
+        if (this.noVoiceLimitMs > 0) deadlines.push(this.lastVoiceAt + this.noVoiceLimitMs);
+        if (deadlines.length === 0) return;
+
+        const nextCheckMs = Math.max(Math.min(...deadlines) - Date.now(), 0);
+        this.inactivityTimer = setTimeout(() => this.checkInactivity(), nextCheckMs);
+    }
+
+    async checkInactivity() {
+        if (this.ended) return;
+        const now = Date.now();
+
+        // Silence while the agent is talking or thinking is not the caller going quiet
+        if (this.isBusy()) {
+            this.lastVoiceAt = now;
+            this.lastActivityAt = now;
+        } else if (this.noVoiceLimitMs > 0 && now - this.lastVoiceAt >= this.noVoiceLimitMs) {
+            await this.end('no_voice_activity');
+            return;
+        } else if (this.nudgeEnabled && now - this.lastActivityAt >= NUDGE_AFTER_MS) {
+            if (this.nudgeCount >= MAX_NUDGES) {
+                await this.end('inactivity');
+                return;
+            }
+
+            this.nudgeCount++;
+            console.log(`⏳ Caller silent for ${Math.round((now - this.lastVoiceAt) / 1000)}s, nudging (${this.nudgeCount}/${MAX_NUDGES})`);
+            try {
+                await this.onNudge(DEFAULT_NUDGE_MESSAGE);
+            } catch (error) {
+                console.error('❌ Error nudging caller:', error.message);
+            }
+            this.lastActivityAt = Date.now();
+        }
+
+        if (!this.ended) this.scheduleInactivityCheck();
+    }
+
+    async end(reason) {
+        if (this.ended) return;
+        this.stop();
+
+        console.log(`⏱️  Ending session: ${reason}`);
+        try {
+            await this.onEnd(reason, this.endMessage);
+        } catch (error) {
+            console.error('❌ Error ending session:', error.message);
+        }
+    }
+
+    stop() {
+        this.ended = true;
+        clearTimeout(this.durationTimer);
+        clearTimeout(this.inactivityTimer);
+    }
+}
+
+SessionLifecycle.SESSION_END_GRACE_MS = SESSION_END_GRACE_MS;
+
+module.exports = SessionLifecycle;
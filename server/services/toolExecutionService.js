@@ -1,4 +1,5 @@
 const WebhookService = require('./webhookService');
+const { applyParameterDefaults } = require('../utils/promptVariables.js');
 
 /**
  * Tool Execution Service for Voice Calls
@@ -88,7 +89,7 @@ ${JSON.stringify(schemaExample, null, 2)}
 
             // Validate required fields
             const missingFields = parameters
-                .filter(p => p.required && (extractedData[p.name] === undefined || extractedData[p.name] === null))
+                .filter(p => p.required && !p.defaultValue && (extractedData[p.name] === undefined || extractedData[p.name] === null))
                 .map(p => p.name);
 
             if (missingFields.length > 0) {
@@ -126,6 +127,7 @@ ${JSON.stringify(schemaExample, null, 2)}
     async executeTool(tool, data, session, agentSettings) {
         try {
             console.log(`🔧 Processing data for tool: ${tool.name}`);
+            data = applyParameterDefaults(tool.parameters, data, session.promptVariables);
 
             // Map the old "tool execution" to the new "Structure Extraction -> Webhook" flow
 
@@ -137,6 +139,7 @@ ${JSON.stringify(schemaExample, null, 2)}
             const webhookConfig = {
                 url: agentSettings?.webhookUrl,
                 secret: agentSettings?.webhookSecret,
+                previousSecret: agentSettings?.webhookPreviousSecret,
                 enabled: agentSettings?.webhookEnabled,
                 retries: agentSettings?.webhookRetryAttempts || 3
             };
@@ -150,6 +153,7 @@ ${JSON.stringify(schemaExample, null, 2)}
 
             // 3. Delegate to WebhookService
             const result = await this.webhookService.processExtraction({
+                userId: session.userId,
                 agentId: session.agentId,
                 callId: session.callId,
                 campaignId: session.campaignId || null,
@@ -0,0 +1,151 @@
+/**
+ * Transcript Service
+ * Writes every caller and agent turn, tool call and tool result of a call to
+ * call_transcripts as it happens, so the conversation outlives the session.
+ *
+ * Writes for a session are chained so they land in order and an entry can be
+ * updated (e.g. cut short by barge-in) after it was added, without the voice
+ * pipeline waiting on the database.
+ */
+class TranscriptService {
+    constructor(mysqlPool) {
+        this.pool = mysqlPool;
+        this.tableName = 'call_transcripts';
+        this.initTable();
+    }
+
+    async initTable() {
+        if (!this.pool) {
+            console.warn('MySQL pool not provided to TranscriptService, table initialization skipped.');
+            return;
+        }
+
+        const createTableQuery = `
+            CREATE TABLE IF NOT EXISTS ${this.tableName} (
+                id INT AUTO_INCREMENT PRIMARY KEY,
+                call_id VARCHAR(255) NOT NULL,
+                sequence INT NOT NULL,
+                role VARCHAR(20) NOT NULL,
+                content TEXT,
+                data JSON NULL,
+                stt_confidence FLOAT NULL,
+                latency_ms INT NULL,
+                interrupted BOOLEAN DEFAULT FALSE,
+                spoken_at TIMESTAMP(3) NOT NULL,
+                UNIQUE KEY uniq_call_sequence (call_id, sequence)
+            ) ENGINE=InnoDB;
+        `;
+
+        try {
+            await this.pool.execute(createTableQuery);
+            console.log(`✅ Table ${this.tableName} check/creation successful.`);
+        } catch (error) {
+            console.error(`❌ Failed to initialize table ${this.tableName}:`, error);
+        }
+    }
+
+    /**
+     * Add an entry to the call's transcript
+     * @param {Object} session - Voice session, holds the entry counter and write queue
+     * @param {string} callId - calls.id of the call
+     * @param {Object} entry - { role: 'user'|'agent'|'tool_call'|'tool_result', content, data, sttConfidence, latencyMs, interrupted, at }
+     * @returns {Object|null} The entry, for updateEntry(), or null when the call is not logged
+     */
+    addEntry(session, callId, entry) {
+        if (!this.pool || !callId) return null;
+
+        session.transcriptSequence = (session.transcriptSequence || 0) + 1;
+        const record = {
+            callId: String(callId),
+            sequence: session.transcriptSequence,
+            ...entry
+        };
+
+        const params = [
+            record.callId,
+            record.sequence,
+            record.role,
+            record.content ?? null,
+            record.data ? JSON.stringify(record.data) : null,
+            record.sttConfidence ?? null,
+            record.latencyMs ?? null,
+            Boolean(record.interrupted),
+            new Date(record.at || Date.now())
+        ];
+        this.enqueue(session, () => this.pool.execute(
+            `INSERT INTO ${this.tableName}
+             (call_id, sequence, role, content, data, stt_confidence, latency_ms, interrupted, spoken_at)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+            params
+        ));
+
+        return record;
+    }
+
+    /**
+     * Change an entry that was already added
+     * @param {Object} changes - Any of { content, latencyMs, interrupted }
+     */
+    updateEntry(session, record, changes) {
+        if (!record) return;
+        Object.assign(record, changes);
+
+        const params = [record.content ?? null, record.latencyMs ?? null, Boolean(record.interrupted), record.callId, record.sequence];
+        this.enqueue(session, () => this.pool.execute(
+            `UPDATE ${this.tableName} SET content = ?, latency_ms = ?, interrupted = ? WHERE call_id = ? AND sequence = ?`,
+            params
+        ));
+    }
+
+    /**
+     * Add a tool round trip: one tool_call entry per call and one tool_result entry per result
+     * @param {Array} toolCalls - [{ id, name, args }] from LLMService
+     * @param {Array} results - [{ name, response }]
+     * @param {string} [text] - Anything the agent said alongside the calls
+     */
+    addToolEntries(session, callId, toolCalls, results, text = '') {
+        if (text.trim()) {
+            this.addEntry(session, callId, { role: 'agent', content: text.trim() });
+        }
+
+        toolCalls.forEach((call, index) => {
+            this.addEntry(session, callId, { role: 'tool_call', content: call.name, data: { args: call.args || {} } });
+            if (results[index]) {
+                this.addEntry(session, callId, { role: 'tool_result', content: call.name, data: { response: results[index].response } });
+            }
+        });
+    }
+
+    /**
+     * Entries of a call in the order they were spoken
+     * @returns {Promise<Array>} [{ sequence, role, content, data, sttConfidence, latencyMs, interrupted, timestamp }]
+     */
+    async getTranscript(callId) {
+        const [entries] = await this.pool.execute(
+            `SELECT sequence, role, content, data, stt_confidence, latency_ms, interrupted, spoken_at
+             FROM ${this.tableName}
+             WHERE call_id = ?
+             ORDER BY spoken_at ASC, sequence ASC`,
+            [callId]
+        );
+
+        return entries.map(entry => ({
+            sequence: entry.sequence,
+            role: entry.role,
+            content: entry.content,
+            data: typeof entry.data === 'string' ? JSON.parse(entry.data) : entry.data,
+            sttConfidence: entry.stt_confidence,
+            latencyMs: entry.latency_ms,
+            interrupted: Boolean(entry.interrupted),
+            timestamp: entry.spoken_at
+        }));
+    }
+
+    enqueue(session, write) {
+        session.transcriptWrites = (session.transcriptWrites || Promise.resolve())
+            .then(write)
+            .catch(error => console.error('❌ Error saving transcript entry:', error.message));
+    }
+}
+
+module.exports = TranscriptService;
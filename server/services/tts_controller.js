@@ -29,6 +29,7 @@ function getSarvamApiKey() {
  * @param {string} options.speaker - Speaker name (for Sarvam)
  * @param {string} options.provider - Explicit provider ('elevenlabs' or 'sarvam')
  * @param {string} options.format - Output format
+ * @param {AbortSignal} options.signal - Cancels the provider request
  * @returns {Promise<Buffer>} - Audio buffer
  */
 async function generateTTS(text, options = {}) {
@@ -102,7 +103,8 @@ async function generateSarvamTTS(text, options) {
             target_language_code: options.language || "en-IN",
             model: "bulbul:v2",
             format: options.format || undefined,  // Pass format option (e.g., 'mp3' for preview)
-            skipTwilioConversion: options.skipTwilioConversion || false  // Pass skip flag
+            skipTwilioConversion: options.skipTwilioConversion || false,  // Pass skip flag
+            signal: options.signal
         });
 
         console.log(`[TTS] Sarvam TTS completed: ${audioBuffer.length} bytes`);
@@ -315,6 +317,7 @@ async function generateElevenLabsTTS(text, options) {
                 }
                 // output_format is now in the URL query string
             }),
+            signal: options.signal,
         });
 
         console.log(`[TTS] ElevenLabs API response status: ${response.status} ${response.statusText}`);
@@ -317,6 +317,7 @@ async function generateSarvamTTS(text, options = {}) {
                     "Content-Type": "application/json",
                 },
                 body: JSON.stringify(requestBody),
+                signal: options.signal,
             }
         );
 
@@ -0,0 +1,103 @@
+/**
+ * Turn Metrics Service
+ * Stores per-turn response latency for voice calls, measured from the final
+ * STT transcript to the first audio byte sent back to the caller.
+ */
+class TurnMetricsService {
+    constructor(mysqlPool) {
+        this.pool = mysqlPool;
+        this.tableName = 'call_turn_metrics';
+        this.initTable();
+    }
+
+    async initTable() {
+        if (!this.pool) {
+            console.warn('MySQL pool not provided to TurnMetricsService, table initialization skipped.');
+            return;
+        }
+
+        const createTableQuery = `
+            CREATE TABLE IF NOT EXISTS ${this.tableName} (
+                id INT AUTO_INCREMENT PRIMARY KEY,
+                call_id VARCHAR(255) NOT NULL,
+                agent_id VARCHAR(36),
+                turn_index INT NOT NULL,
+                llm_first_token_ms INT,
+                tts_first_audio_ms INT,
+                first_audio_ms INT,
+                total_ms INT,
+                sentence_count INT DEFAULT 0,
+                interrupted BOOLEAN DEFAULT FALSE,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                INDEX idx_call_id (call_id),
+                INDEX idx_agent_id (agent_id)
+            ) ENGINE=InnoDB;
+        `;
+
+        try {
+            await this.pool.execute(createTableQuery);
+            console.log(`✅ Table ${this.tableName} check/creation successful.`);
+        } catch (error) {
+            console.error(`❌ Failed to initialize table ${this.tableName}:`, error);
+        }
+    }
+
+    /**
+     * Start timing a turn when the caller's final transcript arrives
+     * @returns {Object} Turn timing record, filled in by the pipeline
+     */
+    startTurn(session) {
+        session.turnCount = (session.turnCount || 0) + 1;
+        return {
+            index: session.turnCount,
+            sttFinalAt: Date.now(),
+            firstTokenAt: null,
+            firstTtsAt: null,
+            firstAudioAt: null,
+            sentenceCount: 0,
+            interrupted: false
+        };
+    }
+
+    /**
+     * Log and store a finished turn
+     * @param {Object} session - Voice session (callId, agentId)
+     * @param {Object} turn - Record from startTurn()
+     */
+    async recordTurn(session, turn) {
+        const since = (timestamp) => (timestamp ? timestamp - turn.sttFinalAt : null);
+        const metrics = {
+            llmFirstTokenMs: since(turn.firstTokenAt),
+            ttsFirstAudioMs: since(turn.firstTtsAt),
+            firstAudioMs: since(turn.firstAudioAt),
+            totalMs: Date.now() - turn.sttFinalAt
+        };
+
+        console.log(`⏱️  Turn ${turn.index} latency: first token ${metrics.llmFirstTokenMs}ms, first audio ${metrics.firstAudioMs}ms, total ${metrics.totalMs}ms`);
+
+        if (!this.pool) return;
+
+        try {
+            await this.pool.execute(
+                `INSERT INTO ${this.tableName}
+                 (call_id, agent_id, turn_index, llm_first_token_ms, tts_first_audio_ms, first_audio_ms, total_ms, sentence_count, interrupted)
+                 VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+                [
+                    session.callId,
+                    session.agentId || null,
+                    turn.index,
+                    metrics.llmFirstTokenMs,
+                    metrics.ttsFirstAudioMs,
+                    metrics.firstAudioMs,
+                    metrics.totalMs,
+                    turn.sentenceCount,
+                    turn.interrupted
+                ]
+            );
+        } catch (error) {
+            console.error('❌ Error saving turn metrics:', error.message);
+        }
+    }
+}
+
+module.exports = TurnMetricsService;
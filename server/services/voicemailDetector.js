@@ -0,0 +1,210 @@
+const { decodeMuLaw } = require('../utils/mulaw.js');
+
+// 20ms frames at 8kHz, matching the Twilio media packet size
+const SAMPLE_RATE = 8000;
+const FRAME_SAMPLES = 160;
+const FRAME_MS = 20;
+
+// Energy above this RMS (16-bit scale) counts as voice activity
+const SPEECH_RMS_THRESHOLD = 600;
+// Gaps shorter than this are treated as part of the same utterance
+const UTTERANCE_GAP_MS = 700;
+// A human usually answers with a short "Hello?" and waits
+const HUMAN_MAX_GREETING_MS = 2000;
+const HUMAN_SILENCE_AFTER_GREETING_MS = 900;
+// Voicemail greetings run on without pausing for a reply
+const MACHINE_MIN_GREETING_MS = 3500;
+// Beep: a steady single tone in this band lasting at least this long
+const BEEP_MIN_HZ = 700;
+const BEEP_MAX_HZ = 2100;
+const BEEP_MIN_MS = 200;
+const BEEP_MAX_DRIFT = 0.08;
+
+const MACHINE_PHRASES = [
+    /leave (me )?(a |your )?(message|name and number)/i,
+    /(after|at) the (tone|beep)/i,
+    /(is )?(not|isn't|unable to|can't|cannot) (available|come to the phone|take your call)/i,
+    /voice ?mail/i,
+    /mailbox/i,
+    /record your message/i,
+    /you have reached/i,
+    /please hang up/i,
+    /get back to you/i
+];
+
+const HUMAN_PHRASES = [
+    /^(hello|hi|hey|yes|yeah|yep|speaking|hola)\b[\s\S]{0,20}$/i,
+    /^who('s| is) (this|calling)/i,
+    /^this is \w+( speaking)?\.?$/i
+];
+
+/**
+ * Answering-machine detection for outbound calls
+ * Classifies the first seconds of a call as human or machine using the inbound
+ * µ-law audio (greeting length, beep tones) and Deepgram transcript cues.
+ */
+class VoicemailDetector {
+    /**
+     * @param {Object} options
+     * @param {number} options.timeoutMs - Give up and report "unknown" after this long
+     * @param {Function} options.onResult - Called once with { result, reason, elapsedMs }
+     * @param {Function} options.onBeep - Called when a voicemail beep is heard (also after the result)
+     */
+    constructor(options = {}) {
+        this.timeoutMs = options.timeoutMs || 6000;
+        this.onResult = options.onResult || (() => { });
+        this.onBeep = options.onBeep || (() => { });
+
+        this.result = null;
+        this.stopped = false;
+        this.elapsedMs = 0;
+        this.pending = Buffer.alloc(0);
+
+        // Utterance tracking
+        this.firstSpeechAtMs = null;
+        this.speechRunMs = 0;
+        this.silenceRunMs = 0;
+        this.utteranceCount = 0;
+        this.inUtterance = false;
+
+        // Beep tracking
+        this.toneFrames = 0;
+        this.toneHz = 0;
+        this.beepHeard = false;
+    }
+
+    get isDecided() {
+        return this.result !== null;
+    }
+
+    /**
+     * Feed inbound µ-law audio from the Twilio media stream
+     * @param {Buffer} muLawChunk
+     */
+    processAudio(muLawChunk) {
+        if (this.stopped) return;
+        this.pending = Buffer.concat([this.pending, muLawChunk]);
+
+        while (this.pending.length >= FRAME_SAMPLES) {
+            const frame = decodeMuLaw(this.pending.subarray(0, FRAME_SAMPLES));
+            this.pending = this.pending.subarray(FRAME_SAMPLES);
+            this.processFrame(frame);
+        }
+    }
+
+    processFrame(samples) {
+        this.elapsedMs += FRAME_MS;
+
+        let sumSquares = 0;
+        let zeroCrossings = 0;
+        for (let i = 0; i < samples.length; i++) {
+            sumSquares += samples[i] * samples[i];
+            if (i > 0 && (samples[i] >= 0) !== (samples[i - 1] >= 0)) zeroCrossings++;
+        }
+        const rms = Math.sqrt(sumSquares / samples.length);
+        const isVoiced = rms > SPEECH_RMS_THRESHOLD;
+
+        this.trackBeep(isVoiced, zeroCrossings);
+
+        if (this.isDecided) return;
+
+        this.trackUtterances(isVoiced);
+
+        if (this.elapsedMs >= this.timeoutMs) {
+            this.decide('unknown', 'timeout');
+        }
+    }
+
+    trackUtterances(isVoiced) {
+        if (isVoiced) {
+            if (this.firstSpeechAtMs === null) this.firstSpeechAtMs = this.elapsedMs;
+            if (!this.inUtterance) {
+                this.inUtterance = true;
+                this.utteranceCount++;
+            }
+            this.speechRunMs += FRAME_MS + (this.silenceRunMs < UTTERANCE_GAP_MS ? this.silenceRunMs : 0);
+            this.silenceRunMs = 0;
+
+            if (this.utteranceCount === 1 && this.speechRunMs >= MACHINE_MIN_GREETING_MS) {
+                this.decide('machine', 'long_greeting');
+            }
+            return;
+        }
+
+        this.silenceRunMs += FRAME_MS;
+        if (this.inUtterance && this.silenceRunMs >= UTTERANCE_GAP_MS) {
+            this.inUtterance = false;
+        }
+
+        // Short greeting followed by a pause waiting for us to talk
+        if (this.utteranceCount === 1 &&
+            this.speechRunMs > 0 &&
+            this.speechRunMs <= HUMAN_MAX_GREETING_MS &&
+            this.silenceRunMs >= HUMAN_SILENCE_AFTER_GREETING_MS) {
+            this.decide('human', 'short_greeting');
+        }
+    }
+
+    trackBeep(isVoiced, zeroCrossings) {
+        // Zero-crossing rate gives a cheap pitch estimate for pure tones
+        const hz = (zeroCrossings * SAMPLE_RATE) / (2 * FRAME_SAMPLES);
+        const inBand = isVoiced && hz >= BEEP_MIN_HZ && hz <= BEEP_MAX_HZ;
+        const steady = this.toneFrames === 0 || Math.abs(hz - this.toneHz) / this.toneHz <= BEEP_MAX_DRIFT;
+
+        if (inBand && steady) {
+            this.toneHz = this.toneFrames === 0 ? hz : (this.toneHz * this.toneFrames + hz) / (this.toneFrames + 1);
+            this.toneFrames++;
+
+            if (!this.beepHeard && this.toneFrames * FRAME_MS >= BEEP_MIN_MS) {
+                this.beepHeard = true;
+                console.log(`📼 Voicemail beep detected (~${Math.round(this.toneHz)}Hz)`);
+                if (!this.isDecided) this.decide('machine', 'beep');
+                this.onBeep();
+            }
+            return;
+        }
+
+        this.toneFrames = inBand ? 1 : 0;
+        this.toneHz = inBand ? hz : 0;
+        // A new tone may start after the greeting, allow another beep
+        if (!inBand) this.beepHeard = false;
+    }
+
+    /**
+     * Feed a Deepgram transcript (interim or final)
+     * @param {string} transcript
+     * @param {boolean} isFinal
+     */
+    processTranscript(transcript, isFinal) {
+        if (this.stopped || this.isDecided || !transcript) return;
+        const text = transcript.trim();
+
+        if (MACHINE_PHRASES.some(pattern => pattern.test(text))) {
+            this.decide('machine', 'transcript');
+            return;
+        }
+
+        if (isFinal && this.utteranceCount <= 1 && HUMAN_PHRASES.some(pattern => pattern.test(text))) {
+            this.decide('human', 'transcript');
+        }
+    }
+
+    /**
+     * Stop listening. Nothing is reported anymore, not even a pending result
+     */
+    stop() {
+        this.stopped = true;
+        if (!this.isDecided) {
+            this.result = 'unknown';
+            console.log(`📼 AMD stopped undecided after ${this.elapsedMs}ms`);
+        }
+    }
+
+    decide(result, reason) {
+        this.result = result;
+        console.log(`📼 AMD result: ${result} (${reason}) after ${this.elapsedMs}ms`);
+        this.onResult({ result, reason, elapsedMs: this.elapsedMs });
+    }
+}
+
+module.exports = VoicemailDetector;
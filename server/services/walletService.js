@@ -1,8 +1,13 @@
 const { v4: uuidv4 } = require('uuid');
+const WebhookService = require('./webhookService.js');
+
+// wallet.low_balance is sent when a debit takes the balance below this (USD)
+const LOW_BALANCE_THRESHOLD = Number(process.env.WALLET_LOW_BALANCE_THRESHOLD) || 5;
 
 class WalletService {
   constructor(mysqlPool) {
     this.mysqlPool = mysqlPool;
+    this.webhookService = new WebhookService(mysqlPool);
   }
 
   /**
@@ -161,6 +166,15 @@ class WalletService {
       // Commit transaction
       await connection.commit();
 
+      // Only when crossing the threshold, not on every debit below it
+      if (currentBalance >= LOW_BALANCE_THRESHOLD && newBalance < LOW_BALANCE_THRESHOLD) {
+        this.webhookService.emitEvent(userId, 'wallet.low_balance', {
+          balance: newBalance,
+          threshold: LOW_BALANCE_THRESHOLD,
+          last_debit: { amount: parseFloat(amount), description, call_id: callId }
+        }, { callId });
+      }
+
       return {
         success: true,
         newBalance: newBalance,
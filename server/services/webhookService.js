@@ -1,14 +1,59 @@
 const crypto = require('crypto');
 const fetch = require('node-fetch');
+const { ensureColumns } = require('../utils/dbSchema.js');
+const { signPayload } = require('../utils/webhookSignature.js');
 
+const DELIVERY_TIMEOUT_MS = 5000;
+const RETRY_BASE_DELAY_SECONDS = 30;        // 30s, 1m, 2m, 4m, ... between attempts
+const RETRY_MAX_DELAY_SECONDS = 60 * 60;
+const DELIVERY_LOCK_SECONDS = 60;           // a claimed delivery is retried by others if its worker dies
+const MAX_STORED_RESPONSE_LENGTH = 10000;
+
+// Platform events users can subscribe to, '*' subscribes to all of them
+const EVENT_TYPES = [
+    'call.started',
+    'call.ended',
+    'call.failed',
+    'campaign.started',
+    'campaign.completed',
+    'wallet.low_balance',
+    'recording.ready'
+];
+
+// Shared by every instance, the tables only need to be checked once per process
+let tablesReady = null;
+
+function generateSecret() {
+    return crypto.randomBytes(32).toString('hex');
+}
+
+function parseJson(value) {
+    return typeof value === 'string' ? JSON.parse(value) : value;
+}
+
+/**
+ * Outbound webhooks go through the webhook_deliveries table: every delivery is
+ * stored first and then attempted, failed attempts are retried with backoff by
+ * the worker (also after a restart), and deliveries that run out of attempts
+ * stay 'failed' (dead-lettered) until they are redelivered by hand.
+ */
 class WebhookService {
     constructor(mysqlPool) {
         this.pool = mysqlPool;
         this.tableName = 'conversation_extractions';
+        this.deliveriesTableName = 'webhook_deliveries';
+        this.subscriptionsTableName = 'webhook_subscriptions';
         this.initTable();
     }
 
-    async initTable() {
+    initTable() {
+        if (!tablesReady) {
+            tablesReady = this.createTables();
+        }
+        return tablesReady;
+    }
+
+    async createTables() {
         if (!this.pool) {
             console.warn('MySQL pool not provided to WebhookService, table initialization skipped.');
             return;
@@ -40,17 +85,103 @@ class WebhookService {
         } catch (error) {
             console.error(`❌ Failed to initialize table ${this.tableName}:`, error);
         }
+
+        // Event webhooks (end of call, ...) that are not tied to an extraction
+        const createDeliveriesTableQuery = `
+            CREATE TABLE IF NOT EXISTS ${this.deliveriesTableName} (
+                id INT AUTO_INCREMENT PRIMARY KEY,
+                event VARCHAR(64) NOT NULL,
+                event_id VARCHAR(36),
+                user_id VARCHAR(36),
+                agent_id VARCHAR(36),
+                call_id VARCHAR(255),
+                extraction_id INT NULL,
+                subscription_id VARCHAR(36) NULL,
+                webhook_url VARCHAR(2048) NOT NULL,
+                webhook_secret VARCHAR(255),
+                webhook_previous_secret VARCHAR(255),
+                payload JSON,
+                delivery_status ENUM('pending', 'success', 'failed') DEFAULT 'pending',
+                retry_count INT DEFAULT 0,
+                max_attempts INT DEFAULT 3,
+                next_attempt_at TIMESTAMP NULL,
+                locked_until TIMESTAMP NULL,
+                last_attempt_at TIMESTAMP NULL,
+                delivered_at TIMESTAMP NULL,
+                request_headers JSON NULL,
+                response_status INT NULL,
+                response_body TEXT NULL,
+                error_log TEXT,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+                INDEX idx_call_id (call_id),
+                INDEX idx_agent_id (agent_id),
+                INDEX idx_user_id (user_id),
+                INDEX idx_due (delivery_status, next_attempt_at)
+            ) ENGINE=InnoDB;
+        `;
+
+        try {
+            await this.pool.execute(createDeliveriesTableQuery);
+            console.log(`✅ Table ${this.deliveriesTableName} check/creation successful.`);
+        } catch (error) {
+            console.error(`❌ Failed to initialize table ${this.deliveriesTableName}:`, error);
+        }
+
+        // Tables created before deliveries were queued
+        await ensureColumns(this.pool, this.deliveriesTableName, {
+            user_id: 'VARCHAR(36) NULL',
+            extraction_id: 'INT NULL',
+            webhook_secret: 'VARCHAR(255) NULL',
+            max_attempts: 'INT DEFAULT 3',
+            next_attempt_at: 'TIMESTAMP NULL',
+            locked_until: 'TIMESTAMP NULL',
+            last_attempt_at: 'TIMESTAMP NULL',
+            delivered_at: 'TIMESTAMP NULL',
+            request_headers: 'JSON NULL',
+            response_status: 'INT NULL',
+            response_body: 'TEXT NULL',
+            event_id: 'VARCHAR(36) NULL',
+            webhook_previous_secret: 'VARCHAR(255) NULL',
+            subscription_id: 'VARCHAR(36) NULL'
+        });
+
+        // User-level subscriptions to platform events
+        const createSubscriptionsTableQuery = `
+            CREATE TABLE IF NOT EXISTS ${this.subscriptionsTableName} (
+                id VARCHAR(36) PRIMARY KEY,
+                user_id VARCHAR(36) NOT NULL,
+                url VARCHAR(2048) NOT NULL,
+                description VARCHAR(255),
+                events JSON NOT NULL,
+                agent_ids JSON NULL,
+                secret VARCHAR(255) NOT NULL,
+                previous_secret VARCHAR(255) NULL,
+                enabled BOOLEAN DEFAULT TRUE,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+                INDEX idx_user_id (user_id)
+            ) ENGINE=InnoDB;
+        `;
+
+        try {
+            await this.pool.execute(createSubscriptionsTableQuery);
+            console.log(`✅ Table ${this.subscriptionsTableName} check/creation successful.`);
+        } catch (error) {
+            console.error(`❌ Failed to initialize table ${this.subscriptionsTableName}:`, error);
+        }
     }
 
     /**
-     * Store extracted data and attempt delivery
+     * Store extracted data and queue its delivery
      * @param {Object} params
+     * @param {string} params.userId - Owner of the agent, for the deliveries API
      * @param {string} params.agentId
      * @param {string} params.callId
      * @param {string} params.campaignId
      * @param {Object} params.extractedData
      * @param {Object} params.callMetadata
-     * @param {Object} params.webhookConfig - { url, secret, enabled, retries }
+     * @param {Object} params.webhookConfig - { url, secret, previousSecret, enabled, retries }
      */
     async processExtraction(params) {
         const { agentId, callId, campaignId, extractedData, callMetadata, webhookConfig } = params;
@@ -91,13 +222,12 @@ class WebhookService {
             return { success: true, stored: true, delivered: false, reason: 'Webhook disabled' };
         }
 
-        // 3. Attempt Delivery
+        // 3. Queue Delivery
         return await this.deliverWebhook(extractionId, params, webhookConfig);
     }
 
     async deliverWebhook(extractionId, params, webhookConfig) {
-        const { agentId, callId, campaignId, extractedData, callMetadata } = params;
-        const { url, secret, retries = 3 } = webhookConfig;
+        const { userId, agentId, callId, campaignId, extractedData, callMetadata } = params;
 
         const payload = {
             agent_id: agentId,
@@ -108,67 +238,558 @@ class WebhookService {
             call_metadata: callMetadata
         };
 
-        const maxRetries = retries || 3;
-        let attempt = 0;
-        let success = false;
-        let lastError = null;
-
-        while (attempt < maxRetries && !success) {
-            attempt++;
-            try {
-                console.log(`🚀 Webhook Delivery Attempt ${attempt}/${maxRetries} to ${url}`);
-
-                const controller = new AbortController();
-                const timeout = setTimeout(() => controller.abort(), 5000); // 5s timeout
-
-                const headers = {
-                    'Content-Type': 'application/json'
-                };
-
-                // Generate Signature
-                if (secret) {
-                    const signature = crypto
-                        .createHmac('sha256', secret)
-                        .update(JSON.stringify(payload))
-                        .digest('hex');
-                    headers['X-Ziya-Signature'] = `sha256=${signature}`;
-                }
+        return await this.enqueueDelivery({
+            event: 'extraction.created',
+            userId,
+            agentId,
+            callId,
+            extractionId,
+            payload,
+            webhookConfig
+        });
+    }
+
+    /**
+     * Store and deliver a platform event (e.g. call.ended) to a webhook URL
+     * @param {Object} params
+     * @param {string} params.event - Event name
+     * @param {string} params.userId
+     * @param {string} params.agentId
+     * @param {string} params.callId
+     * @param {Object} params.data - Event body, sent as payload.data
+     * @param {Object} params.webhookConfig - { url, secret, previousSecret, retries }
+     */
+    async sendEvent({ event, userId, agentId, callId, data, webhookConfig }) {
+        const payload = this.buildEventPayload(event, { agentId, callId, data });
+        return await this.enqueueDelivery({ event, userId, agentId, callId, payload, webhookConfig });
+    }
+
+    /**
+     * Deliver a platform event to every subscription of the user that wants it.
+     * Never throws, callers fire and forget.
+     * @param {string} userId - Owner of the subscriptions
+     * @param {string} event - One of EVENT_TYPES
+     * @param {Object} data - Event body, sent as payload.data
+     * @param {Object} [context] - { agentId, callId } - agentId also drives the agent filter of subscriptions
+     * @returns {Promise<number>} Number of deliveries queued
+     */
+    async emitEvent(userId, event, data, { agentId = null, callId = null } = {}) {
+        if (!this.pool || !userId) return 0;
 
-                const response = await fetch(url, {
-                    method: 'POST',
-                    headers: headers,
-                    body: JSON.stringify(payload),
-                    signal: controller.signal
+        try {
+            const subscriptions = await this.findSubscribers(userId, event, agentId);
+            if (subscriptions.length === 0) return 0;
+
+            const payload = this.buildEventPayload(event, { agentId, callId, data });
+            for (const subscription of subscriptions) {
+                await this.enqueueDelivery({
+                    event,
+                    userId,
+                    agentId,
+                    callId,
+                    subscriptionId: subscription.id,
+                    payload,
+                    webhookConfig: {
+                        url: subscription.url,
+                        secret: subscription.secret,
+                        previousSecret: subscription.previous_secret
+                    }
                 });
+            }
+            return subscriptions.length;
+        } catch (error) {
+            console.error(`❌ Error emitting ${event} event:`, error.message);
+            return 0;
+        }
+    }
 
-                clearTimeout(timeout);
+    /**
+     * Enabled subscriptions of a user that want an event, optionally limited to some agents
+     */
+    async findSubscribers(userId, event, agentId = null) {
+        const [rows] = await this.pool.execute(
+            `SELECT * FROM ${this.subscriptionsTableName} WHERE user_id = ? AND enabled = TRUE`,
+            [userId]
+        );
 
-                if (response.ok) {
-                    success = true;
-                    console.log(`✅ Webhook delivered successfully.`);
-                } else {
-                    throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-                }
+        return rows.filter(row => {
+            const events = parseJson(row.events) || [];
+            const agentIds = parseJson(row.agent_ids);
+            const wantsEvent = events.includes('*') || events.includes(event);
+            const wantsAgent = !agentIds || agentIds.length === 0 || (agentId && agentIds.includes(agentId));
+            return wantsEvent && wantsAgent;
+        });
+    }
+
+    buildEventPayload(event, { agentId, callId, data }) {
+        return {
+            event,
+            agent_id: agentId || null,
+            call_id: callId || null,
+            timestamp: new Date().toISOString(),
+            data
+        };
+    }
+
+    /**
+     * Store a delivery in the queue and make the first attempt right away (not awaited)
+     * @returns {Promise<Object>} { success, queued, deliveryId }
+     */
+    async enqueueDelivery({ event, userId, agentId, callId, extractionId = null, subscriptionId = null, payload, webhookConfig }) {
+        let deliveryId;
+        try {
+            const [result] = await this.pool.execute(
+                `INSERT INTO ${this.deliveriesTableName}
+                 (event, event_id, user_id, agent_id, call_id, extraction_id, subscription_id, webhook_url, webhook_secret, webhook_previous_secret, payload, delivery_status, max_attempts, next_attempt_at)
+                 VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 'pending', ?, NOW())`,
+                [
+                    event,
+                    crypto.randomUUID(),
+                    userId || null,
+                    agentId || null,
+                    callId || null,
+                    extractionId,
+                    subscriptionId,
+                    webhookConfig.url,
+                    webhookConfig.secret || null,
+                    webhookConfig.previousSecret || null,
+                    JSON.stringify(payload),
+                    Math.max(Number(webhookConfig.retries) || 3, 1)
+                ]
+            );
+            deliveryId = result.insertId;
+        } catch (error) {
+            console.error(`❌ Failed to store ${event} webhook delivery:`, error);
+            return { success: false, error: 'Storage failed' };
+        }
+
+        console.log(`📦 Queued ${event} webhook delivery ${deliveryId} for CallID: ${callId}`);
+        this.attemptDelivery(deliveryId).catch(error =>
+            console.error(`❌ Webhook delivery ${deliveryId} attempt failed:`, error.message)
+        );
+
+        return { success: true, stored: true, queued: true, deliveryId };
+    }
+
+    /**
+     * Make one attempt at a pending delivery and schedule the next one if it fails
+     * @returns {Promise<Object|null>} { success, attempts, error }, null when another worker holds the delivery
+     */
+    async attemptDelivery(deliveryId) {
+        // Claim the delivery so the worker and an immediate attempt never send it twice
+        const [claim] = await this.pool.execute(
+            `UPDATE ${this.deliveriesTableName}
+             SET locked_until = NOW() + INTERVAL ${DELIVERY_LOCK_SECONDS} SECOND
+             WHERE id = ? AND delivery_status = 'pending' AND (locked_until IS NULL OR locked_until < NOW())`,
+            [deliveryId]
+        );
+        if (claim.affectedRows === 0) return null;
+
+        const [rows] = await this.pool.execute(`SELECT * FROM ${this.deliveriesTableName} WHERE id = ?`, [deliveryId]);
+        const delivery = rows[0];
+        const payload = typeof delivery.payload === 'string' ? JSON.parse(delivery.payload) : delivery.payload;
+        const attempt = delivery.retry_count + 1;
 
-            } catch (error) {
-                lastError = error.message;
-                console.warn(`⚠️ Webhook delivery failed (Attempt ${attempt}):`, error.message);
+        console.log(`🚀 Webhook Delivery Attempt ${attempt}/${delivery.max_attempts} to ${delivery.webhook_url}`);
+        const result = await this.post(delivery.webhook_url, payload, {
+            eventId: delivery.event_id || String(delivery.id),
+            secrets: [delivery.webhook_secret, delivery.webhook_previous_secret]
+        });
 
-                // Update retry count in DB
-                await this.updateStatus(extractionId, 'pending', attempt, lastError);
+        let status;
+        if (result.ok) {
+            status = 'success';
+            console.log(`✅ Webhook delivered successfully.`);
+        } else if (attempt >= delivery.max_attempts) {
+            status = 'failed';
+            console.error(`❌ Webhook delivery ${deliveryId} failed after ${attempt} attempts, giving up:`, result.error);
+        } else {
+            status = 'pending';
+            console.warn(`⚠️ Webhook delivery failed (Attempt ${attempt}):`, result.error);
+        }
 
-                if (attempt < maxRetries) {
-                    // Exponential backoff: 3000ms, 6000ms, 12000ms...
-                    const waitTime = 1000 * Math.pow(2, attempt); // 2s, 4s, 8s...
-                    await new Promise(r => setTimeout(r, waitTime));
+        const retryDelay = Math.min(RETRY_BASE_DELAY_SECONDS * Math.pow(2, attempt - 1), RETRY_MAX_DELAY_SECONDS);
+        await this.pool.execute(
+            `UPDATE ${this.deliveriesTableName}
+             SET delivery_status = ?, retry_count = ?, locked_until = NULL, last_attempt_at = NOW(),
+                 next_attempt_at = ${status === 'pending' ? `NOW() + INTERVAL ${retryDelay} SECOND` : 'NULL'},
+                 delivered_at = ${status === 'success' ? 'NOW()' : 'NULL'},
+                 request_headers = ?, response_status = ?, response_body = ?, error_log = ?
+             WHERE id = ?`,
+            [
+                status,
+                attempt,
+                JSON.stringify(result.requestHeaders),
+                result.status,
+                result.body,
+                result.error,
+                deliveryId
+            ]
+        );
+
+        if (delivery.extraction_id) {
+            await this.updateStatus(delivery.extraction_id, status, attempt, result.error);
+        }
+
+        return { success: result.ok, attempts: attempt, error: result.error };
+    }
+
+    /**
+     * POST a signed payload once
+     * @param {Object} signing - { eventId, secrets } - signed with every active secret (two while one is rotated out)
+     * @returns {Promise<Object>} { ok, status, body, error, requestHeaders }
+     */
+    async post(url, payload, { eventId, secrets }) {
+        const body = JSON.stringify(payload);
+        const headers = {
+            'Content-Type': 'application/json',
+            ...signPayload(body, secrets, { eventId })
+        };
+
+        const controller = new AbortController();
+        const timeout = setTimeout(() => controller.abort(), DELIVERY_TIMEOUT_MS);
+
+        try {
+            const response = await fetch(url, {
+                method: 'POST',
+                headers: headers,
+                body,
+                signal: controller.signal
+            });
+            const responseBody = (await response.text()).slice(0, MAX_STORED_RESPONSE_LENGTH);
+
+            return {
+                ok: response.ok,
+                status: response.status,
+                body: responseBody,
+                error: response.ok ? null : `HTTP ${response.status}: ${response.statusText}`,
+                requestHeaders: headers
+            };
+        } catch (error) {
+            const message = error.name === 'AbortError' ? `No response within ${DELIVERY_TIMEOUT_MS / 1000}s` : error.message;
+            return { ok: false, status: null, body: null, error: message, requestHeaders: headers };
+        } finally {
+            clearTimeout(timeout);
+        }
+    }
+
+    /**
+     * Retry due deliveries in the background, including those left over from before a restart
+     */
+    startWorker(intervalMs = 15000) {
+        if (this.workerTimer || !this.pool) return;
+        this.workerTimer = setInterval(() => this.processDueDeliveries(), intervalMs);
+        console.log('✅ Webhook delivery worker started');
+    }
+
+    stopWorker() {
+        clearInterval(this.workerTimer);
+        this.workerTimer = null;
+    }
+
+    async processDueDeliveries() {
+        if (this.workerBusy) return;
+        this.workerBusy = true;
+
+        try {
+            const [due] = await this.pool.execute(
+                `SELECT id FROM ${this.deliveriesTableName}
+                 WHERE delivery_status = 'pending' AND next_attempt_at <= NOW()
+                   AND (locked_until IS NULL OR locked_until < NOW())
+                 ORDER BY next_attempt_at ASC
+                 LIMIT 20`
+            );
+
+            for (const { id } of due) {
+                try {
+                    await this.attemptDelivery(id);
+                } catch (error) {
+                    console.error(`❌ Webhook delivery ${id} attempt failed:`, error.message);
                 }
             }
+        } catch (error) {
+            console.error('❌ Error processing webhook deliveries:', error.message);
+        } finally {
+            this.workerBusy = false;
+        }
+    }
+
+    /**
+     * Deliveries of a user, newest first
+     * @param {Object} filters - { status, event, agentId, callId, subscriptionId, limit, offset }
+     */
+    async listDeliveries(userId, { status, event, agentId, callId, subscriptionId, limit = 50, offset = 0 } = {}) {
+        const conditions = ['user_id = ?'];
+        const params = [userId];
+
+        if (status) {
+            conditions.push('delivery_status = ?');
+            params.push(status);
+        }
+        if (event) {
+            conditions.push('event = ?');
+            params.push(event);
+        }
+        if (agentId) {
+            conditions.push('agent_id = ?');
+            params.push(agentId);
+        }
+        if (callId) {
+            conditions.push('call_id = ?');
+            params.push(callId);
+        }
+        if (subscriptionId) {
+            conditions.push('subscription_id = ?');
+            params.push(subscriptionId);
+        }
+
+        const whereClause = conditions.join(' AND ');
+        const [rows] = await this.pool.execute(
+            `SELECT id, event, subscription_id, agent_id, call_id, webhook_url, delivery_status, retry_count, max_attempts,
+                    next_attempt_at, last_attempt_at, delivered_at, response_status, error_log, created_at
+             FROM ${this.deliveriesTableName}
+             WHERE ${whereClause}
+             ORDER BY created_at DESC, id DESC
+             LIMIT ${parseInt(limit) || 50} OFFSET ${parseInt(offset) || 0}`,
+            params
+        );
+        const [countRows] = await this.pool.execute(
+            `SELECT COUNT(*) AS total FROM ${this.deliveriesTableName} WHERE ${whereClause}`,
+            params
+        );
+
+        return { deliveries: rows.map(row => this.formatDelivery(row)), total: countRows[0].total };
+    }
+
+    /**
+     * One delivery with the request and response of its last attempt
+     */
+    async getDelivery(userId, deliveryId) {
+        const [rows] = await this.pool.execute(
+            `SELECT * FROM ${this.deliveriesTableName} WHERE id = ? AND user_id = ?`,
+            [deliveryId, userId]
+        );
+        if (rows.length === 0) return null;
+
+        const row = rows[0];
+        return {
+            ...this.formatDelivery(row),
+            request: {
+                headers: parseJson(row.request_headers),
+                body: parseJson(row.payload)
+            },
+            response: {
+                status: row.response_status,
+                body: row.response_body
+            }
+        };
+    }
+
+    /**
+     * Send a delivery again, whatever its status, and wait for the attempt.
+     * A delivery a worker is attempting right now is left to that worker.
+     * @returns {Promise<Object|null>} The delivery after the attempt (still 'pending' when a
+     *   worker holds it), null when not found
+     */
+    async redeliver(userId, deliveryId) {
+        const [result] = await this.pool.execute(
+            `UPDATE ${this.deliveriesTableName}
+             SET delivery_status = 'pending', max_attempts = retry_count + 1, next_attempt_at = NOW()
+             WHERE id = ? AND user_id = ? AND (locked_until IS NULL OR locked_until < NOW())`,
+            [deliveryId, userId]
+        );
+
+        if (result.affectedRows > 0) {
+            console.log(`🔁 Redelivering webhook delivery ${deliveryId}`);
+            // Takes the lease, or leaves the delivery to a worker that claimed it in the meantime
+            await this.attemptDelivery(deliveryId);
+        }
+        return await this.getDelivery(userId, deliveryId);
+    }
+
+    /**
+     * Active webhook secrets of an agent: the current one and, during a rotation, the previous one
+     * @returns {Promise<Array<string>|null>} null when the agent does not belong to the user
+     */
+    async getAgentSecrets(userId, agentId) {
+        const [rows] = await this.pool.execute(
+            'SELECT settings FROM agents WHERE id = ? AND user_id = ?',
+            [agentId, userId]
+        );
+        if (rows.length === 0) return null;
+
+        const settings = typeof rows[0].settings === 'string' ? JSON.parse(rows[0].settings) : (rows[0].settings || {});
+        return [settings.webhookSecret, settings.webhookPreviousSecret].filter(Boolean);
+    }
+
+    /**
+     * Problems with a subscription as sent by a client
+     * @param {boolean} partial - Only check the fields that are present (updates)
+     * @returns {string|null} Error message, null when valid
+     */
+    validateSubscription({ url, events, agentIds } = {}, partial = false) {
+        if (!partial || url !== undefined) {
+            if (typeof url !== 'string' || !/^https?:\/\/\S+$/i.test(url.trim())) {
+                return 'url must be an http(s) URL';
+            }
+        }
+        if (!partial || events !== undefined) {
+            if (!Array.isArray(events) || events.length === 0) {
+                return `events must be a non-empty list of: *, ${EVENT_TYPES.join(', ')}`;
+            }
+            const unknown = events.filter(event => event !== '*' && !EVENT_TYPES.includes(event));
+            if (unknown.length > 0) {
+                return `Unknown events: ${unknown.join(', ')}`;
+            }
+        }
+        if (agentIds !== undefined && agentIds !== null && !Array.isArray(agentIds)) {
+            return 'agentIds must be a list of agent IDs';
+        }
+        return null;
+    }
+
+    async listSubscriptions(userId) {
+        const [rows] = await this.pool.execute(
+            `SELECT * FROM ${this.subscriptionsTableName} WHERE user_id = ? ORDER BY created_at DESC`,
+            [userId]
+        );
+        return rows.map(row => this.formatSubscription(row));
+    }
+
+    async getSubscription(userId, subscriptionId) {
+        const [rows] = await this.pool.execute(
+            `SELECT * FROM ${this.subscriptionsTableName} WHERE id = ? AND user_id = ?`,
+            [subscriptionId, userId]
+        );
+        return rows.length > 0 ? this.formatSubscription(rows[0]) : null;
+    }
+
+    /**
+     * Create a subscription with a new signing secret
+     * @param {Object} data - { url, events, agentIds, description, enabled }
+     * @returns {Promise<Object>} The subscription, including its secret
+     */
+    async createSubscription(userId, { url, events, agentIds = null, description = null, enabled = true }) {
+        const id = crypto.randomUUID();
+        await this.pool.execute(
+            `INSERT INTO ${this.subscriptionsTableName} (id, user_id, url, description, events, agent_ids, secret, enabled)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+            [
+                id,
+                userId,
+                url.trim(),
+                description,
+                JSON.stringify([...new Set(events)]),
+                agentIds && agentIds.length > 0 ? JSON.stringify(agentIds) : null,
+                generateSecret(),
+                enabled !== false
+            ]
+        );
+        return this.getSubscription(userId, id);
+    }
+
+    /**
+     * @param {Object} changes - Any of { url, events, agentIds, description, enabled }
+     * @returns {Promise<Object|null>} The updated subscription, null when not found
+     */
+    async updateSubscription(userId, subscriptionId, changes) {
+        const columns = {
+            url: changes.url !== undefined ? changes.url.trim() : undefined,
+            description: changes.description,
+            events: changes.events !== undefined ? JSON.stringify([...new Set(changes.events)]) : undefined,
+            agent_ids: changes.agentIds !== undefined
+                ? (changes.agentIds && changes.agentIds.length > 0 ? JSON.stringify(changes.agentIds) : null)
+                : undefined,
+            enabled: changes.enabled !== undefined ? changes.enabled !== false : undefined
+        };
+        const updates = Object.entries(columns).filter(([, value]) => value !== undefined);
+
+        if (updates.length > 0) {
+            await this.pool.execute(
+                `UPDATE ${this.subscriptionsTableName} SET ${updates.map(([column]) => `${column} = ?`).join(', ')}
+                 WHERE id = ? AND user_id = ?`,
+                [...updates.map(([, value]) => value), subscriptionId, userId]
+            );
         }
+        return this.getSubscription(userId, subscriptionId);
+    }
+
+    async deleteSubscription(userId, subscriptionId) {
+        const [result] = await this.pool.execute(
+            `DELETE FROM ${this.subscriptionsTableName} WHERE id = ? AND user_id = ?`,
+            [subscriptionId, userId]
+        );
+        return result.affectedRows > 0;
+    }
 
-        const finalStatus = success ? 'success' : 'failed';
-        await this.updateStatus(extractionId, finalStatus, attempt, lastError);
+    /**
+     * Start a secret rotation: new deliveries are signed with a new secret and the current one
+     * @returns {Promise<Object|null>} The subscription with its new secret
+     */
+    async rotateSubscriptionSecret(userId, subscriptionId) {
+        await this.pool.execute(
+            `UPDATE ${this.subscriptionsTableName} SET previous_secret = secret, secret = ? WHERE id = ? AND user_id = ?`,
+            [generateSecret(), subscriptionId, userId]
+        );
+        return this.getSubscription(userId, subscriptionId);
+    }
 
-        return { success, attempts: attempt, error: lastError };
+    /**
+     * End a secret rotation: stop signing with the previous secret
+     */
+    async endSubscriptionSecretRotation(userId, subscriptionId) {
+        await this.pool.execute(
+            `UPDATE ${this.subscriptionsTableName} SET previous_secret = NULL WHERE id = ? AND user_id = ?`,
+            [subscriptionId, userId]
+        );
+        return this.getSubscription(userId, subscriptionId);
+    }
+
+    /**
+     * Active secrets of a subscription, null when it does not belong to the user
+     */
+    async getSubscriptionSecrets(userId, subscriptionId) {
+        const [rows] = await this.pool.execute(
+            `SELECT secret, previous_secret FROM ${this.subscriptionsTableName} WHERE id = ? AND user_id = ?`,
+            [subscriptionId, userId]
+        );
+        if (rows.length === 0) return null;
+        return [rows[0].secret, rows[0].previous_secret].filter(Boolean);
+    }
+
+    formatSubscription(row) {
+        return {
+            id: row.id,
+            url: row.url,
+            description: row.description,
+            events: parseJson(row.events) || [],
+            agentIds: parseJson(row.agent_ids) || [],
+            secret: row.secret,
+            rotatingSecret: Boolean(row.previous_secret),
+            enabled: Boolean(row.enabled),
+            createdAt: row.created_at,
+            updatedAt: row.updated_at
+        };
+    }
+
+    formatDelivery(row) {
+        return {
+            id: row.id,
+            event: row.event,
+            subscriptionId: row.subscription_id,
+            agentId: row.agent_id,
+            callId: row.call_id,
+            url: row.webhook_url,
+            status: row.delivery_status,
+            attempts: row.retry_count,
+            maxAttempts: row.max_attempts,
+            nextAttemptAt: row.next_attempt_at,
+            lastAttemptAt: row.last_attempt_at,
+            deliveredAt: row.delivered_at,
+            responseStatus: row.response_status,
+            error: row.error_log,
+            createdAt: row.created_at
+        };
     }
 
     async updateStatus(id, status, retryCount, errorLog = null) {
@@ -183,4 +804,6 @@ class WebhookService {
     }
 }
 
+WebhookService.EVENT_TYPES = EVENT_TYPES;
+
 module.exports = WebhookService;
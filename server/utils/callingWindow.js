@@ -0,0 +1,122 @@
+/**
+ * Campaign calling windows
+ *
+ * A campaign schedule says when contacts may be called, in the contact's own
+ * local time:
+ *   {
+ *     startDate: '2026-03-01',            // optional, first calling day
+ *     endDate: '2026-03-31',              // optional, last calling day
+ *     days: ['mon', 'tue', 'wed', 'thu', 'fri'],
+ *     startTime: '09:00',                 // daily window, 24h
+ *     endTime: '18:00',
+ *     timezone: 'America/New_York'        // for contacts whose time zone is unknown
+ *   }
+ */
+const { isValidTimezone } = require('./timezones.js');
+
+const DAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Check a schedule from the API
+ * @returns {string|null} What is wrong with it, null when it is valid
+ */
+function validateSchedule(schedule) {
+    if (!schedule || typeof schedule !== 'object') return 'Schedule must be an object';
+
+    const { startDate, endDate, days, startTime, endTime, timezone } = schedule;
+    if (startDate && !DATE_PATTERN.test(startDate)) return 'startDate must be YYYY-MM-DD';
+    if (endDate && !DATE_PATTERN.test(endDate)) return 'endDate must be YYYY-MM-DD';
+    if (startDate && endDate && startDate > endDate) return 'endDate must not be before startDate';
+    if (!Array.isArray(days) || days.length === 0 || days.some(day => !DAYS.includes(day))) {
+        return `days must list at least one of: ${DAYS.join(', ')}`;
+    }
+    if (!TIME_PATTERN.test(startTime || '') || !TIME_PATTERN.test(endTime || '')) {
+        return 'startTime and endTime must be HH:MM (24h)';
+    }
+    if (startTime >= endTime) return 'endTime must be after startTime';
+    if (timezone && !isValidTimezone(timezone)) return `Unknown time zone: ${timezone}`;
+
+    return null;
+}
+
+/**
+ * Wall-clock date and time of an instant in a time zone
+ * @returns {Object} { date: 'YYYY-MM-DD', minutes: minutes since midnight }
+ */
+function localTime(instant, timezone) {
+    const parts = Object.fromEntries(
+        new Intl.DateTimeFormat('en-US', {
+            timeZone: timezone,
+            year: 'numeric', month: '2-digit', day: '2-digit',
+            hour: '2-digit', minute: '2-digit', hourCycle: 'h23'
+        }).formatToParts(instant).map(part => [part.type, part.value])
+    );
+    return {
+        date: `${parts.year}-${parts.month}-${parts.day}`,
+        minutes: Number(parts.hour) * 60 + Number(parts.minute)
+    };
+}
+
+/**
+ * The instant a wall-clock time in a time zone happens
+ */
+function zonedTimeToInstant(date, minutes, timezone) {
+    const wallClock = Date.parse(`${date}T00:00:00Z`) + minutes * 60 * 1000;
+
+    // The zone's UTC offset at that time, corrected once for a DST change in between
+    let instant = wallClock;
+    for (let i = 0; i < 2; i++) {
+        const local = localTime(new Date(instant), timezone);
+        const offset = Date.parse(`${local.date}T00:00:00Z`) + local.minutes * 60 * 1000 - instant;
+        instant = wallClock - offset;
+    }
+    return new Date(instant);
+}
+
+function toMinutes(time) {
+    const [hours, minutes] = time.split(':').map(Number);
+    return hours * 60 + minutes;
+}
+
+function addDays(date, count) {
+    return new Date(Date.parse(`${date}T00:00:00Z`) + count * DAY_MS).toISOString().slice(0, 10);
+}
+
+/**
+ * When a contact may be called next under a schedule
+ * @param {Object|null} schedule - Campaign schedule, null to call at any time
+ * @param {string} timezone - Contact's time zone
+ * @param {Date} [now]
+ * @returns {Date|null} now when inside the window, the next window opening otherwise,
+ *                      null when the schedule has ended for this contact
+ */
+function nextCallingTime(schedule, timezone, now = new Date()) {
+    if (!schedule) return now;
+
+    const local = localTime(now, timezone);
+    const windowStart = toMinutes(schedule.startTime);
+    const windowEnd = toMinutes(schedule.endTime);
+
+    let date = schedule.startDate && schedule.startDate > local.date ? schedule.startDate : local.date;
+
+    // Every weekday comes around within a week of the first calling day
+    for (let i = 0; i < 8; i++, date = addDays(date, 1)) {
+        if (schedule.endDate && date > schedule.endDate) return null;
+
+        const day = DAYS[new Date(`${date}T00:00:00Z`).getUTCDay()];
+        if (!schedule.days.includes(day)) continue;
+
+        if (date === local.date) {
+            if (local.minutes >= windowEnd) continue;
+            if (local.minutes >= windowStart) return now;
+        }
+        return zonedTimeToInstant(date, windowStart, timezone);
+    }
+
+    return null;
+}
+
+module.exports = { DAYS, validateSchedule, nextCallingTime };
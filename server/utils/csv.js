@@ -0,0 +1,87 @@
+/**
+ * RFC 4180 CSV parsing: quoted fields, escaped quotes ("") and line breaks
+ * inside quotes, CRLF/LF line endings and a UTF-8 BOM.
+ */
+
+const CANDIDATE_DELIMITERS = [',', ';', '\t', '|'];
+
+/**
+ * Guess the delimiter from the header line (spreadsheet exports in many
+ * locales use ";" because "," is the decimal separator)
+ * @param {string} text - CSV text
+ * @returns {string} Delimiter character
+ */
+function detectDelimiter(text) {
+    const counts = new Map(CANDIDATE_DELIMITERS.map(delimiter => [delimiter, 0]));
+    let inQuotes = false;
+
+    for (const char of text) {
+        if (char === '"') {
+            inQuotes = !inQuotes;
+        } else if (!inQuotes && (char === '\n' || char === '\r')) {
+            break;
+        } else if (!inQuotes && counts.has(char)) {
+            counts.set(char, counts.get(char) + 1);
+        }
+    }
+
+    let best = ',';
+    for (const [delimiter, count] of counts) {
+        if (count > counts.get(best)) best = delimiter;
+    }
+    return best;
+}
+
+/**
+ * Parse CSV text into rows of fields
+ * @param {string} text - CSV text
+ * @param {Object} [options]
+ * @param {string} [options.delimiter] - Field delimiter, detected from the header line when omitted
+ * @returns {string[][]} Rows, with fully empty lines skipped
+ */
+function parseCsv(text, options = {}) {
+    const input = String(text || '').replace(/^\uFEFF/, '');
+    const delimiter = options.delimiter || detectDelimiter(input);
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+
+    const endRow = () => {
+        row.push(field);
+        if (row.some(value => value.trim() !== '')) rows.push(row);
+        row = [];
+        field = '';
+    };
+
+    for (let i = 0; i < input.length; i++) {
+        const char = input[i];
+
+        if (inQuotes) {
+            if (char === '"' && input[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"' && field === '') {
+            inQuotes = true;
+        } else if (char === delimiter) {
+            row.push(field);
+            field = '';
+        } else if (char === '\r' || char === '\n') {
+            if (char === '\r' && input[i + 1] === '\n') i++;
+            endRow();
+        } else {
+            field += char;
+        }
+    }
+
+    if (field !== '' || row.length > 0) endRow();
+
+    return rows;
+}
+
+module.exports = { parseCsv, detectDelimiter };
@@ -0,0 +1,47 @@
+/**
+ * Schema helpers for tables that are created outside of this codebase
+ * (calls, campaign_contacts, ...). MySQL has no "ADD COLUMN IF NOT EXISTS",
+ * so we look the columns up in information_schema before altering.
+ */
+
+// table -> Promise, so concurrent callers share a single migration run
+const pendingChecks = new Map();
+
+/**
+ * Add any missing columns to an existing table
+ * @param {Object} pool - mysql2 pool
+ * @param {string} table - Table name
+ * @param {Object} columns - Map of column name -> column definition (e.g. "VARCHAR(32) NULL")
+ * @returns {Promise<void>}
+ */
+async function ensureColumns(pool, table, columns) {
+    if (!pool) return;
+
+    const key = `${table}:${Object.keys(columns).sort().join(',')}`;
+    if (!pendingChecks.has(key)) {
+        pendingChecks.set(key, addMissingColumns(pool, table, columns).catch(error => {
+            // Allow a later call to retry (e.g. the DB was unreachable at boot)
+            pendingChecks.delete(key);
+            console.error(`❌ Failed to ensure columns on ${table}:`, error.message);
+        }));
+    }
+
+    return pendingChecks.get(key);
+}
+
+async function addMissingColumns(pool, table, columns) {
+    const [rows] = await pool.execute(
+        `SELECT COLUMN_NAME FROM information_schema.COLUMNS
+         WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ?`,
+        [table]
+    );
+    const existing = new Set(rows.map(row => row.COLUMN_NAME));
+
+    for (const [name, definition] of Object.entries(columns)) {
+        if (existing.has(name)) continue;
+        await pool.execute(`ALTER TABLE ${table} ADD COLUMN ${name} ${definition}`);
+        console.log(`✅ Added column ${table}.${name}`);
+    }
+}
+
+module.exports = { ensureColumns };
@@ -0,0 +1,62 @@
+const { encodeMuLaw } = require('./mulaw.js');
+
+/**
+ * DTMF tone generation for the 8kHz µ-law Twilio media stream.
+ * Media Streams can't send keypresses as events, so digits are played as
+ * in-band dual tones, which IVR systems detect the same way.
+ */
+
+const SAMPLE_RATE = 8000;
+const TONE_MS = 150;
+const GAP_MS = 100;
+// "w" waits half a second, same as the Twilio sendDigits convention
+const WAIT_MS = 500;
+// Each of the two tones at about -9 dBFS, so the sum never clips
+const TONE_AMPLITUDE = 0.35 * 32767;
+
+const DTMF_FREQUENCIES = {
+    '1': [697, 1209], '2': [697, 1336], '3': [697, 1477], 'A': [697, 1633],
+    '4': [770, 1209], '5': [770, 1336], '6': [770, 1477], 'B': [770, 1633],
+    '7': [852, 1209], '8': [852, 1336], '9': [852, 1477], 'C': [852, 1633],
+    '*': [941, 1209], '0': [941, 1336], '#': [941, 1477], 'D': [941, 1633]
+};
+
+/**
+ * Normalize a digit sequence, dropping anything that isn't a DTMF key or "w"
+ * @param {string} digits
+ * @returns {string}
+ */
+function sanitizeDigits(digits) {
+    return String(digits || '').toUpperCase().replace(/W/g, 'w').replace(/[^0-9A-D*#w]/g, '');
+}
+
+/**
+ * Generate µ-law audio for a digit sequence
+ * @param {string} digits - e.g. "1", "1234#", "9ww1"
+ * @returns {Buffer} µ-law audio
+ */
+function generateDtmfTones(digits) {
+    const samples = [];
+    const pushSilence = (ms) => {
+        for (let i = 0; i < (SAMPLE_RATE * ms) / 1000; i++) samples.push(0);
+    };
+
+    for (const digit of sanitizeDigits(digits)) {
+        if (digit === 'w') {
+            pushSilence(WAIT_MS);
+            continue;
+        }
+
+        const [low, high] = DTMF_FREQUENCIES[digit];
+        const toneSamples = (SAMPLE_RATE * TONE_MS) / 1000;
+        for (let i = 0; i < toneSamples; i++) {
+            const t = i / SAMPLE_RATE;
+            samples.push(Math.round(TONE_AMPLITUDE * (Math.sin(2 * Math.PI * low * t) + Math.sin(2 * Math.PI * high * t))));
+        }
+        pushSilence(GAP_MS);
+    }
+
+    return encodeMuLaw(samples);
+}
+
+module.exports = { generateDtmfTones, sanitizeDigits };
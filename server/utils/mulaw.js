@@ -0,0 +1,71 @@
+/**
+ * G.711 µ-law helpers for the 8kHz Twilio media stream
+ */
+
+const MULAW_BIAS = 0x84;
+const MULAW_CLIP = 32635;
+
+/**
+ * Decode a single µ-law byte to a 16-bit linear sample
+ * @param {number} muLawByte
+ * @returns {number}
+ */
+function decodeSample(muLawByte) {
+    const value = ~muLawByte & 0xFF;
+    const sign = value & 0x80;
+    const exponent = (value >> 4) & 0x07;
+    const mantissa = value & 0x0F;
+    const sample = (((mantissa << 3) + MULAW_BIAS) << exponent) - MULAW_BIAS;
+    return sign ? -sample : sample;
+}
+
+// Precomputed table, the stream delivers 50 packets per second per call
+const DECODE_TABLE = new Int16Array(256);
+for (let i = 0; i < 256; i++) {
+    DECODE_TABLE[i] = decodeSample(i);
+}
+
+/**
+ * Decode a µ-law buffer to 16-bit linear PCM samples
+ * @param {Buffer} muLawBuffer
+ * @returns {Int16Array}
+ */
+function decodeMuLaw(muLawBuffer) {
+    const samples = new Int16Array(muLawBuffer.length);
+    for (let i = 0; i < muLawBuffer.length; i++) {
+        samples[i] = DECODE_TABLE[muLawBuffer[i]];
+    }
+    return samples;
+}
+
+/**
+ * Encode a 16-bit linear sample to a µ-law byte
+ * @param {number} sample
+ * @returns {number}
+ */
+function encodeSample(sample) {
+    const sign = sample < 0 ? 0x80 : 0;
+    const magnitude = Math.min(Math.abs(sample), MULAW_CLIP) + MULAW_BIAS;
+
+    let exponent = 7;
+    for (let mask = 0x4000; (magnitude & mask) === 0 && exponent > 0; mask >>= 1) {
+        exponent--;
+    }
+    const mantissa = (magnitude >> (exponent + 3)) & 0x0F;
+    return ~(sign | (exponent << 4) | mantissa) & 0xFF;
+}
+
+/**
+ * Encode 16-bit linear PCM samples to a µ-law buffer
+ * @param {Int16Array|number[]} samples
+ * @returns {Buffer}
+ */
+function encodeMuLaw(samples) {
+    const muLawBuffer = Buffer.alloc(samples.length);
+    for (let i = 0; i < samples.length; i++) {
+        muLawBuffer[i] = encodeSample(samples[i]);
+    }
+    return muLawBuffer;
+}
+
+module.exports = { decodeMuLaw, encodeMuLaw };
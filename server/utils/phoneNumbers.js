@@ -0,0 +1,86 @@
+/**
+ * E.164 normalization of phone numbers from contact imports and the do-not-call
+ * list, where national numbers ("020 7946 0958", "(415) 555-0100") are read in
+ * a default country.
+ */
+
+// ISO 3166 country -> calling code
+const COUNTRY_CALLING_CODES = {
+    US: '1', CA: '1', GB: '44', IE: '353', AU: '61', NZ: '64', IN: '91', PK: '92', BD: '880',
+    LK: '94', NP: '977', DE: '49', FR: '33', ES: '34', IT: '39', PT: '351', NL: '31', BE: '32',
+    LU: '352', CH: '41', AT: '43', DK: '45', SE: '46', NO: '47', FI: '358', PL: '48', CZ: '420',
+    SK: '421', HU: '36', RO: '40', BG: '359', GR: '30', TR: '90', UA: '380', RU: '7', IL: '972',
+    AE: '971', SA: '966', QA: '974', KW: '965', BH: '973', OM: '968', JO: '962', LB: '961',
+    EG: '20', MA: '212', ZA: '27', NG: '234', KE: '254', GH: '233', UG: '256', TZ: '255',
+    CN: '86', HK: '852', TW: '886', JP: '81', KR: '82', SG: '65', MY: '60', ID: '62', PH: '63',
+    TH: '66', VN: '84', MX: '52', BR: '55', AR: '54', CL: '56', CO: '57', PE: '51'
+};
+
+// Prefix dialed before national numbers, '0' unless listed here
+const TRUNK_PREFIXES = { US: '1', CA: '1', IT: '', RU: '8' };
+
+const E164_PATTERN = /^\+[1-9]\d{7,14}$/;
+
+function isValidCountry(country) {
+    return typeof country === 'string' && Object.prototype.hasOwnProperty.call(COUNTRY_CALLING_CODES, country.toUpperCase());
+}
+
+/**
+ * Normalize a phone number to E.164
+ * @param {string} phoneNumber - As written in the import file
+ * @param {string|null} defaultCountry - ISO country of numbers without a country code
+ * @returns {Object} { phoneNumber } or { error } when it can't be a valid number
+ */
+function toE164(phoneNumber, defaultCountry = null) {
+    const raw = String(phoneNumber ?? '').trim();
+    if (!raw) return { error: 'Phone number is empty' };
+    if (/[a-z]/i.test(raw)) return { error: 'Phone number contains letters' };
+
+    let digits = raw.replace(/\D/g, '');
+    let international = raw.startsWith('+');
+    if (!international && digits.startsWith('00')) {
+        digits = digits.slice(2);
+        international = true;
+    }
+
+    if (!international) {
+        const country = (defaultCountry || '').toUpperCase();
+        const callingCode = COUNTRY_CALLING_CODES[country];
+        if (!callingCode) return { error: 'Number has no country code and no default country is set' };
+
+        const trunkPrefix = TRUNK_PREFIXES[country] ?? '0';
+        if (callingCode === '1') {
+            // North America: 10 digits, or 11 with the leading 1
+            if (digits.length === 11 && digits.startsWith('1')) digits = digits.slice(1);
+            digits = callingCode + digits;
+        } else if (trunkPrefix && digits.startsWith(trunkPrefix)) {
+            digits = callingCode + digits.slice(trunkPrefix.length);
+        } else if (!(digits.startsWith(callingCode) && digits.length >= 11)) {
+            // Spreadsheets often drop the + of international numbers, anything
+            // this long that already starts with the country code is taken as one
+            digits = callingCode + digits;
+        }
+    }
+
+    const e164 = `+${digits}`;
+    if (!E164_PATTERN.test(e164)) return { error: 'Not a valid phone number' };
+    if (digits.startsWith('1') && digits.length !== 11) return { error: 'North American numbers have 10 digits after +1' };
+
+    return { phoneNumber: e164 };
+}
+
+/**
+ * Country of an E.164 number, from its calling code
+ * @returns {string|null} ISO country (the first listed for shared codes, e.g. US for +1), null if unknown
+ */
+function countryOfNumber(phoneNumber) {
+    const digits = String(phoneNumber ?? '').trim().startsWith('+') ? String(phoneNumber).replace(/\D/g, '') : '';
+    for (let length = 3; length >= 1; length--) {
+        const code = digits.slice(0, length);
+        const country = Object.keys(COUNTRY_CALLING_CODES).find(key => COUNTRY_CALLING_CODES[key] === code);
+        if (country) return country;
+    }
+    return null;
+}
+
+module.exports = { COUNTRY_CALLING_CODES, isValidCountry, toE164, countryOfNumber };
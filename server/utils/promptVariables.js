@@ -0,0 +1,87 @@
+/**
+ * Prompt variables: per-call values (caller name, account status, ...) that
+ * agent prompts and greetings reference as {{name}} or {{account.status}}
+ */
+
+const VARIABLE_PATTERN = /\{\{\s*([\w.-]+)\s*\}\}/g;
+
+function lookup(variables, path) {
+    return path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), variables);
+}
+
+/**
+ * Fill {{variable}} placeholders. Unknown variables are left out, so a greeting
+ * like "Hi {{name}}, ..." still reads naturally when the name is not known.
+ * @param {string} text - Prompt, greeting or message template
+ * @param {Object} variables - Values by name, nested objects reachable with dots
+ * @returns {string}
+ */
+function renderTemplate(text, variables = {}) {
+    if (!text || !text.includes('{{')) return text;
+
+    return text
+        .replace(VARIABLE_PATTERN, (placeholder, path) => {
+            const value = lookup(variables, path);
+            if (value == null) return '';
+            return typeof value === 'object' ? JSON.stringify(value) : String(value);
+        })
+        .replace(/[ \t]+([,.!?])/g, '$1')
+        .replace(/[ \t]{2,}/g, ' ');
+}
+
+/**
+ * Names of the variables a template references, by their first segment
+ * ({{account.status}} needs the variable "account")
+ * @returns {Array<string>}
+ */
+function templateVariables(text) {
+    if (!text || typeof text !== 'string') return [];
+    const names = new Set();
+    for (const match of text.matchAll(VARIABLE_PATTERN)) {
+        names.add(match[1].split('.')[0]);
+    }
+    return [...names];
+}
+
+/**
+ * Fill the tool parameters the model left out with their defaults, which
+ * may reference prompt variables ("{{account_id}}")
+ * @param {Array<Object>} parameters - Tool parameters ({ name, defaultValue })
+ * @param {Object} data - Values from the model
+ * @param {Object} variables - Prompt variables of the call
+ * @returns {Object} data with the defaults added
+ */
+function applyParameterDefaults(parameters = [], data = {}, variables = {}) {
+    const filled = { ...data };
+    parameters.forEach(param => {
+        if (filled[param.name] != null && filled[param.name] !== '') return;
+        if (typeof param.defaultValue !== 'string' || !param.defaultValue) return;
+
+        const value = renderTemplate(param.defaultValue, variables);
+        if (value === '') return;
+        if (param.type === 'number' && Number.isFinite(Number(value))) {
+            filled[param.name] = Number(value);
+        } else if (param.type === 'boolean') {
+            filled[param.name] = ['true', 'yes', '1'].includes(value.trim().toLowerCase());
+        } else {
+            filled[param.name] = value;
+        }
+    });
+    return filled;
+}
+
+/**
+ * List the variables for the system prompt, so the agent knows them even
+ * when the prompt does not reference them by name
+ * @returns {string} Prompt section, or '' when there are no variables
+ */
+function formatVariablesForPrompt(variables = {}) {
+    const lines = Object.entries(variables)
+        .filter(([, value]) => value != null && value !== '')
+        .map(([name, value]) => `- ${name}: ${typeof value === 'object' ? JSON.stringify(value) : value}`);
+
+    if (lines.length === 0) return '';
+    return `\n\nCaller information (use it to personalize the conversation):\n${lines.join('\n')}`;
+}
+
+module.exports = { renderTemplate, formatVariablesForPrompt, templateVariables, applyParameterDefaults };
@@ -0,0 +1,36 @@
+/**
+ * Sentence splitting for streaming LLM output into TTS
+ */
+
+// Sentence end: punctuation (incl. Devanagari danda and CJK stops) followed by whitespace,
+// so decimals like "3.5" and URLs are not split. Newlines always end a sentence.
+const SENTENCE_END = /[.!?।。！？]+["')\]]*\s+|\n+/g;
+
+// Very short fragments ("Sure.", "Dr.") are merged with what follows,
+// one TTS request per word would sound choppy and cost more round trips
+const MIN_SENTENCE_CHARS = 20;
+
+/**
+ * Take the complete sentences off the front of a growing text buffer
+ * @param {string} text - Text received so far and not yet spoken
+ * @returns {{ sentences: string[], rest: string }} Complete sentences and the unfinished remainder
+ */
+function splitSentences(text) {
+    const sentences = [];
+    let start = 0;
+    let match;
+
+    SENTENCE_END.lastIndex = 0;
+    while ((match = SENTENCE_END.exec(text)) !== null) {
+        const end = match.index + match[0].length;
+        if (end - start >= MIN_SENTENCE_CHARS) {
+            const sentence = text.slice(start, end).trim();
+            if (sentence) sentences.push(sentence);
+            start = end;
+        }
+    }
+
+    return { sentences, rest: text.slice(start) };
+}
+
+module.exports = { splitSentences };
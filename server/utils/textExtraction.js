@@ -0,0 +1,194 @@
+/**
+ * Text extraction for knowledge base uploads
+ * Turns PDF, DOCX, HTML, Markdown, CSV and plain text files into the plain
+ * text that is stored in documents.content and chunked for retrieval.
+ */
+const path = require('path');
+const { PDFParse } = require('pdf-parse');
+const mammoth = require('mammoth');
+const { parseCsv } = require('./csv.js');
+
+const FORMATS_BY_EXTENSION = {
+    '.pdf': 'pdf',
+    '.docx': 'docx',
+    '.html': 'html',
+    '.htm': 'html',
+    '.md': 'markdown',
+    '.markdown': 'markdown',
+    '.csv': 'csv',
+    '.txt': 'text'
+};
+
+const FORMATS_BY_MIME_TYPE = {
+    'application/pdf': 'pdf',
+    'application/vnd.openxmlformats-officedocument.wordprocessingml.document': 'docx',
+    'text/html': 'html',
+    'text/markdown': 'markdown',
+    'text/csv': 'csv',
+    'text/plain': 'text'
+};
+
+const HTML_ENTITIES = {
+    amp: '&',
+    lt: '<',
+    gt: '>',
+    quot: '"',
+    apos: "'",
+    nbsp: ' '
+};
+
+/**
+ * Work out the document format, preferring the file extension since browsers
+ * report CSV and Markdown under several different MIME types
+ * @returns {string|null} Format name, or null when unsupported
+ */
+function detectFormat(fileName, mimeType) {
+    const extension = path.extname(fileName || '').toLowerCase();
+    if (FORMATS_BY_EXTENSION[extension]) return FORMATS_BY_EXTENSION[extension];
+
+    const baseMimeType = (mimeType || '').split(';')[0].trim().toLowerCase();
+    return FORMATS_BY_MIME_TYPE[baseMimeType] || null;
+}
+
+function decodeHtmlEntities(text) {
+    return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, code) => {
+        if (code[0] === '#') {
+            const value = code[1].toLowerCase() === 'x' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+            return Number.isFinite(value) ? String.fromCodePoint(value) : entity;
+        }
+        return HTML_ENTITIES[code.toLowerCase()] ?? entity;
+    });
+}
+
+function htmlToText(html) {
+    const titleMatch = html.match(/<title[^>]*>([\s\S]*?)<\/title>/i);
+    const text = html
+        .replace(/<!--[\s\S]*?-->/g, '')
+        .replace(/<(script|style|noscript|head|svg)[^>]*>[\s\S]*?<\/\1>/gi, '')
+        .replace(/<li[^>]*>/gi, '\n- ')
+        .replace(/<(br|hr)[^>]*>/gi, '\n')
+        .replace(/<\/?(p|div|section|article|header|footer|h[1-6]|ul|ol|table|tr|blockquote|pre)[^>]*>/gi, '\n')
+        .replace(/<\/t[dh]>/gi, '\t')
+        .replace(/<[^>]+>/g, '');
+
+    return {
+        text: decodeHtmlEntities(text),
+        title: titleMatch ? decodeHtmlEntities(titleMatch[1]).trim() : null
+    };
+}
+
+function markdownToText(markdown) {
+    return markdown
+        .replace(/^```.*$/gm, '')
+        .replace(/!\[([^\]]*)\]\([^)]*\)/g, '$1')
+        .replace(/\[([^\]]+)\]\([^)]*\)/g, '$1')
+        .replace(/^\s{0,3}#{1,6}\s+/gm, '')
+        .replace(/^\s{0,3}>\s?/gm, '')
+        .replace(/(\*\*|__)(.+?)\1/g, '$2')
+        .replace(/`([^`]+)`/g, '$1');
+}
+
+/**
+ * Flatten a CSV into one line per row ("Plan: Pro; Price: $20") so each row
+ * keeps its column names when it ends up in a chunk on its own
+ */
+function csvToText(csv) {
+    const [header = [], ...rows] = parseCsv(csv);
+    const columns = header.map((name, index) => name.trim() || `Column ${index + 1}`);
+
+    const lines = rows.map(row => row
+        .map((value, index) => (value.trim() ? `${columns[index] || `Column ${index + 1}`}: ${value.trim()}` : null))
+        .filter(Boolean)
+        .join('; '));
+
+    return {
+        text: lines.join('\n'),
+        rowCount: rows.length,
+        columns
+    };
+}
+
+function normalizeWhitespace(text) {
+    return text
+        .replace(/\r\n?/g, '\n')
+        .replace(/[ \t]+\n/g, '\n')
+        .replace(/\n{3,}/g, '\n\n')
+        .trim();
+}
+
+async function extractPdf(buffer) {
+    const parser = new PDFParse({ data: buffer });
+    try {
+        // Leave out the default "-- 1 of 3 --" page markers
+        const result = await parser.getText({ pageJoiner: '' });
+        return { text: result.text, metadata: { pageCount: result.total } };
+    } finally {
+        await parser.destroy();
+    }
+}
+
+async function extractDocx(buffer) {
+    const result = await mammoth.extractRawText({ buffer });
+    return {
+        text: result.value,
+        metadata: { warnings: result.messages.map(message => message.message) }
+    };
+}
+
+/**
+ * Extract plain text from an uploaded file
+ * @param {Buffer} buffer - File contents
+ * @param {Object} file - { fileName, mimeType }
+ * @returns {Promise<{ text: string, format: string, metadata: Object }>}
+ * @throws {Error} When the format is unsupported, the file cannot be parsed or it contains no text
+ */
+async function extractText(buffer, { fileName, mimeType } = {}) {
+    const format = detectFormat(fileName, mimeType);
+    if (!format) {
+        throw new Error(`Unsupported file type "${path.extname(fileName || '') || mimeType || 'unknown'}". Supported: PDF, DOCX, HTML, Markdown, CSV and TXT`);
+    }
+
+    let extracted;
+    try {
+        switch (format) {
+            case 'pdf':
+                extracted = await extractPdf(buffer);
+                break;
+            case 'docx':
+                extracted = await extractDocx(buffer);
+                break;
+            case 'html': {
+                const { text, title } = htmlToText(buffer.toString('utf8'));
+                extracted = { text, metadata: { title } };
+                break;
+            }
+            case 'markdown':
+                extracted = { text: markdownToText(buffer.toString('utf8')), metadata: {} };
+                break;
+            case 'csv': {
+                const { text, rowCount, columns } = csvToText(buffer.toString('utf8'));
+                extracted = { text, metadata: { rowCount, columns } };
+                break;
+            }
+            default:
+                extracted = { text: buffer.toString('utf8'), metadata: {} };
+        }
+    } catch (error) {
+        throw new Error(`Could not read ${format.toUpperCase()} file: ${error.message}`);
+    }
+
+    const text = normalizeWhitespace(extracted.text || '');
+    if (!text) {
+        throw new Error(format === 'pdf'
+            ? 'No text found in PDF (scanned PDFs without a text layer are not supported)'
+            : 'No text found in file');
+    }
+
+    return {
+        text,
+        format,
+        metadata: { ...extracted.metadata, characterCount: text.length }
+    };
+}
+
+module.exports = { extractText, detectFormat };
@@ -0,0 +1,141 @@
+/**
+ * Time zone of a phone number, for calling contacts at a reasonable local hour.
+ *
+ * Derived from the country calling code, and from the area code for North
+ * American numbers (+1). Countries that span several zones (Russia, Brazil,
+ * Australia, Mexico, Indonesia, ...) resolve to the zone of their capital or
+ * largest city, so contacts elsewhere in those countries should have their
+ * time zone set explicitly.
+ */
+
+// Country calling code -> IANA time zone, matched on the longest prefix
+const COUNTRY_CODE_TIMEZONES = {
+    '7': 'Europe/Moscow', '76': 'Asia/Almaty', '77': 'Asia/Almaty',
+    '20': 'Africa/Cairo', '27': 'Africa/Johannesburg', '30': 'Europe/Athens', '31': 'Europe/Amsterdam',
+    '32': 'Europe/Brussels', '33': 'Europe/Paris', '34': 'Europe/Madrid', '36': 'Europe/Budapest',
+    '39': 'Europe/Rome', '40': 'Europe/Bucharest', '41': 'Europe/Zurich', '43': 'Europe/Vienna',
+    '44': 'Europe/London', '45': 'Europe/Copenhagen', '46': 'Europe/Stockholm', '47': 'Europe/Oslo',
+    '48': 'Europe/Warsaw', '49': 'Europe/Berlin', '51': 'America/Lima', '52': 'America/Mexico_City',
+    '53': 'America/Havana', '54': 'America/Argentina/Buenos_Aires', '55': 'America/Sao_Paulo',
+    '56': 'America/Santiago', '57': 'America/Bogota', '58': 'America/Caracas', '60': 'Asia/Kuala_Lumpur',
+    '61': 'Australia/Sydney', '62': 'Asia/Jakarta', '63': 'Asia/Manila', '64': 'Pacific/Auckland',
+    '65': 'Asia/Singapore', '66': 'Asia/Bangkok', '81': 'Asia/Tokyo', '82': 'Asia/Seoul',
+    '84': 'Asia/Ho_Chi_Minh', '86': 'Asia/Shanghai', '90': 'Europe/Istanbul', '91': 'Asia/Kolkata',
+    '92': 'Asia/Karachi', '93': 'Asia/Kabul', '94': 'Asia/Colombo', '95': 'Asia/Yangon', '98': 'Asia/Tehran',
+    '211': 'Africa/Juba', '212': 'Africa/Casablanca', '213': 'Africa/Algiers', '216': 'Africa/Tunis',
+    '218': 'Africa/Tripoli', '220': 'Africa/Banjul', '221': 'Africa/Dakar', '225': 'Africa/Abidjan',
+    '233': 'Africa/Accra', '234': 'Africa/Lagos', '237': 'Africa/Douala', '243': 'Africa/Kinshasa',
+    '244': 'Africa/Luanda', '249': 'Africa/Khartoum', '250': 'Africa/Kigali', '251': 'Africa/Addis_Ababa',
+    '252': 'Africa/Mogadishu', '254': 'Africa/Nairobi', '255': 'Africa/Dar_es_Salaam', '256': 'Africa/Kampala',
+    '260': 'Africa/Lusaka', '263': 'Africa/Harare', '264': 'Africa/Windhoek', '267': 'Africa/Gaborone',
+    '351': 'Europe/Lisbon', '352': 'Europe/Luxembourg', '353': 'Europe/Dublin', '354': 'Atlantic/Reykjavik',
+    '356': 'Europe/Malta', '357': 'Asia/Nicosia', '358': 'Europe/Helsinki', '359': 'Europe/Sofia',
+    '370': 'Europe/Vilnius', '371': 'Europe/Riga', '372': 'Europe/Tallinn', '380': 'Europe/Kiev',
+    '381': 'Europe/Belgrade', '385': 'Europe/Zagreb', '386': 'Europe/Ljubljana', '420': 'Europe/Prague',
+    '421': 'Europe/Bratislava', '502': 'America/Guatemala', '503': 'America/El_Salvador',
+    '504': 'America/Tegucigalpa', '505': 'America/Managua', '506': 'America/Costa_Rica', '507': 'America/Panama',
+    '591': 'America/La_Paz', '593': 'America/Guayaquil', '595': 'America/Asuncion', '598': 'America/Montevideo',
+    '852': 'Asia/Hong_Kong', '853': 'Asia/Macau', '855': 'Asia/Phnom_Penh', '880': 'Asia/Dhaka',
+    '886': 'Asia/Taipei', '960': 'Indian/Maldives', '961': 'Asia/Beirut', '962': 'Asia/Amman',
+    '963': 'Asia/Damascus', '964': 'Asia/Baghdad', '965': 'Asia/Kuwait', '966': 'Asia/Riyadh',
+    '967': 'Asia/Aden', '968': 'Asia/Muscat', '970': 'Asia/Gaza', '971': 'Asia/Dubai', '972': 'Asia/Jerusalem',
+    '973': 'Asia/Bahrain', '974': 'Asia/Qatar', '975': 'Asia/Thimphu', '977': 'Asia/Kathmandu',
+    '992': 'Asia/Dushanbe', '994': 'Asia/Baku', '995': 'Asia/Tbilisi', '998': 'Asia/Tashkent'
+};
+
+// North American area codes by time zone
+const NANP_AREA_CODES = {
+    'America/New_York': [
+        201, 202, 203, 207, 212, 215, 216, 220, 223, 231, 234, 239, 240, 248, 252, 260, 267, 269, 272, 276,
+        283, 301, 302, 304, 305, 313, 315, 317, 321, 326, 330, 332, 339, 347, 351, 352, 380, 386, 401, 404,
+        407, 410, 412, 413, 419, 423, 434, 440, 443, 445, 463, 470, 475, 478, 484, 502, 508, 513, 516, 517,
+        518, 540, 551, 561, 567, 570, 571, 585, 586, 603, 607, 609, 610, 614, 616, 617, 631, 640, 646, 656,
+        667, 678, 680, 681, 689, 703, 704, 706, 716, 717, 718, 724, 727, 732, 734, 740, 743, 754, 757, 762,
+        765, 770, 772, 774, 781, 786, 802, 803, 804, 810, 813, 814, 828, 835, 838, 839, 843, 845, 848, 854,
+        856, 857, 859, 860, 862, 863, 864, 865, 878, 904, 908, 910, 912, 914, 917, 919, 929, 930, 934, 941,
+        947, 954, 959, 973, 978, 980, 984, 989
+    ],
+    'America/Toronto': [
+        226, 249, 263, 289, 343, 354, 365, 367, 382, 416, 418, 437, 438, 450, 514, 519, 548, 579, 581, 613,
+        647, 683, 705, 742, 753, 807, 819, 873
+    ],
+    'America/Halifax': [428, 506, 782, 902],
+    'America/St_Johns': [709, 879],
+    'America/Chicago': [
+        205, 210, 214, 217, 218, 219, 224, 225, 228, 251, 254, 256, 262, 270, 274, 281, 308, 309, 312, 314,
+        316, 318, 319, 320, 325, 327, 331, 334, 337, 346, 361, 364, 402, 405, 409, 414, 417, 430, 432, 447,
+        448, 464, 469, 479, 501, 504, 507, 512, 515, 531, 539, 557, 563, 572, 573, 580, 601, 605, 608, 612,
+        615, 618, 620, 629, 630, 636, 641, 651, 659, 660, 662, 682, 701, 708, 712, 713, 715, 726, 731, 737,
+        763, 769, 773, 779, 785, 806, 815, 816, 817, 830, 832, 847, 850, 870, 872, 903, 913, 918, 920, 931,
+        936, 938, 940, 945, 952, 956, 972, 979, 985
+    ],
+    'America/Winnipeg': [204, 431, 584],
+    'America/Regina': [306, 474, 639],
+    'America/Denver': [208, 303, 307, 385, 406, 435, 505, 575, 719, 720, 801, 915, 970, 983, 986],
+    'America/Phoenix': [480, 520, 602, 623, 928],
+    'America/Edmonton': [368, 403, 587, 780, 825],
+    'America/Los_Angeles': [
+        206, 209, 213, 253, 279, 310, 323, 341, 350, 360, 369, 408, 415, 424, 425, 442, 458, 503, 509, 510,
+        530, 541, 559, 562, 564, 619, 626, 628, 650, 657, 661, 669, 702, 707, 714, 725, 747, 760, 775, 805,
+        818, 820, 831, 840, 858, 909, 916, 925, 949, 951, 971
+    ],
+    'America/Vancouver': [236, 250, 257, 604, 672, 778],
+    'America/Anchorage': [907],
+    'Pacific/Honolulu': [808],
+    'America/Puerto_Rico': [787, 939],
+    'America/St_Thomas': [340],
+    'America/Jamaica': [658, 876],
+    'America/Santo_Domingo': [809, 829, 849],
+    'America/Port_of_Spain': [868],
+    'America/Nassau': [242],
+    'America/Barbados': [246],
+    'Atlantic/Bermuda': [441],
+    'Pacific/Guam': [671]
+};
+
+const AREA_CODE_TIMEZONES = new Map(
+    Object.entries(NANP_AREA_CODES).flatMap(([zone, codes]) => codes.map(code => [String(code), zone]))
+);
+
+/**
+ * Whether a string is an IANA time zone this runtime knows
+ */
+function isValidTimezone(timezone) {
+    if (!timezone || typeof timezone !== 'string') return false;
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * Time zone of an international phone number
+ * @param {string} phoneNumber - E.164 (+14155550100), or with a 00 prefix
+ * @returns {string|null} IANA time zone, null when it can't be told from the number
+ */
+function timezoneForPhoneNumber(phoneNumber) {
+    if (!phoneNumber) return null;
+
+    const raw = String(phoneNumber).trim();
+    let digits = raw.replace(/\D/g, '');
+    if (raw.startsWith('00')) {
+        digits = digits.slice(2);
+    } else if (!raw.startsWith('+') && !(digits.length === 11 && digits.startsWith('1'))) {
+        // A national number carries no country code
+        return null;
+    }
+
+    if (digits.startsWith('1')) {
+        return AREA_CODE_TIMEZONES.get(digits.slice(1, 4)) || null;
+    }
+
+    for (let length = 3; length >= 1; length--) {
+        const zone = COUNTRY_CODE_TIMEZONES[digits.slice(0, length)];
+        if (zone) return zone;
+    }
+    return null;
+}
+
+module.exports = { isValidTimezone, timezoneForPhoneNumber };
@@ -0,0 +1,100 @@
+/**
+ * Webhook signatures
+ *
+ * Every outbound webhook carries three headers:
+ *   X-Ziya-Event-Id   - Unique per delivery, the same on every retry (use it to drop duplicates)
+ *   X-Ziya-Timestamp  - Unix seconds when this attempt was signed
+ *   X-Ziya-Signature  - "v1=<hex>", comma separated when the agent has two active secrets
+ *
+ * Each signature is HMAC-SHA256 over "<timestamp>.<event id>.<raw body>". Receivers
+ * accept a request when any v1 signature matches one of their secrets and the
+ * timestamp is recent, so a captured request cannot be replayed later and a
+ * secret can be rotated while both the old and the new one are accepted.
+ *
+ * Transition: receivers written for the original scheme check "sha256=<hex>",
+ * HMAC-SHA256 of the raw body alone with the agent's secret. Until
+ * LEGACY_SIGNATURE_UNTIL that value is sent first in X-Ziya-Signature, ahead of
+ * the v1 signatures ("sha256=<hex>,v1=<hex>"), so those receivers keep working
+ * while they move to v1. After that date only v1 signatures are sent.
+ */
+const crypto = require('crypto');
+
+const SIGNATURE_VERSION = 'v1';
+const DEFAULT_TOLERANCE_SECONDS = 5 * 60;
+const LEGACY_SIGNATURE_UNTIL = new Date('2027-01-31T00:00:00Z');
+
+function computeSignature(secret, timestamp, eventId, body) {
+    return crypto
+        .createHmac('sha256', secret)
+        .update(`${timestamp}.${eventId}.${body}`)
+        .digest('hex');
+}
+
+/**
+ * Signature headers for a request body
+ * @param {string} body - The exact JSON string that is sent
+ * @param {Array<string>} secrets - Active secrets, empty ones are skipped
+ * @param {Object} [options] - { eventId, timestamp } - a new event ID and the current time by default
+ * @returns {Object} Headers to add to the request, without X-Ziya-Signature when there are no secrets
+ */
+function signPayload(body, secrets, { eventId = crypto.randomUUID(), timestamp = Math.floor(Date.now() / 1000) } = {}) {
+    const headers = {
+        'X-Ziya-Event-Id': eventId,
+        'X-Ziya-Timestamp': String(timestamp)
+    };
+
+    const activeSecrets = secrets.filter(Boolean);
+    if (activeSecrets.length > 0) {
+        const signatures = activeSecrets
+            .map(secret => `${SIGNATURE_VERSION}=${computeSignature(secret, timestamp, eventId, body)}`);
+        if (timestamp * 1000 < LEGACY_SIGNATURE_UNTIL.getTime()) {
+            const legacy = crypto.createHmac('sha256', activeSecrets[0]).update(body).digest('hex');
+            signatures.unshift(`sha256=${legacy}`);
+        }
+        headers['X-Ziya-Signature'] = signatures.join(',');
+    }
+
+    return headers;
+}
+
+/**
+ * Check the signature headers of a received webhook
+ * @param {Object} params
+ * @param {string} params.body - Raw request body, before any JSON parsing
+ * @param {string} params.signature - X-Ziya-Signature header
+ * @param {string} params.timestamp - X-Ziya-Timestamp header
+ * @param {string} params.eventId - X-Ziya-Event-Id header
+ * @param {Array<string>} params.secrets - Secrets to accept
+ * @param {number} [params.toleranceSeconds] - Maximum age of the timestamp
+ * @returns {Object} { valid, reason } - reason says why an invalid request was rejected
+ */
+function verifySignature({ body, signature, timestamp, eventId, secrets, toleranceSeconds = DEFAULT_TOLERANCE_SECONDS, now = Date.now() }) {
+    if (!signature || !timestamp || !eventId) {
+        return { valid: false, reason: 'Missing signature, timestamp or event ID header' };
+    }
+
+    const signedAt = Number(timestamp);
+    if (!Number.isInteger(signedAt)) {
+        return { valid: false, reason: 'Malformed timestamp' };
+    }
+    if (Math.abs(Math.floor(now / 1000) - signedAt) > toleranceSeconds) {
+        return { valid: false, reason: `Timestamp is more than ${toleranceSeconds} seconds off, possible replay` };
+    }
+
+    const received = String(signature)
+        .split(',')
+        .map(part => part.trim().split('='))
+        .filter(([version, value]) => version === SIGNATURE_VERSION && value)
+        .map(([, value]) => Buffer.from(value, 'hex'));
+
+    const matches = secrets.filter(Boolean).some(secret => {
+        const expected = Buffer.from(computeSignature(secret, signedAt, eventId, body), 'hex');
+        return received.some(candidate =>
+            candidate.length === expected.length && crypto.timingSafeEqual(candidate, expected)
+        );
+    });
+
+    return matches ? { valid: true, reason: null } : { valid: false, reason: 'Signature does not match' };
+}
+
+module.exports = { signPayload, verifySignature, DEFAULT_TOLERANCE_SECONDS, LEGACY_SIGNATURE_UNTIL };
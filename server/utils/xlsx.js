@@ -0,0 +1,152 @@
+/**
+ * Minimal XLSX reading: the cell values of the first worksheet as text rows,
+ * the same shape parseCsv() returns. Formatting, formulas (their cached values
+ * are read) and dates (left as serial numbers) are not interpreted.
+ */
+const zlib = require('zlib');
+
+const MAX_ENTRY_SIZE = 50 * 1024 * 1024; // uncompressed, guards against zip bombs
+
+const XML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+
+function decodeXml(text) {
+    return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, code) => {
+        if (code[0] === '#') {
+            const value = code[1].toLowerCase() === 'x' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+            return Number.isFinite(value) ? String.fromCodePoint(value) : entity;
+        }
+        return XML_ENTITIES[code.toLowerCase()] ?? entity;
+    });
+}
+
+/**
+ * Read the entries of a zip archive
+ * @returns {Map<string, Function>} Entry name -> function returning its contents as text
+ */
+function readZip(buffer) {
+    // End of central directory record, followed by a comment of at most 64KB
+    let end = -1;
+    for (let i = buffer.length - 22; i >= Math.max(0, buffer.length - 22 - 0xffff); i--) {
+        if (buffer.readUInt32LE(i) === 0x06054b50) {
+            end = i;
+            break;
+        }
+    }
+    if (end === -1) throw new Error('File is not a valid XLSX workbook');
+
+    const entries = new Map();
+    const count = buffer.readUInt16LE(end + 10);
+    let offset = buffer.readUInt32LE(end + 16);
+
+    for (let i = 0; i < count; i++) {
+        if (buffer.readUInt32LE(offset) !== 0x02014b50) throw new Error('File is not a valid XLSX workbook');
+
+        const method = buffer.readUInt16LE(offset + 10);
+        const compressedSize = buffer.readUInt32LE(offset + 20);
+        const nameLength = buffer.readUInt16LE(offset + 28);
+        const extraLength = buffer.readUInt16LE(offset + 30);
+        const commentLength = buffer.readUInt16LE(offset + 32);
+        const localOffset = buffer.readUInt32LE(offset + 42);
+        const name = buffer.toString('utf8', offset + 46, offset + 46 + nameLength);
+
+        entries.set(name, () => {
+            const dataStart = localOffset + 30 + buffer.readUInt16LE(localOffset + 26) + buffer.readUInt16LE(localOffset + 28);
+            const data = buffer.subarray(dataStart, dataStart + compressedSize);
+            if (method === 0) return data.toString('utf8');
+            if (method === 8) return zlib.inflateRawSync(data, { maxOutputLength: MAX_ENTRY_SIZE }).toString('utf8');
+            throw new Error(`Unsupported compression in XLSX entry ${name}`);
+        });
+
+        offset += 46 + nameLength + extraLength + commentLength;
+    }
+
+    return entries;
+}
+
+/**
+ * Text of a shared string or inline string, which may be split into rich text runs
+ */
+function stringItemText(xml) {
+    let text = '';
+    for (const match of xml.matchAll(/<t(?:\s[^>]*)?>([\s\S]*?)<\/t>/g)) {
+        text += match[1];
+    }
+    return decodeXml(text);
+}
+
+function columnIndex(reference) {
+    const letters = (reference.match(/^[A-Z]+/i) || ['A'])[0].toUpperCase();
+    return [...letters].reduce((index, letter) => index * 26 + letter.charCodeAt(0) - 64, 0) - 1;
+}
+
+/**
+ * Path of the first worksheet, from the workbook and its relationships
+ */
+function firstSheetPath(entries) {
+    const fallback = 'xl/worksheets/sheet1.xml';
+    const workbook = entries.get('xl/workbook.xml');
+    const relationships = entries.get('xl/_rels/workbook.xml.rels');
+    if (!workbook || !relationships) return fallback;
+
+    const sheet = workbook().match(/<sheet\b[^>]*\br:id="([^"]+)"/);
+    if (!sheet) return fallback;
+
+    const relationship = [...relationships().matchAll(/<Relationship\b[^>]*>/g)]
+        .map(match => match[0])
+        .find(tag => tag.includes(`Id="${sheet[1]}"`));
+    const target = relationship && relationship.match(/Target="([^"]+)"/);
+    if (!target) return fallback;
+
+    return target[1].startsWith('/') ? target[1].slice(1) : `xl/${target[1]}`;
+}
+
+/**
+ * Read the first worksheet of an XLSX workbook
+ * @param {Buffer} buffer - File contents
+ * @returns {string[][]} Rows of cell text, with fully empty rows skipped
+ */
+function readXlsx(buffer) {
+    const entries = readZip(buffer);
+    const sheet = entries.get(firstSheetPath(entries));
+    if (!sheet) throw new Error('Workbook has no worksheet');
+
+    const sharedStrings = entries.has('xl/sharedStrings.xml')
+        ? [...entries.get('xl/sharedStrings.xml')().matchAll(/<si>([\s\S]*?)<\/si>/g)].map(match => stringItemText(match[1]))
+        : [];
+
+    const rows = [];
+    for (const rowMatch of sheet().matchAll(/<row\b[^>]*?(?:\/>|>([\s\S]*?)<\/row>)/g)) {
+        const row = [];
+        for (const cell of (rowMatch[1] || '').matchAll(/<c\b([^>]*?)(?:\/>|>([\s\S]*?)<\/c>)/g)) {
+            const attributes = cell[1];
+            const content = cell[2] || '';
+            const reference = (attributes.match(/\br="([^"]+)"/) || [])[1];
+            const type = (attributes.match(/\bt="([^"]+)"/) || [])[1];
+            const value = (content.match(/<v>([\s\S]*?)<\/v>/) || [])[1];
+
+            let text = '';
+            if (type === 's') {
+                text = sharedStrings[Number(value)] ?? '';
+            } else if (type === 'inlineStr') {
+                text = stringItemText(content);
+            } else if (type === 'b') {
+                text = value === '1' ? 'TRUE' : 'FALSE';
+            } else if (value !== undefined) {
+                const number = Number(value);
+                // Phone numbers stored as numbers come back as "1.4155550100E10"
+                text = type !== 'str' && type !== 'e' && Number.isInteger(number) && Math.abs(number) < 1e21
+                    ? number.toFixed(0)
+                    : decodeXml(value);
+            }
+
+            const index = reference ? columnIndex(reference) : row.length;
+            while (row.length < index) row.push('');
+            row[index] = text;
+        }
+        if (row.some(value => value.trim() !== '')) rows.push(row);
+    }
+
+    return rows;
+}
+
+module.exports = { readXlsx };
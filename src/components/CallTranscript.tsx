@@ -0,0 +1,88 @@
+import React, { useState, useEffect } from 'react';
+import { callService, TranscriptEntry } from '../services/callService';
+
+interface CallTranscriptProps {
+    userId: string;
+    callId: string;
+}
+
+const formatTime = (timestamp: string) =>
+    new Date(timestamp).toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit', second: '2-digit' });
+
+const CallTranscript: React.FC<CallTranscriptProps> = ({ userId, callId }) => {
+    const [entries, setEntries] = useState<TranscriptEntry[]>([]);
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState<string | null>(null);
+
+    useEffect(() => {
+        const loadTranscript = async () => {
+            try {
+                setLoading(true);
+                setError(null);
+                const response = await callService.fetchTranscript(userId, callId);
+                setEntries(response.transcript);
+            } catch (err) {
+                console.error('Error loading transcript:', err);
+                setError('Failed to load transcript. Please try again.');
+            } finally {
+                setLoading(false);
+            }
+        };
+
+        loadTranscript();
+    }, [userId, callId]);
+
+    if (loading) {
+        return (
+            <div className="flex items-center justify-center h-32">
+                <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-primary"></div>
+            </div>
+        );
+    }
+
+    if (error) {
+        return <p className="text-sm text-red-600 dark:text-red-400">{error}</p>;
+    }
+
+    if (entries.length === 0) {
+        return <p className="text-sm text-slate-500 dark:text-slate-400">No transcript was recorded for this call.</p>;
+    }
+
+    return (
+        <div className="space-y-3 max-h-[60vh] overflow-y-auto pr-1">
+            {entries.map((entry) => {
+                if (entry.role === 'tool_call' || entry.role === 'tool_result') {
+                    const payload = entry.role === 'tool_call' ? entry.data?.args : entry.data?.response;
+                    return (
+                        <div key={entry.sequence} className="text-xs text-slate-500 dark:text-slate-400 font-mono bg-slate-50 dark:bg-darkbg rounded-md px-3 py-2">
+                            <span className="font-semibold">{entry.role === 'tool_call' ? 'Tool call' : 'Tool result'}: {entry.content}</span>
+                            {payload && <pre className="whitespace-pre-wrap break-all mt-1">{JSON.stringify(payload, null, 2)}</pre>}
+                        </div>
+                    );
+                }
+
+                const isAgent = entry.role === 'agent';
+                return (
+                    <div key={entry.sequence} className={`flex ${isAgent ? 'justify-start' : 'justify-end'}`}>
+                        <div className={`max-w-[80%] rounded-lg px-3 py-2 ${isAgent
+                            ? 'bg-slate-100 text-slate-800 dark:bg-slate-800 dark:text-slate-200'
+                            : 'bg-primary/10 text-slate-800 dark:text-slate-100'}`}
+                        >
+                            <p className="text-sm whitespace-pre-wrap">
+                                {entry.content || <span className="italic text-slate-400">(interrupted before speaking)</span>}
+                            </p>
+                            <p className="text-[11px] text-slate-400 mt-1">
+                                {isAgent ? 'Agent' : 'Caller'} · {formatTime(entry.timestamp)}
+                                {entry.latencyMs != null && ` · ${entry.latencyMs}ms`}
+                                {entry.sttConfidence != null && ` · ${Math.round(entry.sttConfidence * 100)}% confidence`}
+                                {entry.interrupted && ' · interrupted'}
+                            </p>
+                        </div>
+                    </div>
+                );
+            })}
+        </div>
+    );
+};
+
+export default CallTranscript;
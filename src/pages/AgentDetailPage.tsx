@@ -704,29 +704,7 @@ const AgentDetailPage: React.FC<AgentDetailPageProps> = ({ agent: initialAgent,
             sessionTimeoutRef.current = null;
         }
 
-        // Set up session timeout if enabled
-        console.log('Setting up session timeout. Duration:', editedAgent.settings.sessionTimeoutFixedDuration);
-        if (editedAgent.settings.sessionTimeoutFixedDuration > 0) {
-            const timeoutMs = editedAgent.settings.sessionTimeoutFixedDuration * 1000;
-            console.log('Session timeout will trigger in', editedAgent.settings.sessionTimeoutFixedDuration, 'seconds (', timeoutMs, 'ms)');
-            // Make sure the timeout is reasonable (at least 1 second)
-            if (timeoutMs >= 1000) {
-                sessionTimeoutRef.current = setTimeout(() => {
-                    console.log('Session timeout triggered');
-                    const isCallActuallyActive = isCallActive || callActiveDebugRef.current;
-                    if (isCallActuallyActive) {
-                        alert(editedAgent.settings.sessionTimeoutEndMessage || "Your session has ended.");
-                        // Don't automatically stop the call
-                        // The user should explicitly click the stop button
-                        // stopCall();
-                    }
-                }, timeoutMs);
-            } else {
-                console.log('Skipping session timeout setup because duration is too short:', timeoutMs, 'ms');
-            }
-        } else {
-            console.log('No session timeout set or duration is 0');
-        }
+        // Session timeouts are enforced by the voice server, which sends 'session-ended'
 
         try {
             // Set up audio processing for the live session
@@ -890,6 +868,12 @@ const AgentDetailPage: React.FC<AgentDetailPageProps> = ({ agent: initialAgent,
                                             conversationHistoryRef.current.push({ role: 'model', text: data.text });
                                         }
 
+                                        else if (data.event === 'session-ended') {
+                                            // Server hit a session limit (max duration or caller inactivity)
+                                            console.log('Session ended by server:', data.reason);
+                                            stopCall();
+                                        }
+
                                         else if (data.event === 'stop-audio') {
                                             // Interruption handling - stop current playback
                                             if (audioSourcesRef.current) {
@@ -1359,6 +1343,28 @@ When you need to collect information from the user, ask for the required paramet
     };
     const handleCancelPrompt = () => { setEditedAgent(p => ({ ...p, identity: agent.identity })); setIsEditingPrompt(false); };
 
+    // Webhooks are signed with both secrets until the rotation is ended, so receivers can switch over without downtime
+    const handleRotateWebhookSecret = () => {
+        const bytes = crypto.getRandomValues(new Uint8Array(32));
+        const newSecret = Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+        const updatedAgent = {
+            ...editedAgent,
+            settings: {
+                ...editedAgent.settings,
+                webhookSecret: newSecret,
+                webhookPreviousSecret: editedAgent.settings.webhookSecret || ''
+            }
+        };
+        setEditedAgent(updatedAgent);
+        updateAgent(updatedAgent);
+    };
+
+    const handleEndWebhookSecretRotation = () => {
+        const updatedAgent = { ...editedAgent, settings: { ...editedAgent.settings, webhookPreviousSecret: '' } };
+        setEditedAgent(updatedAgent);
+        updateAgent(updatedAgent);
+    };
+
     const handleSaveModel = (newModelId: string) => {
         const updatedAgent = { ...editedAgent, model: newModelId };
         setEditedAgent(updatedAgent);
@@ -1786,11 +1792,11 @@ When you need to collect information from the user, ask for the required paramet
                     setError(null);
                     const files = Array.from(event.target.files) as File[];
 
-                    const uploadPromises = files.map(file =>
-                        documentService.uploadDocument(userId, file, agent.id)
-                    );
+                    const { documents: uploadedDocs, errors } = await documentService.uploadDocuments(userId, files, agent.id);
+                    if (errors.length > 0) {
+                        setError(`Could not process ${errors.map(e => `${e.name} (${e.message})`).join(', ')}`);
+                    }
 
-                    const uploadedDocs = await Promise.all(uploadPromises);
                     const newDocs = uploadedDocs.map(doc => ({
                         id: doc.id,
                         name: doc.name,
@@ -1864,7 +1870,7 @@ When you need to collect information from the user, ask for the required paramet
                                     onChange={handleFileChange}
                                     className="hidden"
                                     multiple
-                                    accept=".pdf,.doc,.docx,.txt,.md,.csv"
+                                    accept=".pdf,.docx,.html,.htm,.txt,.md,.markdown,.csv"
                                 />
                                 <button
                                     onClick={() => fileInputRef.current?.click()}
@@ -1992,7 +1998,7 @@ When you need to collect information from the user, ask for the required paramet
                     </div>
 
                     <div className="bg-[#243140] p-3 rounded-md">
-                        <p className="text-sm text-emerald-300">Tip: Use the "Required" checkbox for parameters that the agent must collect from the user during the conversation.</p>
+                        <p className="text-sm text-emerald-300">Tip: Use the "Required" checkbox for parameters that the agent must collect from the user during the conversation. A default is used when the agent leaves a parameter out and may use contact variables such as {"{{account_id}}"}.</p>
                     </div>
 
                     {/* Function Type - HIDDEN and forced to GoogleSheets */}
@@ -2041,15 +2047,16 @@ When you need to collect information from the user, ask for the required paramet
                             </div>
 
                             <div className="space-y-3">
-                                <div className="grid grid-cols-[2fr_1fr_auto_auto] gap-x-4 items-center text-xs uppercase text-gray-500 font-semibold px-1">
+                                <div className="grid grid-cols-[2fr_1fr_2fr_auto_auto] gap-x-4 items-center text-xs uppercase text-gray-500 font-semibold px-1">
                                     <div>Column Name</div>
                                     <div>Type</div>
+                                    <div>Default</div>
                                     <div className="text-center">Required</div>
                                     <div></div>
                                 </div>
 
                                 {(newTool.parameters || []).map((param, index) => (
-                                    <div key={index} className="grid grid-cols-[2fr_1fr_auto_auto] gap-x-4 items-center">
+                                    <div key={index} className="grid grid-cols-[2fr_1fr_2fr_auto_auto] gap-x-4 items-center">
                                         <input type="text" value={param.name} onChange={e => handleParameterChange(index, 'name', e.target.value)} placeholder="e.g. Phone Number" className="w-full bg-[#243140] border border-gray-600 rounded-md px-3 py-2 text-sm focus:ring-emerald-500 focus:border-emerald-500" />
 
                                         <select value={param.type} onChange={e => handleParameterChange(index, 'type', e.target.value)} className="w-full bg-[#243140] border border-gray-600 rounded-md px-3 py-2 text-sm focus:ring-emerald-500 focus:border-emerald-500">
@@ -2062,6 +2069,8 @@ When you need to collect information from the user, ask for the required paramet
                                             ))}
                                         </select>
 
+                                        <input type="text" value={param.defaultValue || ''} onChange={e => handleParameterChange(index, 'defaultValue', e.target.value)} placeholder="e.g. {{account_id}}" className="w-full bg-[#243140] border border-gray-600 rounded-md px-3 py-2 text-sm focus:ring-emerald-500 focus:border-emerald-500" />
+
                                         <div className="flex items-center justify-center">
                                             <input type="checkbox" checked={param.required} onChange={e => handleParameterChange(index, 'required', e.target.checked)} className="h-4 w-4 rounded bg-gray-700 border-gray-600 text-emerald-600 focus:ring-emerald-500" />
                                         </div>
@@ -2403,6 +2412,8 @@ When you need to collect information from the user, ask for the required paramet
 
                     <SettingsCard title="Conversation Configuration">
                         <SettingsToggle label="User starts first" description="Agent will wait for user to start first." name="settings.userStartsFirst" checked={editedAgent.settings.userStartsFirst} onChange={handleSettingsChange} />
+                        <SettingsToggle label="Agent can end the call" description="Agent hangs up by itself once the conversation is finished." name="settings.agentCanTerminateCall" checked={editedAgent.settings.agentCanTerminateCall || false} onChange={handleSettingsChange} />
+                        <SettingsToggle label="Honor do-not-call requests" description="When the caller asks not to be called again, their number goes on your do-not-call list and the agent ends the call politely." name="settings.doNotCallDetection" checked={editedAgent.settings.doNotCallDetection || false} onChange={handleSettingsChange} />
                         <div>
                             <label htmlFor="greetingLine" className="block text-sm font-medium text-slate-700 dark:text-slate-200">Greeting Line</label>
                             <p className="text-sm text-slate-500 dark:text-slate-400 mt-1">Set the first message the agent says to start the conversation. Leave blank to disable.</p>
@@ -2417,6 +2428,11 @@ When you need to collect information from the user, ask for the required paramet
                                     <label htmlFor="sessionTimeoutFixedDuration" className="text-sm text-slate-600 dark:text-slate-300">Fixed Duration (Seconds):</label>
                                     <input type="number" id="sessionTimeoutFixedDuration" name="settings.sessionTimeoutFixedDuration" value={editedAgent.settings.sessionTimeoutFixedDuration} onChange={handleSettingsChange} min="0" max="86400" className="mt-1 w-full px-3 py-2 bg-white dark:bg-slate-800 border border-slate-300 dark:border-slate-600 rounded-md" placeholder="e.g. 300 for 5 minutes" />
                                 </div>
+                                <div>
+                                    <label htmlFor="sessionTimeoutNoVoiceActivity" className="text-sm text-slate-600 dark:text-slate-300">No Voice Activity (Seconds):</label>
+                                    <input type="number" id="sessionTimeoutNoVoiceActivity" name="settings.sessionTimeoutNoVoiceActivity" value={editedAgent.settings.sessionTimeoutNoVoiceActivity} onChange={handleSettingsChange} min="0" max="3600" className="mt-1 w-full px-3 py-2 bg-white dark:bg-slate-800 border border-slate-300 dark:border-slate-600 rounded-md" placeholder="e.g. 60, or 0 to disable" />
+                                </div>
+                                <SettingsToggle label="Check in on silent callers" description={'Ask "Are you still there?" after 15 seconds of silence, and end the call if there is still no answer after two tries.'} name="settings.inactivityHandling" checked={editedAgent.settings.inactivityHandling || false} onChange={handleSettingsChange} />
                                 <div>
                                     <label htmlFor="sessionTimeoutEndMessage" className="text-sm text-slate-600 dark:text-slate-300">End-of-Session Message:</label>
                                     <input type="text" id="sessionTimeoutEndMessage" name="settings.sessionTimeoutEndMessage" value={editedAgent.settings.sessionTimeoutEndMessage} onChange={handleSettingsChange} className="mt-1 w-full px-3 py-2 bg-white dark:bg-slate-800 border border-slate-300 dark:border-slate-600 rounded-md" placeholder="e.g. The session has ended. Goodbye." />
@@ -2425,6 +2441,197 @@ When you need to collect information from the user, ask for the required paramet
                         </div>
                     </SettingsCard>
 
+                    <SettingsCard title="Call Transfer">
+                        <SettingsToggle
+                            label="Allow transfers to a human"
+                            description="The agent can hand the call over when the caller asks for a person or needs help it cannot give."
+                            name="settings.callTransfer"
+                            checked={editedAgent.settings.callTransfer || false}
+                            onChange={handleSettingsChange}
+                        />
+
+                        {editedAgent.settings.callTransfer && (
+                            <div className="space-y-4 pt-4 border-t border-slate-200 dark:border-slate-700">
+                                <div>
+                                    <label htmlFor="transferTarget" className="block text-sm font-medium text-slate-700 dark:text-slate-200">Transfer Destination</label>
+                                    <p className="text-sm text-slate-500 dark:text-slate-400 mt-1">Phone number in E.164 format or a SIP URI.</p>
+                                    <input
+                                        type="text"
+                                        id="transferTarget"
+                                        name="settings.transferTarget"
+                                        value={editedAgent.settings.transferTarget || ''}
+                                        onChange={handleSettingsChange}
+                                        placeholder="+14155550123 or sip:support@example.sip.twilio.com"
+                                        className="mt-2 w-full px-3 py-2 bg-white dark:bg-slate-800 border border-slate-300 dark:border-slate-600 rounded-md focus:outline-none focus:ring-primary focus:border-primary sm:text-sm"
+                                    />
+                                </div>
+
+                                <div>
+                                    <label htmlFor="transferMode" className="block text-sm font-medium text-slate-700 dark:text-slate-200">Transfer Mode</label>
+                                    <select
+                                        id="transferMode"
+                                        name="settings.transferMode"
+                                        value={editedAgent.settings.transferMode || 'cold'}
+                                        onChange={handleSettingsChange}
+                                        className="mt-2 w-full px-3 py-2 bg-white dark:bg-slate-800 border border-slate-300 dark:border-slate-600 rounded-md focus:outline-none focus:ring-primary focus:border-primary sm:text-sm"
+                                    >
+                                        <option value="cold">Cold - connect the caller directly</option>
+                                        <option value="warm">Warm - brief the colleague with a summary first</option>
+                                    </select>
+                                </div>
+                            </div>
+                        )}
+                    </SettingsCard>
+
+                    <SettingsCard title="Keypad (DTMF)">
+                        <SettingsToggle
+                            label="Allow the agent to press keys"
+                            description="Lets the agent navigate automated phone menus on outbound calls. Keys pressed by callers are always passed to the agent."
+                            name="settings.dtmfDial"
+                            checked={editedAgent.settings.dtmfDial || false}
+                            onChange={handleSettingsChange}
+                        />
+                    </SettingsCard>
+
+                    <SettingsCard title="Voicemail Detection">
+                        <SettingsToggle
+                            label="Detect answering machines"
+                            description="Screen outbound campaign calls and hold the greeting until a person answers."
+                            name="settings.voicemailDetection"
+                            checked={editedAgent.settings.voicemailDetection || false}
+                            onChange={handleSettingsChange}
+                        />
+
+                        {editedAgent.settings.voicemailDetection && (
+                            <div className="space-y-4 pt-4 border-t border-slate-200 dark:border-slate-700">
+                                <div>
+                                    <label htmlFor="voicemailAction" className="block text-sm font-medium text-slate-700 dark:text-slate-200">When voicemail is detected</label>
+                                    <select
+                                        id="voicemailAction"
+                                        name="settings.voicemailAction"
+                                        value={editedAgent.settings.voicemailAction || 'hangup'}
+                                        onChange={handleSettingsChange}
+                                        className="mt-2 w-full px-3 py-2 bg-white dark:bg-slate-800 border border-slate-300 dark:border-slate-600 rounded-md focus:outline-none focus:ring-primary focus:border-primary sm:text-sm"
+                                    >
+                                        <option value="hangup">Hang up</option>
+                                        <option value="leave_message">Leave a message after the beep</option>
+                                        <option value="continue">Continue the conversation</option>
+                                    </select>
+                                </div>
+
+                                {editedAgent.settings.voicemailAction === 'leave_message' && (
+                                    <div>
+                                        <label htmlFor="voicemailMessage" className="block text-sm font-medium text-slate-700 dark:text-slate-200">Voicemail Message</label>
+                                        <p className="text-sm text-slate-500 dark:text-slate-400 mt-1">Spoken once after the beep, then the call is ended.</p>
+                                        <textarea
+                                            id="voicemailMessage"
+                                            name="settings.voicemailMessage"
+                                            value={editedAgent.settings.voicemailMessage || ''}
+                                            onChange={handleSettingsChange}
+                                            rows={3}
+                                            placeholder="Hi, this is Ziya calling about your appointment. Please call us back at your convenience."
+                                            className="mt-2 w-full px-3 py-2 bg-white dark:bg-slate-800 border border-slate-300 dark:border-slate-600 rounded-md focus:outline-none focus:ring-primary focus:border-primary sm:text-sm"
+                                        />
+                                    </div>
+                                )}
+
+                                <div>
+                                    <label htmlFor="voicemailDetectionTimeout" className="block text-sm font-medium text-slate-700 dark:text-slate-200">Detection Timeout (Seconds)</label>
+                                    <p className="text-sm text-slate-500 dark:text-slate-400 mt-1">If no decision is made in time, the agent treats the call as answered by a person.</p>
+                                    <input
+                                        type="number"
+                                        id="voicemailDetectionTimeout"
+                                        name="settings.voicemailDetectionTimeout"
+                                        value={editedAgent.settings.voicemailDetectionTimeout ?? 6}
+                                        onChange={handleSettingsChange}
+                                        min="2"
+                                        max="15"
+                                        className="mt-2 w-full px-3 py-2 bg-white dark:bg-slate-800 border border-slate-300 dark:border-slate-600 rounded-md focus:outline-none focus:ring-primary focus:border-primary sm:text-sm"
+                                    />
+                                </div>
+                            </div>
+                        )}
+                    </SettingsCard>
+
+                    <SettingsCard title="Post-Call Analysis">
+                        <SettingsToggle
+                            label="Analyze calls"
+                            description="After each call, write a short summary and record the caller's sentiment and the call disposition."
+                            name="settings.postCallAnalysis"
+                            checked={editedAgent.settings.postCallAnalysis !== false}
+                            onChange={handleSettingsChange}
+                        />
+
+                        {editedAgent.settings.postCallAnalysis !== false && (
+                            <div className="pt-4 border-t border-slate-200 dark:border-slate-700">
+                                <label htmlFor="successCriteria" className="block text-sm font-medium text-slate-700 dark:text-slate-200">Success Criteria</label>
+                                <p className="text-sm text-slate-500 dark:text-slate-400 mt-1">One per line. Each call is checked against every criterion.</p>
+                                <textarea
+                                    id="successCriteria"
+                                    name="settings.successCriteria"
+                                    value={editedAgent.settings.successCriteria || ''}
+                                    onChange={handleSettingsChange}
+                                    rows={3}
+                                    placeholder={'Caller booked an appointment\nCaller confirmed their email address'}
+                                    className="mt-2 w-full px-3 py-2 bg-white dark:bg-slate-800 border border-slate-300 dark:border-slate-600 rounded-md focus:outline-none focus:ring-primary focus:border-primary sm:text-sm"
+                                />
+                            </div>
+                        )}
+                    </SettingsCard>
+
+                    <SettingsCard title="Caller Data Prefetch">
+                        <div>
+                            <label htmlFor="prefetchDataWebhook" className="block text-sm font-medium text-slate-700 dark:text-slate-200">Prefetch Data Webhook</label>
+                            <p className="text-sm text-slate-500 dark:text-slate-400 mt-1">
+                                Called before the greeting with the caller number, campaign and contact. Fields of the returned JSON can be used in the prompt and greeting as {'{{field}}'}, e.g. "Hi {'{{name}}'}".
+                            </p>
+                            <input
+                                type="text"
+                                id="prefetchDataWebhook"
+                                name="settings.prefetchDataWebhook"
+                                value={editedAgent.settings.prefetchDataWebhook || ''}
+                                onChange={handleSettingsChange}
+                                placeholder="https://api.yourdomain.com/caller-data"
+                                className="mt-2 w-full px-3 py-2 bg-white dark:bg-slate-800 border border-slate-300 dark:border-slate-600 rounded-md focus:outline-none focus:ring-primary focus:border-primary sm:text-sm"
+                            />
+                        </div>
+
+                        {editedAgent.settings.prefetchDataWebhook && (
+                            <div className="pt-4 border-t border-slate-200 dark:border-slate-700">
+                                <label htmlFor="prefetchDataTimeout" className="block text-sm font-medium text-slate-700 dark:text-slate-200">Timeout (seconds)</label>
+                                <p className="text-sm text-slate-500 dark:text-slate-400 mt-1">How long to wait for the webhook before greeting the caller without its data.</p>
+                                <input
+                                    type="number"
+                                    id="prefetchDataTimeout"
+                                    name="settings.prefetchDataTimeout"
+                                    value={editedAgent.settings.prefetchDataTimeout || 3}
+                                    onChange={handleSettingsChange}
+                                    min="1"
+                                    max="10"
+                                    className="mt-2 w-full px-3 py-2 bg-white dark:bg-slate-800 border border-slate-300 dark:border-slate-600 rounded-md focus:outline-none focus:ring-primary focus:border-primary sm:text-sm"
+                                />
+                            </div>
+                        )}
+                    </SettingsCard>
+
+                    <SettingsCard title="End-of-Call Webhook">
+                        <div>
+                            <label htmlFor="endOfCallWebhook" className="block text-sm font-medium text-slate-700 dark:text-slate-200">End-of-Call Webhook</label>
+                            <p className="text-sm text-slate-500 dark:text-slate-400 mt-1">
+                                Receives a call.ended event after each call with the call details, duration, cost, transcript, recording URL, extracted data and disposition. Signed with the webhook secret and retried like the extraction webhook.
+                            </p>
+                            <input
+                                type="text"
+                                id="endOfCallWebhook"
+                                name="settings.endOfCallWebhook"
+                                value={editedAgent.settings.endOfCallWebhook || ''}
+                                onChange={handleSettingsChange}
+                                placeholder="https://api.yourdomain.com/call-ended"
+                                className="mt-2 w-full px-3 py-2 bg-white dark:bg-slate-800 border border-slate-300 dark:border-slate-600 rounded-md focus:outline-none focus:ring-primary focus:border-primary sm:text-sm"
+                            />
+                        </div>
+                    </SettingsCard>
+
                     <SettingsCard title="Webhook Integration">
                         <SettingsToggle
                             label="Enable Webhook Delivery"
@@ -2452,7 +2659,9 @@ When you need to collect information from the user, ask for the required paramet
 
                                 <div>
                                     <label htmlFor="webhookSecret" className="block text-sm font-medium text-slate-700 dark:text-slate-200">Webhook Secret</label>
-                                    <p className="text-sm text-slate-500 dark:text-slate-400 mt-1">Secret key used to sign the payload (HMAC SHA256).</p>
+                                    <p className="text-sm text-slate-500 dark:text-slate-400 mt-1">
+                                        Signs every webhook: X-Ziya-Signature holds "v1=" HMAC SHA256 of "timestamp.event_id.body", using the X-Ziya-Timestamp and X-Ziya-Event-Id headers. Reject old timestamps and repeated event IDs. Until January 31, 2027 it also starts with the former "sha256=" HMAC of the body alone, so existing receivers keep working while they switch to v1.
+                                    </p>
                                     <input
                                         type="password"
                                         id="webhookSecret"
@@ -2462,6 +2671,29 @@ When you need to collect information from the user, ask for the required paramet
                                         placeholder="Enter a strong secret key"
                                         className="mt-2 w-full px-3 py-2 bg-white dark:bg-slate-800 border border-slate-300 dark:border-slate-600 rounded-md focus:outline-none focus:ring-primary focus:border-primary sm:text-sm"
                                     />
+                                    <div className="mt-2 flex items-center gap-3">
+                                        <button
+                                            type="button"
+                                            onClick={handleRotateWebhookSecret}
+                                            className="text-sm font-medium text-primary hover:underline"
+                                        >
+                                            Rotate secret
+                                        </button>
+                                        {editedAgent.settings.webhookPreviousSecret && (
+                                            <button
+                                                type="button"
+                                                onClick={handleEndWebhookSecretRotation}
+                                                className="text-sm font-medium text-slate-600 dark:text-slate-300 hover:underline"
+                                            >
+                                                End rotation
+                                            </button>
+                                        )}
+                                    </div>
+                                    {editedAgent.settings.webhookPreviousSecret && (
+                                        <p className="text-sm text-amber-600 dark:text-amber-400 mt-2">
+                                            Rotation in progress: webhooks carry a signature for the new and the previous secret. End the rotation once your receivers use the new secret.
+                                        </p>
+                                    )}
                                 </div>
 
                                 <div>
@@ -1,7 +1,9 @@
 import React, { useState, useEffect } from 'react';
-import { callService, Call, CallFilters } from '../services/callService';
+import { callService, Call, CallFilters, CallTransfer } from '../services/callService';
 import { useAuth } from '../contexts/AuthContext';
 import { PhoneIcon, ClockIcon, UserIcon, FunnelIcon } from '@heroicons/react/24/outline';
+import Modal from '../components/Modal';
+import CallTranscript from '../components/CallTranscript';
 
 const CallHistoryPage: React.FC = () => {
     const { user } = useAuth();
@@ -16,6 +18,7 @@ const CallHistoryPage: React.FC = () => {
         hasMore: false
     });
     const [showFilters, setShowFilters] = useState(false);
+    const [transcriptCall, setTranscriptCall] = useState<Call | null>(null);
 
     useEffect(() => {
         if (user?.id) {
@@ -77,6 +80,9 @@ const CallHistoryPage: React.FC = () => {
         return colors[status] || 'text-gray-600 dark:text-gray-400';
     };
 
+    const getTransferLabel = (transfer: CallTransfer) =>
+        `${transfer.mode === 'warm' ? 'Warm' : 'Cold'} transfer to ${transfer.target} (${transfer.status})`;
+
     if (!user) {
         return (
             <div className="flex items-center justify-center h-screen">
@@ -129,6 +135,40 @@ const CallHistoryPage: React.FC = () => {
                                 </select>
                             </div>
 
+                            <div>
+                                <label className="block text-sm font-medium text-slate-700 dark:text-slate-300 mb-2">
+                                    Disposition
+                                </label>
+                                <select
+                                    value={filters.disposition || ''}
+                                    onChange={(e) => handleFilterChange('disposition', e.target.value)}
+                                    className="w-full px-3 py-2 border border-slate-300 dark:border-slate-600 rounded-md bg-white dark:bg-darkbg text-slate-800 dark:text-slate-100"
+                                >
+                                    <option value="">All Dispositions</option>
+                                    <option value="interested">Interested</option>
+                                    <option value="not_interested">Not interested</option>
+                                    <option value="callback">Callback</option>
+                                    <option value="wrong_number">Wrong number</option>
+                                    <option value="voicemail">Voicemail</option>
+                                </select>
+                            </div>
+
+                            <div>
+                                <label className="block text-sm font-medium text-slate-700 dark:text-slate-300 mb-2">
+                                    Sentiment
+                                </label>
+                                <select
+                                    value={filters.sentiment || ''}
+                                    onChange={(e) => handleFilterChange('sentiment', e.target.value)}
+                                    className="w-full px-3 py-2 border border-slate-300 dark:border-slate-600 rounded-md bg-white dark:bg-darkbg text-slate-800 dark:text-slate-100"
+                                >
+                                    <option value="">All Sentiments</option>
+                                    <option value="positive">Positive</option>
+                                    <option value="neutral">Neutral</option>
+                                    <option value="negative">Negative</option>
+                                </select>
+                            </div>
+
                             <div>
                                 <label className="block text-sm font-medium text-slate-700 dark:text-slate-300 mb-2">
                                     Start Date
@@ -200,7 +240,7 @@ const CallHistoryPage: React.FC = () => {
                                     </thead>
                                     <tbody className="divide-y divide-slate-200 dark:divide-slate-700">
                                         {calls.map((call) => (
-                                            <tr key={call.id} className="hover:bg-slate-50 dark:hover:bg-darkbg transition-colors">
+                                            <tr key={call.id} onClick={() => setTranscriptCall(call)} className="hover:bg-slate-50 dark:hover:bg-darkbg transition-colors cursor-pointer">
                                                 <td className="px-6 py-4 whitespace-nowrap text-sm text-slate-800 dark:text-slate-200">
                                                     {callService.formatTimestamp(call.timestamp)}
                                                 </td>
@@ -229,6 +269,17 @@ const CallHistoryPage: React.FC = () => {
                                                     <span className={`text-sm font-medium ${getStatusColor(call.status)}`}>
                                                         {call.status}
                                                     </span>
+                                                    {call.transfer && (
+                                                        <p className="text-xs text-slate-500 dark:text-slate-400 mt-1">
+                                                            {getTransferLabel(call.transfer)}
+                                                        </p>
+                                                    )}
+                                                    {call.analysis?.disposition && (
+                                                        <p className="text-xs text-slate-500 dark:text-slate-400 mt-1">
+                                                            {callService.getDispositionLabel(call.analysis.disposition)}
+                                                            {call.analysis.sentiment && ` · ${call.analysis.sentiment}`}
+                                                        </p>
+                                                    )}
                                                 </td>
                                             </tr>
                                         ))}
@@ -239,7 +290,7 @@ const CallHistoryPage: React.FC = () => {
                             {/* Mobile Card View */}
                             <div className="md:hidden divide-y divide-slate-200 dark:divide-slate-700">
                                 {calls.map((call) => (
-                                    <div key={call.id} className="p-4">
+                                    <div key={call.id} onClick={() => setTranscriptCall(call)} className="p-4 cursor-pointer">
                                         <div className="flex justify-between items-start mb-2">
                                             <div>
                                                 <p className="text-sm font-medium text-slate-800 dark:text-slate-200">
@@ -261,6 +312,17 @@ const CallHistoryPage: React.FC = () => {
                                                 {call.status}
                                             </span>
                                         </div>
+                                        {call.transfer && (
+                                            <p className="text-xs text-slate-500 dark:text-slate-400 mt-1">
+                                                {getTransferLabel(call.transfer)}
+                                            </p>
+                                        )}
+                                        {call.analysis?.disposition && (
+                                            <p className="text-xs text-slate-500 dark:text-slate-400 mt-1">
+                                                {callService.getDispositionLabel(call.analysis.disposition)}
+                                                {call.analysis.sentiment && ` · ${call.analysis.sentiment}`}
+                                            </p>
+                                        )}
                                     </div>
                                 ))}
                             </div>
@@ -293,6 +355,24 @@ const CallHistoryPage: React.FC = () => {
                     )}
                 </div>
             </div>
+
+            <Modal
+                isOpen={transcriptCall !== null}
+                onClose={() => setTranscriptCall(null)}
+                title={transcriptCall ? `${transcriptCall.agentName} · ${callService.formatTimestamp(transcriptCall.timestamp)}` : 'Transcript'}
+            >
+                {transcriptCall?.analysis?.summary && (
+                    <div className="mb-4 pb-4 border-b border-gray-100 dark:border-gray-700">
+                        <p className="text-sm text-slate-700 dark:text-slate-200">{transcriptCall.analysis.summary}</p>
+                        {transcriptCall.analysis.successEvaluation.map((evaluation) => (
+                            <p key={evaluation.criterion} className={`text-xs mt-1 ${evaluation.met ? 'text-green-600 dark:text-green-400' : 'text-red-600 dark:text-red-400'}`}>
+                                {evaluation.met ? '✓' : '✗'} {evaluation.criterion}
+                            </p>
+                        ))}
+                    </div>
+                )}
+                {transcriptCall && <CallTranscript userId={user.id} callId={transcriptCall.id} />}
+            </Modal>
         </div>
     );
 };
@@ -1,10 +1,70 @@
 import React, { useState, useEffect } from 'react';
 import { useParams, useNavigate } from 'react-router-dom';
-import { Campaign, CampaignRecord, CampaignStatus, PhoneNumber } from '../types';
+import { CallerIdStrategy, Campaign, CampaignPacingMode, CampaignRecord, CampaignSchedule, CampaignStatus, ContactImportMapping, ContactImportPreview, ContactImportReport, PhoneNumber } from '../types';
 import { useAuth } from '../contexts/AuthContext';
-import { parseCSV } from '../utils/csvParser';
+import { toVariableName } from '../utils/csvParser';
 import * as campaignApi from '../utils/api';
 import { phoneNumberService } from '../services/phoneNumberService';
+import { callService } from '../services/callService';
+
+// Call outcomes a campaign can retry, the server uses the same defaults
+const RETRY_OUTCOME_OPTIONS = [
+  { value: 'no-answer', label: 'No answer' },
+  { value: 'busy', label: 'Busy' },
+  { value: 'failed', label: 'Failed' },
+  { value: 'voicemail', label: 'Voicemail' },
+];
+const DEFAULT_RETRY_OUTCOMES = ['no-answer', 'busy'];
+
+const SCHEDULE_DAYS = [
+  { value: 'mon', label: 'Mon' },
+  { value: 'tue', label: 'Tue' },
+  { value: 'wed', label: 'Wed' },
+  { value: 'thu', label: 'Thu' },
+  { value: 'fri', label: 'Fri' },
+  { value: 'sat', label: 'Sat' },
+  { value: 'sun', label: 'Sun' },
+];
+const DEFAULT_SCHEDULE: CampaignSchedule = {
+  startDate: '',
+  endDate: '',
+  days: ['mon', 'tue', 'wed', 'thu', 'fri'],
+  startTime: '09:00',
+  endTime: '18:00',
+  timezone: Intl.DateTimeFormat().resolvedOptions().timeZone,
+};
+
+// Country of imported numbers written without a country code
+const IMPORT_COUNTRIES = [
+  { value: 'US', label: 'United States / Canada (+1)' },
+  { value: 'GB', label: 'United Kingdom (+44)' },
+  { value: 'IN', label: 'India (+91)' },
+  { value: 'AU', label: 'Australia (+61)' },
+  { value: 'DE', label: 'Germany (+49)' },
+  { value: 'FR', label: 'France (+33)' },
+  { value: 'ES', label: 'Spain (+34)' },
+  { value: 'IT', label: 'Italy (+39)' },
+  { value: 'NL', label: 'Netherlands (+31)' },
+  { value: 'AE', label: 'United Arab Emirates (+971)' },
+  { value: 'SG', label: 'Singapore (+65)' },
+  { value: 'ZA', label: 'South Africa (+27)' },
+  { value: 'BR', label: 'Brazil (+55)' },
+  { value: 'MX', label: 'Mexico (+52)' },
+];
+// How the caller ID is picked from the campaign's pool, see server/services/callerIdService.js
+const CALLER_ID_STRATEGIES: { value: CallerIdStrategy; label: string; description: string }[] = [
+  { value: 'round_robin', label: 'Round robin', description: 'each number in turn' },
+  { value: 'local_presence', label: 'Local presence', description: 'the number closest to the callee\'s area code' },
+  { value: 'least_recently_used', label: 'Least recently used', description: 'the number idle longest, across all campaigns' },
+];
+
+const IMPORT_STATUS_LABELS: Record<string, string> = {
+  imported: 'Imported',
+  valid: 'Valid',
+  invalid: 'Invalid',
+  duplicate: 'Duplicate',
+  do_not_call: 'Do not call',
+};
 
 const CampaignDetailPage: React.FC = () => {
   const { id } = useParams<{ id: string }>();
@@ -23,8 +83,30 @@ const CampaignDetailPage: React.FC = () => {
   const [totalRecords, setTotalRecords] = useState(0);
   const [availablePhoneNumbers, setAvailablePhoneNumbers] = useState<PhoneNumber[]>([]);
   const [selectedPhoneNumberId, setSelectedPhoneNumberId] = useState('');
+  const [allPhoneNumbers, setAllPhoneNumbers] = useState<PhoneNumber[]>([]);
+  const [callerPoolIds, setCallerPoolIds] = useState<string[]>([]);
+  const [callerIdStrategy, setCallerIdStrategy] = useState<CallerIdStrategy>('round_robin');
   const [concurrentCalls, setConcurrentCalls] = useState(2);
   const [isConcurrentCallsModalOpen, setIsConcurrentCallsModalOpen] = useState(false);
+  const [pacingMode, setPacingMode] = useState<CampaignPacingMode>('fixed');
+  const [maxDialRatio, setMaxDialRatio] = useState(2);
+  const [targetAbandonRate, setTargetAbandonRate] = useState(3);
+  const [dispositionFilter, setDispositionFilter] = useState('');
+  const [retryMaxAttempts, setRetryMaxAttempts] = useState(1);
+  const [retryDelayMinutes, setRetryDelayMinutes] = useState(60);
+  const [retryOutcomes, setRetryOutcomes] = useState<string[]>(DEFAULT_RETRY_OUTCOMES);
+  const [isRetryPolicyModalOpen, setIsRetryPolicyModalOpen] = useState(false);
+  const [scheduleEnabled, setScheduleEnabled] = useState(false);
+  const [schedule, setSchedule] = useState<CampaignSchedule>(DEFAULT_SCHEDULE);
+  const [isScheduleModalOpen, setIsScheduleModalOpen] = useState(false);
+  const [isImportModalOpen, setIsImportModalOpen] = useState(false);
+  const [importFile, setImportFile] = useState<File | null>(null);
+  const [importSheetUrl, setImportSheetUrl] = useState('');
+  const [importPreview, setImportPreview] = useState<ContactImportPreview | null>(null);
+  const [importMapping, setImportMapping] = useState<ContactImportMapping | null>(null);
+  const [importCountry, setImportCountry] = useState('US');
+  const [importReport, setImportReport] = useState<ContactImportReport | null>(null);
+  const [importing, setImporting] = useState(false);
 
   const recordsPerPage = 10;
 
@@ -47,8 +129,18 @@ const CampaignDetailPage: React.FC = () => {
             setSelectedPhoneNumberId(result.data.campaign.phone_number_id);
           }
           setCallerPhone(result.data.campaign.callerPhone || '');
+          setCallerPoolIds(result.data.campaign.caller_number_ids || []);
+          setCallerIdStrategy(result.data.campaign.caller_id_strategy || 'round_robin');
           setIncludeMetadata(result.data.campaign.includeMetadata ?? true);
           setConcurrentCalls(result.data.campaign.concurrent_calls || 2);
+          setPacingMode(result.data.campaign.pacing_mode === 'adaptive' ? 'adaptive' : 'fixed');
+          setMaxDialRatio(Number(result.data.campaign.max_dial_ratio) || 2);
+          setTargetAbandonRate(Number(result.data.campaign.target_abandon_rate ?? 3));
+          setRetryMaxAttempts(result.data.campaign.retry_max_attempts || 1);
+          setRetryDelayMinutes(result.data.campaign.retry_delay_minutes || 60);
+          setRetryOutcomes(Array.isArray(result.data.campaign.retry_outcomes) ? result.data.campaign.retry_outcomes : DEFAULT_RETRY_OUTCOMES);
+          setScheduleEnabled(!!result.data.campaign.schedule);
+          setSchedule(result.data.campaign.schedule ? { ...DEFAULT_SCHEDULE, ...result.data.campaign.schedule } : DEFAULT_SCHEDULE);
         }
 
         // Fetch Phone Numbers
@@ -56,6 +148,8 @@ const CampaignDetailPage: React.FC = () => {
         // Filter numbers that have agents
         const numbersWithAgents = phones.filter((p: any) => p.agent_id || p.agentId);
         setAvailablePhoneNumbers(numbersWithAgents);
+        // Any number can be in the caller ID pool, calls are answered by the campaign's agent
+        setAllPhoneNumbers(phones);
 
       } catch (err: any) {
         console.error('Error fetching data:', err);
@@ -104,6 +198,7 @@ const CampaignDetailPage: React.FC = () => {
       // Custom API call if needed, or use setCallerPhone
       // Assuming setCallerPhone updates phone_number_id
       await campaignApi.setCallerPhone(id!, user!.id, selectedPhone.id, agentId);
+      await campaignApi.updateCallerPool(id!, user!.id, { strategy: callerIdStrategy, phoneNumberIds: callerPoolIds });
 
       // Refresh
       const result = await campaignApi.fetchCampaign(id!, user!.id);
@@ -181,24 +276,86 @@ const CampaignDetailPage: React.FC = () => {
     }
   };
 
-  // ... Import/Add Record handlers remain similar ...
-  const handleImportCSV = async (event: React.ChangeEvent<HTMLInputElement>) => {
-    const file = event.target.files?.[0];
-    if (!file) return;
+  const openImportModal = () => {
+    setImportFile(null);
+    setImportSheetUrl('');
+    setImportPreview(null);
+    setImportMapping(null);
+    setImportReport(null);
+    setIsImportModalOpen(true);
+  };
+
+  const importSource = () => ({ file: importFile, googleSheetUrl: importSheetUrl.trim() });
+
+  const handlePreviewImport = async () => {
+    if (!importFile && !importSheetUrl.trim()) {
+      alert('Choose a CSV or XLSX file, or enter a Google Sheets link');
+      return;
+    }
+    try {
+      setImporting(true);
+      const preview = await campaignApi.previewContactImport(id!, user!.id, importSource());
+      setImportPreview(preview);
+      setImportMapping(preview.mapping);
+      setImportReport(null);
+    } catch (err: any) {
+      alert('Failed to read the import: ' + err.message);
+    } finally {
+      setImporting(false);
+    }
+  };
+
+  const columnRole = (header: string) => {
+    if (!importMapping) return 'ignore';
+    if (importMapping.phone === header) return 'phone';
+    if (importMapping.name === header) return 'name';
+    if (importMapping.timezone === header) return 'timezone';
+    return header in importMapping.fields ? 'field' : 'ignore';
+  };
+
+  // A column has one role, and phone/name/time zone belong to one column
+  const setColumnRole = (header: string, role: string) => {
+    setImportMapping(prev => {
+      if (!prev) return prev;
+      const fields = { ...prev.fields };
+      delete fields[header];
+      if (role === 'field') fields[header] = toVariableName(header);
+      return {
+        phone: role === 'phone' ? header : prev.phone === header ? null : prev.phone,
+        name: role === 'name' ? header : prev.name === header ? null : prev.name,
+        timezone: role === 'timezone' ? header : prev.timezone === header ? null : prev.timezone,
+        fields
+      };
+    });
+  };
+
+  const handleRunImport = async (dryRun: boolean) => {
+    if (!importMapping?.phone) {
+      alert('Map a column to the phone number');
+      return;
+    }
     try {
-      const text = await file.text();
-      // Simple CSV parse: phone,name
-      const lines = text.split('\n').filter(line => line.trim());
-      const data = lines.map(line => {
-        const parts = line.split(',');
-        return { phone_number: parts[0].trim(), name: parts[1]?.trim() || '' };
+      setImporting(true);
+      const report = await campaignApi.importContacts(id!, user!.id, importSource(), {
+        mapping: importMapping,
+        defaultCountry: importCountry,
+        dryRun
       });
+      setImportReport(report);
 
-      await campaignApi.importRecords(id!, user!.id, data);
-      alert('Imported ' + data.length + ' records');
-      // Trigger refresh
+      if (!dryRun) {
+        // Refresh campaign data
+        const result = await campaignApi.fetchCampaign(id!, user!.id);
+        if (result.success) {
+          setCampaign(result.data.campaign);
+          setRecords(result.data.records || []);
+          setTotalRecords(result.data.records?.length || 0);
+        }
+      }
     } catch (err: any) {
       alert('Import failed: ' + err.message);
+    } finally {
+      setImporting(false);
     }
   };
 
@@ -262,7 +419,12 @@ const CampaignDetailPage: React.FC = () => {
         return;
       }
 
-      await campaignApi.updateConcurrentCalls(id!, user!.id, concurrentCalls);
+      await campaignApi.updateCampaignPacing(id!, user!.id, {
+        mode: pacingMode,
+        concurrentCalls,
+        maxDialRatio,
+        targetAbandonRate
+      });
 
       // Refresh campaign data
       const result = await campaignApi.fetchCampaign(id!, user!.id);
@@ -271,12 +433,81 @@ const CampaignDetailPage: React.FC = () => {
       }
 
       setIsConcurrentCallsModalOpen(false);
-      alert('Concurrent calls limit updated successfully!');
+      alert('Call pacing updated successfully!');
     } catch (err: any) {
       alert('Failed to update concurrent calls: ' + err.message);
     }
   };
 
+  const handleSetRetryPolicy = async () => {
+    try {
+      if (retryMaxAttempts > 1 && retryOutcomes.length === 0) {
+        alert('Select at least one outcome to retry');
+        return;
+      }
+
+      await campaignApi.updateRetryPolicy(id!, user!.id, {
+        maxAttempts: retryMaxAttempts,
+        delayMinutes: retryDelayMinutes,
+        outcomes: retryOutcomes
+      });
+
+      // Refresh campaign data
+      const result = await campaignApi.fetchCampaign(id!, user!.id);
+      if (result.success) {
+        setCampaign(result.data.campaign);
+      }
+
+      setIsRetryPolicyModalOpen(false);
+      alert('Retry policy updated successfully!');
+    } catch (err: any) {
+      alert('Failed to update retry policy: ' + err.message);
+    }
+  };
+
+  const toggleRetryOutcome = (outcome: string) => {
+    setRetryOutcomes(prev => prev.includes(outcome) ? prev.filter(o => o !== outcome) : [...prev, outcome]);
+  };
+
+  const handleSetSchedule = async () => {
+    try {
+      if (scheduleEnabled) {
+        if (schedule.days.length === 0) {
+          alert('Select at least one calling day');
+          return;
+        }
+        if (schedule.startTime >= schedule.endTime) {
+          alert('The calling window must end after it starts');
+          return;
+        }
+        if (schedule.startDate && schedule.endDate && schedule.startDate > schedule.endDate) {
+          alert('The end date must not be before the start date');
+          return;
+        }
+      }
+
+      await campaignApi.updateCampaignSchedule(id!, user!.id, scheduleEnabled ? schedule : null);
+
+      // Refresh campaign data
+      const result = await campaignApi.fetchCampaign(id!, user!.id);
+      if (result.success) {
+        setCampaign(result.data.campaign);
+      }
+
+      setIsScheduleModalOpen(false);
+      alert('Schedule updated successfully!');
+    } catch (err: any) {
+      alert('Failed to update schedule: ' + err.message);
+    }
+  };
+
+  const toggleScheduleDay = (day: string) => {
+    setSchedule(prev => ({
+      ...prev,
+      days: prev.days.includes(day) ? prev.days.filter(d => d !== day) : [...prev.days, day]
+    }));
+  };
+
   if (loading) return <div className="text-center p-10 text-white">Loading...</div>;
   if (!campaign) return <div className="text-center p-10 text-white">Campaign not found</div>;
 
@@ -300,26 +531,40 @@ const CampaignDetailPage: React.FC = () => {
           <button
             onClick={() => setIsConcurrentCallsModalOpen(true)}
             className="px-4 py-2 bg-white dark:bg-slate-800 border border-slate-300 dark:border-slate-600 text-slate-700 dark:text-slate-200 rounded-lg hover:bg-slate-50 dark:hover:bg-slate-700 flex items-center transition shadow-sm btn-animate"
-            title="Set concurrent calls limit"
+            title="Set how many calls run at once"
           >
             <svg className="w-4 h-4 mr-2" fill="none" stroke="currentColor" viewBox="0 0 24 24">
               <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 6V4m0 2a2 2 0 100 4m0-4a2 2 0 110 4m-6 8a2 2 0 100-4m0 4a2 2 0 110-4m0 4v2m0-6V4m6 6v10m6-2a2 2 0 100-4m0 4a2 2 0 110-4m0 4v2m0-6V4" />
             </svg>
-            Concurrent: {campaign.concurrent_calls || 2}
+            {campaign.pacing_mode === 'adaptive' ? 'Adaptive' : 'Concurrent'}: {campaign.concurrent_calls || 2}
+          </button>
+          <button
+            onClick={() => setIsRetryPolicyModalOpen(true)}
+            className="px-4 py-2 bg-white dark:bg-slate-800 border border-slate-300 dark:border-slate-600 text-slate-700 dark:text-slate-200 rounded-lg hover:bg-slate-50 dark:hover:bg-slate-700 flex items-center transition shadow-sm btn-animate"
+            title="Set retry policy for unanswered and failed calls"
+          >
+            <svg className="w-4 h-4 mr-2" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M4 4v5h.582m15.356 2A8.001 8.001 0 004.582 9m0 0H9m11 11v-5h-.581m0 0a8.003 8.003 0 01-15.357-2m15.357 2H15" />
+            </svg>
+            Attempts: {campaign.retry_max_attempts || 1}
+          </button>
+          <button
+            onClick={() => setIsScheduleModalOpen(true)}
+            className="px-4 py-2 bg-white dark:bg-slate-800 border border-slate-300 dark:border-slate-600 text-slate-700 dark:text-slate-200 rounded-lg hover:bg-slate-50 dark:hover:bg-slate-700 flex items-center transition shadow-sm btn-animate"
+            title="Set when contacts may be called, in their local time"
+          >
+            <svg className="w-4 h-4 mr-2" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 8v4l3 3m6-3a9 9 0 11-18 0 9 9 0 0118 0z" />
+            </svg>
+            {campaign.schedule ? `${campaign.schedule.startTime}–${campaign.schedule.endTime}` : 'Any time'}
           </button>
           <button
-            onClick={() => document.getElementById('csv-file-input')?.click()}
+            onClick={openImportModal}
             className="px-4 py-2 bg-white dark:bg-slate-800 border border-slate-300 dark:border-slate-600 text-slate-700 dark:text-slate-200 rounded-lg hover:bg-slate-50 dark:hover:bg-slate-700 flex items-center transition shadow-sm btn-animate"
+            title="Import contacts from a CSV or XLSX file, or a Google Sheet"
           >
             <span className="mr-2">+</span> Import
           </button>
-          <input
-            type="file"
-            id="csv-file-input"
-            accept=".csv"
-            className="hidden"
-            onChange={handleImportCSV}
-          />
 
           <button
             onClick={() => setIsAddRecordModalOpen(true)}
@@ -399,6 +644,11 @@ const CampaignDetailPage: React.FC = () => {
                 <div className="flex flex-col">
                   <span className="text-xl font-mono text-slate-800 dark:text-white">{displayPhone}</span>
                   <span className="text-sm text-slate-500 dark:text-gray-400">Agent: {displayAgent}</span>
+                  {(campaign.caller_number_ids || []).length > 0 && (
+                    <span className="text-xs text-slate-500 dark:text-gray-400">
+                      Rotating over {campaign.caller_number_ids.length} number(s), {(CALLER_ID_STRATEGIES.find(s => s.value === campaign.caller_id_strategy) || CALLER_ID_STRATEGIES[0]).label.toLowerCase()}
+                    </span>
+                  )}
                 </div>
               ) : (
                 <button
@@ -442,10 +692,25 @@ const CampaignDetailPage: React.FC = () => {
       </div>
 
       {/* Records Table */}
+      <div className="flex justify-end mb-3">
+        <select
+          value={dispositionFilter}
+          onChange={(e) => setDispositionFilter(e.target.value)}
+          className="px-3 py-2 text-sm border border-slate-300 dark:border-gray-700 rounded-md bg-white dark:bg-darkbg-light text-slate-700 dark:text-gray-300"
+        >
+          <option value="">All outcomes</option>
+          <option value="interested">Interested</option>
+          <option value="not_interested">Not interested</option>
+          <option value="callback">Callback</option>
+          <option value="wrong_number">Wrong number</option>
+          <option value="voicemail">Voicemail</option>
+        </select>
+      </div>
       <div className="bg-white dark:bg-darkbg-light rounded-lg border border-slate-200 dark:border-gray-700 overflow-hidden shadow-sm card-animate">
-        <div className="grid grid-cols-[1fr_1fr_auto] p-4 border-b border-slate-200 dark:border-gray-700 bg-slate-50 dark:bg-slate-800/50">
+        <div className="grid grid-cols-[1fr_1fr_1fr_auto] p-4 border-b border-slate-200 dark:border-gray-700 bg-slate-50 dark:bg-slate-800/50">
           <div className="text-sm font-medium text-slate-500 dark:text-gray-400">Phone</div>
           <div className="text-sm font-medium text-slate-500 dark:text-gray-400">Call Status</div>
+          <div className="text-sm font-medium text-slate-500 dark:text-gray-400">Outcome</div>
           <div className="text-sm font-medium text-slate-500 dark:text-gray-400 text-right">Actions</div>
         </div>
 
@@ -461,8 +726,8 @@ const CampaignDetailPage: React.FC = () => {
           </div>
         ) : (
           <div className="divide-y divide-slate-200 dark:divide-gray-800">
-            {records.map((record) => (
-              <div key={record.id} className="grid grid-cols-[1fr_1fr_auto] p-4 items-center hover:bg-slate-50 dark:hover:bg-slate-800/50 transition-colors">
+            {records.filter((record) => !dispositionFilter || record.disposition === dispositionFilter).map((record) => (
+              <div key={record.id} className="grid grid-cols-[1fr_1fr_1fr_auto] p-4 items-center hover:bg-slate-50 dark:hover:bg-slate-800/50 transition-colors">
                 <div className="font-mono text-slate-700 dark:text-gray-300">{record.phone}</div>
                 <div>
                   <span className={`inline-block px-2 py-1 rounded text-xs font-medium ${record.callStatus === 'completed' ? 'bg-green-100 dark:bg-green-900/30 text-green-700 dark:text-green-400 border border-green-200 dark:border-green-900' :
@@ -472,10 +737,19 @@ const CampaignDetailPage: React.FC = () => {
                     }`}>
                     {record.callStatus || 'Pending'}
                   </span>
+                  {record.callStatus === 'pending' && record.next_attempt_at && (
+                    <span className="ml-3 text-xs text-slate-400 dark:text-gray-500" title={record.last_outcome ? `Last attempt: ${record.last_outcome}` : undefined}>
+                      {record.attempts > 0 ? `Retry ${record.attempts + 1}` : 'Call'} at {new Date(record.next_attempt_at).toLocaleString()}
+                    </span>
+                  )}
                   {record.callStatus === 'completed' && record.recordingUrl && (
                     <a href={record.recordingUrl} target="_blank" className="ml-3 text-xs text-blue-500 hover:underline">Recording</a>
                   )}
                 </div>
+                <div className="text-sm text-slate-600 dark:text-gray-300" title={record.summary || undefined}>
+                  {record.disposition ? callService.getDispositionLabel(record.disposition) : '-'}
+                  {record.sentiment && <span className="ml-2 text-xs text-slate-400 dark:text-gray-500">{record.sentiment}</span>}
+                </div>
                 <div className="text-right">
                   <button
                     className="text-red-500 hover:text-red-600 dark:text-red-400 dark:hover:text-red-300 hover:bg-red-50 dark:hover:bg-red-900/20 p-2 rounded transition"
@@ -514,6 +788,40 @@ const CampaignDetailPage: React.FC = () => {
               </select>
               <p className="text-xs text-slate-500 dark:text-gray-500 mt-2">Only showing numbers with assigned agents.</p>
             </div>
+            <div className="mb-4">
+              <label className="block text-sm text-slate-600 dark:text-gray-400 mb-2">Rotate caller ID across</label>
+              <div className="max-h-40 overflow-y-auto space-y-1 bg-slate-50 dark:bg-slate-800 border border-slate-300 dark:border-gray-600 rounded-lg p-2">
+                {allPhoneNumbers.map(p => (
+                  <label key={p.id} className="flex items-center text-sm text-slate-700 dark:text-gray-300">
+                    <input
+                      type="checkbox"
+                      className="mr-2"
+                      checked={callerPoolIds.includes(p.id)}
+                      onChange={() => setCallerPoolIds(callerPoolIds.includes(p.id)
+                        ? callerPoolIds.filter(poolId => poolId !== p.id)
+                        : [...callerPoolIds, p.id])}
+                    />
+                    <span className="font-mono">{p.number || (p as any).phone_number}</span>
+                    {p.dailyCallCap ? <span className="ml-2 text-xs text-slate-500 dark:text-gray-500">max {p.dailyCallCap}/day</span> : null}
+                  </label>
+                ))}
+              </div>
+              <p className="text-xs text-slate-500 dark:text-gray-500 mt-2">Leave empty to call from the number above only. Daily call caps are set on the Phone Numbers page.</p>
+            </div>
+            {callerPoolIds.length > 0 && (
+              <div className="mb-4">
+                <label className="block text-sm text-slate-600 dark:text-gray-400 mb-2">Rotation</label>
+                <select
+                  value={callerIdStrategy}
+                  onChange={(e) => setCallerIdStrategy(e.target.value as CallerIdStrategy)}
+                  className="w-full bg-slate-50 dark:bg-slate-800 border border-slate-300 dark:border-gray-600 rounded-lg p-2 text-slate-900 dark:text-white focus:outline-none focus:ring-1 focus:ring-primary"
+                >
+                  {CALLER_ID_STRATEGIES.map(strategy => (
+                    <option key={strategy.value} value={strategy.value}>{strategy.label}: {strategy.description}</option>
+                  ))}
+                </select>
+              </div>
+            )}
             <div className="flex justify-end gap-3">
               <button onClick={() => setIsCallerPhoneModalOpen(false)} className="px-4 py-2 text-slate-600 dark:text-gray-300 hover:text-slate-800 dark:hover:text-white transition">Cancel</button>
               <button onClick={handleSetCallerPhone} className="px-4 py-2 bg-primary text-white rounded-lg hover:bg-primary-dark transition shadow-md">Save</button>
@@ -547,12 +855,28 @@ const CampaignDetailPage: React.FC = () => {
       {isConcurrentCallsModalOpen && (
         <div className="fixed inset-0 bg-black/60 backdrop-blur-sm flex items-center justify-center z-50 p-4 animate-in fade-in">
           <div className="bg-white dark:bg-darkbg-light p-6 rounded-lg w-full max-w-md shadow-2xl border border-slate-200 dark:border-gray-700 card-animate">
-            <h3 className="text-xl font-bold mb-4 text-slate-800 dark:text-white">Set Concurrent Calls</h3>
+            <h3 className="text-xl font-bold mb-4 text-slate-800 dark:text-white">Call Pacing</h3>
             <p className="text-sm text-slate-600 dark:text-gray-400 mb-4">
               Control how many calls are made simultaneously. Lower values are more stable and recommended.
             </p>
             <div className="mb-4">
-              <label className="block text-sm text-slate-600 dark:text-gray-400 mb-2">Concurrent Calls</label>
+              <label className="block text-sm text-slate-600 dark:text-gray-400 mb-2">Pacing</label>
+              <select
+                className="w-full bg-slate-50 dark:bg-slate-800 border border-slate-300 dark:border-gray-600 rounded-lg p-2 text-slate-900 dark:text-white focus:outline-none focus:ring-1 focus:ring-primary"
+                value={pacingMode}
+                onChange={(e) => setPacingMode(e.target.value as CampaignPacingMode)}
+              >
+                <option value="fixed">Fixed: keep this many calls going</option>
+                <option value="adaptive">Adaptive: keep this many conversations going</option>
+              </select>
+              {pacingMode === 'adaptive' && (
+                <p className="mt-2 text-xs text-slate-500 dark:text-gray-500">
+                  Dials more lines than conversations when few calls are answered, and slows down to one line per conversation while too many answered calls hang up within seconds.
+                </p>
+              )}
+            </div>
+            <div className="mb-4">
+              <label className="block text-sm text-slate-600 dark:text-gray-400 mb-2">{pacingMode === 'adaptive' ? 'Concurrent Conversations' : 'Concurrent Calls'}</label>
               <input
                 type="number"
                 min="1"
@@ -576,6 +900,34 @@ const CampaignDetailPage: React.FC = () => {
                 </div>
               </div>
             </div>
+            {pacingMode === 'adaptive' && (
+              <div className="mb-4 grid grid-cols-2 gap-3">
+                <div>
+                  <label className="block text-sm text-slate-600 dark:text-gray-400 mb-2">Max lines per conversation</label>
+                  <input
+                    type="number"
+                    min="1"
+                    max="3"
+                    step="0.1"
+                    className="w-full bg-slate-50 dark:bg-slate-800 border border-slate-300 dark:border-gray-600 rounded-lg p-2 text-slate-900 dark:text-white focus:outline-none focus:ring-1 focus:ring-primary"
+                    value={maxDialRatio}
+                    onChange={(e) => setMaxDialRatio(Math.min(3, Math.max(1, parseFloat(e.target.value) || 1)))}
+                  />
+                </div>
+                <div>
+                  <label className="block text-sm text-slate-600 dark:text-gray-400 mb-2">Target abandon rate (%)</label>
+                  <input
+                    type="number"
+                    min="0"
+                    max="100"
+                    step="0.5"
+                    className="w-full bg-slate-50 dark:bg-slate-800 border border-slate-300 dark:border-gray-600 rounded-lg p-2 text-slate-900 dark:text-white focus:outline-none focus:ring-1 focus:ring-primary"
+                    value={targetAbandonRate}
+                    onChange={(e) => setTargetAbandonRate(Math.min(100, Math.max(0, parseFloat(e.target.value) || 0)))}
+                  />
+                </div>
+              </div>
+            )}
             <div className="flex justify-end gap-3">
               <button onClick={() => setIsConcurrentCallsModalOpen(false)} className="px-4 py-2 text-slate-600 dark:text-gray-300 hover:text-slate-800 dark:hover:text-white transition">Cancel</button>
               <button onClick={handleSetConcurrentCalls} className="px-4 py-2 bg-primary text-white rounded-lg hover:bg-primary-dark transition shadow-md">Save</button>
@@ -583,6 +935,278 @@ const CampaignDetailPage: React.FC = () => {
           </div>
         </div>
       )}
+
+      {isRetryPolicyModalOpen && (
+        <div className="fixed inset-0 bg-black/60 backdrop-blur-sm flex items-center justify-center z-50 p-4 animate-in fade-in">
+          <div className="bg-white dark:bg-darkbg-light p-6 rounded-lg w-full max-w-md shadow-2xl border border-slate-200 dark:border-gray-700 card-animate">
+            <h3 className="text-xl font-bold mb-4 text-slate-800 dark:text-white">Retry Policy</h3>
+            <p className="text-sm text-slate-600 dark:text-gray-400 mb-4">
+              Call contacts again when a call ends with one of the selected outcomes.
+            </p>
+            <div className="mb-4">
+              <label className="block text-sm text-slate-600 dark:text-gray-400 mb-2">Max attempts per contact (including the first call)</label>
+              <input
+                type="number"
+                min="1"
+                max="10"
+                className="w-full bg-slate-50 dark:bg-slate-800 border border-slate-300 dark:border-gray-600 rounded-lg p-2 text-slate-900 dark:text-white focus:outline-none focus:ring-1 focus:ring-primary"
+                value={retryMaxAttempts}
+                onChange={(e) => setRetryMaxAttempts(Math.min(10, Math.max(1, parseInt(e.target.value) || 1)))}
+              />
+            </div>
+            <div className="mb-4">
+              <label className="block text-sm text-slate-600 dark:text-gray-400 mb-2">Minutes between attempts</label>
+              <input
+                type="number"
+                min="1"
+                max="10080"
+                className="w-full bg-slate-50 dark:bg-slate-800 border border-slate-300 dark:border-gray-600 rounded-lg p-2 text-slate-900 dark:text-white focus:outline-none focus:ring-1 focus:ring-primary"
+                value={retryDelayMinutes}
+                onChange={(e) => setRetryDelayMinutes(Math.min(10080, Math.max(1, parseInt(e.target.value) || 1)))}
+              />
+            </div>
+            <div className="mb-4">
+              <label className="block text-sm text-slate-600 dark:text-gray-400 mb-2">Retry when the call was</label>
+              <div className="grid grid-cols-2 gap-2">
+                {RETRY_OUTCOME_OPTIONS.map(option => (
+                  <label key={option.value} className="flex items-center text-sm text-slate-700 dark:text-gray-300">
+                    <input
+                      type="checkbox"
+                      className="mr-2"
+                      checked={retryOutcomes.includes(option.value)}
+                      onChange={() => toggleRetryOutcome(option.value)}
+                    />
+                    {option.label}
+                  </label>
+                ))}
+              </div>
+            </div>
+            <div className="flex justify-end gap-3">
+              <button onClick={() => setIsRetryPolicyModalOpen(false)} className="px-4 py-2 text-slate-600 dark:text-gray-300 hover:text-slate-800 dark:hover:text-white transition">Cancel</button>
+              <button onClick={handleSetRetryPolicy} className="px-4 py-2 bg-primary text-white rounded-lg hover:bg-primary-dark transition shadow-md">Save</button>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {isScheduleModalOpen && (
+        <div className="fixed inset-0 bg-black/60 backdrop-blur-sm flex items-center justify-center z-50 p-4 animate-in fade-in">
+          <div className="bg-white dark:bg-darkbg-light p-6 rounded-lg w-full max-w-md shadow-2xl border border-slate-200 dark:border-gray-700 card-animate">
+            <h3 className="text-xl font-bold mb-4 text-slate-800 dark:text-white">Calling Schedule</h3>
+            <p className="text-sm text-slate-600 dark:text-gray-400 mb-4">
+              Contacts are only called inside this window, in their own local time (from their phone number or time zone field). Outside it they wait until the window opens.
+            </p>
+            <label className="flex items-center text-sm text-slate-700 dark:text-gray-300 mb-4">
+              <input
+                type="checkbox"
+                className="mr-2"
+                checked={scheduleEnabled}
+                onChange={(e) => setScheduleEnabled(e.target.checked)}
+              />
+              Only call within a schedule
+            </label>
+            {scheduleEnabled && (
+              <>
+                <div className="grid grid-cols-2 gap-3 mb-4">
+                  <div>
+                    <label className="block text-sm text-slate-600 dark:text-gray-400 mb-2">Start date</label>
+                    <input
+                      type="date"
+                      className="w-full bg-slate-50 dark:bg-slate-800 border border-slate-300 dark:border-gray-600 rounded-lg p-2 text-slate-900 dark:text-white focus:outline-none focus:ring-1 focus:ring-primary"
+                      value={schedule.startDate || ''}
+                      onChange={(e) => setSchedule({ ...schedule, startDate: e.target.value })}
+                    />
+                  </div>
+                  <div>
+                    <label className="block text-sm text-slate-600 dark:text-gray-400 mb-2">End date</label>
+                    <input
+                      type="date"
+                      className="w-full bg-slate-50 dark:bg-slate-800 border border-slate-300 dark:border-gray-600 rounded-lg p-2 text-slate-900 dark:text-white focus:outline-none focus:ring-1 focus:ring-primary"
+                      value={schedule.endDate || ''}
+                      onChange={(e) => setSchedule({ ...schedule, endDate: e.target.value })}
+                    />
+                  </div>
+                </div>
+                <div className="mb-4">
+                  <label className="block text-sm text-slate-600 dark:text-gray-400 mb-2">Calling days</label>
+                  <div className="flex flex-wrap gap-2">
+                    {SCHEDULE_DAYS.map(day => (
+                      <label key={day.value} className="flex items-center text-sm text-slate-700 dark:text-gray-300">
+                        <input
+                          type="checkbox"
+                          className="mr-1"
+                          checked={schedule.days.includes(day.value)}
+                          onChange={() => toggleScheduleDay(day.value)}
+                        />
+                        {day.label}
+                      </label>
+                    ))}
+                  </div>
+                </div>
+                <div className="grid grid-cols-2 gap-3 mb-4">
+                  <div>
+                    <label className="block text-sm text-slate-600 dark:text-gray-400 mb-2">From</label>
+                    <input
+                      type="time"
+                      className="w-full bg-slate-50 dark:bg-slate-800 border border-slate-300 dark:border-gray-600 rounded-lg p-2 text-slate-900 dark:text-white focus:outline-none focus:ring-1 focus:ring-primary"
+                      value={schedule.startTime}
+                      onChange={(e) => setSchedule({ ...schedule, startTime: e.target.value })}
+                    />
+                  </div>
+                  <div>
+                    <label className="block text-sm text-slate-600 dark:text-gray-400 mb-2">To</label>
+                    <input
+                      type="time"
+                      className="w-full bg-slate-50 dark:bg-slate-800 border border-slate-300 dark:border-gray-600 rounded-lg p-2 text-slate-900 dark:text-white focus:outline-none focus:ring-1 focus:ring-primary"
+                      value={schedule.endTime}
+                      onChange={(e) => setSchedule({ ...schedule, endTime: e.target.value })}
+                    />
+                  </div>
+                </div>
+                <div className="mb-4">
+                  <label className="block text-sm text-slate-600 dark:text-gray-400 mb-2">Fallback time zone</label>
+                  <input
+                    type="text"
+                    placeholder="e.g. America/New_York"
+                    className="w-full bg-slate-50 dark:bg-slate-800 border border-slate-300 dark:border-gray-600 rounded-lg p-2 text-slate-900 dark:text-white focus:outline-none focus:ring-1 focus:ring-primary"
+                    value={schedule.timezone || ''}
+                    onChange={(e) => setSchedule({ ...schedule, timezone: e.target.value })}
+                  />
+                  <p className="mt-1 text-xs text-slate-500 dark:text-gray-500">Used for contacts whose time zone can't be told from their number.</p>
+                </div>
+              </>
+            )}
+            <div className="flex justify-end gap-3">
+              <button onClick={() => setIsScheduleModalOpen(false)} className="px-4 py-2 text-slate-600 dark:text-gray-300 hover:text-slate-800 dark:hover:text-white transition">Cancel</button>
+              <button onClick={handleSetSchedule} className="px-4 py-2 bg-primary text-white rounded-lg hover:bg-primary-dark transition shadow-md">Save</button>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {isImportModalOpen && (
+        <div className="fixed inset-0 bg-black/60 backdrop-blur-sm flex items-center justify-center z-50 p-4 animate-in fade-in">
+          <div className="bg-white dark:bg-darkbg-light p-6 rounded-lg w-full max-w-2xl max-h-[90vh] overflow-y-auto shadow-2xl border border-slate-200 dark:border-gray-700 card-animate">
+            <h3 className="text-xl font-bold mb-4 text-slate-800 dark:text-white">Import Contacts</h3>
+            {!importPreview || !importMapping ? (
+              <>
+                <p className="text-sm text-slate-600 dark:text-gray-400 mb-4">
+                  Upload a CSV or XLSX file with a header row, or link a Google Sheet shared with "Anyone with the link".
+                </p>
+                <div className="mb-4">
+                  <label className="block text-sm text-slate-600 dark:text-gray-400 mb-2">File</label>
+                  <input
+                    type="file"
+                    accept=".csv,.xlsx"
+                    className="w-full text-sm text-slate-700 dark:text-gray-300"
+                    onChange={(e) => setImportFile(e.target.files?.[0] || null)}
+                  />
+                </div>
+                <div className="mb-4">
+                  <label className="block text-sm text-slate-600 dark:text-gray-400 mb-2">or Google Sheets link</label>
+                  <input
+                    type="url"
+                    placeholder="https://docs.google.com/spreadsheets/d/..."
+                    disabled={!!importFile}
+                    className="w-full bg-slate-50 dark:bg-slate-800 border border-slate-300 dark:border-gray-600 rounded-lg p-2 text-slate-900 dark:text-white focus:outline-none focus:ring-1 focus:ring-primary disabled:opacity-50"
+                    value={importSheetUrl}
+                    onChange={(e) => setImportSheetUrl(e.target.value)}
+                  />
+                </div>
+                <div className="flex justify-end gap-3">
+                  <button onClick={() => setIsImportModalOpen(false)} className="px-4 py-2 text-slate-600 dark:text-gray-300 hover:text-slate-800 dark:hover:text-white transition">Cancel</button>
+                  <button onClick={handlePreviewImport} disabled={importing} className="px-4 py-2 bg-primary text-white rounded-lg hover:bg-primary-dark transition shadow-md disabled:opacity-50">
+                    {importing ? 'Reading...' : 'Next'}
+                  </button>
+                </div>
+              </>
+            ) : (
+              <>
+                <p className="text-sm text-slate-600 dark:text-gray-400 mb-4">
+                  {importPreview.totalRows} rows. Choose what each column holds; custom fields are available to the agent as {'{{field_name}}'}.
+                </p>
+                <div className="mb-4 space-y-2">
+                  {importPreview.headers.map((header, index) => (
+                    <div key={header} className="grid grid-cols-[1fr_1fr_1fr] gap-3 items-center">
+                      <div className="text-sm text-slate-800 dark:text-white truncate" title={header}>
+                        {header}
+                        <span className="block text-xs text-slate-500 dark:text-gray-500 truncate">{importPreview.sampleRows[0]?.[index] || '—'}</span>
+                      </div>
+                      <select
+                        className="w-full bg-slate-50 dark:bg-slate-800 border border-slate-300 dark:border-gray-600 rounded-lg p-2 text-sm text-slate-900 dark:text-white focus:outline-none focus:ring-1 focus:ring-primary"
+                        value={columnRole(header)}
+                        onChange={(e) => setColumnRole(header, e.target.value)}
+                      >
+                        <option value="phone">Phone number</option>
+                        <option value="name">Name</option>
+                        <option value="timezone">Time zone</option>
+                        <option value="field">Custom field</option>
+                        <option value="ignore">Ignore</option>
+                      </select>
+                      {columnRole(header) === 'field' ? (
+                        <input
+                          type="text"
+                          className="w-full bg-slate-50 dark:bg-slate-800 border border-slate-300 dark:border-gray-600 rounded-lg p-2 text-sm text-slate-900 dark:text-white focus:outline-none focus:ring-1 focus:ring-primary"
+                          value={importMapping.fields[header]}
+                          onChange={(e) => {
+                            const name = e.target.value.toLowerCase().replace(/[^a-z0-9_]/g, '_');
+                            setImportMapping(prev => prev && { ...prev, fields: { ...prev.fields, [header]: name } });
+                          }}
+                        />
+                      ) : <div />}
+                    </div>
+                  ))}
+                </div>
+                <div className="mb-4">
+                  <label className="block text-sm text-slate-600 dark:text-gray-400 mb-2">Country of numbers without a country code</label>
+                  <select
+                    className="w-full bg-slate-50 dark:bg-slate-800 border border-slate-300 dark:border-gray-600 rounded-lg p-2 text-slate-900 dark:text-white focus:outline-none focus:ring-1 focus:ring-primary"
+                    value={importCountry}
+                    onChange={(e) => setImportCountry(e.target.value)}
+                  >
+                    {IMPORT_COUNTRIES.map(country => (
+                      <option key={country.value} value={country.value}>{country.label}</option>
+                    ))}
+                  </select>
+                </div>
+                {importReport && (
+                  <div className="mb-4 p-3 rounded-lg bg-slate-50 dark:bg-slate-800 border border-slate-200 dark:border-gray-700">
+                    <p className="text-sm font-medium text-slate-800 dark:text-white mb-2">
+                      {importReport.summary.imported !== undefined
+                        ? `${importReport.summary.imported} of ${importReport.summary.total} rows imported`
+                        : `${importReport.summary.valid} of ${importReport.summary.total} rows can be imported`}
+                      {` · ${importReport.summary.invalid} invalid · ${importReport.summary.duplicates} duplicates · ${importReport.summary.doNotCall} on the do-not-call list`}
+                    </p>
+                    <div className="max-h-48 overflow-y-auto text-xs">
+                      {importReport.rows.filter(line => line.message).map(line => (
+                        <div key={line.row} className="flex gap-2 py-1 border-t border-slate-200 dark:border-gray-700 text-slate-600 dark:text-gray-400">
+                          <span className="w-14 shrink-0">Row {line.row}</span>
+                          <span className="w-24 shrink-0">{IMPORT_STATUS_LABELS[line.status]}</span>
+                          <span className="w-32 shrink-0 truncate">{line.phoneNumber || '—'}</span>
+                          <span>{line.message}</span>
+                        </div>
+                      ))}
+                    </div>
+                  </div>
+                )}
+                <div className="flex justify-end gap-3">
+                  {importReport?.summary.imported !== undefined ? (
+                    <button onClick={() => setIsImportModalOpen(false)} className="px-4 py-2 bg-primary text-white rounded-lg hover:bg-primary-dark transition shadow-md">Done</button>
+                  ) : (
+                    <>
+                      <button onClick={() => setImportPreview(null)} className="px-4 py-2 text-slate-600 dark:text-gray-300 hover:text-slate-800 dark:hover:text-white transition">Back</button>
+                      <button onClick={() => handleRunImport(true)} disabled={importing} className="px-4 py-2 bg-white dark:bg-slate-800 border border-slate-300 dark:border-slate-600 text-slate-700 dark:text-slate-200 rounded-lg hover:bg-slate-50 dark:hover:bg-slate-700 transition disabled:opacity-50">Check</button>
+                      <button onClick={() => handleRunImport(false)} disabled={importing} className="px-4 py-2 bg-primary text-white rounded-lg hover:bg-primary-dark transition shadow-md disabled:opacity-50">
+                        {importing ? 'Importing...' : 'Import'}
+                      </button>
+                    </>
+                  )}
+                </div>
+              </>
+            )}
+          </div>
+        </div>
+      )}
     </div>
   );
 };
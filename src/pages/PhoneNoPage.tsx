@@ -4,7 +4,7 @@ import Header from '../components/Header';
 import Modal from '../components/Modal';
 import CallInitiator from '../components/CallInitiator';
 import { EditIcon, PhoneIcon, ImportIcon, ArrowUpRightIcon } from '../constants';
-import { PhoneNumber, PhoneProvider, VoiceAgent } from '../types';
+import { PhoneNumber, PhoneNumberDailyUsage, PhoneProvider, VoiceAgent } from '../types';
 import { phoneNumberService } from '../services/phoneNumberService';
 import { agentService } from '../services/agentService';
 import { twilioNumberService } from '../services/twilioNumberService';
@@ -534,6 +534,9 @@ const PhoneNoPage: React.FC = () => {
     const [twilioPhoneNumbers, setTwilioPhoneNumbers] = useState<any[]>([]);
     const [callHistory, setCallHistory] = useState<any[]>([]);
     const [userTwilioAccounts, setUserTwilioAccounts] = useState<any[]>([]); // Store user's Twilio accounts
+    const [dailyUsage, setDailyUsage] = useState<Record<string, PhoneNumberDailyUsage>>({});
+    const [capPhoneNumber, setCapPhoneNumber] = useState<PhoneNumber | null>(null);
+    const [dailyCallCap, setDailyCallCap] = useState('');
     const { user } = useAuth();
 
     useEffect(() => {
@@ -543,9 +546,46 @@ const PhoneNoPage: React.FC = () => {
             loadTwilioPhoneNumbers();
             loadCallHistory();
             loadUserTwilioAccounts(); // Load user's Twilio accounts
+            loadDailyUsage();
         }
     }, [user]);
 
+    const loadDailyUsage = async () => {
+        if (!user) return;
+        try {
+            const usage = await phoneNumberService.getDailyUsage(user.id);
+            setDailyUsage(Object.fromEntries(usage.map(number => [number.id, number])));
+        } catch (error) {
+            console.error('Error loading phone number usage:', error);
+        }
+    };
+
+    const openDailyCapModal = (phoneNumber: PhoneNumber) => {
+        const cap = dailyUsage[phoneNumber.id]?.dailyCallCap;
+        setCapPhoneNumber(phoneNumber);
+        setDailyCallCap(cap ? String(cap) : '');
+        setActiveDropdown(null);
+    };
+
+    const handleSaveDailyCallCap = async () => {
+        if (!capPhoneNumber) return;
+
+        const cap = dailyCallCap.trim() === '' ? null : parseInt(dailyCallCap, 10);
+        if (cap !== null && (!Number.isInteger(cap) || cap < 1)) {
+            alert('Daily call cap must be a positive whole number, or empty for no cap');
+            return;
+        }
+
+        try {
+            const usage = await phoneNumberService.setDailyCallCap(user!.id, capPhoneNumber.id, cap);
+            setDailyUsage({ ...dailyUsage, [usage.id]: usage });
+            setCapPhoneNumber(null);
+        } catch (error) {
+            console.error('Error updating daily call cap:', error);
+            alert('Failed to update daily call cap: ' + (error as Error).message);
+        }
+    };
+
     const loadUserTwilioAccounts = async () => {
         if (!user) return;
         try {
@@ -941,6 +981,7 @@ Please check that:
                                         <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-slate-600 dark:text-slate-300 uppercase tracking-wider">Provider</th>
                                         <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-slate-600 dark:text-slate-300 uppercase tracking-wider">Agent</th>
                                         <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-slate-600 dark:text-slate-300 uppercase tracking-wider">Status</th>
+                                        <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-slate-600 dark:text-slate-300 uppercase tracking-wider">Calls Today</th>
                                         <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-slate-600 dark:text-slate-300 uppercase tracking-wider">Added</th>
                                         <th scope="col" className="relative px-6 py-3">
                                             <span className="sr-only">Actions</span>
@@ -1000,6 +1041,21 @@ Please check that:
                                                         Connected
                                                     </span>
                                                 </td>
+                                                <td className="px-6 py-4 whitespace-nowrap">
+                                                    <div className="text-sm text-slate-900 dark:text-white">
+                                                        {dailyUsage[phoneNumber.id]?.callsToday ?? 0}
+                                                        {dailyUsage[phoneNumber.id]?.dailyCallCap ? ` / ${dailyUsage[phoneNumber.id].dailyCallCap}` : ''}
+                                                    </div>
+                                                    <button
+                                                        onClick={(e) => {
+                                                            e.stopPropagation();
+                                                            openDailyCapModal(phoneNumber);
+                                                        }}
+                                                        className="text-xs text-primary hover:text-primary-dark"
+                                                    >
+                                                        {dailyUsage[phoneNumber.id]?.dailyCallCap ? 'Change cap' : 'Set cap'}
+                                                    </button>
+                                                </td>
                                                 <td className="px-6 py-4 whitespace-nowrap text-sm text-slate-600 dark:text-slate-400">
                                                     <div>{date}</div>
                                                     <div>{time}</div>
@@ -1184,6 +1240,58 @@ Please check that:
                 }}
             />
 
+            {capPhoneNumber && (
+                <Modal
+                    isOpen={!!capPhoneNumber}
+                    onClose={() => setCapPhoneNumber(null)}
+                    title="Daily Call Cap"
+                >
+                    <div className="space-y-4">
+                        <div>
+                            <label className="block text-sm font-medium text-slate-700 dark:text-slate-300 mb-1">
+                                Phone Number
+                            </label>
+                            <div className="text-slate-900 dark:text-white font-medium">
+                                {capPhoneNumber.phoneNumber || capPhoneNumber.number || capPhoneNumber.phone_number}
+                            </div>
+                        </div>
+
+                        <div>
+                            <label htmlFor="dailyCallCap" className="block text-sm font-medium text-slate-700 dark:text-slate-300 mb-1">
+                                Max outbound campaign calls per day
+                            </label>
+                            <input
+                                id="dailyCallCap"
+                                type="number"
+                                min="1"
+                                placeholder="No cap"
+                                value={dailyCallCap}
+                                onChange={(e) => setDailyCallCap(e.target.value)}
+                                className="w-full bg-white dark:bg-darkbg border border-slate-300 dark:border-slate-600 rounded-md px-3 py-2 text-slate-900 dark:text-white focus:ring-primary focus:border-primary"
+                            />
+                            <p className="text-xs text-slate-500 dark:text-slate-400 mt-1">
+                                Campaigns rotating over this number skip it once it has placed this many calls today. Leave empty for no cap.
+                            </p>
+                        </div>
+
+                        <div className="flex justify-end space-x-3 pt-4">
+                            <button
+                                onClick={() => setCapPhoneNumber(null)}
+                                className="px-4 py-2 border border-slate-300 dark:border-slate-600 rounded-md text-slate-700 dark:text-slate-300 hover:bg-slate-100 dark:hover:bg-slate-700"
+                            >
+                                Cancel
+                            </button>
+                            <button
+                                onClick={handleSaveDailyCallCap}
+                                className="px-4 py-2 bg-primary rounded-md text-white hover:bg-primary-dark"
+                            >
+                                Save
+                            </button>
+                        </div>
+                    </div>
+                </Modal>
+            )}
+
             {editingPhoneNumber && (
                 <Modal
                     isOpen={isEditModalOpen}
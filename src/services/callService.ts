@@ -13,6 +13,50 @@ export interface Call {
     recordingUrl?: string;
     agentId?: string;
     agentName: string;
+    transfer?: CallTransfer | null;
+    endedBy?: 'agent' | 'system' | null;
+    terminationReason?: string | null;
+    analysis?: CallAnalysis | null;
+}
+
+export type CallDisposition = 'interested' | 'not_interested' | 'callback' | 'wrong_number' | 'voicemail';
+
+export interface CallAnalysis {
+    summary: string | null;
+    sentiment: 'positive' | 'neutral' | 'negative' | null;
+    disposition: CallDisposition | null;
+    successEvaluation: { criterion: string; met: boolean; reason: string | null }[];
+}
+
+export interface CallTransfer {
+    target: string;
+    mode: 'cold' | 'warm';
+    status: string;
+    transferredAt: string;
+}
+
+export interface TranscriptEntry {
+    sequence: number;
+    role: 'user' | 'agent' | 'tool_call' | 'tool_result';
+    content: string | null;
+    data?: any;
+    sttConfidence?: number | null;
+    latencyMs?: number | null;
+    interrupted: boolean;
+    timestamp: string;
+}
+
+export interface KnowledgeCitation {
+    query: string;
+    chunkIds: string[];
+    timestamp: string;
+}
+
+export interface CallTranscriptResponse {
+    success: boolean;
+    callId: string;
+    transcript: TranscriptEntry[];
+    citations: KnowledgeCitation[];
 }
 
 export interface CallFilters {
@@ -20,6 +64,8 @@ export interface CallFilters {
     callType?: string;
     startDate?: string;
     endDate?: string;
+    disposition?: string;
+    sentiment?: string;
 }
 
 export interface CallHistoryResponse {
@@ -75,6 +121,32 @@ export class CallService {
         }
     }
 
+    /**
+     * Fetch the transcript of a call
+     */
+    async fetchTranscript(userId: string, callId: string): Promise<CallTranscriptResponse> {
+        try {
+            const response = await fetch(
+                `${API_BASE_URL}/api/calls/${userId}/${callId}/transcript`,
+                {
+                    method: 'GET',
+                    headers: {
+                        'Content-Type': 'application/json',
+                    },
+                }
+            );
+
+            if (!response.ok) {
+                throw new Error(`Failed to fetch call transcript: ${response.status}`);
+            }
+
+            return await response.json();
+        } catch (error) {
+            console.error('Error fetching call transcript:', error);
+            throw error;
+        }
+    }
+
     /**
      * Format duration from seconds to human-readable string
      */
@@ -107,6 +179,20 @@ export class CallService {
         });
     }
 
+    /**
+     * Get disposition label
+     */
+    getDispositionLabel(disposition: string): string {
+        const labels: { [key: string]: string } = {
+            'interested': 'Interested',
+            'not_interested': 'Not interested',
+            'callback': 'Callback',
+            'wrong_number': 'Wrong number',
+            'voicemail': 'Voicemail'
+        };
+        return labels[disposition] || disposition;
+    }
+
     /**
      * Get call type label
      */
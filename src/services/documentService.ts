@@ -14,6 +14,18 @@ interface DocumentContent {
   content: string;
 }
 
+interface DocumentUploadError {
+  name: string;
+  message: string;
+}
+
+interface DocumentUploadResult {
+  documents: Document[];
+  errors: DocumentUploadError[];
+}
+
+const MAX_FILE_SIZE = 10 * 1024 * 1024; // 10MB in bytes
+
 export class DocumentService {
   private async getHeaders() {
     const token = getAuthToken();
@@ -24,49 +36,55 @@ export class DocumentService {
   }
 
   /**
-   * Upload a document
+   * Upload documents. Text is extracted on the server (PDF, DOCX, HTML, Markdown, CSV, TXT)
+   * and each file succeeds or fails on its own.
    * @param userId The ID of the user
-   * @param file The file to upload
-   * @param agentId Optional agent ID to associate with the document
-   * @returns The uploaded document
+   * @param files The files to upload
+   * @param agentId Optional agent ID to associate with the documents
+   * @returns The uploaded documents and the files that could not be processed
    */
-  async uploadDocument(userId: string, file: File, agentId?: string): Promise<Document> {
+  async uploadDocuments(userId: string, files: File[], agentId?: string): Promise<DocumentUploadResult> {
     try {
       // Validate inputs
       if (!userId || userId.trim() === '') {
         throw new Error('User ID is required');
       }
 
-      if (!file) {
+      if (!files || files.length === 0) {
         throw new Error('File is required');
       }
 
-      // Check file size (limit to 10MB)
-      const maxSize = 10 * 1024 * 1024; // 10MB in bytes
-      if (file.size > maxSize) {
-        throw new Error(`File size exceeds limit of 10MB. Current file size: ${(file.size / (1024 * 1024)).toFixed(2)}MB`);
+      // Files over the size limit are reported without being sent
+      const errors: DocumentUploadError[] = [];
+      const formData = new FormData();
+      formData.append('userId', userId);
+      if (agentId) {
+        formData.append('agentId', agentId);
       }
 
-      console.log('Uploading document with userId:', userId, 'fileName:', file.name, 'fileSize:', file.size, 'agentId:', agentId);
-
-      // Read file content as text
-      const content = await file.text();
+      for (const file of files) {
+        if (file.size > MAX_FILE_SIZE) {
+          errors.push({
+            name: file.name,
+            message: `File size exceeds limit of 10MB. Current file size: ${(file.size / (1024 * 1024)).toFixed(2)}MB`
+          });
+        } else {
+          formData.append('files', file, file.name);
+        }
+      }
 
-      // Check content length (limit to 5MB of text)
-      const maxContentLength = 5 * 1024 * 1024; // 5MB in characters
-      if (content.length > maxContentLength) {
-        throw new Error(`File content exceeds limit of 5MB. Current content length: ${(content.length / (1024 * 1024)).toFixed(2)}MB`);
+      if (errors.length === files.length) {
+        return { documents: [], errors };
       }
 
+      console.log('Uploading documents with userId:', userId, 'files:', files.map(file => file.name), 'agentId:', agentId);
+
+      const token = getAuthToken();
       const response = await fetch(`${API_BASE_URL}/documents/upload`, {
         method: 'POST',
-        headers: await this.getHeaders(),
-        body: JSON.stringify({
-          userId,
-          agentId,
-          name: file.name,
-          content
-        })
+        // No Content-Type header: the browser sets the multipart boundary
+        headers: token ? { 'Authorization': `Bearer ${token}` } : {},
+        body: formData
       });
 
       // Check if response is JSON
@@ -79,38 +97,52 @@ export class DocumentService {
         throw new Error(`Server returned non-JSON response: ${text.substring(0, 100)}...`);
       }
 
-      if (!response.ok) {
-        let errorMessage = `Failed to upload document: ${response.status} ${response.statusText}`;
-        try {
-          const errorData = await response.json();
-          errorMessage = errorData.message || errorMessage;
-        } catch (e) {
-          // If we can't parse the error response, use the generic message
-        }
-        throw new Error(errorMessage);
+      const data = await response.json();
+
+      // 422 means every file failed extraction; the per-file errors say why
+      if (!response.ok && !Array.isArray(data.errors)) {
+        throw new Error(data.message || `Failed to upload documents: ${response.status} ${response.statusText}`);
       }
 
-      const data = await response.json();
-      console.log('Upload successful:', data);
+      console.log('Upload finished:', data);
 
       return {
-        id: data.data.id,
-        name: data.data.name,
-        uploadedAt: new Date().toISOString()
+        documents: (data.data || []).map((doc: any) => ({
+          id: doc.id,
+          name: doc.name,
+          uploadedAt: doc.uploadedAt || new Date().toISOString(),
+          agentId: doc.agentId
+        })),
+        errors: [...errors, ...(data.errors || [])]
       };
     } catch (error) {
-      console.error('Error uploading document:', error);
+      console.error('Error uploading documents:', error);
       // Provide a more user-friendly error message
       if (error instanceof Error) {
         if (error.message.includes('Failed to fetch')) {
           throw new Error('Network error: Could not connect to the server. Please check your connection and try again.');
-        } else if (error.message.includes('PayloadTooLargeError')) {
+        } else if (error.message.includes('File too large')) {
           throw new Error('File too large: The document is too large to upload. Please try a smaller file.');
         }
         throw error;
       }
-      throw new Error('An unexpected error occurred while uploading the document.');
+      throw new Error('An unexpected error occurred while uploading the documents.');
+    }
+  }
+
+  /**
+   * Upload a single document
+   * @param userId The ID of the user
+   * @param file The file to upload
+   * @param agentId Optional agent ID to associate with the document
+   * @returns The uploaded document
+   */
+  async uploadDocument(userId: string, file: File, agentId?: string): Promise<Document> {
+    const { documents, errors } = await this.uploadDocuments(userId, [file], agentId);
+    if (documents.length === 0) {
+      throw new Error(errors[0]?.message || 'Failed to upload document');
     }
+    return documents[0];
   }
 
   /**
@@ -1,4 +1,4 @@
-import { PhoneNumber, PhoneProvider } from '../types';
+import { PhoneNumber, PhoneNumberDailyUsage, PhoneProvider } from '../types';
 import { getApiBaseUrl } from '../utils/api';
 
 // API-based phone number service
@@ -156,5 +156,35 @@ export const phoneNumberService = {
       console.error('Error importing phone number:', error);
       throw new Error('Failed to import phone number: ' + (error as Error).message);
     }
+  },
+
+  // Daily call cap and calls placed today of each of the user's numbers
+  async getDailyUsage(userId: string): Promise<PhoneNumberDailyUsage[]> {
+    const response = await fetch(`${API_BASE_URL}/api/phone-numbers/daily-usage?userId=${userId}`);
+    const result = await response.json();
+
+    if (!result.success) {
+      throw new Error(result.message || 'Failed to fetch phone number usage');
+    }
+
+    return result.data;
+  },
+
+  // Set the number of outbound calls a number may place per day, null for no cap
+  async setDailyCallCap(userId: string, id: string, dailyCallCap: number | null): Promise<PhoneNumberDailyUsage> {
+    const response = await fetch(`${API_BASE_URL}/api/phone-numbers/${id}/daily-cap`, {
+      method: 'PUT',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({ userId, dailyCallCap }),
+    });
+    const result = await response.json();
+
+    if (!result.success) {
+      throw new Error(result.message || 'Failed to update daily call cap');
+    }
+
+    return result.data;
   }
 };
\ No newline at end of file
@@ -31,6 +31,62 @@ export interface Campaign {
     createdAt: string; // ISO string
 }
 
+// Calling window of a campaign, in each contact's local time
+export interface CampaignSchedule {
+    startDate?: string | null; // YYYY-MM-DD
+    endDate?: string | null;
+    days: string[]; // 'mon' ... 'sun'
+    startTime: string; // HH:MM, 24h
+    endTime: string;
+    timezone?: string | null; // for contacts whose time zone can't be told from their number
+}
+
+// fixed: keep concurrentCalls calls live; adaptive: keep concurrentCalls calls answered,
+// dialing ahead of the answer rate while the abandon rate stays under target
+export type CampaignPacingMode = 'fixed' | 'adaptive';
+
+export interface CampaignPacing {
+    mode: CampaignPacingMode;
+    concurrentCalls: number;
+    maxDialRatio: number; // lines per conversation, 1-3
+    targetAbandonRate: number; // percent of answered calls
+}
+
+// How a campaign picks the caller ID for each call from its pool of numbers
+export type CallerIdStrategy = 'round_robin' | 'local_presence' | 'least_recently_used';
+
+// Which import column holds what, columns are referenced by their header
+export interface ContactImportMapping {
+    phone: string | null;
+    name?: string | null;
+    timezone?: string | null;
+    fields: Record<string, string>; // header -> custom field (prompt variable) name
+}
+
+export interface ContactImportPreview {
+    headers: string[];
+    sampleRows: string[][];
+    totalRows: number;
+    mapping: ContactImportMapping;
+}
+
+export interface ContactImportReport {
+    summary: {
+        total: number;
+        imported?: number;
+        valid?: number; // dry runs
+        invalid: number;
+        duplicates: number;
+        doNotCall: number;
+    };
+    rows: {
+        row: number; // spreadsheet row, the header is row 1
+        status: 'imported' | 'valid' | 'invalid' | 'duplicate' | 'do_not_call';
+        phoneNumber: string | null;
+        message: string | null;
+    }[];
+}
+
 export interface CampaignRecord {
     id: string;
     campaignId: string;
@@ -60,6 +116,7 @@ export interface ToolParameter {
     name: string;
     type: 'string' | 'number' | 'boolean';
     required: boolean;
+    defaultValue?: string; // Used when the agent leaves the parameter out, may contain {{variables}}
 }
 
 export interface ToolHeader {
@@ -88,8 +145,14 @@ export interface VoiceAgentSettings {
     responseDelay: boolean;
     inactivityHandling: boolean;
     agentCanTerminateCall: boolean;
+    doNotCallDetection?: boolean; // Caller asking not to be called again goes on the do-not-call list and the call ends
     voicemailDetection: boolean;
+    voicemailDetectionTimeout?: number; // Seconds to screen outbound calls before giving up
+    voicemailAction?: 'hangup' | 'leave_message' | 'continue';
+    voicemailMessage?: string; // Spoken after the beep when voicemailAction is 'leave_message'
     callTransfer: boolean;
+    transferTarget?: string; // E.164 phone number or sip: URI
+    transferMode?: 'cold' | 'warm'; // Warm transfers brief the colleague before bridging
     dtmfDial: boolean;
     agentTimezone: string;
     voiceDetectionConfidenceThreshold: number;
@@ -102,7 +165,12 @@ export interface VoiceAgentSettings {
     dataPrivacyOptOut: boolean;
     doNotCallDetection: boolean;
     prefetchDataWebhook: string;
+    prefetchDataTimeout?: number; // Seconds to wait for the prefetch webhook before greeting without it (default 3)
     endOfCallWebhook: string;
+    webhookSecret?: string; // Signs every webhook (X-Ziya-Signature)
+    webhookPreviousSecret?: string; // Still signed with during a secret rotation, until the rotation is ended
+    postCallAnalysis?: boolean; // Summary, sentiment and disposition after each call (on unless false)
+    successCriteria?: string; // One criterion per line, checked by the post-call analysis
     dataCollectionSheetUrl?: string; // Google Sheets URL for automatic data collection
     preActionPhrases: string[]; // For knowledge base
     tools: Tool[];
@@ -138,6 +206,15 @@ export interface PhoneNumber {
     createdDate: string; // ISO string
     nextCycle: string;
     provider: PhoneProvider;
+    dailyCallCap?: number | null; // outbound calls per day
+}
+
+export interface PhoneNumberDailyUsage {
+    id: string;
+    phoneNumber: string;
+    dailyCallCap: number | null;
+    callsToday: number;
+    lastUsedAt: string | null;
 }
 
 export interface AppSettings {
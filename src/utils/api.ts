@@ -1,3 +1,5 @@
+import { CallerIdStrategy, CampaignPacing, CampaignSchedule, ContactImportMapping, ContactImportPreview, ContactImportReport } from '../types';
+
 /**
  * ⭐ SINGLE SOURCE OF TRUTH FOR BACKEND URL ⭐
  * Change this URL to update the backend URL everywhere in the application
@@ -73,7 +75,9 @@ export const importRecords = async (id: string, userId: string, csvData: any[])
     body: JSON.stringify({ userId, csvData })
   });
   if (!response.ok) {
-    throw new Error(`HTTP error! status: ${response.status}`);
+    // Rejected files explain which agent variables are missing
+    const errorData = await response.json().catch(() => null);
+    throw new Error(errorData?.message || `HTTP error! status: ${response.status}`);
   }
   // Validate content type before parsing JSON
   const contentType = response.headers.get('content-type');
@@ -195,4 +199,125 @@ export const updateConcurrentCalls = async (id: string, userId: string, concurre
     throw new Error('Received non-JSON response from server');
   }
   return response.json();
-};
\ No newline at end of file
+};
+
+export const updateCampaignPacing = async (id: string, userId: string, pacing: CampaignPacing) => {
+  const response = await fetch(`${getApiBaseUrl()}/api/campaigns/${id}/pacing`, {
+    method: 'PUT',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ userId, ...pacing })
+  });
+  if (!response.ok) {
+    const result = await response.json().catch(() => null);
+    throw new Error(result?.message || `HTTP error! status: ${response.status}`);
+  }
+  return response.json();
+};
+
+export const updateCallerPool = async (
+  id: string,
+  userId: string,
+  callerPool: { strategy: CallerIdStrategy; phoneNumberIds: string[] }
+) => {
+  const response = await fetch(`${getApiBaseUrl()}/api/campaigns/${id}/caller-pool`, {
+    method: 'PUT',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ userId, ...callerPool })
+  });
+  if (!response.ok) {
+    const result = await response.json().catch(() => null);
+    throw new Error(result?.message || `HTTP error! status: ${response.status}`);
+  }
+  return response.json();
+};
+
+export const updateRetryPolicy = async (
+  id: string,
+  userId: string,
+  policy: { maxAttempts: number; delayMinutes: number; outcomes: string[] }
+) => {
+  const response = await fetch(`${getApiBaseUrl()}/api/campaigns/${id}/retry-policy`, {
+    method: 'PUT',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ userId, ...policy })
+  });
+  if (!response.ok) {
+    throw new Error(`HTTP error! status: ${response.status}`);
+  }
+  // Validate content type before parsing JSON
+  const contentType = response.headers.get('content-type');
+  if (!contentType || !contentType.includes('application/json')) {
+    throw new Error('Received non-JSON response from server');
+  }
+  return response.json();
+};
+
+export const updateCampaignSchedule = async (id: string, userId: string, schedule: CampaignSchedule | null) => {
+  const response = await fetch(`${getApiBaseUrl()}/api/campaigns/${id}/schedule`, {
+    method: 'PUT',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ userId, schedule })
+  });
+  if (!response.ok) {
+    throw new Error(`HTTP error! status: ${response.status}`);
+  }
+  // Validate content type before parsing JSON
+  const contentType = response.headers.get('content-type');
+  if (!contentType || !contentType.includes('application/json')) {
+    throw new Error('Received non-JSON response from server');
+  }
+  return response.json();
+};
+
+// Import source: an uploaded CSV/XLSX file or a Google Sheet shared by link
+export interface ContactImportSource {
+  file?: File | null;
+  googleSheetUrl?: string;
+}
+
+const contactImportForm = (userId: string, source: ContactImportSource, fields: Record<string, string> = {}) => {
+  const form = new FormData();
+  form.append('userId', userId);
+  if (source.file) {
+    form.append('file', source.file);
+  } else if (source.googleSheetUrl) {
+    form.append('googleSheetUrl', source.googleSheetUrl);
+  }
+  Object.entries(fields).forEach(([key, value]) => form.append(key, value));
+  return form;
+};
+
+const parseContactImportResponse = async (response: Response) => {
+  if (!response.ok) {
+    // Unreadable files and bad mappings come back with an explanation
+    const errorData = await response.json().catch(() => null);
+    throw new Error(errorData?.message || `HTTP error! status: ${response.status}`);
+  }
+  const result = await response.json();
+  return result.data;
+};
+
+export const previewContactImport = async (id: string, userId: string, source: ContactImportSource): Promise<ContactImportPreview> => {
+  const response = await fetch(`${getApiBaseUrl()}/api/campaigns/${id}/import/preview`, {
+    method: 'POST',
+    body: contactImportForm(userId, source)
+  });
+  return parseContactImportResponse(response);
+};
+
+export const importContacts = async (
+  id: string,
+  userId: string,
+  source: ContactImportSource,
+  options: { mapping: ContactImportMapping; defaultCountry: string; dryRun?: boolean }
+): Promise<ContactImportReport> => {
+  const response = await fetch(`${getApiBaseUrl()}/api/campaigns/${id}/import/contacts`, {
+    method: 'POST',
+    body: contactImportForm(userId, source, {
+      mapping: JSON.stringify(options.mapping),
+      defaultCountry: options.defaultCountry,
+      dryRun: String(!!options.dryRun)
+    })
+  });
+  return parseContactImportResponse(response);
+};
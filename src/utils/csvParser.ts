@@ -1,48 +1,108 @@
+export interface CSVContact {
+  phone: string;
+  name?: string;
+  // Every other column, keyed by its variable name ("First Name" -> first_name)
+  metadata: Record<string, string>;
+}
+
+const PHONE_COLUMNS = ['phone', 'phone number', 'phonenumber'];
+const NAME_COLUMNS = ['name', 'full name', 'fullname'];
+
+/**
+ * Variable name of a column header, as used in {{variable}} placeholders
+ * @param header Column header
+ * @returns Lowercase name with underscores, e.g. "Account ID" -> "account_id"
+ */
+export function toVariableName(header: string): string {
+  return header.trim().toLowerCase().replace(/[^a-z0-9_]+/g, '_').replace(/^_+|_+$/g, '');
+}
+
+/**
+ * Split one CSV line, keeping delimiters inside double quotes
+ */
+function splitLine(line: string, delimiter: string): string[] {
+  const values: string[] = [];
+  let value = '';
+  let quoted = false;
+
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (quoted) {
+      if (char === '"' && line[i + 1] === '"') {
+        value += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        value += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === delimiter) {
+      values.push(value.trim());
+      value = '';
+    } else {
+      value += char;
+    }
+  }
+  values.push(value.trim());
+  return values;
+}
+
 /**
  * Parse CSV string into array of objects
  * @param csvString CSV content as string
  * @param delimiter Delimiter character (default: ',')
- * @returns Array of objects with column names as keys
+ * @returns Contacts with their phone, name and the other columns as metadata
  */
-export function parseCSV(csvString: string, delimiter: string = ','): { phone: string }[] {
+export function parseCSV(csvString: string, delimiter: string = ','): CSVContact[] {
   // Split into lines
-  const lines = csvString.trim().split('\n');
-  
+  const lines = csvString.trim().split(/\r?\n/);
+
   if (lines.length === 0) {
     return [];
   }
-  
+
   // Parse header
-  const header = lines[0].split(delimiter).map(field => field.trim());
-  
-  // Find phone column index
-  const phoneColumnIndex = header.findIndex(column => 
-    column.toLowerCase() === 'phone' || 
-    column.toLowerCase() === 'phone number' ||
-    column.toLowerCase() === 'phonenumber'
-  );
-  
+  const header = splitLine(lines[0], delimiter);
+
+  // Find phone and name column indexes
+  const phoneColumnIndex = header.findIndex(column => PHONE_COLUMNS.includes(column.toLowerCase()));
+  const nameColumnIndex = header.findIndex(column => NAME_COLUMNS.includes(column.toLowerCase()));
+
   if (phoneColumnIndex === -1) {
     throw new Error('CSV must contain a "phone" column');
   }
-  
+
   // Parse data rows
-  const records: { phone: string }[] = [];
-  
+  const records: CSVContact[] = [];
+
   for (let i = 1; i < lines.length; i++) {
     const line = lines[i].trim();
     if (line) {
-      const values = line.split(delimiter).map(value => value.trim());
+      const values = splitLine(line, delimiter);
       const phone = values[phoneColumnIndex];
-      
+
       // Basic phone number validation
       if (phone && phone.length >= 10) {
-        records.push({ phone });
+        const metadata: Record<string, string> = {};
+        header.forEach((column, index) => {
+          const key = toVariableName(column);
+          if (index !== phoneColumnIndex && index !== nameColumnIndex && key && values[index]) {
+            metadata[key] = values[index];
+          }
+        });
+
+        records.push({
+          phone,
+          ...(nameColumnIndex !== -1 && values[nameColumnIndex] ? { name: values[nameColumnIndex] } : {}),
+          metadata
+        });
       }
     }
   }
-  
+
   return records;
 }
 
-export default { parseCSV };
\ No newline at end of file
+export default { parseCSV, toVariableName };